@@ -0,0 +1,68 @@
+// The Express app without a database connection or listening port, so tests can
+// drive it with supertest; server.js starts it.
+import express from "express";
+import cors from "cors";
+import helmet from "helmet";
+import rateLimit from "express-rate-limit";
+import authRoutes from "./routes/auth.js";
+import courseRoutes from "./routes/courses.js";
+import pathRoutes from "./routes/paths.js";
+import userRoutes from "./routes/users.js";
+import progressRoutes from "./routes/progress.js";
+import gamificationRoutes from "./routes/gamification.js";
+import notificationRoutes from "./routes/notifications.js";
+import invitationRoutes from "./routes/invitations.js";
+
+import { errorHandler } from "./middleware/errorHandler.js";
+import { authMiddleware } from "./middleware/auth.js";
+
+const app = express();
+app.use(helmet());
+
+app.use(
+  cors({
+    origin: process.env.FRONTEND_URL || "http://localhost:3000",
+    credentials: true,
+  })
+);
+
+const limiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
+  message: "Too many requests from this IP, please try again later.",
+});
+app.use("/api/", limiter);
+
+app.use(express.json({ limit: "10mb" }));
+app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+
+// Locally hosted media, played directly by the frontend
+app.use(
+  "/uploads",
+  express.static(process.env.UPLOAD_DIR || "uploads", {
+    setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+  })
+);
+
+app.use("/api/auth", authRoutes);
+app.use("/api/courses", courseRoutes);
+app.use("/api/paths", pathRoutes);
+app.use("/api/users", authMiddleware, userRoutes);
+app.use("/api/progress", authMiddleware, progressRoutes);
+app.use("/api/gamification", authMiddleware, gamificationRoutes);
+app.use("/api/notifications", authMiddleware, notificationRoutes);
+app.use("/api/invitations", authMiddleware, invitationRoutes);
+
+app.get("/api/health", (req, res) => {
+  res.json({
+    status: "OK",
+    message: "PlayLMS API is running",
+    timestamp: new Date().toISOString(),
+  });
+});
+app.use(errorHandler);
+app.use("*", (req, res) => {
+  res.status(404).json({ message: "Route not found" });
+});
+
+export default app;
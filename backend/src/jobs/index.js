@@ -0,0 +1,43 @@
+import cron from 'node-cron';
+import ImportQueue from '../services/importQueue.js';
+import CourseSyncService from '../services/courseSyncService.js';
+import CourseHealthService from '../services/courseHealthService.js';
+
+const scheduleJobs = () => {
+  // Resume imports queued before the last restart
+  ImportQueue.drain();
+
+  // Every minute: requeue stalled imports and pick up anything still waiting
+  cron.schedule('* * * * *', async () => {
+    try {
+      await ImportQueue.recoverStalledJobs();
+      await ImportQueue.drain();
+    } catch (error) {
+      console.error('Import queue schedule error:', error);
+    }
+  });
+
+  // Daily at 03:00: resync courses with their source playlists
+  cron.schedule(process.env.COURSE_RESYNC_CRON || '0 3 * * *', async () => {
+    try {
+      const summary = await CourseSyncService.resyncAllCourses();
+      console.log(`Course resync finished: ${summary.synced} synced, ${summary.failed} failed`);
+    } catch (error) {
+      console.error('Course resync schedule error:', error);
+    }
+  });
+
+  // Daily at 04:00: flag modules whose video was deleted, made private or blocked
+  cron.schedule(process.env.COURSE_HEALTH_CRON || '0 4 * * *', async () => {
+    try {
+      const summary = await CourseHealthService.checkAllCourses();
+      console.log(`Course health check finished: ${summary.checked} checked, ${summary.failed} failed, ${summary.unavailable} unavailable modules`);
+    } catch (error) {
+      console.error('Course health schedule error:', error);
+    }
+  });
+
+  console.log('Background jobs scheduled');
+};
+
+export default scheduleJobs;
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Course from '../models/Course.js';
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -130,10 +131,44 @@ const adminOnly = authorizeRoles('admin');
 // Admin or moderator middleware
 const adminOrModerator = authorizeRoles('admin', 'moderator');
 
+// Course-scoped role authorization: like authorizeRoles, but checks the user's role on the
+// course in req.params.courseId ('owner', 'editor' or 'ta'). Anyone else falls through to
+// authorizeRoles('admin'), so site admins can act on every course. Sets req.course and
+// req.courseRole for the route.
+const authorizeCourseRoles = (...courseRoles) => {
+  const adminFallback = authorizeRoles('admin');
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return adminFallback(req, res, next);
+    }
+
+    try {
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found'
+        });
+      }
+
+      req.course = course;
+      req.courseRole = course.getStaffRole(req.user._id);
+      if (!courseRoles.includes(req.courseRole)) {
+        return adminFallback(req, res, next);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 export {
   authMiddleware,
   optionalAuthMiddleware,
   authorizeRoles,
   adminOnly,
-  adminOrModerator
+  adminOrModerator,
+  authorizeCourseRoles
 }; 
\ No newline at end of file
@@ -1,3 +1,12 @@
+// Readable messages for unique indexes users can run into
+const duplicateKeyMessages = {
+  slug: (value) => `The slug "${value}" is already used by another course`,
+  playlistId: () => 'This playlist has already been converted to a course',
+  playlistUrl: () => 'This playlist has already been converted to a course',
+  email: () => 'An account with this email already exists',
+  username: (value) => `The username "${value}" is taken`
+};
+
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
@@ -19,9 +28,11 @@ const errorHandler = (err, req, res, next) => {
 
   // Mongoose duplicate key
   if (err.code === 11000) {
-    const field = Object.keys(err.keyValue)[0];
-    const message = `${field} already exists`;
-    error = { message, statusCode: 400 };
+    const [field, value] = Object.entries(err.keyValue || {})[0] || ['value', null];
+    const message = duplicateKeyMessages[field]
+      ? duplicateKeyMessages[field](value)
+      : `A record with this ${field} already exists`;
+    error = { message, statusCode: 409 };
   }
 
   // Mongoose validation error
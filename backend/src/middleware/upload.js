@@ -0,0 +1,78 @@
+import multer from 'multer';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { AppError } from './errorHandler.js';
+
+const MAX_TRANSCRIPT_SIZE = 2 * 1024 * 1024; // 2 MB
+const MAX_RESOURCE_SIZE = 50 * 1024 * 1024; // 50 MB
+const MAX_PACKAGE_SIZE = 200 * 1024 * 1024; // 200 MB, attachments included
+
+// Slide decks, documents, exercise files and archives learners can download
+const RESOURCE_EXTENSIONS = [
+  '.pdf', '.ppt', '.pptx', '.key', '.odp', '.doc', '.docx', '.odt', '.rtf', '.txt', '.md',
+  '.xls', '.xlsx', '.ods', '.csv', '.json', '.zip', '.tar', '.gz', '.7z',
+  '.png', '.jpg', '.jpeg', '.gif', '.svg', '.ipynb', '.py', '.js', '.ts', '.html', '.css', '.sql'
+];
+
+// Module files are not under /uploads: they are only served through the download route
+const getResourceDir = () => path.resolve(process.env.RESOURCE_DIR || 'resources');
+
+// Transcripts are parsed straight into the database, so keep them in memory
+const transcriptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_TRANSCRIPT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!['.srt', '.vtt'].includes(extension)) {
+      return cb(new AppError('Only .srt and .vtt transcript files are allowed', 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Module files go to local storage under a random name; the original name is kept on the module
+const resourceUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const resourceDir = getResourceDir();
+      fs.mkdir(resourceDir, { recursive: true }, (error) => cb(error, resourceDir));
+    },
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      cb(null, `${crypto.randomBytes(16).toString('hex')}${extension}`);
+    }
+  }),
+  limits: { fileSize: MAX_RESOURCE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!RESOURCE_EXTENSIONS.includes(extension)) {
+      return cb(new AppError(`Files of type ${extension || 'unknown'} can't be attached`, 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Course packages (see coursePackageService) are parsed straight from memory
+const packageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PACKAGE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== '.json') {
+      return cb(new AppError('Course packages must be .json files', 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Method to check an attachment that didn't come through resourceUpload, e.g. from a course package
+const isAllowedResource = (fileName, size) =>
+  RESOURCE_EXTENSIONS.includes(path.extname(fileName).toLowerCase()) && size <= MAX_RESOURCE_SIZE;
+
+export {
+  transcriptUpload,
+  resourceUpload,
+  packageUpload,
+  getResourceDir,
+  isAllowedResource
+};
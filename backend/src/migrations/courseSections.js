@@ -0,0 +1,45 @@
+// Gives courses created before sections existed a single section holding all
+// their modules, and rebuilds the playlist indexes as sparse so courses without
+// a playlist can be saved. Safe to run more than once.
+//
+// Usage: npm run migrate:course-sections
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import Course from '../models/Course.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await connectDB();
+  const stats = { courses: 0, modules: 0 };
+
+  // The old unique indexes treat a missing playlistId as a duplicate value
+  for (const indexName of ['playlistId_1', 'playlistUrl_1']) {
+    try {
+      await Course.collection.dropIndex(indexName);
+    } catch (error) {
+      if (error.codeName !== 'IndexNotFound') throw error;
+    }
+  }
+  await Course.syncIndexes();
+
+  const cursor = Course.find({ $or: [{ sections: { $exists: false } }, { sections: { $size: 0 } }] }).cursor();
+  for await (const course of cursor) {
+    if (course.ensureDefaultSection()) {
+      await course.save({ validateModifiedOnly: true });
+      stats.courses += 1;
+      stats.modules += course.modules.length;
+    }
+  }
+
+  console.log('Course section migration finished:', stats);
+};
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error('Course section migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
@@ -0,0 +1,118 @@
+// Rewrites progress records that identify modules by their order number so
+// they point at the module's _id instead. Safe to run more than once.
+// Entries whose module order no longer exists can't be linked and are dropped; they are
+// listed by record _id, so run with --dry-run first to review them without writing anything.
+//
+// Usage: npm run migrate:module-ids [-- --dry-run]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await connectDB();
+  const db = mongoose.connection.db;
+  const courses = db.collection('courses');
+  const progresses = db.collection('progresses');
+
+  const stats = { courses: 0, enrollments: 0, progressRecords: 0, unresolved: 0 };
+  // Records that reference module orders which no longer exist, with those orders
+  const unresolvedRecords = [];
+
+  const courseCursor = courses.find({}, { projection: { modules: 1, enrolledUsers: 1 } });
+  for await (const course of courseCursor) {
+    const moduleIdsByOrder = new Map((course.modules || []).map(module => [module.order, module._id]));
+    const resolve = (order, missing) => {
+      const moduleId = moduleIdsByOrder.get(order);
+      if (!moduleId) {
+        stats.unresolved += 1;
+        missing.push(order);
+      }
+      return moduleId;
+    };
+
+    // Course.enrolledUsers.completedModules: [Number] -> [ObjectId]
+    let enrollmentsChanged = false;
+    const enrolledUsers = (course.enrolledUsers || []).map(enrollment => {
+      const completedModules = enrollment.completedModules || [];
+      if (!completedModules.some(entry => typeof entry === 'number')) {
+        return enrollment;
+      }
+
+      enrollmentsChanged = true;
+      stats.enrollments += 1;
+      const missing = [];
+      const resolved = completedModules
+        .map(entry => (typeof entry === 'number' ? resolve(entry, missing) : entry))
+        .filter(Boolean);
+      if (missing.length > 0) {
+        unresolvedRecords.push({ course: course._id, user: enrollment.user, moduleOrders: missing });
+      }
+      return { ...enrollment, completedModules: resolved };
+    });
+
+    if (enrollmentsChanged) {
+      if (!dryRun) await courses.updateOne({ _id: course._id }, { $set: { enrolledUsers } });
+      stats.courses += 1;
+    }
+
+    // Progress.moduleProgress / learningSessions.modulesWatched: moduleOrder -> moduleId
+    const progressCursor = progresses.find({
+      course: course._id,
+      $or: [
+        { 'moduleProgress.moduleOrder': { $exists: true } },
+        { 'learningSessions.modulesWatched.moduleOrder': { $exists: true } }
+      ]
+    });
+
+    for await (const progress of progressCursor) {
+      const missing = [];
+      const moduleProgress = (progress.moduleProgress || [])
+        .map(entry => {
+          if (entry.moduleId) return entry;
+          const { moduleOrder, ...rest } = entry;
+          const moduleId = resolve(moduleOrder, missing);
+          return moduleId ? { ...rest, moduleId } : null;
+        })
+        .filter(Boolean);
+
+      const learningSessions = (progress.learningSessions || []).map(session => ({
+        ...session,
+        modulesWatched: (session.modulesWatched || []).map(watched => {
+          if (watched.moduleId || watched.moduleOrder === undefined) return watched;
+          const { moduleOrder, ...rest } = watched;
+          return { ...rest, moduleId: resolve(moduleOrder, missing) || null };
+        })
+      }));
+
+      if (missing.length > 0) {
+        unresolvedRecords.push({ progress: progress._id, moduleOrders: [...new Set(missing)] });
+      }
+      if (!dryRun) {
+        await progresses.updateOne(
+          { _id: progress._id },
+          { $set: { moduleProgress, learningSessions } }
+        );
+      }
+      stats.progressRecords += 1;
+    }
+  }
+
+  console.log(`Module id migration ${dryRun ? 'dry run ' : ''}finished:`, stats);
+  if (unresolvedRecords.length > 0) {
+    console.warn(`${stats.unresolved} entries referenced a module order that no longer exists and ${
+      dryRun ? 'would be dropped' : 'were dropped'} from these records:`);
+    unresolvedRecords.forEach(record => console.warn(JSON.stringify(record)));
+  }
+};
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error('Module id migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Persisted YouTube Data API responses, shared between server instances and restarts
+const apiCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Cache key is required'],
+    unique: true
+  },
+  resource: {
+    type: String,
+    required: [true, 'Cache resource is required']
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Cache expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes entries once they expire
+apiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ApiCacheEntry', apiCacheEntrySchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// YouTube Data API units spent per quota day (quota resets at midnight Pacific time)
+const apiQuotaUsageSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    required: [true, 'Quota day is required'],
+    unique: true
+  },
+  units: {
+    type: Number,
+    default: 0
+  },
+  calls: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  refused: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ApiQuotaUsage', apiQuotaUsageSchema);
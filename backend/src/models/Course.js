@@ -1,5 +1,47 @@
 import mongoose from 'mongoose';
 
+// Path segments the courses router matches before /:slug, so no course can use them
+const RESERVED_SLUGS = ['convert', 'preview', 'discover', 'categories', 'import', 'import-jobs', 'youtube-usage'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 100;
+// Kinds of module; only videos have a provider, video id and thumbnail
+const MODULE_TYPES = ['video', 'article', 'link', 'file'];
+const isVideo = function() { return this.type === 'video'; };
+
+const quizQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [500, 'Question cannot exceed 500 characters']
+  },
+  options: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Answer option cannot exceed 200 characters']
+    }],
+    validate: [
+      options => options.length >= 2 && options.length <= 6,
+      'A question needs between 2 and 6 answer options'
+    ]
+  },
+  // Index into options; never sent to learners (see toJSON below)
+  correctOption: {
+    type: Number,
+    required: [true, 'Correct option is required'],
+    min: 0
+  }
+});
+
+// Learners get the questions without the answers; graders and editors use toObject()
+quizQuestionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.correctOption;
+    return ret;
+  }
+});
+
 const moduleSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -11,21 +53,83 @@ const moduleSchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Module description cannot exceed 1000 characters']
   },
+  type: {
+    type: String,
+    enum: MODULE_TYPES,
+    default: 'video'
+  },
+  // Video provider (see services/providers); videoId is the provider's own id
+  provider: {
+    type: String,
+    enum: ['youtube', 'vimeo', 'direct'],
+    default: function() { return this.type === 'video' ? 'youtube' : undefined; }
+  },
   videoId: {
     type: String,
-    required: [true, 'Video ID is required']
+    required: [isVideo, 'Video ID is required']
+  },
+  // Section the module belongs to (see courseSchema.sections)
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // How the module got into the course; only playlist modules are touched by resync
+  source: {
+    type: String,
+    enum: ['playlist', 'video', 'channel', 'manual'],
+    default: 'playlist'
   },
   videoUrl: {
     type: String,
-    required: [true, 'Video URL is required']
+    required: [isVideo, 'Video URL is required']
   },
   thumbnail: {
     type: String,
-    required: [true, 'Thumbnail URL is required']
+    required: [function() { return this.type === 'video' && this.provider !== 'direct' && this.source !== 'manual'; }, 'Thumbnail URL is required']
   },
   duration: {
-    type: Number, // in seconds
-    required: [true, 'Video duration is required']
+    type: Number, // in seconds; estimated reading time for articles, 0 for links and files
+    required: [true, 'Module duration is required']
+  },
+  // Markdown body of an article module
+  article: {
+    type: new mongoose.Schema({
+      body: {
+        type: String,
+        required: [true, 'Article body is required'],
+        maxlength: [100000, 'Article cannot exceed 100000 characters']
+      }
+    }, { _id: false }),
+    default: null,
+    required: [function() { return this.type === 'article'; }, 'Article body is required']
+  },
+  // External page a link module points to
+  link: {
+    type: new mongoose.Schema({
+      url: {
+        type: String,
+        required: [true, 'Link URL is required']
+      }
+    }, { _id: false }),
+    default: null,
+    required: [function() { return this.type === 'link'; }, 'Link URL is required']
+  },
+  // Attachment of a file module, stored under RESOURCE_DIR and served by the download route
+  file: {
+    type: new mongoose.Schema({
+      storageName: {
+        type: String,
+        required: true
+      },
+      fileName: {
+        type: String,
+        required: true
+      },
+      mimeType: String,
+      size: Number // in bytes
+    }, { _id: false }),
+    default: null,
+    required: [function() { return this.type === 'file'; }, 'File is required']
   },
   order: {
     type: Number,
@@ -35,6 +139,86 @@ const moduleSchema = new mongoose.Schema({
     type: Number,
     default: 10
   },
+  // Modules (ids in this course) a learner has to complete before opening this one
+  prerequisites: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Set when the video is removed from the source playlist
+  isRetired: {
+    type: Boolean,
+    default: false
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  // Hidden by the creator: kept in place but not shown to learners or counted
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Part of the video this module plays, for modules split from a long video by chapter.
+  // Progress and duration are relative to the clip.
+  clip: {
+    type: new mongoose.Schema({
+      start: {
+        type: Number, // in seconds
+        required: true,
+        min: 0
+      },
+      end: {
+        type: Number, // in seconds
+        required: true
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Optional multiple-choice quiz; passing it can be required for course completion
+  quiz: {
+    type: new mongoose.Schema({
+      questions: [quizQuestionSchema],
+      passingScore: {
+        type: Number, // percentage of correct answers
+        default: 70,
+        min: 1,
+        max: 100
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Chapters parsed from "00:00 Intro" lines in the video description
+  segments: [{
+    title: {
+      type: String,
+      required: [true, 'Segment title is required'],
+      trim: true,
+      maxlength: [200, 'Segment title cannot exceed 200 characters']
+    },
+    startTime: {
+      type: Number, // in seconds
+      required: [true, 'Segment start time is required']
+    },
+    endTime: {
+      type: Number, // in seconds
+      required: [true, 'Segment end time is required']
+    }
+  }],
+  // Set by import and the course health check when the video can no longer be watched
+  availability: {
+    status: {
+      type: String,
+      enum: ['available', 'unavailable', 'deleted', 'private', 'region_blocked', 'not_embeddable'],
+      default: 'available'
+    },
+    checkedAt: {
+      type: Date,
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: null
+    }
+  },
   notes: [{
     content: String,
     timestamp: Number, // video timestamp in seconds
@@ -91,6 +275,49 @@ const moduleSchema = new mongoose.Schema({
   timestamps: true
 });
 
+const sectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Section title is required'],
+    trim: true,
+    maxlength: [200, 'Section title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Section description cannot exceed 1000 characters']
+  },
+  order: {
+    type: Number,
+    required: [true, 'Section order is required']
+  },
+  // playlist: kept in step with a YouTube playlist by resync
+  // video: one YouTube video, split into a module per chapter when it has chapters
+  // videos: hand-picked video URLs
+  // channel: a date range of a channel's uploads, imported once
+  // manual: entries typed in by the creator
+  sourceType: {
+    type: String,
+    enum: ['playlist', 'video', 'videos', 'channel', 'manual'],
+    default: 'manual'
+  },
+  playlistId: {
+    type: String,
+    default: null
+  },
+  playlistUrl: {
+    type: String,
+    default: null
+  },
+  channelTitle: {
+    type: String,
+    default: null
+  },
+  channelId: {
+    type: String,
+    default: null
+  }
+});
+
 const courseSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -107,21 +334,61 @@ const courseSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Course thumbnail is required']
   },
+  // Only set for courses built from a single playlist; multi-source courses
+  // keep their playlists on the sections
   playlistUrl: {
     type: String,
-    required: [true, 'Playlist URL is required'],
-    unique: true
+    unique: true,
+    sparse: true
   },
   playlistId: {
     type: String,
-    required: [true, 'Playlist ID is required'],
-    unique: true
+    unique: true,
+    sparse: true
   },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Course creator is required']
   },
+  // Co-authors (editors) and teaching assistants; the creator is the course owner.
+  // Added by accepting a CourseInvitation.
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['editor', 'ta'],
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set on forks: the course this one was copied from. Title and creator are kept so the
+  // attribution survives the source course being deleted.
+  forkedFrom: {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    },
+    title: String,
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revision: Number,
+    forkedAt: Date
+  },
+  totalForks: {
+    type: Number,
+    default: 0
+  },
+  sections: [sectionSchema],
   modules: [moduleSchema],
   totalModules: {
     type: Number,
@@ -185,7 +452,7 @@ const courseSchema = new mongoose.Schema({
       default: Date.now
     },
     completedModules: [{
-      type: Number // module order
+      type: mongoose.Schema.Types.ObjectId // module _id
     }],
     lastAccessed: {
       type: Date,
@@ -244,10 +511,21 @@ const courseSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Archived courses (isActive false) drop out of listings and enrollment, but
+  // enrolled learners and the creator can still open them
   isActive: {
     type: Boolean,
     default: true
   },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Learners have to complete modules in order
+  isSequential: {
+    type: Boolean,
+    default: false
+  },
   allowComments: {
     type: Boolean,
     default: true
@@ -269,6 +547,32 @@ const courseSchema = new mongoose.Schema({
     min: 1,
     max: 100
   },
+  // Rules for completionCriteria 'custom'; every rule that is set must be met
+  customCompletion: {
+    // Modules that must be completed; empty means every module
+    requiredModules: [{
+      type: mongoose.Schema.Types.ObjectId
+    }],
+    // Every module with a quiz must have its quiz passed
+    requireQuizPass: {
+      type: Boolean,
+      default: false
+    },
+    // A module only counts once this share of its video has been watched
+    minWatchRatio: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    }
+  },
+  // Bonus XP awarded once when a learner completes the course
+  completionXP: {
+    type: Number,
+    default: 50,
+    min: 0,
+    max: 10000
+  },
   
   // SEO and sharing
   slug: {
@@ -276,11 +580,67 @@ const courseSchema = new mongoose.Schema({
     unique: true,
     required: true
   },
+  // Slugs the course used to have; GET /api/courses/:slug redirects them to the current one
+  slugHistory: [{
+    slug: {
+      type: String,
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   metaDescription: {
     type: String,
     maxlength: [300, 'Meta description cannot exceed 300 characters']
   },
   
+  // Playlist resync
+  sync: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: null
+    },
+    lastResult: {
+      added: Number,
+      retired: Number,
+      restored: Number,
+      reordered: Number,
+      unavailable: Number
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
+  },
+
+  // Video availability check
+  health: {
+    lastCheckedAt: {
+      type: Date,
+      default: null
+    },
+    unavailableModules: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
+  },
+  
+  // Number of the published revision (see CourseRevision); 0 until the first publish
+  revision: {
+    type: Number,
+    default: 0
+  },
+  
   // Timestamps
   lastUpdated: {
     type: Date,
@@ -298,7 +658,7 @@ courseSchema.index({ isPublic: 1, isActive: 1 });
 courseSchema.index({ totalEnrollments: -1 });
 courseSchema.index({ averageRating: -1 });
 courseSchema.index({ createdAt: -1 });
-courseSchema.index({ slug: 1 });
+courseSchema.index({ 'slugHistory.slug': 1 });
 
 // Virtual for completion rate
 courseSchema.virtual('completionRate').get(function() {
@@ -317,16 +677,82 @@ courseSchema.virtual('formattedDuration').get(function() {
   return `${minutes}m`;
 });
 
-// Pre-save middleware to update totals
+// Pre-save middleware to update totals (retired and hidden modules don't count)
 courseSchema.pre('save', function(next) {
   if (this.modules && this.modules.length > 0) {
-    this.totalModules = this.modules.length;
-    this.totalDuration = Math.round(this.modules.reduce((total, module) => total + module.duration, 0) / 60);
-    this.totalXP = this.modules.reduce((total, module) => total + module.xpReward, 0);
+    const activeModules = this.modules.filter(module => !module.isRetired && !module.isHidden);
+    this.totalModules = activeModules.length;
+    this.totalDuration = Math.round(activeModules.reduce((total, module) => total + module.duration, 0) / 60);
+    this.totalXP = activeModules.reduce((total, module) => total + module.xpReward, 0);
+    this.health.unavailableModules = activeModules
+      .filter(module => module.availability?.status && module.availability.status !== 'available')
+      .length;
   }
   next();
 });
 
+// Method to record whether a module's video can be watched; returns true when the status changed
+courseSchema.methods.setModuleAvailability = function(module, status) {
+  const now = new Date();
+  const previousStatus = module.availability?.status || 'available';
+  const changed = previousStatus !== status;
+
+  module.availability = {
+    status,
+    checkedAt: now,
+    changedAt: changed ? now : module.availability?.changedAt || null
+  };
+  return changed;
+};
+
+// Method to give courses created before sections existed a single section
+// holding all their modules; returns true when one was added
+courseSchema.methods.ensureDefaultSection = function() {
+  if (this.sections.length > 0) return false;
+
+  this.sections.push({
+    title: this.title,
+    order: 1,
+    sourceType: this.playlistId ? 'playlist' : 'manual',
+    playlistId: this.playlistId || null,
+    playlistUrl: this.playlistUrl || null
+  });
+
+  const section = this.sections[0];
+  this.modules.forEach(module => {
+    if (!module.section) module.section = section._id;
+    // Only YouTube videos can have come from the playlist
+    if ((module.provider || 'youtube') !== 'youtube') module.source = 'video';
+  });
+  return true;
+};
+
+// Method to get the sections whose modules come from a YouTube playlist
+courseSchema.methods.getPlaylistSections = function() {
+  return this.sections
+    .filter(section => section.sourceType === 'playlist' && section.playlistId)
+    .sort((a, b) => a.order - b.order);
+};
+
+// Method to number modules 1..n: live modules by section, then by their current
+// order, followed by retired modules
+courseSchema.methods.renumberModules = function() {
+  const sectionOrders = new Map(this.sections.map(section => [section._id.toString(), section.order]));
+  const sectionRank = (module) => sectionOrders.get(String(module.section)) ?? Number.MAX_SAFE_INTEGER;
+
+  const liveModules = this.modules
+    .filter(module => !module.isRetired)
+    .sort((a, b) => (sectionRank(a) - sectionRank(b)) || (a.order - b.order));
+  const retiredModules = this.modules
+    .filter(module => module.isRetired)
+    .sort((a, b) => a.order - b.order);
+
+  [...liveModules, ...retiredModules].forEach((module, index) => {
+    module.order = index + 1;
+  });
+  this.modules.sort((a, b) => a.order - b.order);
+};
+
 // Method to get course progress for a user
 courseSchema.methods.getUserProgress = function(userId) {
   const enrollment = this.enrolledUsers.find(enrollment => enrollment.user.toString() === userId.toString());
@@ -371,30 +797,264 @@ courseSchema.methods.enrollUser = function(userId) {
   return false;
 };
 
-// Method to mark a module as completed for a user
-courseSchema.methods.completeModule = function(userId, moduleOrder) {
+// Method to find a module by its id (or, for old links, by its order number)
+courseSchema.methods.findModule = function(moduleRef) {
+  if (mongoose.isValidObjectId(moduleRef) && String(moduleRef).length === 24) {
+    return this.modules.id(moduleRef);
+  }
+  
+  if (/^\d+$/.test(String(moduleRef))) {
+    return this.modules.find(module => module.order === parseInt(moduleRef) && !module.isRetired && !module.isHidden);
+  }
+  
+  return null;
+};
+
+// Method to mark a module as completed for a user; progress is the learner's
+// overall progress as worked out by evaluateCompletion
+courseSchema.methods.completeModule = function(userId, moduleId, progress) {
   const enrollment = this.enrolledUsers.find(enrollment => enrollment.user.toString() === userId.toString());
   
   if (!enrollment) {
     throw new Error('User not enrolled in this course');
   }
   
-  if (!enrollment.completedModules.includes(moduleOrder)) {
-    enrollment.completedModules.push(moduleOrder);
-    enrollment.progress = Math.round((enrollment.completedModules.length / this.totalModules) * 100);
+  if (!enrollment.completedModules.some(id => id.toString() === moduleId.toString())) {
+    enrollment.completedModules.push(moduleId);
+    enrollment.progress = progress;
     enrollment.lastAccessed = new Date();
-    
-    // Check if course is completed
-    if (enrollment.progress >= 100) {
-      this.totalCompletions += 1;
-    }
-    
     return true;
   }
   
   return false;
 };
 
+// Method to work out whether a learner may open a module yet. Returns null when it is
+// unlocked, otherwise the reason and the modules still to complete: every earlier
+// module in a sequential course (which covers earlier prerequisites; later ones could
+// never be reached), or else the module's own prerequisites.
+courseSchema.methods.getModuleLock = function(module, progress) {
+  const completedIds = new Set(
+    (progress?.moduleProgress || [])
+      .filter(mp => mp.isCompleted)
+      .map(mp => mp.moduleId.toString())
+  );
+  const prerequisiteIds = (module.prerequisites || []).map(id => id.toString());
+
+  const missingModules = this.modules
+    .filter(other => !other.isRetired && !other.isHidden && !other._id.equals(module._id))
+    .filter(other => this.isSequential
+      ? other.order < module.order
+      : prerequisiteIds.includes(other._id.toString()))
+    .filter(other => !completedIds.has(other._id.toString()))
+    .sort((a, b) => a.order - b.order);
+
+  if (missingModules.length === 0) return null;
+
+  return {
+    reason: missingModules.length === 1
+      ? `Complete "${missingModules[0].title}" to unlock this module`
+      : `Complete ${missingModules.length} modules to unlock this module`,
+    requiredModules: missingModules.map(other => ({
+      _id: other._id,
+      title: other.title,
+      order: other.order
+    }))
+  };
+};
+
+// Method to check whether giving a module these prerequisites would make modules wait on each other
+courseSchema.methods.hasPrerequisiteCycle = function(module, prerequisiteIds) {
+  const prerequisitesOf = (candidate) => (candidate._id.equals(module._id) ? prerequisiteIds : candidate.prerequisites || [])
+    .map(id => id.toString());
+
+  const visited = new Set();
+  const stack = prerequisitesOf(module);
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === module._id.toString()) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+
+    const prerequisite = this.modules.id(id);
+    if (prerequisite) stack.push(...prerequisitesOf(prerequisite));
+  }
+  return false;
+};
+
+// Method to get the locks on every live module for a learner, keyed by module id
+courseSchema.methods.getModuleLocks = function(progress) {
+  const locks = {};
+  this.modules
+    .filter(module => !module.isRetired && !module.isHidden)
+    .forEach(module => {
+      const lock = this.getModuleLock(module, progress);
+      if (lock) locks[module._id.toString()] = lock;
+    });
+  return locks;
+};
+
+// Method to check a learner's progress against the course's completion criteria.
+// Only live modules count; with a minimum watch ratio a completed module still
+// doesn't count until enough of it has been watched.
+courseSchema.methods.evaluateCompletion = function(progress) {
+  const liveModules = this.modules.filter(module => !module.isRetired && !module.isHidden);
+  const moduleProgressById = new Map(
+    (progress?.moduleProgress || []).map(mp => [mp.moduleId.toString(), mp])
+  );
+  const isCustom = this.completionCriteria === 'custom';
+  const minWatchRatio = isCustom ? this.customCompletion?.minWatchRatio || 0 : 0;
+
+  const isModuleDone = (module) => {
+    const moduleProgress = moduleProgressById.get(module._id.toString());
+    if (!moduleProgress?.isCompleted) return false;
+    // Only videos are watched; other lessons count once completed
+    if (minWatchRatio > 0 && module.type === 'video' && module.duration > 0) {
+      return moduleProgress.watchTime / module.duration >= minWatchRatio;
+    }
+    return true;
+  };
+
+  const completedModules = liveModules.filter(isModuleDone);
+  const percentage = liveModules.length > 0
+    ? Math.round((completedModules.length / liveModules.length) * 100)
+    : 0;
+  const unmet = [];
+
+  if (this.completionCriteria === 'percentage') {
+    if (percentage < this.completionPercentage) {
+      unmet.push(`Complete ${this.completionPercentage}% of the modules`);
+    }
+  } else if (isCustom) {
+    const requiredIds = (this.customCompletion?.requiredModules || []).map(id => id.toString());
+    const requiredModules = requiredIds.length > 0
+      ? liveModules.filter(module => requiredIds.includes(module._id.toString()))
+      : liveModules;
+    requiredModules
+      .filter(module => !isModuleDone(module))
+      .forEach(module => unmet.push(minWatchRatio > 0 && module.type === 'video'
+        ? `Watch at least ${Math.round(minWatchRatio * 100)}% of "${module.title}" and complete it`
+        : `Complete "${module.title}"`));
+
+    if (this.customCompletion?.requireQuizPass) {
+      liveModules
+        .filter(module => module.quiz?.questions?.length > 0)
+        .filter(module => !moduleProgressById.get(module._id.toString())?.quizPassed)
+        .forEach(module => unmet.push(`Pass the quiz in "${module.title}"`));
+    }
+  } else if (completedModules.length < liveModules.length) {
+    unmet.push('Complete every module');
+  }
+
+  return {
+    criteria: this.completionCriteria,
+    progress: percentage,
+    completedModules: completedModules.length,
+    totalModules: liveModules.length,
+    isCompleted: liveModules.length > 0 && unmet.length === 0,
+    unmet
+  };
+};
+
+// Static method to turn a title into a URL slug
+courseSchema.statics.slugify = function(text) {
+  const slug = String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '')
+    .substring(0, MAX_SLUG_LENGTH - 10)
+    .replace(/-$/, '');
+  // Titles without any latin letters or digits still need a slug
+  return slug || 'course';
+};
+
+// Static method to check a creator-chosen slug; returns an error message or null
+courseSchema.statics.validateSlug = function(slug) {
+  if (typeof slug !== 'string' || slug.length < 3 || slug.length > MAX_SLUG_LENGTH) {
+    return `Slug must be between 3 and ${MAX_SLUG_LENGTH} characters`;
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    return 'Slug can only contain lowercase letters, numbers and single hyphens';
+  }
+  if (RESERVED_SLUGS.includes(slug)) {
+    return 'This slug is reserved';
+  }
+  return null;
+};
+
+// Static method to check whether a slug is free: not the current or former slug of
+// another course. A course's own former slugs can be taken back.
+courseSchema.statics.isSlugAvailable = async function(slug, courseId = null) {
+  if (RESERVED_SLUGS.includes(slug)) return false;
+  const owner = await this.findOne({
+    ...(courseId && { _id: { $ne: courseId } }),
+    $or: [{ slug }, { 'slugHistory.slug': slug }]
+  }).select('_id');
+  return !owner;
+};
+
+// Static method to get a free slug for a title: "title", else "title-2", "title-3", ...
+courseSchema.statics.generateUniqueSlug = async function(title, courseId = null) {
+  const base = this.slugify(title);
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const courses = await this.find({
+    ...(courseId && { _id: { $ne: courseId } }),
+    $or: [{ slug: pattern }, { 'slugHistory.slug': pattern }]
+  }).select('slug slugHistory');
+
+  const taken = new Set(RESERVED_SLUGS);
+  courses.forEach(course => {
+    taken.add(course.slug);
+    course.slugHistory.forEach(entry => taken.add(entry.slug));
+  });
+
+  if (!taken.has(base)) return base;
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
+
+// Method to save a new course under a free slug for its title. Two imports of
+// same-titled playlists can race for a slug, so retry on a duplicate key.
+courseSchema.methods.saveWithUniqueSlug = async function(attempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    this.slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+    try {
+      return await this.save();
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyValue?.slug || attempt >= attempts) throw error;
+    }
+  }
+};
+
+// Method to change the slug, keeping the old one so links to it redirect;
+// returns true when the slug changed
+courseSchema.methods.changeSlug = function(slug) {
+  if (slug === this.slug) return false;
+
+  this.slugHistory = this.slugHistory.filter(entry => entry.slug !== slug && entry.slug !== this.slug);
+  this.slugHistory.push({ slug: this.slug, changedAt: new Date() });
+  this.slug = slug;
+  return true;
+};
+
+// Method to get a user's role on the course: 'owner' (the creator), 'editor', 'ta',
+// or null for everyone else
+courseSchema.methods.getStaffRole = function(userId) {
+  if (!userId) return null;
+  if (this.creator._id.equals(userId)) return 'owner';
+  const member = (this.staff || []).find(entry => entry.user._id.equals(userId));
+  return member ? member.role : null;
+};
+
+// Method to check whether a user works on the course in any role; admins always do
+courseSchema.methods.isStaff = function(user) {
+  return !!user && (user.role === 'admin' || this.getStaffRole(user._id) !== null);
+};
+
 // Method to get course statistics
 courseSchema.methods.getStats = function() {
   return {
@@ -0,0 +1,7 @@
+import mongoose from 'mongoose';
+import Course from './Course.js';
+
+// A creator's unpublished edits to a course. Uses the course schema and the course's
+// _id, so the editing routes work on it like on a course; publishing copies its
+// content onto the course (see CourseRevisionService).
+export default mongoose.model('CourseDraft', Course.schema);
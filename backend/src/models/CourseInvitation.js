@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// An invitation to join a course's staff as an editor or teaching assistant. The user
+// joins the course's staff when they accept; a user has at most one pending invitation
+// per course.
+const courseInvitationSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Invited user is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['editor', 'ta'],
+      message: 'Role must be editor or ta'
+    },
+    required: [true, 'Role is required']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+courseInvitationSchema.index(
+  { course: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+courseInvitationSchema.index({ user: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model('CourseInvitation', courseInvitationSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// A published version of a course's content. Revisions are numbered per course
+// from 1 and never change; rolling back publishes an old one as a new revision.
+const courseRevisionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  number: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+  changelog: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Changelog cannot exceed 2000 characters'],
+    default: ''
+  },
+  // Snapshot of the course content fields (see CONTENT_FIELDS in courseRevisionService),
+  // quiz answers included
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when this revision republished an earlier one
+  rolledBackTo: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+courseRevisionSchema.index({ course: 1, number: -1 }, { unique: true });
+
+export default mongoose.model('CourseRevision', courseRevisionSchema);
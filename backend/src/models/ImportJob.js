@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+
+const importJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Import job owner is required']
+  },
+  // Sources the course is built from, as sent to POST /convert (see services/courseBuilder.js)
+  sources: [mongoose.Schema.Types.Mixed],
+  // Set when the course comes from a single playlist, to catch duplicate imports
+  playlistUrl: {
+    type: String,
+    default: null
+  },
+  playlistId: {
+    type: String,
+    default: null
+  },
+
+  // Course settings chosen in the convert form
+  options: {
+    title: {
+      type: String,
+      trim: true
+    },
+    description: {
+      type: String
+    },
+    category: {
+      type: String,
+      default: 'other'
+    },
+    difficulty: {
+      type: String,
+      default: 'beginner'
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    isPublic: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Job state
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  stage: {
+    type: String,
+    enum: ['queued', 'fetching_playlist', 'fetching_videos', 'building_course', 'saving', 'fetching_captions', 'done'],
+    default: 'queued'
+  },
+  progress: {
+    type: Number, // percentage (0-100)
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  importErrors: [{
+    message: String,
+    stage: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Result
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  stats: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ status: 1, createdAt: 1 });
+importJobSchema.index({ user: 1, createdAt: -1 });
+importJobSchema.index({ playlistId: 1, status: 1 });
+
+// Method to record the current stage of a running job
+importJobSchema.methods.setStage = function(stage, progress) {
+  this.stage = stage;
+  if (progress !== undefined) {
+    this.progress = Math.max(this.progress, Math.min(100, Math.round(progress)));
+  }
+};
+
+// Method to mark the job as failed
+importJobSchema.methods.fail = function(message) {
+  this.importErrors.push({
+    message,
+    stage: this.stage,
+    occurredAt: new Date()
+  });
+  this.status = 'failed';
+  this.finishedAt = new Date();
+};
+
+// Method to get the status payload returned to the client
+importJobSchema.methods.getStatus = function() {
+  return {
+    _id: this._id,
+    status: this.status,
+    stage: this.stage,
+    progress: this.progress,
+    errors: this.importErrors.map(error => ({
+      message: error.message,
+      stage: error.stage,
+      occurredAt: error.occurredAt
+    })),
+    course: this.course,
+    stats: this.stats,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+export default mongoose.model('ImportJob', importJobSchema);
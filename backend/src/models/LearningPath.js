@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+import Course from './Course.js';
+
+// Path segments the paths router matches before /:slug, so no path can use them
+const RESERVED_SLUGS = ['enrolled'];
+
+const pathCourseSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Other courses of this path to complete before this one can be started
+  prerequisites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }]
+}, { _id: false });
+
+const learningPathSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Learning path title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  thumbnail: {
+    type: String,
+    default: ''
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Courses in the order learners should take them
+  courses: {
+    type: [pathCourseSchema],
+    validate: [
+      courses => courses.length >= 1 && courses.length <= 50,
+      'A learning path needs between 1 and 50 courses'
+    ]
+  },
+  // Bonus XP awarded once, when every course of the path is completed
+  completionXP: {
+    type: Number,
+    default: 200,
+    min: [0, 'Completion XP cannot be negative'],
+    max: [5000, 'Completion XP cannot exceed 5000']
+  },
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  totalEnrollments: {
+    type: Number,
+    default: 0
+  },
+  totalCompletions: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+learningPathSchema.index({ title: 'text', description: 'text' });
+learningPathSchema.index({ 'courses.course': 1 });
+learningPathSchema.index({ isPublic: 1, isActive: 1, createdAt: -1 });
+
+// Virtual for the number of courses
+learningPathSchema.virtual('totalCourses').get(function() {
+  return this.courses ? this.courses.length : 0;
+});
+
+// Static method to check a path's course list; returns an error message or null.
+// Prerequisites must be other courses of the same path and must not form a cycle.
+learningPathSchema.statics.validateCourses = function(courses) {
+  const courseIds = courses.map(entry => entry.course.toString());
+  if (new Set(courseIds).size !== courseIds.length) {
+    return 'Each course can only appear once in a learning path';
+  }
+
+  const prerequisites = new Map(courses.map(entry => [
+    entry.course.toString(),
+    (entry.prerequisites || []).map(id => id.toString())
+  ]));
+  for (const [courseId, required] of prerequisites) {
+    if (required.includes(courseId)) {
+      return 'A course cannot be its own prerequisite';
+    }
+    if (required.some(id => !prerequisites.has(id))) {
+      return 'Prerequisites must be courses of the same learning path';
+    }
+  }
+
+  // Depth-first search for a course that (indirectly) requires itself
+  const state = new Map();
+  const hasCycle = (courseId) => {
+    if (state.get(courseId) === 'visiting') return true;
+    if (state.get(courseId) === 'done') return false;
+    state.set(courseId, 'visiting');
+    const cyclic = prerequisites.get(courseId).some(hasCycle);
+    state.set(courseId, 'done');
+    return cyclic;
+  };
+  if (courseIds.some(hasCycle)) {
+    return 'Course prerequisites cannot form a cycle';
+  }
+
+  return null;
+};
+
+// Static method to get a free slug for a title: "title", else "title-2", "title-3", ...
+learningPathSchema.statics.generateUniqueSlug = async function(title, pathId = null) {
+  const base = Course.slugify(title);
+  const paths = await this.find({
+    ...(pathId && { _id: { $ne: pathId } }),
+    slug: new RegExp(`^${base}(-\\d+)?$`)
+  }).select('slug');
+
+  const taken = new Set([...RESERVED_SLUGS, ...paths.map(path => path.slug)]);
+  if (!taken.has(base)) return base;
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
+
+// Method to save a new path under a free slug for its title, retrying on a duplicate key
+learningPathSchema.methods.saveWithUniqueSlug = async function(attempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    this.slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+    try {
+      return await this.save();
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyValue?.slug || attempt >= attempts) throw error;
+    }
+  }
+};
+
+export default mongoose.model('LearningPath', learningPathSchema);
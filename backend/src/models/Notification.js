@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification recipient is required']
+  },
+  type: {
+    type: String,
+    enum: ['course_health', 'course_import', 'course_invitation', 'system'],
+    default: 'system'
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    maxlength: [200, 'Notification title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [2000, 'Notification message cannot exceed 2000 characters']
+  },
+  // Frontend path to open when the notification is clicked
+  link: {
+    type: String,
+    default: null
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+// Method to mark notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// A learner's enrollment in a learning path. Progress itself lives in the member
+// courses' Progress records; this only tracks when the whole path was completed.
+const pathEnrollmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  path: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LearningPath',
+    required: true
+  },
+  isCompleted: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+pathEnrollmentSchema.index({ user: 1, path: 1 }, { unique: true });
+pathEnrollmentSchema.index({ path: 1, isCompleted: 1 });
+
+export default mongoose.model('PathEnrollment', pathEnrollmentSchema);
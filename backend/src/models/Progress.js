@@ -12,8 +12,8 @@ const progressSchema = new mongoose.Schema({
     required: true
   },
   moduleProgress: [{
-    moduleOrder: {
-      type: Number,
+    moduleId: {
+      type: mongoose.Schema.Types.ObjectId, // Course.modules subdocument _id
       required: true
     },
     isCompleted: {
@@ -32,6 +32,22 @@ const progressSchema = new mongoose.Schema({
       type: Date,
       default: null
     },
+    completedSegments: [{
+      type: mongoose.Schema.Types.ObjectId // Course.modules.segments subdocument _id
+    }],
+    // Module quiz results
+    quizAttempts: {
+      type: Number,
+      default: 0
+    },
+    quizBestScore: {
+      type: Number, // percentage
+      default: null
+    },
+    quizPassed: {
+      type: Boolean,
+      default: false
+    },
     notes: [{
       content: String,
       timestamp: Number, // video timestamp in seconds
@@ -97,7 +113,7 @@ const progressSchema = new mongoose.Schema({
       default: 0
     },
     modulesWatched: [{
-      moduleOrder: Number,
+      moduleId: mongoose.Schema.Types.ObjectId,
       watchTime: Number
     }],
     xpEarned: {
@@ -191,21 +207,26 @@ progressSchema.virtual('estimatedCompletionTime').get(function() {
   return `${minutes}m`;
 });
 
-// Method to update module progress
-progressSchema.methods.updateModuleProgress = function(moduleOrder, watchTime, isCompleted = false) {
-  let moduleProgress = this.moduleProgress.find(mp => mp.moduleOrder === moduleOrder);
+// Method to find progress for a module by its id
+progressSchema.methods.getModuleProgress = function(moduleId) {
+  return this.moduleProgress.find(mp => mp.moduleId.toString() === moduleId.toString());
+};
+
+// Method to update module progress; call updateOverallProgress afterwards
+progressSchema.methods.updateModuleProgress = function(moduleId, watchTime, isCompleted = false) {
+  let moduleProgress = this.getModuleProgress(moduleId);
   
   if (!moduleProgress) {
-    moduleProgress = {
-      moduleOrder,
+    this.moduleProgress.push({
+      moduleId,
       isCompleted: false,
       watchTime: 0,
       lastWatched: new Date(),
       completedAt: null,
       notes: [],
       bookmarks: []
-    };
-    this.moduleProgress.push(moduleProgress);
+    });
+    moduleProgress = this.moduleProgress[this.moduleProgress.length - 1];
   }
   
   moduleProgress.watchTime += watchTime;
@@ -214,33 +235,50 @@ progressSchema.methods.updateModuleProgress = function(moduleOrder, watchTime, i
   if (isCompleted && !moduleProgress.isCompleted) {
     moduleProgress.isCompleted = true;
     moduleProgress.completedAt = new Date();
-    this.completedModules += 1;
   }
   
   this.lastAccessed = new Date();
-  this.updateOverallProgress();
   
   return moduleProgress;
 };
 
-// Method to update overall progress
-progressSchema.methods.updateOverallProgress = function() {
-  if (this.moduleProgress.length === 0) {
-    this.overallProgress = 0;
-    return;
-  }
-  
-  const completedModules = this.moduleProgress.filter(mp => mp.isCompleted).length;
-  this.overallProgress = Math.round((completedModules / this.moduleProgress.length) * 100);
-  
-  // Check if course is completed
-  if (this.overallProgress >= 100 && !this.isCompleted) {
-    this.isCompleted = true;
-    this.completedAt = new Date();
-  }
+// Method to record a quiz attempt for a module, keeping the best score
+progressSchema.methods.recordQuizAttempt = function(moduleId, score, passed) {
+  const moduleProgress = this.getModuleProgress(moduleId) || this.updateModuleProgress(moduleId, 0);
+
+  moduleProgress.quizAttempts += 1;
+  moduleProgress.quizBestScore = Math.max(moduleProgress.quizBestScore ?? 0, score);
+  moduleProgress.quizPassed = moduleProgress.quizPassed || passed;
+  this.lastAccessed = new Date();
+
+  return moduleProgress;
+};
+
+// Method to record finished chapters of a module; returns every completed segment id for it
+progressSchema.methods.completeSegments = function(moduleId, segmentIds) {
+  const moduleProgress = this.getModuleProgress(moduleId) || this.updateModuleProgress(moduleId, 0);
+
+  segmentIds.forEach(segmentId => {
+    if (!moduleProgress.completedSegments.some(id => id.toString() === segmentId.toString())) {
+      moduleProgress.completedSegments.push(segmentId);
+    }
+  });
+
+  return moduleProgress.completedSegments;
+};
+
+// Method to update overall progress against the course's completion criteria.
+// Returns the evaluation; marking the course completed is left to CompletionService
+// so its rewards are only handed out once.
+progressSchema.methods.updateOverallProgress = function(course) {
+  const completion = course.evaluateCompletion(this);
+  this.overallProgress = completion.progress;
+  this.completedModules = completion.completedModules;
   
   // Update total watch time
   this.totalWatchTime = Math.round(this.moduleProgress.reduce((total, mp) => total + mp.watchTime, 0) / 60);
+  
+  return completion;
 };
 
 // Method to add a learning session
@@ -296,8 +334,8 @@ progressSchema.methods.addAchievement = function(name, description, icon) {
 };
 
 // Method to add note to a module
-progressSchema.methods.addNote = function(moduleOrder, content, timestamp) {
-  const moduleProgress = this.moduleProgress.find(mp => mp.moduleOrder === moduleOrder);
+progressSchema.methods.addNote = function(moduleId, content, timestamp) {
+  const moduleProgress = this.getModuleProgress(moduleId);
   
   if (moduleProgress) {
     moduleProgress.notes.push({
@@ -313,8 +351,8 @@ progressSchema.methods.addNote = function(moduleOrder, content, timestamp) {
 };
 
 // Method to add bookmark to a module
-progressSchema.methods.addBookmark = function(moduleOrder, timestamp, title) {
-  const moduleProgress = this.moduleProgress.find(mp => mp.moduleOrder === moduleOrder);
+progressSchema.methods.addBookmark = function(moduleId, timestamp, title) {
+  const moduleProgress = this.getModuleProgress(moduleId);
   
   if (moduleProgress) {
     moduleProgress.bookmarks.push({
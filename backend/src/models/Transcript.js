@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const cueSchema = new mongoose.Schema({
+  startTime: {
+    type: Number, // in seconds
+    required: true,
+    min: 0
+  },
+  endTime: {
+    type: Number, // in seconds
+    required: true,
+    min: 0
+  },
+  text: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// One transcript per module and language, kept out of the course document
+// so course listings don't carry every caption line
+const transcriptSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  module: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Module is required']
+  },
+  language: {
+    type: String,
+    required: [true, 'Transcript language is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/, 'Language must be a language code such as en or pt-br']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Transcript label cannot exceed 100 characters']
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'youtube'],
+    default: 'upload'
+  },
+  format: {
+    type: String,
+    enum: ['srt', 'vtt'],
+    required: true
+  },
+  cues: [cueSchema],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+transcriptSchema.index({ course: 1, module: 1, language: 1 }, { unique: true });
+
+// Method to get the transcript without its cues, for listings
+transcriptSchema.methods.getSummary = function() {
+  return {
+    _id: this._id,
+    language: this.language,
+    label: this.label,
+    source: this.source,
+    format: this.format,
+    cueCount: this.cues.length,
+    updatedAt: this.updatedAt
+  };
+};
+
+export default mongoose.model('Transcript', transcriptSchema);
@@ -1,30 +1,80 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import Course from '../models/Course.js';
 import Progress from '../models/Progress.js';
 import User from '../models/User.js';
+import ImportJob from '../models/ImportJob.js';
 import YouTubeService from '../services/youtubeService.js';
+import ImportQueue from '../services/importQueue.js';
+import CourseSyncService from '../services/courseSyncService.js';
+import CourseHealthService from '../services/courseHealthService.js';
+import QuotaLedger from '../services/quotaLedger.js';
+import YouTubeCache from '../services/youtubeCache.js';
+import CourseBuilder from '../services/courseBuilder.js';
+import TranscriptService from '../services/transcriptService.js';
+import CourseLifecycleService from '../services/courseLifecycleService.js';
+import CompletionService from '../services/completionService.js';
+import LessonService from '../services/lessonService.js';
+import CourseRevisionService from '../services/courseRevisionService.js';
+import CourseStaffService from '../services/courseStaffService.js';
+import CourseAnalyticsService from '../services/courseAnalyticsService.js';
+import CourseForkService from '../services/courseForkService.js';
+import CoursePackageService from '../services/coursePackageService.js';
+import ScormExportService from '../services/scormExportService.js';
+import Transcript from '../models/Transcript.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { optionalAuthMiddleware } from '../middleware/auth.js';
+import { optionalAuthMiddleware, adminOnly, authorizeCourseRoles } from '../middleware/auth.js';
+import { transcriptUpload, resourceUpload, packageUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
 // Apply optional auth middleware to all routes
 router.use(optionalAuthMiddleware);
 
+// Remove an uploaded module file again when the request that brought it fails
+const discardFailedUpload = (req, res, next) => {
+  res.on('finish', () => {
+    if (req.file?.filename && res.statusCode >= 400) {
+      LessonService.removeFiles([req.file.filename]);
+    }
+  });
+  next();
+};
+
+const isModuleType = (...types) => (value, { req }) => types.includes(req.body.type || 'video');
+
 // @route   POST /api/courses/convert
-// @desc    Convert YouTube playlist to course
+// @desc    Queue conversion of a YouTube playlist, or several sources (playlists, videos, channels), to a course
 // @access  Private
 router.post('/convert', [
   body('playlistUrl')
-    .notEmpty()
-    .withMessage('Playlist URL is required')
+    .optional()
     .custom((value) => {
       if (!YouTubeService.validateYouTubeUrl(value)) {
         throw new Error('Invalid YouTube playlist URL');
       }
       return true;
     }),
+  body('sources')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Sources must be an array of 1 to 20 sections'),
+  body()
+    .custom((value) => {
+      const message = CourseBuilder.validateSources(CourseBuilder.normalizeSources(value));
+      if (message) {
+        throw new Error(message);
+      }
+      return true;
+    }),
+  body('title')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
   body('category')
     .isIn([
       'programming', 'design', 'business', 'marketing', 'music', 'cooking',
@@ -62,63 +112,222 @@ router.post('/convert', [
     });
   }
 
-  const { playlistUrl, category, difficulty = 'beginner', tags = [], isPublic = true } = req.body;
+  const { title, description, category, difficulty = 'beginner', tags = [], isPublic = true } = req.body;
+  const sources = CourseBuilder.normalizeSources(req.body);
 
-  try {
-    // Use the enhanced YouTube service to create course
-    const result = await YouTubeService.createCourseFromPlaylist(playlistUrl, req.user._id, {
-      category,
-      difficulty,
-      tags,
-      isPublic
-    });
+  // A single playlist can only become one course; multi-source courses may reuse playlists
+  const playlistId = CourseBuilder.getSinglePlaylistId(sources);
+  if (playlistId) {
+    const existingCourse = await Course.findOne({ playlistId });
+    if (existingCourse) {
+      return res.status(409).json({
+        success: false,
+        message: 'This playlist has already been converted to a course'
+      });
+    }
 
-    if (!result.success) {
-      return res.status(400).json({
+    // Check if the playlist is already being imported
+    const activeJob = await ImportJob.findOne({
+      playlistId,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (activeJob) {
+      return res.status(409).json({
         success: false,
-        message: result.error
+        message: 'This playlist is already being imported',
+        data: {
+          job: activeJob.getStatus()
+        }
       });
     }
+  }
 
-    // Check if course already exists
-    const existingCourse = await Course.findOne({ playlistId: result.course.playlistId });
-    if (existingCourse) {
+  // Conversion can take a while for large playlists, so it runs in the background
+  const job = await ImportQueue.enqueue(req.user._id, sources, {
+    title,
+    description,
+    category,
+    difficulty,
+    tags,
+    isPublic
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Course import started',
+    data: {
+      job: job.getStatus()
+    }
+  });
+}));
+
+// @route   POST /api/courses/import
+// @desc    Create a course from an exported course package, sent as a .json file ("package")
+//          or as the request body. Slug and playlist clashes are renamed or dropped with
+//          onConflict=rename (the default) and refused with onConflict=fail.
+// @access  Private
+router.post('/import', packageUpload.single('package'), [
+  query('onConflict')
+    .optional()
+    .isIn(['rename', 'fail'])
+    .withMessage('onConflict must be rename or fail')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  let pkg = req.body;
+  if (req.file) {
+    try {
+      pkg = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'This playlist has already been converted to a course'
+        message: 'The course package is not valid JSON'
       });
     }
+  }
 
-    // Create course
-    const course = new Course(result.course);
-    await course.save();
+  const { course, conflicts } = await CoursePackageService.importCourse(pkg, req.user, {
+    onConflict: req.query.onConflict
+  });
 
-    res.status(201).json({
-      success: true,
-      message: 'Course created successfully',
-      data: {
-        course: {
-          _id: course._id,
-          title: course.title,
-          description: course.description,
-          thumbnail: course.thumbnail,
-          category: course.category,
-          difficulty: course.difficulty,
-          totalModules: course.totalModules,
-          totalDuration: course.totalDuration,
-          totalXP: course.totalXP,
-          slug: course.slug
-        },
-        stats: result.stats
-      }
+  res.status(201).json({
+    success: true,
+    message: `Imported "${course.title}"`,
+    data: {
+      course,
+      conflicts
+    }
+  });
+}));
+
+// @route   GET /api/courses/import-jobs/:jobId
+// @desc    Get status of a playlist import job
+// @access  Private
+router.get('/import-jobs/:jobId', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
     });
-  } catch (error) {
-    console.error('Course creation error:', error);
-    res.status(500).json({
+  }
+
+  const job = await ImportJob.findById(req.params.jobId)
+    .populate('course', 'title slug thumbnail totalModules');
+
+  if (!job || (job.user.toString() !== req.user._id.toString() && req.user.role !== 'admin')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Import job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      job: job.getStatus()
+    }
+  });
+}));
+
+// @route   GET /api/courses/youtube-usage
+// @desc    Get today's YouTube API quota usage and cache stats
+// @access  Private (admin)
+router.get('/youtube-usage', adminOnly, asyncHandler(async (req, res) => {
+  const quota = await QuotaLedger.getUsage();
+
+  res.json({
+    success: true,
+    data: {
+      quota,
+      cache: YouTubeCache.getStats()
+    }
+  });
+}));
+
+// @route   GET /api/courses/discover
+// @desc    Search YouTube playlists, marking the ones already converted to courses
+// @access  Private
+router.get('/discover', [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 25 })
+    .withMessage('Limit must be between 1 and 25')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!YouTubeService.isConfigured()) {
+    return res.status(500).json({
       success: false,
-      message: 'Failed to create course'
+      message: 'YouTube API key not configured. Please contact administrator.'
     });
   }
+
+  const { q, limit = 12 } = req.query;
+  const playlists = await YouTubeService.searchPlaylists(q, parseInt(limit));
+  const playlistIds = playlists.map(playlist => playlist.id);
+
+  // Only single-playlist courses own their playlist, as in the convert duplicate check
+  const [courses, activeJobs] = await Promise.all([
+    Course.find({ playlistId: { $in: playlistIds } }).select('title slug playlistId isPublic isActive creator staff'),
+    ImportJob.find({ playlistId: { $in: playlistIds }, status: { $in: ['queued', 'running'] } }).select('playlistId')
+  ]);
+  const coursesByPlaylistId = new Map(courses.map(course => [course.playlistId, course]));
+  const importingIds = new Set(activeJobs.map(job => job.playlistId));
+
+  const results = playlists.map(playlist => {
+    const course = coursesByPlaylistId.get(playlist.id);
+    // Private courses are only linked for their owner and staff
+    const canView = course && ((course.isPublic && course.isActive) || course.getStaffRole(req.user._id) !== null);
+
+    return {
+      ...playlist,
+      playlistUrl: `https://www.youtube.com/playlist?list=${playlist.id}`,
+      isConverted: Boolean(course),
+      isImporting: importingIds.has(playlist.id),
+      existingCourse: canView
+        ? { _id: course._id, title: course.title, slug: course.slug }
+        : null
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      results
+    }
+  });
 }));
 
 // @route   GET /api/courses
@@ -190,11 +399,22 @@ router.get('/', asyncHandler(async (req, res) => {
 router.get('/:slug', asyncHandler(async (req, res) => {
   const { slug } = req.params;
 
-  const course = await Course.findOne({ slug, isActive: true })
+  const course = await Course.findOne({ slug })
     .populate('creator', 'username firstName lastName avatar bio')
-    .populate('ratings.user', 'username firstName lastName avatar');
+    .populate('ratings.user', 'username firstName lastName avatar')
+    .populate('forkedFrom.course', 'title slug')
+    .populate('forkedFrom.creator', 'username firstName lastName');
 
   if (!course) {
+    // Old links keep working after a slug change
+    const renamedCourse = await Course.findOne({ 'slugHistory.slug': slug }).select('slug');
+    if (renamedCourse) {
+      return res.redirect(301, `${req.baseUrl}/${renamedCourse.slug}`);
+    }
+  }
+
+  // Archived courses stay readable for their staff and enrolled learners
+  if (!course || !(await CourseLifecycleService.canView(course, req.user))) {
     return res.status(404).json({
       success: false,
       message: 'Course not found'
@@ -214,15 +434,1285 @@ router.get('/:slug', asyncHandler(async (req, res) => {
     success: true,
     data: {
       course,
-      userProgress
+      userProgress,
+      // 'owner', 'editor' or 'ta' when the user works on the course
+      staffRole: req.user ? course.getStaffRole(req.user._id) : null
     }
   });
 }));
 
-// @route   POST /api/courses/:courseId/enroll
-// @desc    Enroll in a course
+// @route   POST /api/courses/:courseId/archive
+// @desc    Archive a course: hidden from listings and enrollment, progress kept
+// @access  Private (course owner or admin)
+router.post('/:courseId/archive', authorizeCourseRoles('owner'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  await CourseLifecycleService.archive(course);
+
+  res.json({
+    success: true,
+    message: 'Course archived',
+    data: {
+      isActive: course.isActive,
+      archivedAt: course.archivedAt
+    }
+  });
+}));
+
+// @route   POST /api/courses/:courseId/restore
+// @desc    Restore an archived course
+// @access  Private (course owner or admin)
+router.post('/:courseId/restore', authorizeCourseRoles('owner'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  await CourseLifecycleService.restore(course);
+
+  res.json({
+    success: true,
+    message: 'Course restored',
+    data: {
+      isActive: course.isActive,
+      archivedAt: course.archivedAt
+    }
+  });
+}));
+
+// @route   POST /api/courses/:courseId/transfer
+// @desc    Hand a course over to another user
+// @access  Private (course owner or admin)
+router.post('/:courseId/transfer', authorizeCourseRoles('owner'), [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username of the new owner is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const newCreator = await CourseLifecycleService.transferOwnership(course, req.body.username, req.user);
+
+  res.json({
+    success: true,
+    message: `Course transferred to ${newCreator.username}`,
+    data: {
+      creator: newCreator
+    }
+  });
+}));
+
+// @route   DELETE /api/courses/:courseId
+// @desc    Permanently delete a course with its learners' progress and transcripts
+// @access  Private (course owner or admin)
+router.delete('/:courseId', authorizeCourseRoles('owner'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  const result = await CourseLifecycleService.deleteCourse(course);
+
+  res.json({
+    success: true,
+    message: 'Course deleted',
+    data: {
+      result
+    }
+  });
+}));
+
+// @route   PATCH /api/courses/:courseId/slug
+// @desc    Change a course's slug; the old slug redirects to the new one
+// @access  Private (course owner or admin)
+router.patch('/:courseId/slug', authorizeCourseRoles('owner'), [
+  body('slug')
+    .trim()
+    .toLowerCase()
+    .custom((value) => {
+      const message = Course.validateSlug(value);
+      if (message) {
+        throw new Error(message);
+      }
+      return true;
+    })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const { slug } = req.body;
+  if (!(await Course.isSlugAvailable(slug, course._id))) {
+    return res.status(409).json({
+      success: false,
+      message: `The slug "${slug}" is already used by another course`
+    });
+  }
+
+  const previousSlug = course.slug;
+  course.changeSlug(slug);
+  await course.save({ validateModifiedOnly: true });
+  await CourseRevisionService.renameDraft(course);
+
+  res.json({
+    success: true,
+    message: slug === previousSlug ? 'Slug unchanged' : `Course moved to /courses/${slug}`,
+    data: {
+      slug: course.slug,
+      slugHistory: course.slugHistory
+    }
+  });
+}));
+
+// @route   PATCH /api/courses/:courseId
+// @desc    Edit a course's details, sequential mode, completion criteria and completion XP in its
+//          draft, or its visibility and nightly playlist resync, which apply straight away
+// @access  Private (course owner, editor or admin)
+router.patch('/:courseId', authorizeCourseRoles('owner', 'editor'), [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Description must be between 1 and 2000 characters'),
+  body('thumbnail')
+    .optional()
+    .isURL({ protocols: ['http', 'https'] })
+    .withMessage('Thumbnail must be an http(s) URL'),
+  body('category')
+    .optional()
+    .isIn(Course.schema.path('category').enumValues)
+    .withMessage('Invalid category'),
+  body('difficulty')
+    .optional()
+    .isIn(['beginner', 'intermediate', 'advanced'])
+    .withMessage('Invalid difficulty level'),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tags'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  body('language')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/)
+    .withMessage('Language must be a language code such as en or pt-br'),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+  body('completionCriteria')
+    .optional()
+    .isIn(['all_modules', 'percentage', 'custom'])
+    .withMessage('Invalid completion criteria'),
+  body('completionPercentage')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Completion percentage must be between 1 and 100'),
+  body('customCompletion.requiredModules')
+    .optional()
+    .isArray()
+    .withMessage('Required modules must be an array of module ids'),
+  body('customCompletion.requiredModules.*')
+    .isMongoId()
+    .withMessage('Invalid module id'),
+  body('customCompletion.requireQuizPass')
+    .optional()
+    .isBoolean()
+    .withMessage('requireQuizPass must be a boolean')
+    .toBoolean(),
+  body('customCompletion.minWatchRatio')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Minimum watch ratio must be between 0 and 1')
+    .toFloat(),
+  body('completionXP')
+    .optional()
+    .isInt({ min: 0, max: 10000 })
+    .withMessage('Completion XP must be between 0 and 10000'),
+  body('isSequential')
+    .optional()
+    .isBoolean()
+    .withMessage('isSequential must be a boolean'),
+  body('syncEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('syncEnabled must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  // Only fields present in the body change; the slug has its own route. Content edits
+  // wait in the draft until it is published.
+  const draft = await CourseRevisionService.getDraft(course);
+  const editableFields = [
+    'title', 'description', 'thumbnail', 'category', 'difficulty', 'tags',
+    'language', 'completionCriteria', 'completionPercentage', 'completionXP', 'isSequential'
+  ];
+  for (const field of editableFields) {
+    if (req.body[field] !== undefined) {
+      draft[field] = req.body[field];
+    }
+  }
+  if (req.body.isPublic !== undefined) {
+    course.isPublic = req.body.isPublic;
+  }
+  if (req.body.syncEnabled !== undefined) {
+    course.sync.enabled = req.body.syncEnabled;
+  }
+
+  const { customCompletion } = req.body;
+  if (customCompletion) {
+    const { requiredModules, requireQuizPass, minWatchRatio } = customCompletion;
+    if (requiredModules) {
+      if (!requiredModules.every(moduleId => draft.modules.id(moduleId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Required modules must belong to this course'
+        });
+      }
+      draft.customCompletion.requiredModules = [...new Set(requiredModules)];
+    }
+    if (requireQuizPass !== undefined) draft.customCompletion.requireQuizPass = requireQuizPass;
+    if (minWatchRatio !== undefined) draft.customCompletion.minWatchRatio = minWatchRatio;
+  }
+  if (req.body.tags) {
+    draft.tags = [...new Set(req.body.tags)];
+  }
+
+  const isDraftChanged = draft.isModified();
+  if (!isDraftChanged && !course.isModified()) {
+    return res.json({
+      success: true,
+      message: 'No changes to save',
+      data: {
+        course: CourseRevisionService.getEditorView(course, draft.isNew ? null : draft)
+      }
+    });
+  }
+
+  if (course.isModified()) {
+    await course.save({ validateModifiedOnly: true });
+  }
+  if (isDraftChanged) {
+    draft.lastUpdated = new Date();
+    await draft.save();
+  }
+
+  res.json({
+    success: true,
+    message: isDraftChanged ? 'Changes saved to the draft' : 'Course updated successfully',
+    data: {
+      course: CourseRevisionService.getEditorView(course, draft.isNew ? null : draft),
+      hasDraft: !draft.isNew
+    }
+  });
+}));
+
+// @route   GET /api/courses/:courseId/draft
+// @desc    Get a course as the editor sees it: the published course with its unpublished content
+// @access  Private (course owner, editor or admin)
+router.get('/:courseId/draft', authorizeCourseRoles('owner', 'editor'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  const draft = await CourseRevisionService.findDraft(course._id);
+
+  res.json({
+    success: true,
+    data: {
+      course: CourseRevisionService.getEditorView(course, draft),
+      hasDraft: !!draft,
+      revision: course.revision
+    }
+  });
+}));
+
+// @route   POST /api/courses/:courseId/publish
+// @desc    Publish the course draft as a new numbered revision
+// @access  Private (course owner, editor or admin)
+router.post('/:courseId/publish', authorizeCourseRoles('owner', 'editor'), [
+  body('changelog')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Changelog cannot exceed 2000 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const revision = await CourseRevisionService.publish(course, req.user._id, req.body.changelog);
+
+  res.json({
+    success: true,
+    message: `Revision ${revision.number} published`,
+    data: {
+      revision,
+      course
+    }
+  });
+}));
+
+// @route   DELETE /api/courses/:courseId/draft
+// @desc    Discard the course draft
+// @access  Private (course owner, editor or admin)
+router.delete('/:courseId/draft', authorizeCourseRoles('owner', 'editor'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  await CourseRevisionService.discardDraft(course);
+
+  res.json({
+    success: true,
+    message: 'Unpublished changes discarded'
+  });
+}));
+
+// @route   GET /api/courses/:courseId/revisions
+// @desc    Get a course's published revisions and their changelogs, newest first
+// @access  Public
+router.get('/:courseId/revisions', asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.courseId).select('creator staff isActive revision');
+  if (!course || !(await CourseLifecycleService.canView(course, req.user))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  const revisions = await CourseRevisionService.listRevisions(course._id);
+
+  res.json({
+    success: true,
+    data: {
+      revisions,
+      currentRevision: course.revision
+    }
+  });
+}));
+
+// @route   POST /api/courses/:courseId/revisions/:number/rollback
+// @desc    Publish an earlier revision's content again as a new revision
+// @access  Private (course owner, editor or admin)
+router.post('/:courseId/revisions/:number/rollback', authorizeCourseRoles('owner', 'editor'), [
+  param('number')
+    .isInt({ min: 1 })
+    .withMessage('Invalid revision number')
+    .toInt(),
+  body('changelog')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Changelog cannot exceed 2000 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const revision = await CourseRevisionService.rollback(course, req.params.number, req.user._id, req.body.changelog);
+
+  res.json({
+    success: true,
+    message: `Rolled back to revision ${req.params.number} as revision ${revision.number}`,
+    data: {
+      revision,
+      course
+    }
+  });
+}));
+
+// @route   GET /api/courses/:courseId/export
+// @desc    Download the published course as a JSON package that POST /import can recreate
+// @access  Private (course owner, editor or admin)
+router.get('/:courseId/export', authorizeCourseRoles('owner', 'editor'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  const pkg = await CoursePackageService.exportCourse(course);
+
+  res.attachment(`${course.slug}.json`);
+  res.json(pkg);
+}));
+
+// @route   GET /api/courses/:courseId/export/scorm
+// @desc    Download the published course as a SCORM 1.2 (default) or 2004 zip for other LMSs
+// @access  Private (course owner, editor or admin)
+router.get('/:courseId/export/scorm', authorizeCourseRoles('owner', 'editor'), [
+  query('version')
+    .optional()
+    .isIn(['1.2', '2004'])
+    .withMessage('version must be 1.2 or 2004')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+  const version = req.query.version || '1.2';
+
+  const archive = await ScormExportService.createPackage(course, version);
+
+  // The zip is streamed, so once it has started a failure can only cut the download short
+  archive.on('error', () => res.destroy());
+  res.attachment(`${course.slug}-scorm-${version}.zip`);
+  archive.pipe(res);
+  await archive.finalize();
+}));
+
+// @route   POST /api/courses/:courseId/fork
+// @desc    Copy a course into a new, editable course owned by the user, crediting the original.
+//          With followUpstream the copy keeps picking up changes to the source playlists.
+// @access  Private
+router.post('/:courseId/fork', [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('followUpstream')
+    .optional()
+    .isBoolean()
+    .withMessage('followUpstream must be a boolean')
+    .toBoolean(),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+    .toBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const source = await Course.findById(req.params.courseId);
+  if (!source) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  const { title, followUpstream, isPublic } = req.body;
+  const course = await CourseForkService.forkCourse(source, req.user, { title, followUpstream, isPublic });
+
+  res.status(201).json({
+    success: true,
+    message: `Forked "${source.title}"`,
+    data: {
+      course
+    }
+  });
+}));
+
+// @route   POST /api/courses/:courseId/enroll
+// @desc    Enroll in a course
+// @access  Private
+router.post('/:courseId/enroll', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const { courseId } = req.params;
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  if (!course.isPublic || !course.isActive) {
+    return res.status(403).json({
+      success: false,
+      message: 'Course is not available for enrollment'
+    });
+  }
+
+  // Check if already enrolled
+  const existingProgress = await Progress.findOne({
+    user: req.user._id,
+    course: courseId
+  });
+
+  if (existingProgress) {
+    return res.status(400).json({
+      success: false,
+      message: 'Already enrolled in this course'
+    });
+  }
+
+  // Create progress record
+  const progress = new Progress({
+    user: req.user._id,
+    course: courseId
+  });
+
+  await progress.save();
+
+  // Update course enrollment
+  course.enrollUser(req.user._id);
+  await course.save();
+
+  // Update user stats
+  const user = await User.findById(req.user._id);
+  user.totalCoursesEnrolled += 1;
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Successfully enrolled in course',
+    data: {
+      progress
+    }
+  });
+}));
+
+// @route   POST /api/courses/:courseId/resync
+// @desc    Resync course playlist sections with their source playlists
+// @access  Private (course owner, editor or admin)
+router.post('/:courseId/resync', authorizeCourseRoles('owner', 'editor'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  try {
+    const result = await CourseSyncService.resyncCourse(course);
+
+    res.json({
+      success: true,
+      message: 'Course resynced successfully',
+      data: {
+        result,
+        totalModules: course.totalModules,
+        lastSyncedAt: course.sync.lastSyncedAt
+      }
+    });
+  } catch (error) {
+    console.error('Course resync error:', error);
+    res.status(error.statusCode || 502).json({
+      success: false,
+      message: error.message || 'Failed to resync course'
+    });
+  }
+}));
+
+// @route   POST /api/courses/:courseId/health-check
+// @desc    Check that every module's video can still be played
+// @access  Private (course owner, editor or admin)
+router.post('/:courseId/health-check', authorizeCourseRoles('owner', 'editor'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  try {
+    const result = await CourseHealthService.checkCourse(course);
+
+    res.json({
+      success: true,
+      message: result.unavailable > 0
+        ? `${result.unavailable} module${result.unavailable === 1 ? '' : 's'} can no longer be played`
+        : 'All videos are available',
+      data: {
+        result,
+        health: course.health,
+        unavailableModules: course.modules
+          .filter(module => !module.isRetired && module.availability?.status !== 'available')
+          .map(module => ({
+            _id: module._id,
+            title: module.title,
+            order: module.order,
+            availability: module.availability
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('Course health check error:', error);
+    res.status(error.statusCode || 502).json({
+      success: false,
+      message: error.message || 'Failed to check course health'
+    });
+  }
+}));
+
+// @route   POST /api/courses/:courseId/modules
+// @desc    Add a module to the course draft: a YouTube, Vimeo or direct media video, a markdown
+//          article, an external link, or a file attachment (multipart/form-data with a "file" field)
+// @access  Private (course owner, editor or admin)
+router.post('/:courseId/modules', authorizeCourseRoles('owner', 'editor'), resourceUpload.single('file'), discardFailedUpload, [
+  body('type')
+    .optional()
+    .isIn(['video', 'article', 'link', 'file'])
+    .withMessage('Module type must be video, article, link or file'),
+  body('url')
+    .if(isModuleType('video', 'link'))
+    .notEmpty()
+    .withMessage('URL is required'),
+  body('url')
+    .if(isModuleType('link'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Link must be an http(s) URL'),
+  body('title')
+    .if(isModuleType('article', 'link'))
+    .trim()
+    .notEmpty()
+    .withMessage('Articles and links need a title'),
+  body('title')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Module title cannot exceed 200 characters'),
+  body('body')
+    .if(isModuleType('article'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage('Article body must be between 1 and 100000 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Module description cannot exceed 1000 characters'),
+  body('duration')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Duration must be a positive integer'),
+  body('xpReward')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('XP reward must be a positive integer'),
+  body('sectionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid section id')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const draft = await CourseRevisionService.getDraft(course);
+  const { url, title, description, duration, xpReward, sectionId } = req.body;
+  const type = req.body.type || 'video';
+
+  if (Boolean(req.file) !== (type === 'file')) {
+    return res.status(400).json({
+      success: false,
+      message: type === 'file' ? 'Choose a file to attach' : 'Only file modules take an upload'
+    });
+  }
+
+  // Without a section the module goes at the end of the last one
+  draft.ensureDefaultSection();
+  const section = sectionId
+    ? draft.sections.id(sectionId)
+    : [...draft.sections].sort((a, b) => b.order - a.order)[0];
+  if (!section) {
+    return res.status(404).json({
+      success: false,
+      message: 'Section not found'
+    });
+  }
+
+  let module;
+  if (type === 'video') {
+    let provider;
+    let item;
+    try {
+      ({ provider, item } = await CourseBuilder.resolveVideo(url));
+      if (!item.isAvailable) {
+        throw new Error(`This video can't be added because it is ${item.availability.replace('_', ' ')}`);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Added videos are never touched by playlist resync
+    module = { ...provider.buildModule(item, draft.modules.length + 1), source: 'video' };
+  } else {
+    module = LessonService.buildLesson(type, {
+      title: title || req.file?.originalname,
+      description,
+      body: req.body.body,
+      url,
+      file: req.file
+    }, draft.modules.length + 1);
+  }
+  module.section = section._id;
+  if (title) module.title = title;
+  if (description) module.description = description;
+  if (duration !== undefined) module.duration = parseInt(duration);
+  if (xpReward !== undefined) module.xpReward = parseInt(xpReward);
+
+  draft.modules.push(module);
+  const savedModule = draft.modules[draft.modules.length - 1];
+  draft.renumberModules();
+  draft.lastUpdated = new Date();
+  await draft.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Module added to the draft',
+    data: {
+      module: savedModule,
+      player: LessonService.getPlayerConfig(savedModule)
+    }
+  });
+}));
+
+// @route   PUT /api/courses/:courseId/modules/order
+// @desc    Reorder a course's modules in its draft, optionally moving them between sections
+// @access  Private (course owner, editor or admin)
+router.put('/:courseId/modules/order', authorizeCourseRoles('owner', 'editor'), [
+  body('modules')
+    .isArray({ min: 1 })
+    .withMessage('Modules must be a non-empty array'),
+  body('modules.*.moduleId')
+    .isMongoId()
+    .withMessage('Invalid module id'),
+  body('modules.*.sectionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid section id')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const draft = await CourseRevisionService.getDraft(course);
+
+  // The new order must list every live module exactly once; retired modules stay at the end
+  const liveModuleIds = draft.modules
+    .filter(module => !module.isRetired)
+    .map(module => module._id.toString());
+  const orderedIds = req.body.modules.map(entry => String(entry.moduleId));
+  if (
+    new Set(orderedIds).size !== orderedIds.length ||
+    orderedIds.length !== liveModuleIds.length ||
+    !orderedIds.every(id => liveModuleIds.includes(id))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: 'The new order must list every module of the course exactly once'
+    });
+  }
+
+  draft.ensureDefaultSection();
+  for (const entry of req.body.modules) {
+    if (entry.sectionId && !draft.sections.id(entry.sectionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+  }
+
+  req.body.modules.forEach((entry, index) => {
+    const module = draft.modules.id(entry.moduleId);
+    module.order = index + 1;
+    if (entry.sectionId) module.section = entry.sectionId;
+  });
+  draft.renumberModules();
+  draft.lastUpdated = new Date();
+  await draft.save();
+
+  res.json({
+    success: true,
+    message: 'Modules reordered successfully',
+    data: {
+      modules: draft.modules.map(module => ({
+        _id: module._id,
+        order: module.order,
+        section: module.section
+      }))
+    }
+  });
+}));
+
+// @route   PATCH /api/courses/:courseId/modules/:moduleId
+// @desc    Edit a module's title, description, XP reward, prerequisites, article body or link, or hide it
+//          from learners, in the course draft
+// @access  Private (course owner, editor or admin)
+router.patch('/:courseId/modules/:moduleId', authorizeCourseRoles('owner', 'editor'), [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Module title must be between 1 and 200 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Module description cannot exceed 1000 characters'),
+  body('xpReward')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('XP reward must be an integer between 0 and 1000'),
+  body('isHidden')
+    .optional()
+    .isBoolean()
+    .withMessage('isHidden must be a boolean')
+    .toBoolean(),
+  body('prerequisites')
+    .optional()
+    .isArray()
+    .withMessage('Prerequisites must be an array of module ids'),
+  body('prerequisites.*')
+    .isMongoId()
+    .withMessage('Invalid module id'),
+  body('body')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage('Article body must be between 1 and 100000 characters'),
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Link must be an http(s) URL')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const draft = await CourseRevisionService.getDraft(course);
+
+  // Hidden modules can't be found by order number, so look them up by id
+  const module = draft.modules.id(req.params.moduleId);
+  if (!module) {
+    return res.status(404).json({
+      success: false,
+      message: 'Module not found'
+    });
+  }
+
+  const { title, description, xpReward, isHidden, prerequisites, body: articleBody, url } = req.body;
+  if ((articleBody !== undefined && module.type !== 'article') || (url !== undefined && module.type !== 'link')) {
+    return res.status(400).json({
+      success: false,
+      message: articleBody !== undefined ? 'Only article modules have a body' : 'Only link modules have a URL'
+    });
+  }
+  if (articleBody !== undefined) {
+    module.article = { body: articleBody };
+    module.duration = LessonService.estimateReadingTime(articleBody);
+  }
+  if (url !== undefined) module.link = { url };
+  if (prerequisites !== undefined) {
+    const prerequisiteIds = [...new Set(prerequisites)];
+    if (prerequisiteIds.some(id => id === module._id.toString() || !draft.modules.id(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prerequisites must be other modules of this course'
+      });
+    }
+    if (draft.hasPrerequisiteCycle(module, prerequisiteIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'These prerequisites would make modules wait on each other'
+      });
+    }
+    module.prerequisites = prerequisiteIds;
+  }
+  if (title !== undefined) module.title = title;
+  if (description !== undefined) module.description = description;
+  if (xpReward !== undefined) module.xpReward = parseInt(xpReward);
+  if (isHidden !== undefined) module.isHidden = isHidden;
+
+  draft.lastUpdated = new Date();
+  await draft.save();
+
+  res.json({
+    success: true,
+    message: 'Module updated successfully',
+    data: {
+      module,
+      totals: {
+        totalModules: draft.totalModules,
+        totalDuration: draft.totalDuration,
+        totalXP: draft.totalXP
+      }
+    }
+  });
+}));
+
+// @route   POST /api/courses/:courseId/modules/:moduleId/complete
+// @desc    Mark module as completed
+// @access  Private
+router.post('/:courseId/modules/:moduleId/complete', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const { courseId, moduleId } = req.params;
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  // Hidden modules are only visible to the course staff
+  const module = course.findModule(moduleId);
+  const isStaff = course.isStaff(req.user);
+  if (!module || (module.isHidden && !isStaff)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Module not found'
+    });
+  }
+
+  // Videos a resync removed keep the progress already made, but can't gain any more
+  if (module.isRetired) {
+    return res.status(410).json({
+      success: false,
+      message: 'This module has been removed from the course'
+    });
+  }
+
+  // Get or create progress
+  let progress = await Progress.findOne({
+    user: req.user._id,
+    course: courseId
+  });
+
+  if (!progress) {
+    return res.status(400).json({
+      success: false,
+      message: 'Not enrolled in this course'
+    });
+  }
+
+  const lock = isStaff ? null : course.getModuleLock(module, progress);
+  if (lock) {
+    return res.status(403).json({
+      success: false,
+      message: lock.reason,
+      data: {
+        lock
+      }
+    });
+  }
+
+  // File modules are completed by downloading the file
+  if (LessonService.getCompletionRule(module) === 'download') {
+    return res.status(400).json({
+      success: false,
+      message: 'Download the file to complete this module'
+    });
+  }
+
+  // Update module and course progress, and user stats and XP once per module
+  const { completion, xpResult } = await CompletionService.completeModule(course, module, progress);
+
+  res.json({
+    success: true,
+    message: completion.courseCompleted ? 'Module completed - course completed!' : 'Module completed successfully',
+    data: {
+      progress: progress.overallProgress,
+      xpEarned: xpResult.xpGained,
+      leveledUp: xpResult.leveledUp || completion.leveledUp,
+      newLevel: xpResult.newLevel || completion.newLevel,
+      completion
+    }
+  });
+}));
+
+// @route   GET /api/courses/:courseId/modules/:moduleId
+// @desc    Get module details
+// @access  Private
+router.get('/:courseId/modules/:moduleId', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const { courseId, moduleId } = req.params;
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  // Hidden modules are only visible to the course staff
+  const module = course.findModule(moduleId);
+  const isStaff = course.isStaff(req.user);
+  if (!module || (module.isHidden && !isStaff)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Module not found'
+    });
+  }
+
+  // Get user progress
+  const progress = await Progress.findOne({
+    user: req.user._id,
+    course: courseId
+  });
+
+  // Sequential courses and prerequisites keep later modules locked
+  const lock = isStaff ? null : course.getModuleLock(module, progress);
+  if (lock) {
+    return res.status(403).json({
+      success: false,
+      message: lock.reason,
+      data: {
+        lock
+      }
+    });
+  }
+
+  const moduleProgress = progress?.getModuleProgress(module._id);
+  const transcripts = await TranscriptService.getModuleTranscripts(course._id, module._id);
+
+  res.json({
+    success: true,
+    data: {
+      module,
+      player: LessonService.getPlayerConfig(module),
+      transcripts,
+      progress: moduleProgress,
+      courseProgress: progress?.overallProgress || 0
+    }
+  });
+}));
+
+// @route   GET /api/courses/:courseId/modules/:moduleId/file
+// @desc    Download a file module's attachment; downloading it completes the module
+// @access  Private (enrolled learners, course staff or admin)
+router.get('/:courseId/modules/:moduleId/file', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const { courseId, moduleId } = req.params;
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  // Hidden modules are only visible to the course staff
+  const module = course.findModule(moduleId);
+  const isStaff = course.isStaff(req.user);
+  if (!module || (module.isHidden && !isStaff) || module.type !== 'file') {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+
+  const progress = await Progress.findOne({
+    user: req.user._id,
+    course: courseId
+  });
+
+  if (!progress && !isStaff) {
+    return res.status(403).json({
+      success: false,
+      message: 'Enroll in this course to download its files'
+    });
+  }
+
+  const lock = isStaff ? null : course.getModuleLock(module, progress);
+  if (lock) {
+    return res.status(403).json({
+      success: false,
+      message: lock.reason,
+      data: {
+        lock
+      }
+    });
+  }
+
+  const filePath = await LessonService.findFile(module);
+  if (!filePath) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+
+  if (progress && !progress.getModuleProgress(module._id)?.isCompleted) {
+    await CompletionService.completeModule(course, module, progress);
+  }
+
+  res.download(filePath, module.file.fileName);
+}));
+
+// @route   PUT /api/courses/:courseId/modules/:moduleId/quiz
+// @desc    Set or remove (empty questions) a module's multiple-choice quiz in the course draft
+// @access  Private (course owner, editor or admin)
+router.put('/:courseId/modules/:moduleId/quiz', authorizeCourseRoles('owner', 'editor'), [
+  body('questions')
+    .isArray({ max: 20 })
+    .withMessage('Questions must be an array of at most 20 questions'),
+  body('questions.*.question')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Each question must be between 1 and 500 characters'),
+  body('questions.*.options')
+    .isArray({ min: 2, max: 6 })
+    .withMessage('Each question needs between 2 and 6 answer options'),
+  body('questions.*.options.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Answer options must be between 1 and 200 characters'),
+  body('questions.*.correctOption')
+    .isInt({ min: 0 })
+    .withMessage('Correct option must be the index of an answer option')
+    .toInt(),
+  body('passingScore')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Passing score must be between 1 and 100')
+    .toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const draft = await CourseRevisionService.getDraft(course);
+  const module = draft.modules.id(req.params.moduleId);
+  if (!module) {
+    return res.status(404).json({
+      success: false,
+      message: 'Module not found'
+    });
+  }
+
+  const { questions, passingScore = 70 } = req.body;
+  if (questions.some(question => question.correctOption >= question.options.length)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Correct option must be the index of an answer option'
+    });
+  }
+
+  module.quiz = questions.length > 0
+    ? {
+      questions: questions.map(({ question, options, correctOption }) => ({ question, options, correctOption })),
+      passingScore
+    }
+    : null;
+  draft.lastUpdated = new Date();
+  await draft.save();
+
+  res.json({
+    success: true,
+    message: module.quiz ? 'Quiz saved' : 'Quiz removed',
+    data: {
+      quiz: module.quiz ? module.quiz.toObject() : null
+    }
+  });
+}));
+
+// @route   GET /api/courses/:courseId/modules/:moduleId/quiz
+// @desc    Get a module's quiz; answers are only included for the course staff, who can ask
+//          for the quiz in the course draft (?draft=true)
 // @access  Private
-router.post('/:courseId/enroll', asyncHandler(async (req, res) => {
+router.get('/:courseId/modules/:moduleId/quiz', asyncHandler(async (req, res) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -230,9 +1720,7 @@ router.post('/:courseId/enroll', asyncHandler(async (req, res) => {
     });
   }
 
-  const { courseId } = req.params;
-
-  const course = await Course.findById(courseId);
+  const course = await Course.findById(req.params.courseId);
   if (!course) {
     return res.status(404).json({
       success: false,
@@ -240,56 +1728,53 @@ router.post('/:courseId/enroll', asyncHandler(async (req, res) => {
     });
   }
 
-  if (!course.isPublic || !course.isActive) {
-    return res.status(403).json({
-      success: false,
-      message: 'Course is not available for enrollment'
-    });
-  }
-
-  // Check if already enrolled
-  const existingProgress = await Progress.findOne({
-    user: req.user._id,
-    course: courseId
-  });
-
-  if (existingProgress) {
-    return res.status(400).json({
+  const isStaff = course.isStaff(req.user);
+  const draft = isStaff && req.query.draft === 'true'
+    ? await CourseRevisionService.findDraft(course._id)
+    : null;
+  const module = (draft || course).findModule(req.params.moduleId);
+  if (!module || (module.isHidden && !isStaff)) {
+    return res.status(404).json({
       success: false,
-      message: 'Already enrolled in this course'
+      message: 'Module not found'
     });
   }
 
-  // Create progress record
-  const progress = new Progress({
-    user: req.user._id,
-    course: courseId
-  });
-
-  await progress.save();
-
-  // Update course enrollment
-  course.enrollUser(req.user._id);
-  await course.save();
-
-  // Update user stats
-  const user = await User.findById(req.user._id);
-  user.totalCoursesEnrolled += 1;
-  await user.save();
+  const progress = await Progress.findOne({ user: req.user._id, course: course._id });
+  const moduleProgress = progress?.getModuleProgress(module._id);
 
   res.json({
     success: true,
-    message: 'Successfully enrolled in course',
     data: {
-      progress
+      quiz: module.quiz && isStaff ? module.quiz.toObject() : module.quiz,
+      result: moduleProgress
+        ? {
+          attempts: moduleProgress.quizAttempts,
+          bestScore: moduleProgress.quizBestScore,
+          passed: moduleProgress.quizPassed
+        }
+        : null
     }
   });
 }));
 
-// @route   POST /api/courses/:courseId/modules/:moduleOrder/complete
-// @desc    Mark module as completed
+// @route   POST /api/courses/:courseId/modules/:moduleId/quiz/attempts
+// @desc    Submit answers to a module's quiz
 // @access  Private
-router.post('/:courseId/modules/:moduleOrder/complete', asyncHandler(async (req, res) => {
+router.post('/:courseId/modules/:moduleId/quiz/attempts', [
+  body('answers')
+    .isArray()
+    .withMessage('Answers must be an array of option indexes')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -297,9 +1782,7 @@ router.post('/:courseId/modules/:moduleOrder/complete', asyncHandler(async (req,
     });
   }
 
-  const { courseId, moduleOrder } = req.params;
-
-  const course = await Course.findById(courseId);
+  const course = await Course.findById(req.params.courseId);
   if (!course) {
     return res.status(404).json({
       success: false,
@@ -307,20 +1790,22 @@ router.post('/:courseId/modules/:moduleOrder/complete', asyncHandler(async (req,
     });
   }
 
-  const module = course.modules.find(m => m.order === parseInt(moduleOrder));
-  if (!module) {
+  const module = course.findModule(req.params.moduleId);
+  if (!module || module.isHidden) {
     return res.status(404).json({
       success: false,
       message: 'Module not found'
     });
   }
 
-  // Get or create progress
-  let progress = await Progress.findOne({
-    user: req.user._id,
-    course: courseId
-  });
+  if (!module.quiz?.questions?.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'This module has no quiz'
+    });
+  }
 
+  const progress = await Progress.findOne({ user: req.user._id, course: course._id });
   if (!progress) {
     return res.status(400).json({
       success: false,
@@ -328,56 +1813,117 @@ router.post('/:courseId/modules/:moduleOrder/complete', asyncHandler(async (req,
     });
   }
 
-  // Update module progress
-  progress.updateModuleProgress(parseInt(moduleOrder), module.duration, true);
-  await progress.save();
+  const isStaff = course.isStaff(req.user);
+  const lock = isStaff ? null : course.getModuleLock(module, progress);
+  if (lock) {
+    return res.status(403).json({
+      success: false,
+      message: lock.reason,
+      data: {
+        lock
+      }
+    });
+  }
 
-  // Update course progress
-  course.completeModule(req.user._id, parseInt(moduleOrder));
-  await course.save();
+  // Unanswered questions count as wrong
+  const { answers } = req.body;
+  const questionResults = module.quiz.questions.map((question, index) => ({
+    questionId: question._id,
+    correct: Number(answers[index]) === question.correctOption
+  }));
+  const correctAnswers = questionResults.filter(result => result.correct).length;
+  const score = Math.round((correctAnswers / questionResults.length) * 100);
+  const passed = score >= module.quiz.passingScore;
 
-  // Update user stats and XP
-  const user = await User.findById(req.user._id);
-  user.totalVideosWatched += 1;
-  user.totalWatchTime += Math.floor(module.duration / 60);
-  
-  const xpResult = user.addXP(module.xpReward);
-  await user.save();
+  const moduleProgress = progress.recordQuizAttempt(module._id, score, passed);
+  const completion = await CompletionService.updateProgress(course, progress);
 
   res.json({
     success: true,
-    message: 'Module completed successfully',
+    message: passed ? `Quiz passed with ${score}%` : `You scored ${score}%; ${module.quiz.passingScore}% is needed to pass`,
     data: {
-      progress: progress.overallProgress,
-      xpEarned: xpResult.xpGained,
-      leveledUp: xpResult.leveledUp,
-      newLevel: xpResult.newLevel
+      score,
+      passed,
+      correctAnswers,
+      totalQuestions: questionResults.length,
+      questionResults,
+      bestScore: moduleProgress.quizBestScore,
+      attempts: moduleProgress.quizAttempts,
+      completion
     }
   });
 }));
 
-// @route   GET /api/courses/:courseId/modules/:moduleOrder
-// @desc    Get module details
-// @access  Private
-router.get('/:courseId/modules/:moduleOrder', asyncHandler(async (req, res) => {
-  if (!req.user) {
-    return res.status(401).json({
+// @route   POST /api/courses/:courseId/modules/:moduleId/transcripts
+// @desc    Upload an SRT or WebVTT transcript for a module
+// @access  Private (course owner, editor or admin)
+router.post('/:courseId/modules/:moduleId/transcripts', authorizeCourseRoles('owner', 'editor'), transcriptUpload.single('file'), [
+  body('language')
+    .matches(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/)
+    .withMessage('Language must be a language code such as en or pt-BR'),
+  body('label')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Transcript label cannot exceed 100 characters'),
+  body('content')
+    .optional()
+    .isString()
+    .withMessage('Transcript content must be text')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      message: 'Authentication required'
+      message: 'Validation failed',
+      errors: errors.array()
     });
   }
 
-  const { courseId, moduleOrder } = req.params;
+  const { course } = req;
 
-  const course = await Course.findById(courseId);
-  if (!course) {
+  const module = course.findModule(req.params.moduleId);
+  if (!module) {
     return res.status(404).json({
       success: false,
-      message: 'Course not found'
+      message: 'Module not found'
     });
   }
 
-  const module = course.modules.find(m => m.order === parseInt(moduleOrder));
+  // Accept either a file upload or the transcript text in the body
+  const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+  if (!content) {
+    return res.status(400).json({
+      success: false,
+      message: 'Transcript file is required'
+    });
+  }
+
+  const { language, label } = req.body;
+  const transcript = await TranscriptService.saveTranscript(course, module, {
+    content,
+    fileName: req.file?.originalname,
+    language,
+    label: label || language.toUpperCase(),
+    source: 'upload',
+    uploadedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Transcript saved successfully',
+    data: {
+      transcript: transcript.getSummary()
+    }
+  });
+}));
+
+// @route   DELETE /api/courses/:courseId/modules/:moduleId/transcripts/:language
+// @desc    Remove a module transcript
+// @access  Private (course owner, editor or admin)
+router.delete('/:courseId/modules/:moduleId/transcripts/:language', authorizeCourseRoles('owner', 'editor'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  const module = course.findModule(req.params.moduleId);
   if (!module) {
     return res.status(404).json({
       success: false,
@@ -385,20 +1931,53 @@ router.get('/:courseId/modules/:moduleOrder', asyncHandler(async (req, res) => {
     });
   }
 
-  // Get user progress
-  const progress = await Progress.findOne({
-    user: req.user._id,
-    course: courseId
+  const transcript = await Transcript.findOneAndDelete({
+    course: course._id,
+    module: module._id,
+    language: req.params.language.toLowerCase()
+  });
+
+  if (!transcript) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transcript not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Transcript removed successfully'
   });
+}));
+
+// @route   POST /api/courses/:courseId/transcripts/import
+// @desc    Pull YouTube captions for every module that doesn't have them yet
+// @access  Private (course owner, editor or admin)
+router.post('/:courseId/transcripts/import', authorizeCourseRoles('owner', 'editor'), [
+  body('languages')
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Languages must be an array of up to 5 language codes')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
 
-  const moduleProgress = progress?.moduleProgress.find(mp => mp.moduleOrder === parseInt(moduleOrder));
+  const languages = req.body.languages?.map(language => String(language).toLowerCase());
+  const result = await TranscriptService.importCaptions(course, languages);
 
   res.json({
     success: true,
+    message: `Imported captions for ${result.imported} module transcript${result.imported === 1 ? '' : 's'}`,
     data: {
-      module,
-      progress: moduleProgress,
-      courseProgress: progress?.overallProgress || 0
+      result
     }
   });
 }));
@@ -475,18 +2054,220 @@ router.post('/:courseId/rate', [
   });
 }));
 
+// @route   GET /api/courses/:courseId/staff
+// @desc    Get a course's owner, co-authors and teaching assistants, with pending invitations
+// @access  Private (course staff or admin)
+router.get('/:courseId/staff', authorizeCourseRoles('owner', 'editor', 'ta'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  const [{ owner, staff }, invitations] = await Promise.all([
+    CourseStaffService.getStaff(course),
+    CourseStaffService.listInvitations(course._id)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      owner,
+      staff,
+      invitations,
+      role: req.courseRole
+    }
+  });
+}));
+
+// @route   POST /api/courses/:courseId/staff/invitations
+// @desc    Invite a user to the course as a co-author (editor) or teaching assistant (ta)
+// @access  Private (course owner or admin)
+router.post('/:courseId/staff/invitations', authorizeCourseRoles('owner'), [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required'),
+  body('role')
+    .isIn(['editor', 'ta'])
+    .withMessage('Role must be editor or ta')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const invitation = await CourseStaffService.invite(course, req.body.username, req.body.role, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${invitation.user.username}`,
+    data: {
+      invitation
+    }
+  });
+}));
+
+// @route   DELETE /api/courses/:courseId/staff/invitations/:invitationId
+// @desc    Withdraw a pending invitation
+// @access  Private (course owner or admin)
+router.delete('/:courseId/staff/invitations/:invitationId', authorizeCourseRoles('owner'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  await CourseStaffService.revokeInvitation(course, req.params.invitationId);
+
+  res.json({
+    success: true,
+    message: 'Invitation withdrawn'
+  });
+}));
+
+// @route   PATCH /api/courses/:courseId/staff/:userId
+// @desc    Change a staff member's role
+// @access  Private (course owner or admin)
+router.patch('/:courseId/staff/:userId', authorizeCourseRoles('owner'), [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('role')
+    .isIn(['editor', 'ta'])
+    .withMessage('Role must be editor or ta')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+
+  const member = await CourseStaffService.changeRole(course, req.params.userId, req.body.role);
+
+  res.json({
+    success: true,
+    message: 'Staff role updated',
+    data: {
+      member
+    }
+  });
+}));
+
+// @route   DELETE /api/courses/:courseId/staff/:userId
+// @desc    Remove a user from the course staff; staff members can also leave on their own
+// @access  Private (course owner, the staff member themselves, or admin)
+router.delete('/:courseId/staff/:userId', authorizeCourseRoles('owner', 'editor', 'ta'), [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { course } = req;
+  const isSelf = req.user._id.equals(req.params.userId);
+
+  if (req.courseRole !== 'owner' && req.user.role !== 'admin' && !isSelf) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the course owner can remove staff members'
+    });
+  }
+
+  await CourseStaffService.removeMember(course, req.params.userId);
+
+  res.json({
+    success: true,
+    message: isSelf ? 'You left the course staff' : 'Staff member removed'
+  });
+}));
+
+// @route   GET /api/courses/:courseId/analytics
+// @desc    Get learner analytics for a course: enrollments, completions, activity and
+//          per-module completion and quiz results
+// @access  Private (course staff or admin)
+router.get('/:courseId/analytics', authorizeCourseRoles('owner', 'editor', 'ta'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  const analytics = await CourseAnalyticsService.getCourseAnalytics(course);
+
+  res.json({
+    success: true,
+    data: {
+      analytics
+    }
+  });
+}));
+
+// @route   DELETE /api/courses/:courseId/ratings/:ratingId
+// @desc    Remove a learner's rating and review from a course (moderation)
+// @access  Private (course staff or admin)
+router.delete('/:courseId/ratings/:ratingId', authorizeCourseRoles('owner', 'editor', 'ta'), asyncHandler(async (req, res) => {
+  const { course } = req;
+
+  const rating = course.ratings.id(req.params.ratingId);
+  if (!rating) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    });
+  }
+
+  course.ratings.pull(rating._id);
+  const totalRating = course.ratings.reduce((sum, r) => sum + r.rating, 0);
+  course.averageRating = course.ratings.length ? totalRating / course.ratings.length : 0;
+  course.totalRatings = course.ratings.length;
+
+  await course.save({ validateModifiedOnly: true });
+
+  res.json({
+    success: true,
+    message: 'Rating removed',
+    data: {
+      averageRating: course.averageRating,
+      totalRatings: course.totalRatings
+    }
+  });
+}));
+
 // @route   POST /api/courses/preview
-// @desc    Get preview of course from YouTube playlist
+// @desc    Preview a course source (playlist, video, video list or channel) before converting it
 // @access  Private
 router.post('/preview', [
   body('playlistUrl')
-    .notEmpty()
-    .withMessage('Playlist URL is required')
+    .optional()
     .custom((value) => {
       if (!YouTubeService.validateYouTubeUrl(value)) {
         throw new Error('Invalid YouTube playlist URL');
       }
       return true;
+    }),
+  body('source')
+    .optional()
+    .isObject()
+    .withMessage('Source must be an object'),
+  body()
+    .custom((value) => {
+      if (!value.playlistUrl && !value.source) {
+        throw new Error('A playlist URL or source is required');
+      }
+      if (value.source) {
+        const message = CourseBuilder.validateSources(CourseBuilder.normalizeSources({ sources: [value.source] }));
+        if (message) {
+          throw new Error(message.replace(/^Source 1: /, ''));
+        }
+      }
+      return true;
     })
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
@@ -508,12 +2289,15 @@ router.post('/preview', [
     });
   }
 
-  const { playlistUrl } = req.body;
-  console.log('Preview request for URL:', playlistUrl);
+  // The original form only sent a playlist URL
+  const [source] = req.body.source
+    ? CourseBuilder.normalizeSources({ sources: [req.body.source] })
+    : [{ type: 'playlist', url: req.body.playlistUrl }];
+  console.log('Preview request for source:', source.type, source.url || `${source.urls?.length} URLs`);
 
   try {
     // Check if YouTube API key is available
-    if (!process.env.YOUTUBE_API_KEY) {
+    if (!YouTubeService.isConfigured()) {
       console.log('YouTube API key not found');
       return res.status(500).json({
         success: false,
@@ -521,22 +2305,20 @@ router.post('/preview', [
       });
     }
 
-    // Get course preview
-    console.log('Calling YouTubeService.getCoursePreview...');
-    const result = await YouTubeService.getCoursePreview(playlistUrl);
-    console.log('YouTubeService result:', result);
-
-    if (!result.success) {
-      return res.status(400).json({
+    let preview;
+    try {
+      preview = await CourseBuilder.previewSource(source);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({
         success: false,
-        message: result.error
+        message: error.message
       });
     }
 
     // Check if course already exists
-    const existingCourse = await Course.findOne({ playlistId: result.preview.playlistId });
+    const existingCourse = preview.type === 'playlist' && await Course.findOne({ playlistId: preview.playlistId });
     if (existingCourse) {
-      return res.status(400).json({
+      return res.status(409).json({
         success: false,
         message: 'This playlist has already been converted to a course',
         data: {
@@ -552,7 +2334,7 @@ router.post('/preview', [
     res.json({
       success: true,
       data: {
-        preview: result.preview
+        preview
       }
     });
   } catch (error) {
@@ -0,0 +1,52 @@
+import express from 'express';
+import CourseStaffService from '../services/courseStaffService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// @route   GET /api/invitations
+// @desc    Get the user's pending invitations to join a course's staff
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const invitations = await CourseStaffService.getPendingInvitations(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      invitations
+    }
+  });
+}));
+
+// @route   POST /api/invitations/:invitationId/accept
+// @desc    Accept an invitation and join the course staff
+// @access  Private
+router.post('/:invitationId/accept', asyncHandler(async (req, res) => {
+  const { invitation, course } = await CourseStaffService.respond(req.params.invitationId, req.user, true);
+
+  res.json({
+    success: true,
+    message: course ? `You joined "${course.title}"` : 'Invitation accepted',
+    data: {
+      invitation,
+      course
+    }
+  });
+}));
+
+// @route   POST /api/invitations/:invitationId/decline
+// @desc    Decline an invitation
+// @access  Private
+router.post('/:invitationId/decline', asyncHandler(async (req, res) => {
+  const { invitation } = await CourseStaffService.respond(req.params.invitationId, req.user, false);
+
+  res.json({
+    success: true,
+    message: 'Invitation declined',
+    data: {
+      invitation
+    }
+  });
+}));
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import Notification from '../models/Notification.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get the user's notifications, newest first
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const { unreadOnly, limit = 20 } = req.query;
+
+  const filter = { user: req.user._id };
+  if (unreadOnly === 'true') {
+    filter.isRead = false;
+  }
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100)),
+    Notification.countDocuments({ user: req.user._id, isRead: false })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount
+    }
+  });
+}));
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the user's notifications as read
+// @access  Private
+router.put('/read-all', asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+
+  res.json({
+    success: true,
+    message: 'Notifications marked as read',
+    data: {
+      updated: result.modifiedCount
+    }
+  });
+}));
+
+// @route   PUT /api/notifications/:notificationId/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:notificationId/read', asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({
+    _id: req.params.notificationId,
+    user: req.user._id
+  });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  await notification.markRead();
+
+  res.json({
+    success: true,
+    message: 'Notification marked as read',
+    data: {
+      notification
+    }
+  });
+}));
+
+export default router;
@@ -0,0 +1,409 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Course from '../models/Course.js';
+import LearningPath from '../models/LearningPath.js';
+import PathEnrollment from '../models/PathEnrollment.js';
+import LearningPathService from '../services/learningPathService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { optionalAuthMiddleware } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply optional auth middleware to all routes
+router.use(optionalAuthMiddleware);
+
+// Shared validation for a path's course list and settings
+const pathValidation = (isUpdate) => {
+  // Title and courses are required on create; every field is optional on update
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+    body('thumbnail')
+      .optional({ checkFalsy: true })
+      .isURL({ protocols: ['http', 'https'] })
+      .withMessage('Thumbnail must be an http(s) URL'),
+    field('courses')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('Courses must be an array of 1 to 50 courses'),
+    body('courses.*.course')
+      .isMongoId()
+      .withMessage('Invalid course id'),
+    body('courses.*.prerequisites')
+      .optional()
+      .isArray()
+      .withMessage('Prerequisites must be an array of course ids'),
+    body('courses.*.prerequisites.*')
+      .isMongoId()
+      .withMessage('Invalid prerequisite course id'),
+    body('completionXP')
+      .optional()
+      .isInt({ min: 0, max: 5000 })
+      .withMessage('Completion XP must be between 0 and 5000')
+      .toInt(),
+    body('isPublic')
+      .optional()
+      .isBoolean()
+      .withMessage('isPublic must be a boolean')
+      .toBoolean()
+  ];
+};
+
+// Check a submitted course list; returns it normalized, or an error message
+const resolveCourses = async (courses) => {
+  const normalized = courses.map(entry => ({
+    course: entry.course,
+    prerequisites: [...new Set(entry.prerequisites || [])]
+  }));
+
+  const message = LearningPath.validateCourses(normalized);
+  if (message) return { message };
+
+  const available = await Course.countDocuments({
+    _id: { $in: normalized.map(entry => entry.course) },
+    isPublic: true,
+    isActive: true
+  });
+  if (available !== normalized.length) {
+    return { message: 'Learning paths can only include public, active courses' };
+  }
+
+  return { courses: normalized };
+};
+
+// @route   GET /api/paths
+// @desc    Get all public learning paths with search and pagination
+// @access  Public
+router.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 12, search } = req.query;
+
+  const query = { isPublic: true, isActive: true };
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const paths = await LearningPath.find(query)
+    .populate('creator', 'username firstName lastName avatar')
+    .populate('courses.course', 'title thumbnail totalDuration')
+    .sort({ totalEnrollments: -1, createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await LearningPath.countDocuments(query);
+
+  // Add enrollment and progress if authenticated
+  const enrolledPathIds = req.user
+    ? new Set((await PathEnrollment.find({ user: req.user._id, path: { $in: paths.map(path => path._id) } })
+      .distinct('path')).map(id => id.toString()))
+    : new Set();
+
+  const results = [];
+  for (const path of paths) {
+    const isEnrolled = enrolledPathIds.has(path._id.toString());
+    const rollup = isEnrolled ? await LearningPathService.getRollup(path, req.user._id) : null;
+    results.push({
+      ...path.toJSON(),
+      isEnrolled,
+      progress: rollup ? rollup.overallProgress : 0
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      paths: results,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    }
+  });
+}));
+
+// @route   GET /api/paths/enrolled
+// @desc    Get the learning paths the user is enrolled in, with progress
+// @access  Private
+router.get('/enrolled', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const enrollments = await PathEnrollment.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  const paths = [];
+  for (const enrollment of enrollments) {
+    const path = await LearningPathService.findPath({ _id: enrollment.path });
+    if (!path) continue;
+    const rollup = await LearningPathService.getRollup(path, req.user._id);
+    paths.push({ path, enrollment, rollup });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      paths
+    }
+  });
+}));
+
+// @route   GET /api/paths/:slug
+// @desc    Get a learning path with its courses and the user's progress
+// @access  Public
+router.get('/:slug', asyncHandler(async (req, res) => {
+  const path = await LearningPathService.findPath({ slug: req.params.slug });
+
+  const enrollment = path && req.user
+    ? await PathEnrollment.findOne({ user: req.user._id, path: path._id })
+    : null;
+  const isOwner = path && req.user &&
+    (path.creator._id.equals(req.user._id) || req.user.role === 'admin');
+
+  // Hidden paths stay readable for their creator and enrolled learners
+  if (!path || (!(path.isPublic && path.isActive) && !isOwner && !enrollment)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Learning path not found'
+    });
+  }
+
+  const rollup = await LearningPathService.getRollup(path, req.user?._id);
+
+  res.json({
+    success: true,
+    data: {
+      path,
+      enrollment,
+      rollup
+    }
+  });
+}));
+
+// @route   POST /api/paths
+// @desc    Create a learning path from existing courses
+// @access  Private
+router.post('/', pathValidation(false), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const { courses, message } = await resolveCourses(req.body.courses);
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
+  const { title, description, thumbnail, completionXP, isPublic } = req.body;
+  const path = new LearningPath({
+    title,
+    description,
+    thumbnail,
+    courses,
+    completionXP,
+    isPublic,
+    creator: req.user._id
+  });
+  await path.saveWithUniqueSlug();
+
+  res.status(201).json({
+    success: true,
+    message: 'Learning path created successfully',
+    data: {
+      path
+    }
+  });
+}));
+
+// @route   PATCH /api/paths/:pathId
+// @desc    Edit a learning path's details, courses and prerequisites
+// @access  Private (creator only)
+router.patch('/:pathId', pathValidation(true), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const path = await LearningPath.findById(req.params.pathId);
+  if (!path) {
+    return res.status(404).json({
+      success: false,
+      message: 'Learning path not found'
+    });
+  }
+
+  if (path.creator.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the path creator can edit this learning path'
+    });
+  }
+
+  for (const field of ['title', 'description', 'thumbnail', 'completionXP', 'isPublic']) {
+    if (req.body[field] !== undefined) {
+      path[field] = req.body[field];
+    }
+  }
+
+  if (req.body.courses) {
+    const { courses, message } = await resolveCourses(req.body.courses);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+    path.courses = courses;
+  }
+
+  await path.save();
+
+  res.json({
+    success: true,
+    message: 'Learning path updated successfully',
+    data: {
+      path
+    }
+  });
+}));
+
+// @route   DELETE /api/paths/:pathId
+// @desc    Delete a learning path and its enrollments; course progress is kept
+// @access  Private (creator only)
+router.delete('/:pathId', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const path = await LearningPath.findById(req.params.pathId);
+  if (!path) {
+    return res.status(404).json({
+      success: false,
+      message: 'Learning path not found'
+    });
+  }
+
+  if (path.creator.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the path creator can delete this learning path'
+    });
+  }
+
+  await PathEnrollment.deleteMany({ path: path._id });
+  await LearningPath.deleteOne({ _id: path._id });
+
+  res.json({
+    success: true,
+    message: 'Learning path deleted'
+  });
+}));
+
+// @route   POST /api/paths/:pathId/enroll
+// @desc    Enroll in a learning path
+// @access  Private
+router.post('/:pathId/enroll', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const path = await LearningPathService.findPath({ _id: req.params.pathId });
+  if (!path) {
+    return res.status(404).json({
+      success: false,
+      message: 'Learning path not found'
+    });
+  }
+
+  const { enrollment, completion } = await LearningPathService.enroll(path, req.user._id);
+
+  res.json({
+    success: true,
+    message: completion.pathCompleted
+      ? 'Enrolled - you have already completed every course of this path!'
+      : 'Successfully enrolled in learning path',
+    data: {
+      enrollment,
+      completion
+    }
+  });
+}));
+
+// @route   POST /api/paths/:pathId/courses/:courseId/enroll
+// @desc    Start a course of a learning path once its prerequisites are completed
+// @access  Private
+router.post('/:pathId/courses/:courseId/enroll', asyncHandler(async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const path = await LearningPathService.findPath({ _id: req.params.pathId });
+  if (!path) {
+    return res.status(404).json({
+      success: false,
+      message: 'Learning path not found'
+    });
+  }
+
+  const { progress, alreadyEnrolled } = await LearningPathService.enrollInCourse(
+    path,
+    req.params.courseId,
+    req.user._id
+  );
+
+  res.json({
+    success: true,
+    message: alreadyEnrolled ? 'Already enrolled in this course' : 'Successfully enrolled in course',
+    data: {
+      progress
+    }
+  });
+}));
+
+export default router;
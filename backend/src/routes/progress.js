@@ -3,10 +3,17 @@ import { body, validationResult } from 'express-validator';
 import Progress from '../models/Progress.js';
 import Course from '../models/Course.js';
 import User from '../models/User.js';
+import CompletionService from '../services/completionService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
+// Resolve a module reference from the URL (id, or order number for old links)
+const findCourseModule = async (courseId, moduleRef) => {
+  const course = await Course.findById(courseId).select('modules');
+  return course ? course.findModule(moduleRef) : null;
+};
+
 // @route   GET /api/progress/:courseId
 // @desc    Get user progress for a course
 // @access  Private
@@ -25,25 +32,38 @@ router.get('/:courseId', asyncHandler(async (req, res) => {
     });
   }
 
+  // What is still needed to complete the course, and which modules are still locked
+  const course = await Course.findById(courseId)
+    .select('creator staff modules isSequential completionCriteria completionPercentage customCompletion');
+  const completion = course ? course.evaluateCompletion(progress) : null;
+  const isStaff = course && course.isStaff(req.user);
+  const locks = course && !isStaff ? course.getModuleLocks(progress) : {};
+
   res.json({
     success: true,
     data: {
-      progress
+      progress,
+      completion,
+      locks
     }
   });
 }));
 
-// @route   POST /api/progress/:courseId/modules/:moduleOrder/watch
+// @route   POST /api/progress/:courseId/modules/:moduleId/watch
 // @desc    Update module watch progress
 // @access  Private
-router.post('/:courseId/modules/:moduleOrder/watch', [
+router.post('/:courseId/modules/:moduleId/watch', [
   body('watchTime')
     .isInt({ min: 0 })
     .withMessage('Watch time must be a positive integer'),
   body('isCompleted')
     .optional()
     .isBoolean()
-    .withMessage('isCompleted must be a boolean')
+    .withMessage('isCompleted must be a boolean'),
+  body('segmentIds')
+    .optional()
+    .isArray()
+    .withMessage('segmentIds must be an array')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -54,8 +74,8 @@ router.post('/:courseId/modules/:moduleOrder/watch', [
     });
   }
 
-  const { courseId, moduleOrder } = req.params;
-  const { watchTime, isCompleted = false } = req.body;
+  const { courseId, moduleId } = req.params;
+  const { watchTime, isCompleted = false, segmentIds = [] } = req.body;
 
   const course = await Course.findById(courseId);
   if (!course) {
@@ -65,6 +85,32 @@ router.post('/:courseId/modules/:moduleOrder/watch', [
     });
   }
 
+  // Hidden modules are only visible to the course staff
+  const module = course.findModule(moduleId);
+  const isStaff = course.isStaff(req.user);
+  if (!module || (module.isHidden && !isStaff)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Module not found'
+    });
+  }
+
+  // Videos a resync removed keep the progress already made, but can't gain any more
+  if (module.isRetired) {
+    return res.status(410).json({
+      success: false,
+      message: 'This module has been removed from the course'
+    });
+  }
+
+  // Articles, links and files are completed through the course routes instead
+  if (module.type !== 'video') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only video modules track watch progress'
+    });
+  }
+
   let progress = await Progress.findOne({
     user: req.user._id,
     course: courseId
@@ -77,60 +123,70 @@ router.post('/:courseId/modules/:moduleOrder/watch', [
     });
   }
 
-  // Update module progress
-  const moduleProgress = progress.updateModuleProgress(parseInt(moduleOrder), watchTime, isCompleted);
-  await progress.save();
+  const lock = isStaff ? null : course.getModuleLock(module, progress);
+  if (lock) {
+    return res.status(403).json({
+      success: false,
+      message: lock.reason,
+      data: {
+        lock
+      }
+    });
+  }
 
-  // Update course progress
-  if (isCompleted) {
-    course.completeModule(req.user._id, parseInt(moduleOrder));
-    await course.save();
-
-    // Update user stats and XP
-    const user = await User.findById(req.user._id);
-    user.totalVideosWatched += 1;
-    user.totalWatchTime += Math.floor(watchTime / 60);
-    
-    const module = course.modules.find(m => m.order === parseInt(moduleOrder));
-    if (module) {
-      const xpResult = user.addXP(module.xpReward);
-      await user.save();
-      
-      res.json({
-        success: true,
-        message: 'Progress updated successfully',
-        data: {
-          progress: progress.overallProgress,
-          xpEarned: xpResult.xpGained,
-          leveledUp: xpResult.leveledUp,
-          newLevel: xpResult.newLevel
-        }
-      });
-    } else {
-      await user.save();
-      res.json({
-        success: true,
-        message: 'Progress updated successfully',
-        data: {
-          progress: progress.overallProgress
-        }
-      });
-    }
+  const wasCompleted = Boolean(progress.getModuleProgress(module._id)?.isCompleted);
+
+  // Record finished chapters; finishing every chapter completes the module
+  const segments = module.segments || [];
+  const finishedSegmentIds = segments
+    .filter(segment => segmentIds.includes(segment._id.toString()))
+    .map(segment => segment._id);
+  const completedSegments = finishedSegmentIds.length > 0
+    ? progress.completeSegments(module._id, finishedSegmentIds)
+    : progress.getModuleProgress(module._id)?.completedSegments || [];
+  const allSegmentsCompleted = segments.length > 0 && segments.every(segment =>
+    completedSegments.some(id => id.toString() === segment._id.toString())
+  );
+
+  // Update module progress; more watch time can also meet a minimum watch ratio.
+  // No single report can add more than the whole video.
+  const reportedWatchTime = module.duration > 0 ? Math.min(watchTime, module.duration) : watchTime;
+  const moduleProgress = progress.updateModuleProgress(module._id, reportedWatchTime, isCompleted || allSegmentsCompleted);
+  const completion = await CompletionService.updateProgress(course, progress);
+
+  // Course progress, user stats and XP the first time the module is completed
+  if (moduleProgress.isCompleted && !wasCompleted) {
+    const xpResult = await CompletionService.rewardModuleCompletion(course, module, progress, completion);
+
+    res.json({
+      success: true,
+      message: 'Progress updated successfully',
+      data: {
+        progress: progress.overallProgress,
+        xpEarned: xpResult.xpGained,
+        leveledUp: xpResult.leveledUp || completion.leveledUp,
+        newLevel: xpResult.newLevel || completion.newLevel,
+        completedSegments: moduleProgress.completedSegments,
+        completion
+      }
+    });
   } else {
     res.json({
       success: true,
       message: 'Progress updated successfully',
       data: {
-        progress: progress.overallProgress
+        progress: progress.overallProgress,
+        completedSegments: moduleProgress.completedSegments,
+        completion
       }
     });
   }
 }));
 
-// @route   POST /api/progress/:courseId/modules/:moduleOrder/notes
+// @route   POST /api/progress/:courseId/modules/:moduleId/notes
 // @desc    Add note to module
 // @access  Private
-router.post('/:courseId/modules/:moduleOrder/notes', [
+router.post('/:courseId/modules/:moduleId/notes', [
   body('content')
     .notEmpty()
     .withMessage('Note content is required')
@@ -150,9 +206,17 @@ router.post('/:courseId/modules/:moduleOrder/notes', [
     });
   }
 
-  const { courseId, moduleOrder } = req.params;
+  const { courseId, moduleId } = req.params;
   const { content, timestamp = 0 } = req.body;
 
+  const module = await findCourseModule(courseId, moduleId);
+  if (!module) {
+    return res.status(404).json({
+      success: false,
+      message: 'Module not found'
+    });
+  }
+
   const progress = await Progress.findOne({
     user: req.user._id,
     course: courseId
@@ -165,7 +229,7 @@ router.post('/:courseId/modules/:moduleOrder/notes', [
     });
   }
 
-  const success = progress.addNote(parseInt(moduleOrder), content, timestamp);
+  const success = progress.addNote(module._id, content, timestamp);
   if (!success) {
     return res.status(400).json({
       success: false,
@@ -188,10 +252,10 @@ router.post('/:courseId/modules/:moduleOrder/notes', [
   });
 }));
 
-// @route   POST /api/progress/:courseId/modules/:moduleOrder/bookmarks
+// @route   POST /api/progress/:courseId/modules/:moduleId/bookmarks
 // @desc    Add bookmark to module
 // @access  Private
-router.post('/:courseId/modules/:moduleOrder/bookmarks', [
+router.post('/:courseId/modules/:moduleId/bookmarks', [
   body('timestamp')
     .isInt({ min: 0 })
     .withMessage('Timestamp must be a positive integer'),
@@ -209,9 +273,17 @@ router.post('/:courseId/modules/:moduleOrder/bookmarks', [
     });
   }
 
-  const { courseId, moduleOrder } = req.params;
+  const { courseId, moduleId } = req.params;
   const { timestamp, title } = req.body;
 
+  const module = await findCourseModule(courseId, moduleId);
+  if (!module) {
+    return res.status(404).json({
+      success: false,
+      message: 'Module not found'
+    });
+  }
+
   const progress = await Progress.findOne({
     user: req.user._id,
     course: courseId
@@ -224,7 +296,7 @@ router.post('/:courseId/modules/:moduleOrder/bookmarks', [
     });
   }
 
-  const success = progress.addBookmark(parseInt(moduleOrder), timestamp, title);
+  const success = progress.addBookmark(module._id, timestamp, title);
   if (!success) {
     return res.status(400).json({
       success: false,
@@ -338,7 +410,7 @@ router.get('/:courseId/analytics', asyncHandler(async (req, res) => {
     estimatedCompletionTime: progress.estimatedCompletionTime,
     learningStats: progress.getLearningStats(),
     moduleBreakdown: progress.moduleProgress.map(mp => ({
-      moduleOrder: mp.moduleOrder,
+      moduleId: mp.moduleId,
       isCompleted: mp.isCompleted,
       watchTime: mp.watchTime,
       lastWatched: mp.lastWatched,
@@ -355,11 +427,19 @@ router.get('/:courseId/analytics', asyncHandler(async (req, res) => {
   });
 }));
 
-// @route   DELETE /api/progress/:courseId/modules/:moduleOrder/notes/:noteId
+// @route   DELETE /api/progress/:courseId/modules/:moduleId/notes/:noteId
 // @desc    Delete note
 // @access  Private
-router.delete('/:courseId/modules/:moduleOrder/notes/:noteId', asyncHandler(async (req, res) => {
-  const { courseId, moduleOrder, noteId } = req.params;
+router.delete('/:courseId/modules/:moduleId/notes/:noteId', asyncHandler(async (req, res) => {
+  const { courseId, moduleId, noteId } = req.params;
+
+  const module = await findCourseModule(courseId, moduleId);
+  if (!module) {
+    return res.status(404).json({
+      success: false,
+      message: 'Module not found'
+    });
+  }
 
   const progress = await Progress.findOne({
     user: req.user._id,
@@ -373,7 +453,7 @@ router.delete('/:courseId/modules/:moduleOrder/notes/:noteId', asyncHandler(asyn
     });
   }
 
-  const moduleProgress = progress.moduleProgress.find(mp => mp.moduleOrder === parseInt(moduleOrder));
+  const moduleProgress = progress.getModuleProgress(module._id);
   if (!moduleProgress) {
     return res.status(404).json({
       success: false,
@@ -398,11 +478,19 @@ router.delete('/:courseId/modules/:moduleOrder/notes/:noteId', asyncHandler(asyn
   });
 }));
 
-// @route   DELETE /api/progress/:courseId/modules/:moduleOrder/bookmarks/:bookmarkId
+// @route   DELETE /api/progress/:courseId/modules/:moduleId/bookmarks/:bookmarkId
 // @desc    Delete bookmark
 // @access  Private
-router.delete('/:courseId/modules/:moduleOrder/bookmarks/:bookmarkId', asyncHandler(async (req, res) => {
-  const { courseId, moduleOrder, bookmarkId } = req.params;
+router.delete('/:courseId/modules/:moduleId/bookmarks/:bookmarkId', asyncHandler(async (req, res) => {
+  const { courseId, moduleId, bookmarkId } = req.params;
+
+  const module = await findCourseModule(courseId, moduleId);
+  if (!module) {
+    return res.status(404).json({
+      success: false,
+      message: 'Module not found'
+    });
+  }
 
   const progress = await Progress.findOne({
     user: req.user._id,
@@ -416,7 +504,7 @@ router.delete('/:courseId/modules/:moduleOrder/bookmarks/:bookmarkId', asyncHand
     });
   }
 
-  const moduleProgress = progress.moduleProgress.find(mp => mp.moduleOrder === parseInt(moduleOrder));
+  const moduleProgress = progress.getModuleProgress(module._id);
   if (!moduleProgress) {
     return res.status(404).json({
       success: false,
@@ -137,8 +137,7 @@ router.get('/:username/courses', asyncHandler(async (req, res) => {
   const progress = await Progress.find({ user: req.user._id })
     .populate({
       path: 'course',
-      select: 'title description thumbnail slug totalModules totalDuration category difficulty',
-      match: { isActive: true }
+      select: 'title description thumbnail slug totalModules totalDuration category difficulty isActive archivedAt'
     })
     .sort({ lastAccessed: -1 })
     .skip(skip)
@@ -149,7 +148,7 @@ router.get('/:username/courses', asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      courses: progress.filter(p => p.course), // Filter out inactive courses
+      courses: progress.filter(p => p.course), // Archived courses stay listed for their learners
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
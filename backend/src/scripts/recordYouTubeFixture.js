@@ -0,0 +1,70 @@
+// Records a live playlist as a fixture for the fake YouTube client
+// (see src/services/fakeYouTubeClient.js). Needs YOUTUBE_API_KEY.
+//
+// Usage: npm run youtube:record-fixture -- <playlist URL or ID> [fixtures dir]
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import { google } from 'googleapis';
+
+dotenv.config();
+
+const record = async (playlistRef, fixturesDir) => {
+  if (!process.env.YOUTUBE_API_KEY) {
+    throw new Error('YOUTUBE_API_KEY is required to record fixtures');
+  }
+
+  const playlistId = playlistRef.match(/[?&]list=([^&]+)/)?.[1] || playlistRef;
+  const youtube = google.youtube({ version: 'v3', auth: process.env.YOUTUBE_API_KEY });
+
+  const playlistResponse = await youtube.playlists.list({
+    part: ['snippet', 'contentDetails'],
+    id: [playlistId]
+  });
+  const playlist = playlistResponse.data.items?.[0];
+  if (!playlist) {
+    throw new Error(`Playlist ${playlistId} not found or private`);
+  }
+
+  const items = [];
+  let pageToken = null;
+  do {
+    const response = await youtube.playlistItems.list({
+      part: ['snippet', 'contentDetails', 'status'],
+      playlistId,
+      maxResults: 50,
+      pageToken
+    });
+    items.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  const videoIds = [...new Set(items.map(item => item.contentDetails?.videoId).filter(Boolean))];
+  const videos = [];
+  for (let i = 0; i < videoIds.length; i += 50) {
+    // Every part YouTubeService reads; status drives the availability checks
+    const response = await youtube.videos.list({
+      part: ['snippet', 'contentDetails', 'statistics', 'status'],
+      id: videoIds.slice(i, i + 50)
+    });
+    videos.push(...(response.data.items || []));
+  }
+
+  const filePath = path.join(fixturesDir, 'playlists', `${playlistId}.json`);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify({ playlist, items, videos }, null, 2) + '\n');
+
+  console.log(`Recorded ${items.length} items (${videos.length} available videos) to ${filePath}`);
+};
+
+const [playlistRef, fixturesDir = 'fixtures/youtube'] = process.argv.slice(2);
+
+if (!playlistRef) {
+  console.error('Usage: npm run youtube:record-fixture -- <playlist URL or ID> [fixtures dir]');
+  process.exit(1);
+}
+
+record(playlistRef, fixturesDir).catch((error) => {
+  console.error('Recording failed:', error.message);
+  process.exit(1);
+});
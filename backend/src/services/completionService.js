@@ -0,0 +1,90 @@
+import Course from '../models/Course.js';
+import Progress from '../models/Progress.js';
+import User from '../models/User.js';
+import LearningPathService from './learningPathService.js';
+
+// Decides when a learner has completed a course and hands out the rewards
+class CompletionService {
+  // Method to re-evaluate a learner's progress against the course's completion criteria
+  // and save it. The first time the criteria are met the course is marked completed and
+  // the learner gets the completion counter, bonus XP and a badge, and any of their
+  // learning paths this finishes are rewarded too. Callers that update the same user
+  // afterwards should load it after this resolves.
+  async updateProgress(course, progress) {
+    const completion = progress.updateOverallProgress(course);
+    await progress.save();
+
+    const result = { ...completion, courseCompleted: false, completionXP: 0, leveledUp: false, completedPaths: [] };
+    if (!completion.isCompleted || progress.isCompleted) {
+      return result;
+    }
+
+    // Flip the flag in the database first so concurrent requests can't reward twice
+    const completedAt = new Date();
+    const { modifiedCount } = await Progress.updateOne(
+      { _id: progress._id, isCompleted: false },
+      { $set: { isCompleted: true, completedAt } }
+    );
+    if (modifiedCount === 0) {
+      return result;
+    }
+    progress.isCompleted = true;
+    progress.completedAt = completedAt;
+
+    await Course.updateOne({ _id: course._id }, { $inc: { totalCompletions: 1 } });
+
+    const user = await User.findById(progress.user);
+    user.totalCoursesCompleted += 1;
+    const xpResult = user.addXP(course.completionXP ?? 0);
+    user.addBadge(`Completed: ${course.title}`, `Completed the course "${course.title}"`, '🎓');
+    await user.save();
+
+    const completedPaths = await LearningPathService.handleCourseCompleted(progress.user, course._id);
+
+    return {
+      ...result,
+      courseCompleted: true,
+      completionXP: xpResult.xpGained,
+      leveledUp: xpResult.leveledUp,
+      newLevel: xpResult.newLevel,
+      completedPaths
+    };
+  }
+
+  // Method to mark a module completed for a learner, e.g. by hand or by downloading
+  // its file. Module XP and stats are only awarded the first time. No watch time is
+  // recorded; only the progress /watch route tracks it, so a minimum watch ratio
+  // still has to be met by watching.
+  async completeModule(course, module, progress) {
+    const wasCompleted = Boolean(progress.getModuleProgress(module._id)?.isCompleted);
+
+    progress.updateModuleProgress(module._id, 0, true);
+    const completion = await this.updateProgress(course, progress);
+
+    const xpResult = wasCompleted
+      ? { xpGained: 0, leveledUp: false }
+      : await this.rewardModuleCompletion(course, module, progress, completion);
+
+    return { completion, xpResult, wasCompleted };
+  }
+
+  // Method to hand out what completing a module earns the first time, however it was
+  // completed: the enrollment's completed modules, the learner's stats and the module XP.
+  // A completed video counts as watched in full, whatever watch time was reported.
+  async rewardModuleCompletion(course, module, progress, completion) {
+    course.completeModule(progress.user, module._id, completion.progress);
+    await course.save();
+
+    const user = await User.findById(progress.user);
+    if (module.type === 'video') {
+      user.totalVideosWatched += 1;
+      user.totalWatchTime += Math.floor(module.duration / 60);
+    }
+    const xpResult = user.addXP(module.xpReward);
+    await user.save();
+
+    return xpResult;
+  }
+}
+
+export default new CompletionService();
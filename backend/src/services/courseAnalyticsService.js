@@ -0,0 +1,81 @@
+import Progress from '../models/Progress.js';
+
+const ACTIVE_DAYS = 7;
+
+// Learner analytics for a course's staff
+class CourseAnalyticsService {
+  // Method to summarise learner progress in a course: enrollments, completions,
+  // recent activity and how far learners get through each module and quiz
+  async getCourseAnalytics(course) {
+    const activeSince = new Date(Date.now() - ACTIVE_DAYS * 24 * 60 * 60 * 1000);
+
+    const [summary, moduleStats] = await Promise.all([
+      Progress.aggregate([
+        { $match: { course: course._id } },
+        {
+          $group: {
+            _id: null,
+            learners: { $sum: 1 },
+            completions: { $sum: { $cond: ['$isCompleted', 1, 0] } },
+            activeLearners: { $sum: { $cond: [{ $gte: ['$lastAccessed', activeSince] }, 1, 0] } },
+            averageProgress: { $avg: '$overallProgress' },
+            totalWatchTime: { $sum: '$totalWatchTime' }
+          }
+        }
+      ]),
+      Progress.aggregate([
+        { $match: { course: course._id } },
+        { $unwind: '$moduleProgress' },
+        {
+          $group: {
+            _id: '$moduleProgress.moduleId',
+            started: { $sum: 1 },
+            completed: { $sum: { $cond: ['$moduleProgress.isCompleted', 1, 0] } },
+            quizAttempts: { $sum: '$moduleProgress.quizAttempts' },
+            quizTakers: { $sum: { $cond: [{ $gt: ['$moduleProgress.quizAttempts', 0] }, 1, 0] } },
+            quizPassed: { $sum: { $cond: ['$moduleProgress.quizPassed', 1, 0] } },
+            averageQuizScore: { $avg: '$moduleProgress.quizBestScore' }
+          }
+        }
+      ])
+    ]);
+
+    const totals = summary[0] || {
+      learners: 0,
+      completions: 0,
+      activeLearners: 0,
+      averageProgress: 0,
+      totalWatchTime: 0
+    };
+    const statsByModule = new Map(moduleStats.map(stats => [stats._id.toString(), stats]));
+
+    return {
+      stats: course.getStats(),
+      learners: totals.learners,
+      completions: totals.completions,
+      completionRate: totals.learners ? Math.round((totals.completions / totals.learners) * 100) : 0,
+      activeLearners: totals.activeLearners,
+      activeDays: ACTIVE_DAYS,
+      averageProgress: Math.round(totals.averageProgress || 0),
+      totalWatchTime: totals.totalWatchTime,
+      modules: course.modules.map(module => {
+        const stats = statsByModule.get(module._id.toString());
+        return {
+          moduleId: module._id,
+          title: module.title,
+          order: module.order,
+          isHidden: module.isHidden,
+          hasQuiz: module.quiz?.questions?.length > 0,
+          started: stats?.started || 0,
+          completed: stats?.completed || 0,
+          quizTakers: stats?.quizTakers || 0,
+          quizPassed: stats?.quizPassed || 0,
+          quizPassRate: stats?.quizTakers ? Math.round((stats.quizPassed / stats.quizTakers) * 100) : null,
+          averageQuizScore: stats?.averageQuizScore != null ? Math.round(stats.averageQuizScore) : null
+        };
+      })
+    };
+  }
+}
+
+export default new CourseAnalyticsService();
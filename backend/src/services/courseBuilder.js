@@ -0,0 +1,536 @@
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import YouTubeService from './youtubeService.js';
+import { resolveProvider } from './providers/index.js';
+
+const SOURCE_TYPES = ['playlist', 'video', 'videos', 'channel', 'manual'];
+const MAX_CHANNEL_VIDEOS = 200;
+const MAX_SECTION_VIDEOS = 100;
+// Served by the frontend, for courses whose sources have no thumbnail (manual entries, direct media)
+const PLACEHOLDER_THUMBNAIL = '/course-placeholder.svg';
+
+const emptyStats = () => ({
+  playlistItems: 0,
+  imported: 0,
+  skipped: 0,
+  unavailable: 0,
+  unavailableReasons: {},
+  excluded: []
+});
+
+// Builds course documents from one or more sources, each becoming a section:
+//   { type: 'playlist', url, title? }                       a YouTube playlist
+//   { type: 'video', url, splitChapters?, title? }          one YouTube video, a module per chapter unless splitChapters is false
+//   { type: 'videos', urls: [...], title? }                 hand-picked YouTube, Vimeo or direct video URLs
+//   { type: 'channel', url, publishedAfter?, publishedBefore?, maxVideos?, title? }
+//                                                           a channel's uploads in a date range, oldest first
+//   { type: 'manual', entries: [{ url, title, ... }], title } videos described by the creator, no lookups
+class CourseBuilder {
+  // Method to turn the legacy { playlistUrl } convert body into a source list
+  normalizeSources({ sources, playlistUrl }) {
+    if (Array.isArray(sources) && sources.length > 0) {
+      // Keep only the fields each source type uses; these are stored on the import job
+      return sources.map(source => ({
+        type: source?.type || 'playlist',
+        title: source?.title,
+        description: source?.description,
+        url: source?.url,
+        urls: source?.urls,
+        splitChapters: source?.splitChapters,
+        publishedAfter: source?.publishedAfter,
+        publishedBefore: source?.publishedBefore,
+        maxVideos: source?.maxVideos,
+        entries: Array.isArray(source?.entries)
+          ? source.entries.map(entry => ({
+            url: entry?.url,
+            title: entry?.title,
+            description: entry?.description,
+            duration: entry?.duration,
+            thumbnail: entry?.thumbnail,
+            xpReward: entry?.xpReward
+          }))
+          : source?.entries
+      }));
+    }
+    return playlistUrl ? [{ type: 'playlist', url: playlistUrl }] : [];
+  }
+
+  // Method to check a source list before queueing it; returns an error message or null
+  validateSources(sources) {
+    if (sources.length === 0) {
+      return 'A playlist URL or at least one source is required';
+    }
+
+    for (const [index, source] of sources.entries()) {
+      const label = `Source ${index + 1}`;
+
+      if (!SOURCE_TYPES.includes(source.type)) {
+        return `${label}: type must be one of ${SOURCE_TYPES.join(', ')}`;
+      }
+      if (source.title !== undefined && (typeof source.title !== 'string' || source.title.length > 200)) {
+        return `${label}: title must be text of at most 200 characters`;
+      }
+
+      if (source.type === 'playlist' && !YouTubeService.validateYouTubeUrl(source.url || '')) {
+        return `${label}: invalid YouTube playlist URL`;
+      }
+
+      if (source.type === 'video') {
+        if (!YouTubeService.validateYouTubeVideoUrl(source.url || '')) {
+          return `${label}: invalid YouTube video URL`;
+        }
+        if (source.splitChapters !== undefined && typeof source.splitChapters !== 'boolean') {
+          return `${label}: splitChapters must be a boolean`;
+        }
+      }
+
+      if (source.type === 'channel') {
+        if (!YouTubeService.validateYouTubeChannelUrl(source.url || '')) {
+          return `${label}: invalid YouTube channel URL (use a /channel/, /@handle or /user/ link)`;
+        }
+        for (const field of ['publishedAfter', 'publishedBefore']) {
+          if (source[field] !== undefined && source[field] !== null && Number.isNaN(Date.parse(source[field]))) {
+            return `${label}: ${field} must be a date`;
+          }
+        }
+        if (source.publishedAfter && source.publishedBefore && new Date(source.publishedAfter) > new Date(source.publishedBefore)) {
+          return `${label}: publishedAfter must be before publishedBefore`;
+        }
+        if (source.maxVideos !== undefined && (!Number.isInteger(source.maxVideos) || source.maxVideos < 1 || source.maxVideos > MAX_CHANNEL_VIDEOS)) {
+          return `${label}: maxVideos must be a whole number from 1 to ${MAX_CHANNEL_VIDEOS}`;
+        }
+      }
+
+      if (source.type === 'videos') {
+        if (!Array.isArray(source.urls) || source.urls.length === 0) {
+          return `${label}: add at least one video URL`;
+        }
+        if (source.urls.length > MAX_SECTION_VIDEOS) {
+          return `${label}: at most ${MAX_SECTION_VIDEOS} video URLs per section`;
+        }
+        if (source.urls.some(url => typeof url !== 'string' || !url.trim())) {
+          return `${label}: video URLs must be non-empty strings`;
+        }
+      }
+
+      if (source.type === 'manual') {
+        if (!source.title) {
+          return `${label}: manual sections need a title`;
+        }
+        if (!Array.isArray(source.entries) || source.entries.length === 0) {
+          return `${label}: add at least one entry`;
+        }
+        if (source.entries.some(entry => !entry?.url || !entry?.title)) {
+          return `${label}: every entry needs a url and a title`;
+        }
+        try {
+          source.entries.forEach(entry => resolveProvider(entry.url));
+        } catch (error) {
+          return `${label}: ${error.message}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Method to get the playlist id of a course built from exactly one playlist
+  getSinglePlaylistId(sources) {
+    if (sources.length !== 1 || sources[0].type !== 'playlist') return null;
+    return YouTubeService.extractPlaylistId(sources[0].url);
+  }
+
+  // Method to resolve a single video URL into its provider and normalized item
+  async resolveVideo(url) {
+    const provider = resolveProvider(url);
+    const source = provider.resolveSource(url, { preferVideo: true });
+    if (source.type === 'playlist') {
+      throw new Error('Use a single video URL rather than a playlist');
+    }
+    const [item] = await provider.listItems(source);
+    return { provider, item };
+  }
+
+  // Method to preview what a single source would import, without creating anything.
+  // Lookups are not critical, so previews stop once the daily quota budget is spent.
+  async previewSource(source) {
+    const summarize = (videos) => {
+      const totalDuration = videos.reduce((total, video) => total + (video.duration || 0), 0);
+      return {
+        estimatedDuration: YouTubeService.formatDuration(totalDuration),
+        estimatedXP: videos.length * 10
+      };
+    };
+    const toSample = (video) => ({ title: video.title, duration: video.duration, thumbnail: video.thumbnail });
+
+    if (source.type === 'playlist') {
+      const result = await YouTubeService.getCoursePreview(source.url);
+      if (!result.success) {
+        const error = new Error(result.error);
+        error.statusCode = result.statusCode;
+        throw error;
+      }
+      return { type: 'playlist', ...result.preview };
+    }
+
+    if (source.type === 'video') {
+      const video = await YouTubeService.getVideoInfo(YouTubeService.extractVideoId(source.url), { critical: false });
+      if (video.availability !== 'available') {
+        throw new Error(`This video can't be imported (${video.availability.replace('_', ' ')})`);
+      }
+      const chapters = source.splitChapters === false ? [] : YouTubeService.parseChapters(video.description, video.duration);
+
+      return {
+        type: 'video',
+        title: video.title,
+        description: video.description,
+        thumbnail: video.thumbnail,
+        channelTitle: video.channelTitle,
+        videoCount: chapters.length || 1,
+        chapters,
+        sampleVideos: [toSample(video)],
+        ...summarize([video]),
+        estimatedXP: (chapters.length || 1) * 10,
+        videoId: video.id
+      };
+    }
+
+    if (source.type === 'channel') {
+      const channel = await YouTubeService.getChannelDetails(source.url, { critical: false });
+      const uploads = await YouTubeService.getChannelUploads(channel.uploadsPlaylistId, source, null, { critical: false });
+      const { videos, importStats } = YouTubeService.filterImportableVideos(uploads);
+      if (videos.length === 0) {
+        throw new Error('No videos found for this channel and date range');
+      }
+
+      return {
+        type: 'channel',
+        title: channel.title,
+        description: channel.description,
+        thumbnail: channel.thumbnail,
+        channelTitle: channel.title,
+        videoCount: videos.length,
+        totalUploads: channel.videoCount,
+        unavailableCount: importStats.unavailable,
+        firstPublishedAt: videos[0].publishedAt,
+        lastPublishedAt: videos[videos.length - 1].publishedAt,
+        sampleVideos: videos.slice(0, 3).map(toSample),
+        ...summarize(videos),
+        channelId: channel.id
+      };
+    }
+
+    if (source.type === 'videos') {
+      const videos = [];
+      const unavailable = [];
+      for (const url of [...new Set(source.urls)]) {
+        try {
+          const { item } = await this.resolveVideo(url);
+          if (item.isAvailable) {
+            videos.push(item);
+          } else {
+            unavailable.push({ url, title: item.title, reason: item.availability || 'deleted' });
+          }
+        } catch (error) {
+          if (error.code === 'QUOTA_EXCEEDED') throw error;
+          unavailable.push({ url, title: url, reason: error.message });
+        }
+      }
+      if (videos.length === 0) {
+        throw new Error('None of these videos can be imported');
+      }
+
+      return {
+        type: 'videos',
+        title: source.title || videos[0].title,
+        description: '',
+        thumbnail: videos[0].thumbnail,
+        channelTitle: [...new Set(videos.map(video => video.channelTitle).filter(Boolean))].join(', '),
+        videoCount: videos.length,
+        unavailable,
+        sampleVideos: videos.map(toSample),
+        ...summarize(videos)
+      };
+    }
+
+    throw new Error('Manual sections have nothing to preview');
+  }
+
+  async buildPlaylistSection(source, onProgress) {
+    const playlistId = YouTubeService.extractPlaylistId(source.url);
+    const playlistDetails = await YouTubeService.getPlaylistDetails(playlistId);
+
+    const expectedItems = playlistDetails.videoCount || 1;
+    const playlistItems = await YouTubeService.getPlaylistVideos(playlistId, Infinity, (fetched) =>
+      onProgress(Math.min(fetched / expectedItems, 1))
+    );
+
+    // Drop duplicate entries and videos that can no longer be watched
+    const { videos, importStats } = YouTubeService.filterImportableVideos(playlistItems);
+
+    return {
+      section: {
+        title: source.title || playlistDetails.title,
+        description: source.description || playlistDetails.description,
+        sourceType: 'playlist',
+        playlistId,
+        playlistUrl: source.url,
+        channelTitle: playlistDetails.channelTitle
+      },
+      modules: videos.map(video => ({ ...YouTubeService.buildModule(video, 0), source: 'playlist' })),
+      stats: importStats,
+      details: playlistDetails
+    };
+  }
+
+  // A single video becomes one module, or one clip module per chapter
+  async buildVideoSection(source, onProgress) {
+    const videoId = YouTubeService.extractVideoId(source.url);
+    const video = await YouTubeService.getVideoInfo(videoId);
+    await onProgress(1);
+
+    const stats = emptyStats();
+    stats.playlistItems = 1;
+    if (video.availability !== 'available') {
+      stats.unavailable = 1;
+      stats.unavailableReasons[video.availability] = 1;
+      stats.excluded.push({ videoId: video.id, title: video.title, position: 0, reason: video.availability });
+    }
+
+    const chapterModules = source.splitChapters === false ? [] : YouTubeService.buildChapterModules(video);
+    const modules = stats.unavailable > 0
+      ? []
+      : (chapterModules.length > 0 ? chapterModules : [YouTubeService.buildModule(video, 0)])
+        .map(module => ({ ...module, provider: 'youtube', source: 'video' }));
+    stats.imported = modules.length;
+
+    return {
+      section: {
+        title: source.title || video.title,
+        description: source.description || video.description?.substring(0, 1000),
+        sourceType: 'video',
+        channelTitle: video.channelTitle,
+        channelId: video.channelId
+      },
+      modules,
+      stats,
+      details: video
+    };
+  }
+
+  async buildChannelSection(source, onProgress) {
+    const channel = await YouTubeService.getChannelDetails(source.url);
+
+    // getChannelUploads reads at most the 500 most recent uploads
+    const expectedItems = Math.min(channel.videoCount, 500) || 1;
+    const uploads = await YouTubeService.getChannelUploads(channel.uploadsPlaylistId, source, (fetched) =>
+      onProgress(Math.min(fetched / expectedItems, 1))
+    );
+
+    const { videos, importStats } = YouTubeService.filterImportableVideos(uploads);
+
+    return {
+      section: {
+        title: source.title || `${channel.title} uploads`,
+        description: source.description || channel.description?.substring(0, 1000),
+        sourceType: 'channel',
+        playlistId: channel.uploadsPlaylistId,
+        channelTitle: channel.title,
+        channelId: channel.id
+      },
+      modules: videos.map(video => ({ ...YouTubeService.buildModule(video, 0), provider: 'youtube', source: 'channel' })),
+      stats: importStats,
+      details: { ...channel, channelTitle: channel.title, channelId: channel.id }
+    };
+  }
+
+  async buildVideosSection(source, onProgress) {
+    const stats = emptyStats();
+    const modules = [];
+    const seenUrls = new Set();
+
+    for (const [index, url] of source.urls.entries()) {
+      stats.playlistItems += 1;
+      if (seenUrls.has(url)) {
+        stats.skipped += 1;
+        continue;
+      }
+      seenUrls.add(url);
+
+      try {
+        const { provider, item } = await this.resolveVideo(url);
+        if (!item.isAvailable) {
+          const reason = item.availability || 'deleted';
+          stats.unavailable += 1;
+          stats.unavailableReasons[reason] = (stats.unavailableReasons[reason] || 0) + 1;
+          stats.excluded.push({ videoId: item.id, title: item.title, position: index, reason });
+        } else {
+          modules.push({ ...provider.buildModule(item, 0), source: 'video' });
+        }
+      } catch (error) {
+        if (error.code === 'QUOTA_EXCEEDED') throw error;
+        stats.unavailable += 1;
+        stats.unavailableReasons.unavailable = (stats.unavailableReasons.unavailable || 0) + 1;
+        stats.excluded.push({ videoId: url, title: url, position: index, reason: error.message });
+      }
+
+      await onProgress((index + 1) / source.urls.length);
+    }
+    stats.imported = modules.length;
+
+    return {
+      section: {
+        title: source.title || 'Videos',
+        description: source.description,
+        sourceType: 'videos'
+      },
+      modules,
+      stats
+    };
+  }
+
+  // Manual entries are taken as given; only the provider and video id are read from the URL
+  async buildManualSection(source) {
+    const modules = source.entries.map(entry => {
+      const provider = resolveProvider(entry.url);
+      const { id } = provider.resolveSource(entry.url, { preferVideo: true });
+
+      return {
+        title: entry.title,
+        description: (entry.description || 'No description available').substring(0, 1000),
+        provider: provider.name,
+        videoId: id,
+        videoUrl: entry.url,
+        thumbnail: entry.thumbnail || (provider.name === 'youtube' ? YouTubeService.getVideoThumbnails(id).high : null),
+        duration: parseInt(entry.duration) || 0,
+        order: 0,
+        xpReward: entry.xpReward !== undefined ? parseInt(entry.xpReward) : 10,
+        source: 'manual'
+      };
+    });
+
+    const stats = emptyStats();
+    stats.playlistItems = modules.length;
+    stats.imported = modules.length;
+
+    return {
+      section: {
+        title: source.title,
+        description: source.description,
+        sourceType: 'manual'
+      },
+      modules,
+      stats
+    };
+  }
+
+  // Build the course document for a list of sources.
+  // onProgress(stage, percentage) is awaited as the import advances
+  async buildCourse(sources, creatorId, courseData = {}, onProgress = async () => {}) {
+    try {
+      const sections = [];
+      const modules = [];
+      const stats = emptyStats();
+      const sectionStats = [];
+      // Title, description and thumbnail fall back to the first YouTube playlist, video or channel
+      let firstDetails = null;
+
+      // Each source gets an equal share of the 5-85% progress range
+      const share = 80 / sources.length;
+
+      for (const [index, source] of sources.entries()) {
+        const base = 5 + index * share;
+        await onProgress(['playlist', 'channel'].includes(source.type) ? 'fetching_playlist' : 'fetching_videos', base);
+        const reportProgress = (fraction) => onProgress('fetching_videos', base + fraction * share);
+
+        let built;
+        if (source.type === 'playlist') {
+          built = await this.buildPlaylistSection(source, reportProgress);
+        } else if (source.type === 'video') {
+          built = await this.buildVideoSection(source, reportProgress);
+        } else if (source.type === 'channel') {
+          built = await this.buildChannelSection(source, reportProgress);
+        } else if (source.type === 'videos') {
+          built = await this.buildVideosSection(source, reportProgress);
+        } else {
+          built = await this.buildManualSection(source);
+        }
+        firstDetails = firstDetails || built.details;
+
+        // Section ids are assigned up front so modules can point at their section
+        const sectionId = new mongoose.Types.ObjectId();
+        sections.push({ _id: sectionId, order: index + 1, ...built.section });
+        built.modules.forEach(module => modules.push({ ...module, section: sectionId }));
+
+        stats.playlistItems += built.stats.playlistItems;
+        stats.imported += built.stats.imported;
+        stats.skipped += built.stats.skipped;
+        stats.unavailable += built.stats.unavailable;
+        for (const [reason, count] of Object.entries(built.stats.unavailableReasons)) {
+          stats.unavailableReasons[reason] = (stats.unavailableReasons[reason] || 0) + count;
+        }
+        stats.excluded.push(...built.stats.excluded.map(entry => ({ ...entry, section: built.section.title })));
+        sectionStats.push({ title: built.section.title, sourceType: built.section.sourceType, ...built.stats });
+      }
+
+      if (modules.length === 0) {
+        throw new Error('No videos found in the selected sources');
+      }
+
+      await onProgress('building_course', 85);
+      modules.forEach((module, index) => { module.order = index + 1; });
+
+      const title = courseData.title || firstDetails?.title || sections[0].title;
+      const description = (courseData.description || firstDetails?.description || 'No description available').substring(0, 2000);
+      const totalDuration = Math.round(modules.reduce((total, module) => total + module.duration, 0) / 60);
+      const totalXP = modules.reduce((total, module) => total + module.xpReward, 0);
+      const singlePlaylistId = this.getSinglePlaylistId(sources);
+
+      const course = {
+        title,
+        description,
+        thumbnail: courseData.thumbnail || firstDetails?.thumbnail ||
+          modules.find(module => module.thumbnail)?.thumbnail || PLACEHOLDER_THUMBNAIL,
+        ...(singlePlaylistId && { playlistUrl: sources[0].url, playlistId: singlePlaylistId }),
+        creator: creatorId,
+        sections,
+        modules,
+        totalModules: modules.length,
+        totalDuration,
+        totalXP,
+        category: courseData.category || 'other',
+        difficulty: courseData.difficulty || 'beginner',
+        tags: courseData.tags || [],
+        isPublic: courseData.isPublic !== undefined ? courseData.isPublic : true,
+        // Made unique against other courses when the course is saved
+        slug: Course.slugify(title),
+        metaDescription: description !== 'No description available'
+          ? description.substring(0, 300)
+          : `Learn ${title} in ${sections.length} section${sections.length === 1 ? '' : 's'} with ${modules.length} videos`
+      };
+
+      return {
+        success: true,
+        course,
+        stats: {
+          totalVideos: modules.length,
+          totalDuration: YouTubeService.formatDuration(totalDuration * 60),
+          totalXP,
+          channelTitle: firstDetails?.channelTitle,
+          channelId: firstDetails?.channelId,
+          ...stats,
+          sections: sectionStats
+        }
+      };
+    } catch (error) {
+      console.error('Error building course from sources:', error);
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.statusCode
+      };
+    }
+  }
+}
+
+export default new CourseBuilder();
@@ -0,0 +1,85 @@
+import Course from '../models/Course.js';
+import Transcript from '../models/Transcript.js';
+import CourseRevisionService from './courseRevisionService.js';
+import LessonService from './lessonService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Copies of courses that their new owner can adapt without touching the original
+class CourseForkService {
+  // Method to check whether a user may fork a course: public courses can be forked by
+  // anyone, private and archived ones only by their staff
+  canFork(course, user) {
+    return (course.isPublic && course.isActive) || course.isStaff(user);
+  }
+
+  // Method to copy a course's published content, transcripts and file attachments into a
+  // new course owned by the user. With followUpstream the copy keeps being resynced with
+  // the source playlists; modules the new owner hides stay hidden.
+  async forkCourse(source, user, { title, followUpstream = false, isPublic = false } = {}) {
+    if (!this.canFork(source, user)) {
+      throw new AppError('Course not found', 404);
+    }
+
+    // Courses from before sections get their playlist section, so the copy can be resynced
+    source.ensureDefaultSection();
+    const content = CourseRevisionService.getContent(source);
+
+    // Each course owns its files, so deleting either one leaves the other's attachments alone.
+    // File modules whose attachment can't be copied are left out.
+    const copies = await LessonService.copyFiles(
+      content.modules.filter(module => module.file).map(module => module.file.storageName)
+    );
+    const modules = content.modules
+      .filter(module => !module.file || copies.has(module.file.storageName))
+      .map(module => (module.file
+        ? { ...module, file: { ...module.file, storageName: copies.get(module.file.storageName) } }
+        : module));
+    const moduleIds = new Set(modules.map(module => module._id.toString()));
+    const keepModule = moduleId => moduleIds.has(moduleId.toString());
+
+    // Module and section ids are kept, so prerequisites and completion rules still apply
+    const fork = new Course({
+      ...content,
+      title: title || source.title,
+      modules: modules.map(module => ({
+        ...module,
+        prerequisites: (module.prerequisites || []).filter(keepModule)
+      })),
+      customCompletion: {
+        ...content.customCompletion,
+        requiredModules: (content.customCompletion?.requiredModules || []).filter(keepModule)
+      },
+      metaDescription: source.metaDescription,
+      creator: user._id,
+      isPublic,
+      forkedFrom: {
+        course: source._id,
+        title: source.title,
+        creator: source.creator._id,
+        revision: source.revision,
+        forkedAt: new Date()
+      },
+      sync: { enabled: followUpstream }
+    });
+
+    try {
+      await fork.saveWithUniqueSlug();
+    } catch (error) {
+      await LessonService.removeFiles([...copies.values()]);
+      throw error;
+    }
+
+    const transcripts = await Transcript.find({ course: source._id, module: { $in: [...moduleIds] } }).lean();
+    if (transcripts.length > 0) {
+      await Transcript.insertMany(transcripts.map(({ _id, createdAt, updatedAt, ...transcript }) => ({
+        ...transcript,
+        course: fork._id
+      })));
+    }
+
+    await Course.updateOne({ _id: source._id }, { $inc: { totalForks: 1 } });
+    return fork;
+  }
+}
+
+export default new CourseForkService();
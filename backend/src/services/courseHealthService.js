@@ -0,0 +1,107 @@
+import Course from '../models/Course.js';
+import Notification from '../models/Notification.js';
+import YouTubeService from './youtubeService.js';
+
+const STATUS_LABELS = {
+  unavailable: 'deleted or private',
+  deleted: 'deleted',
+  private: 'private',
+  region_blocked: 'blocked in this region',
+  not_embeddable: 'not embeddable'
+};
+
+// Checks that every module's video can still be watched
+class CourseHealthService {
+  // Re-read each live YouTube module's video and flag the ones that became unavailable
+  async checkCourse(course, options = {}) {
+    const { critical = true } = options;
+    const modules = course.modules.filter(module => !module.isRetired && module.type === 'video' && (module.provider || 'youtube') === 'youtube');
+    const result = { checked: modules.length, unavailable: 0, newlyUnavailable: 0, recovered: 0 };
+
+    const details = await YouTubeService.getVideoDetails(
+      modules.map(module => module.videoId),
+      { critical, fresh: true }
+    );
+    const detailsById = new Map(details.map(detail => [detail.id, detail]));
+
+    const newlyUnavailable = [];
+    modules.forEach(module => {
+      // videos.list leaves deleted and private videos out without saying which
+      const status = detailsById.get(module.videoId)?.availability || 'unavailable';
+      const wasAvailable = (module.availability?.status || 'available') === 'available';
+      course.setModuleAvailability(module, status);
+
+      if (status !== 'available') {
+        result.unavailable += 1;
+        if (wasAvailable) newlyUnavailable.push(module);
+      } else if (!wasAvailable) {
+        result.recovered += 1;
+      }
+    });
+    result.newlyUnavailable = newlyUnavailable.length;
+
+    course.health.lastCheckedAt = new Date();
+    course.health.lastError = null;
+    await course.save();
+
+    if (newlyUnavailable.length > 0) {
+      await this.notifyCreator(course, newlyUnavailable);
+    }
+
+    return result;
+  }
+
+  // Method to tell the course creator which modules can no longer be played
+  async notifyCreator(course, modules) {
+    const listed = modules
+      .slice(0, 5)
+      .map(module => `"${module.title}" (${STATUS_LABELS[module.availability.status] || module.availability.status})`)
+      .join(', ');
+    const more = modules.length > 5 ? ` and ${modules.length - 5} more` : '';
+
+    try {
+      await Notification.create({
+        user: course.creator,
+        type: 'course_health',
+        title: `${modules.length} video${modules.length === 1 ? '' : 's'} unavailable in "${course.title.substring(0, 100)}"`,
+        message: `${listed}${more} can no longer be played. Replace or remove ${modules.length === 1 ? 'this module' : 'these modules'} so learners aren't stuck.`,
+        link: `/courses/${course.slug}`,
+        course: course._id,
+        data: {
+          modules: modules.map(module => ({
+            moduleId: module._id,
+            title: module.title,
+            status: module.availability.status
+          }))
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to notify creator of course ${course._id}:`, error);
+    }
+  }
+
+  // Check every active course; scheduled checks give way once the quota budget is spent
+  async checkAllCourses() {
+    const courses = await Course.find({ isActive: true });
+    const summary = { checked: 0, failed: 0, unavailable: 0 };
+
+    for (const course of courses) {
+      try {
+        const result = await this.checkCourse(course, { critical: false });
+        summary.checked += 1;
+        summary.unavailable += result.unavailable;
+      } catch (error) {
+        console.error(`Health check failed for course ${course._id}:`, error);
+        summary.failed += 1;
+        await Course.updateOne(
+          { _id: course._id },
+          { $set: { 'health.lastError': error.message } }
+        );
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default new CourseHealthService();
@@ -0,0 +1,122 @@
+import Course from '../models/Course.js';
+import CourseDraft from '../models/CourseDraft.js';
+import CourseInvitation from '../models/CourseInvitation.js';
+import CourseRevision from '../models/CourseRevision.js';
+import Progress from '../models/Progress.js';
+import Transcript from '../models/Transcript.js';
+import ImportJob from '../models/ImportJob.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import LearningPathService from './learningPathService.js';
+import LessonService from './lessonService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Archives, restores, deletes and hands over courses
+class CourseLifecycleService {
+  // Method to check whether a user may open a course, archived or not
+  async canView(course, user) {
+    if (course.isActive) return true;
+    if (!user) return false;
+    if (course.isStaff(user)) return true;
+
+    return !!(await Progress.exists({ user: user._id, course: course._id }));
+  }
+
+  // Method to hide a course from listings and enrollment, keeping learner progress
+  async archive(course) {
+    if (!course.isActive) {
+      throw new AppError('Course is already archived', 400);
+    }
+
+    course.isActive = false;
+    course.archivedAt = new Date();
+    await course.save({ validateModifiedOnly: true });
+    return course;
+  }
+
+  // Method to bring an archived course back
+  async restore(course) {
+    if (course.isActive) {
+      throw new AppError('Course is not archived', 400);
+    }
+
+    course.isActive = true;
+    course.archivedAt = null;
+    await course.save({ validateModifiedOnly: true });
+    return course;
+  }
+
+  // Method to delete a course for good, with its learners' progress, transcripts, draft,
+  // revisions, staff invitations and module files, and take it out of learning paths.
+  // Enrollment and completion counters are rolled back; XP already earned is kept.
+  async deleteCourse(course) {
+    const progress = await Progress.find({ course: course._id }).select('user isCompleted');
+    const enrolledUserIds = progress.map(entry => entry.user);
+    const completedUserIds = progress.filter(entry => entry.isCompleted).map(entry => entry.user);
+
+    if (enrolledUserIds.length > 0) {
+      await User.updateMany(
+        { _id: { $in: enrolledUserIds }, totalCoursesEnrolled: { $gt: 0 } },
+        { $inc: { totalCoursesEnrolled: -1 } }
+      );
+    }
+    if (completedUserIds.length > 0) {
+      await User.updateMany(
+        { _id: { $in: completedUserIds }, totalCoursesCompleted: { $gt: 0 } },
+        { $inc: { totalCoursesCompleted: -1 } }
+      );
+    }
+
+    const draft = await CourseDraft.findById(course._id).select('modules.file');
+    const [progressResult, transcriptResult] = await Promise.all([
+      Progress.deleteMany({ course: course._id }),
+      Transcript.deleteMany({ course: course._id }),
+      Notification.deleteMany({ course: course._id }),
+      ImportJob.updateMany({ course: course._id }, { course: null }),
+      CourseDraft.deleteOne({ _id: course._id }),
+      CourseRevision.deleteMany({ course: course._id }),
+      CourseInvitation.deleteMany({ course: course._id }),
+      LearningPathService.removeCourse(course._id)
+    ]);
+    await Course.deleteOne({ _id: course._id });
+    const storageNames = [...course.modules, ...(draft?.modules || [])]
+      .filter(module => module.file)
+      .map(module => module.file.storageName);
+    await LessonService.removeFiles([...new Set(storageNames)]);
+
+    return {
+      learners: enrolledUserIds.length,
+      progressRecords: progressResult.deletedCount,
+      transcripts: transcriptResult.deletedCount
+    };
+  }
+
+  // Method to make another user the course creator. A staff member who becomes the
+  // owner leaves the staff list.
+  async transferOwnership(course, username, transferredBy) {
+    const newCreator = await User.findOne({ username, isActive: true }).select('username firstName lastName');
+    if (!newCreator) {
+      throw new AppError('User not found', 404);
+    }
+    if (course.creator.equals(newCreator._id)) {
+      throw new AppError(`${newCreator.username} already owns this course`, 400);
+    }
+
+    course.creator = newCreator._id;
+    course.staff = course.staff.filter(member => !member.user.equals(newCreator._id));
+    await course.save({ validateModifiedOnly: true });
+
+    await Notification.create({
+      user: newCreator._id,
+      type: 'system',
+      title: `You now own "${course.title}"`,
+      message: `${transferredBy.username} transferred the course "${course.title}" to you.`,
+      link: `/courses/${course.slug}`,
+      course: course._id
+    });
+
+    return newCreator;
+  }
+}
+
+export default new CourseLifecycleService();
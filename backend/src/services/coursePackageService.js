@@ -0,0 +1,203 @@
+import fs from 'fs/promises';
+import Course from '../models/Course.js';
+import Transcript from '../models/Transcript.js';
+import CourseRevisionService from './courseRevisionService.js';
+import LessonService from './lessonService.js';
+import { isAllowedResource } from '../middleware/upload.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const PACKAGE_FORMAT = 'playlms-course';
+// Bump when the package layout changes in a way older servers can't read
+const PACKAGE_VERSION = 1;
+
+const TRANSCRIPT_FIELDS = 'module language label source format cues';
+
+// Portable JSON packages for moving courses between PlayLMS instances. A package holds the
+// published content (sections, modules with their quizzes), the course metadata, the
+// transcripts and the file attachments, base64-encoded.
+class CoursePackageService {
+  // Method to build the export package for a course
+  async exportCourse(course) {
+    const content = CourseRevisionService.getContent(course);
+
+    const resources = [];
+    for (const module of content.modules.filter(module => module.file)) {
+      const filePath = await LessonService.findFile(module);
+      if (!filePath) {
+        throw new AppError(`The attachment of "${module.title}" is missing and can't be exported`, 409);
+      }
+      resources.push({
+        storageName: module.file.storageName,
+        fileName: module.file.fileName,
+        mimeType: module.file.mimeType,
+        data: (await fs.readFile(filePath)).toString('base64')
+      });
+    }
+
+    const transcripts = await Transcript.find({ course: course._id }).select(TRANSCRIPT_FIELDS).lean();
+
+    return {
+      format: PACKAGE_FORMAT,
+      version: PACKAGE_VERSION,
+      exportedAt: new Date(),
+      course: {
+        ...content,
+        slug: course.slug,
+        playlistId: course.playlistId,
+        playlistUrl: course.playlistUrl,
+        metaDescription: course.metaDescription,
+        isPublic: course.isPublic
+      },
+      transcripts: transcripts.map(({ _id, ...transcript }) => transcript),
+      resources
+    };
+  }
+
+  // Method to check a package's format, version and internal references before importing it
+  async validatePackage(pkg) {
+    if (!pkg || typeof pkg !== 'object' || pkg.format !== PACKAGE_FORMAT) {
+      throw new AppError('This is not a PlayLMS course package', 400);
+    }
+    if (!Number.isInteger(pkg.version) || pkg.version < 1 || pkg.version > PACKAGE_VERSION) {
+      throw new AppError(`Unsupported package version ${pkg.version}; this server reads up to version ${PACKAGE_VERSION}`, 400);
+    }
+
+    const data = pkg.course;
+    if (!data || typeof data !== 'object' || !Array.isArray(data.sections) || !Array.isArray(data.modules)) {
+      throw new AppError('The package has no course content', 400);
+    }
+
+    // Schema validation, with a placeholder creator and slug as those are set on import
+    const course = new Course({ ...data, creator: pkg.importedBy, slug: 'course' });
+    await course.validate();
+
+    const sectionIds = new Set(course.sections.map(section => section._id.toString()));
+    const moduleIds = new Set(course.modules.map(module => module._id.toString()));
+    const unknownModule = (ids = []) => ids.some(id => !moduleIds.has(id.toString()));
+
+    if (sectionIds.size !== course.sections.length || moduleIds.size !== course.modules.length) {
+      throw new AppError('The package has sections or modules with duplicate ids', 400);
+    }
+    for (const module of course.modules) {
+      if (module.section && !sectionIds.has(module.section.toString())) {
+        throw new AppError(`Module "${module.title}" belongs to a section that is not in the package`, 400);
+      }
+      if (unknownModule(module.prerequisites)) {
+        throw new AppError(`Module "${module.title}" has prerequisites that are not in the package`, 400);
+      }
+    }
+    if (unknownModule(course.customCompletion?.requiredModules)) {
+      throw new AppError('The completion rules require modules that are not in the package', 400);
+    }
+
+    return course;
+  }
+
+  // Method to find the slug and playlist clashes importing a course would run into
+  async findConflicts(data) {
+    const conflicts = [];
+
+    if (data.slug && !(await Course.isSlugAvailable(data.slug))) {
+      conflicts.push({ field: 'slug', value: data.slug, message: `The slug "${data.slug}" is already used by another course` });
+    }
+    if (data.playlistId || data.playlistUrl) {
+      const playlistOwner = await Course.exists({
+        $or: [
+          ...(data.playlistId ? [{ playlistId: data.playlistId }] : []),
+          ...(data.playlistUrl ? [{ playlistUrl: data.playlistUrl }] : [])
+        ]
+      });
+      if (playlistOwner) {
+        conflicts.push({ field: 'playlistId', value: data.playlistId, message: 'The playlist has already been converted to another course' });
+      }
+    }
+
+    return conflicts;
+  }
+
+  // Method to create a course owned by the user from a package. Conflicts are resolved
+  // with onConflict 'rename' (a new slug, and the course doesn't claim the playlist; its
+  // playlist sections still resync) or refused with 'fail'.
+  async importCourse(pkg, user, { onConflict = 'rename' } = {}) {
+    const validated = await this.validatePackage({ ...pkg, importedBy: user._id });
+    const data = pkg.course;
+
+    const conflicts = await this.findConflicts(data);
+    if (conflicts.length > 0 && onConflict === 'fail') {
+      throw new AppError(conflicts.map(conflict => conflict.message).join('; '), 409);
+    }
+    const conflictFields = new Set(conflicts.map(conflict => conflict.field));
+
+    const content = CourseRevisionService.getContent(validated);
+    const transcripts = (Array.isArray(pkg.transcripts) ? pkg.transcripts : []).map(transcript => new Transcript({
+      ...transcript,
+      course: validated._id,
+      uploadedBy: user._id
+    }));
+    const moduleIds = new Set(content.modules.map(module => module._id.toString()));
+    for (const transcript of transcripts) {
+      await transcript.validate();
+      if (!moduleIds.has(transcript.module.toString())) {
+        throw new AppError('The package has transcripts for modules that are not in it', 400);
+      }
+    }
+
+    const resources = new Map((Array.isArray(pkg.resources) ? pkg.resources : [])
+      .map(resource => [resource?.storageName, resource]));
+    const storedFiles = [];
+
+    try {
+      for (const module of content.modules.filter(module => module.file)) {
+        const resource = resources.get(module.file.storageName);
+        if (!resource || typeof resource.data !== 'string') {
+          throw new AppError(`The attachment of "${module.title}" is missing from the package`, 400);
+        }
+        const buffer = Buffer.from(resource.data, 'base64');
+        if (!isAllowedResource(module.file.fileName, buffer.length)) {
+          throw new AppError(`The attachment of "${module.title}" is not an allowed file type or is too large`, 400);
+        }
+        module.file.storageName = await LessonService.storeFile(buffer, module.file.fileName);
+        module.file.size = buffer.length;
+        storedFiles.push(module.file.storageName);
+      }
+
+      const course = new Course({
+        _id: validated._id,
+        ...content,
+        ...(!conflictFields.has('playlistId') && {
+          playlistId: data.playlistId || undefined,
+          playlistUrl: data.playlistUrl || undefined
+        }),
+        metaDescription: data.metaDescription,
+        isPublic: data.isPublic !== undefined ? data.isPublic : true,
+        creator: user._id
+      });
+
+      const slugError = data.slug ? Course.validateSlug(data.slug) : 'No slug';
+      if (!slugError && !conflictFields.has('slug')) {
+        course.slug = data.slug;
+        await course.save();
+      } else {
+        await course.saveWithUniqueSlug();
+      }
+
+      if (transcripts.length > 0) {
+        await Transcript.insertMany(transcripts);
+      }
+
+      return {
+        course,
+        conflicts: conflicts.map(({ field, message }) => ({
+          field,
+          message,
+          resolution: field === 'slug' ? `Imported as "${course.slug}"` : 'Imported without claiming the playlist'
+        }))
+      };
+    } catch (error) {
+      await LessonService.removeFiles(storedFiles);
+      throw error;
+    }
+  }
+}
+
+export default new CoursePackageService();
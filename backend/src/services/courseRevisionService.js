@@ -0,0 +1,184 @@
+import CourseDraft from '../models/CourseDraft.js';
+import CourseRevision from '../models/CourseRevision.js';
+import LessonService from './lessonService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Course fields creators edit in a draft and revisions record. Everything else
+// (visibility, archiving, ownership, slug, stats) applies to the course straight away.
+const CONTENT_FIELDS = [
+  'title', 'description', 'thumbnail', 'category', 'difficulty', 'tags', 'language',
+  'isSequential', 'completionCriteria', 'completionPercentage', 'customCompletion', 'completionXP',
+  'sections', 'modules'
+];
+
+// Module fields that resyncs and health checks keep up to date on the published course
+const LIVE_MODULE_FIELDS = ['isRetired', 'retiredAt', 'availability'];
+
+const pick = (object, fields) => Object.fromEntries(
+  fields.filter(field => object[field] !== undefined).map(field => [field, object[field]])
+);
+
+// Drafts, publishing and rollback of course content
+class CourseRevisionService {
+  // Method to copy the content fields of a course or draft, quiz answers included
+  getContent(course) {
+    return pick(course.toObject({ depopulate: true }), CONTENT_FIELDS);
+  }
+
+  // Method to find a course's draft; null when it has no unpublished changes
+  async findDraft(courseId) {
+    return CourseDraft.findById(courseId);
+  }
+
+  // Method to get the draft to edit, starting one from the published content if there is none
+  async getDraft(course) {
+    const draft = await this.findDraft(course._id);
+    if (draft) return draft;
+
+    const newDraft = new CourseDraft({
+      _id: course._id,
+      creator: course.creator._id,
+      slug: course.slug,
+      ...this.getContent(course)
+    });
+    // Nothing is edited yet, so routes can tell from isModified() whether they changed anything
+    newDraft.modifiedPaths().forEach(path => newDraft.unmarkModified(path));
+    return newDraft;
+  }
+
+  // Method to keep a draft's slug in step with its course, as drafts have unique slugs too
+  async renameDraft(course) {
+    await CourseDraft.updateOne({ _id: course._id }, { slug: course.slug });
+  }
+
+  // Method to show the editor the course with its draft content, if any. Quiz answers
+  // are left out like everywhere else; the quiz route returns them to the creator.
+  getEditorView(course, draft) {
+    if (!draft) return course.toJSON();
+
+    return {
+      ...course.toJSON(),
+      ...pick(draft.toJSON(), [...CONTENT_FIELDS, 'totalModules', 'totalDuration', 'totalXP', 'lastUpdated'])
+    };
+  }
+
+  // Method to replace a course's content. Modules and sections the content doesn't
+  // have are kept so learner progress and attachments stay valid: on publish they are
+  // the ones a resync added since the draft was started, on rollback they get hidden.
+  applyContent(course, content, { hideMissingModules = false } = {}) {
+    const contentModuleIds = new Set(content.modules.map(module => module._id.toString()));
+    const contentSectionIds = new Set(content.sections.map(section => section._id.toString()));
+    const liveModules = new Map(course.modules.map(module => [module._id.toString(), module.toObject()]));
+
+    const modules = content.modules.map(module => {
+      const live = liveModules.get(module._id.toString());
+      return live ? { ...module, ...pick(live, LIVE_MODULE_FIELDS) } : module;
+    });
+    const missingModules = [...liveModules.values()]
+      .filter(module => !contentModuleIds.has(module._id.toString()))
+      .map(module => (hideMissingModules ? { ...module, isHidden: true } : module));
+    const missingSections = course.sections
+      .filter(section => !contentSectionIds.has(section._id.toString()))
+      .map(section => section.toObject());
+
+    for (const field of CONTENT_FIELDS.filter(field => field !== 'sections' && field !== 'modules')) {
+      course.set(field, content[field]);
+    }
+    course.sections = [...content.sections, ...missingSections];
+    course.modules = [...modules, ...missingModules];
+    course.renumberModules();
+  }
+
+  // Method to record the content of courses published before revisions existed as
+  // revision 1, so that their first publish can be rolled back too
+  async recordBaseline(course) {
+    if (!(await CourseRevision.exists({ course: course._id }))) {
+      await CourseRevision.create({
+        course: course._id,
+        number: 1,
+        changelog: 'Initial version',
+        content: this.getContent(course),
+        publishedBy: course.creator._id,
+        publishedAt: course.createdAt
+      });
+    }
+    course.revision = Math.max(course.revision, 1);
+  }
+
+  // Method to save the course's new content as its next revision
+  async saveRevision(course, userId, changelog, rolledBackTo = null) {
+    course.revision += 1;
+    course.lastUpdated = new Date();
+    await course.save();
+
+    return CourseRevision.create({
+      course: course._id,
+      number: course.revision,
+      changelog,
+      content: this.getContent(course),
+      publishedBy: userId,
+      rolledBackTo
+    });
+  }
+
+  // Method to publish a course's draft as its next revision
+  async publish(course, userId, changelog = '') {
+    const draft = await this.findDraft(course._id);
+    if (!draft) {
+      throw new AppError('There are no unpublished changes', 400);
+    }
+
+    await this.recordBaseline(course);
+    this.applyContent(course, this.getContent(draft));
+    const revision = await this.saveRevision(course, userId, changelog);
+    await CourseDraft.deleteOne({ _id: course._id });
+    return revision;
+  }
+
+  // Method to publish the content of an earlier revision again
+  async rollback(course, number, userId, changelog = '') {
+    if (await CourseDraft.exists({ _id: course._id })) {
+      throw new AppError('Publish or discard your unpublished changes before rolling back', 409);
+    }
+    if (number === course.revision) {
+      throw new AppError('This revision is already published', 400);
+    }
+
+    const target = await CourseRevision.findOne({ course: course._id, number });
+    if (!target) {
+      throw new AppError('Revision not found', 404);
+    }
+
+    this.applyContent(course, target.content, { hideMissingModules: true });
+    return this.saveRevision(course, userId, changelog || `Rolled back to revision ${number}`, number);
+  }
+
+  // Method to throw away a course's draft, with the files attached to modules that
+  // were never published
+  async discardDraft(course) {
+    const draft = await this.findDraft(course._id);
+    if (!draft) {
+      throw new AppError('There are no unpublished changes', 400);
+    }
+
+    await CourseDraft.deleteOne({ _id: course._id });
+    const publishedFiles = new Set(
+      course.modules.filter(module => module.file).map(module => module.file.storageName)
+    );
+    await LessonService.removeFiles(
+      draft.modules
+        .filter(module => module.file && !publishedFiles.has(module.file.storageName))
+        .map(module => module.file.storageName)
+    );
+  }
+
+  // Method to list a course's revisions, newest first, without their content
+  async listRevisions(courseId) {
+    return CourseRevision.find({ course: courseId })
+      .select('-content')
+      .populate('publishedBy', 'username firstName lastName')
+      .sort({ number: -1 });
+  }
+}
+
+export default new CourseRevisionService();
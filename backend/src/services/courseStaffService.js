@@ -0,0 +1,160 @@
+import Course from '../models/Course.js';
+import CourseInvitation from '../models/CourseInvitation.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const USER_FIELDS = 'username firstName lastName avatar';
+
+const ROLE_LABELS = {
+  editor: 'co-author',
+  ta: 'teaching assistant'
+};
+
+// Co-authors and teaching assistants of a course, and the invitations that add them
+class CourseStaffService {
+  // Method to list a course's owner and staff
+  async getStaff(course) {
+    await course.populate([
+      { path: 'creator', select: USER_FIELDS },
+      { path: 'staff.user', select: USER_FIELDS }
+    ]);
+
+    return {
+      owner: course.creator,
+      staff: course.staff.filter(member => member.user)
+    };
+  }
+
+  // Method to invite a user to a course's staff by username
+  async invite(course, username, role, invitedBy) {
+    const user = await User.findOne({ username, isActive: true }).select(USER_FIELDS);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    if (course.getStaffRole(user._id) !== null) {
+      throw new AppError(`${user.username} is already on this course's staff`, 400);
+    }
+
+    let invitation;
+    try {
+      invitation = await CourseInvitation.create({
+        course: course._id,
+        user: user._id,
+        role,
+        invitedBy: invitedBy._id
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(`${user.username} already has a pending invitation to this course`, 409);
+      }
+      throw error;
+    }
+
+    await Notification.create({
+      user: user._id,
+      type: 'course_invitation',
+      title: `Invitation to help with "${course.title}"`,
+      message: `${invitedBy.username} invited you to join "${course.title}" as a ${ROLE_LABELS[role]}.`,
+      link: '/invitations',
+      course: course._id,
+      data: { invitationId: invitation._id, role }
+    });
+
+    invitation.user = user;
+    return invitation;
+  }
+
+  // Method to list a course's pending invitations
+  async listInvitations(courseId) {
+    return CourseInvitation.find({ course: courseId, status: 'pending' })
+      .populate('user', USER_FIELDS)
+      .populate('invitedBy', 'username')
+      .sort({ createdAt: -1 });
+  }
+
+  // Method to withdraw a pending invitation
+  async revokeInvitation(course, invitationId) {
+    const invitation = await CourseInvitation.findOneAndUpdate(
+      { _id: invitationId, course: course._id, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) {
+      throw new AppError('Invitation not found', 404);
+    }
+    return invitation;
+  }
+
+  // Method to list the invitations waiting for a user's answer
+  async getPendingInvitations(userId) {
+    return CourseInvitation.find({ user: userId, status: 'pending' })
+      .populate('course', 'title slug thumbnail')
+      .populate('invitedBy', USER_FIELDS)
+      .sort({ createdAt: -1 });
+  }
+
+  // Method to accept or decline an invitation. Accepting adds the user to the course's
+  // staff with the invited role.
+  async respond(invitationId, user, accept) {
+    const invitation = await CourseInvitation.findOne({
+      _id: invitationId,
+      user: user._id,
+      status: 'pending'
+    });
+    if (!invitation) {
+      throw new AppError('Invitation not found', 404);
+    }
+
+    if (accept) {
+      // Only joins once, even if the user was added in the meantime or became the owner
+      await Course.updateOne(
+        { _id: invitation.course, creator: { $ne: user._id }, 'staff.user': { $ne: user._id } },
+        { $push: { staff: { user: user._id, role: invitation.role } } }
+      );
+    }
+
+    invitation.status = accept ? 'accepted' : 'declined';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    const course = await Course.findById(invitation.course).select('title slug');
+    if (course) {
+      await Notification.create({
+        user: invitation.invitedBy,
+        type: 'course_invitation',
+        title: `${user.username} ${invitation.status} your invitation`,
+        message: `${user.username} ${invitation.status} your invitation to join "${course.title}" as a ${ROLE_LABELS[invitation.role]}.`,
+        link: `/courses/${course.slug}/edit`,
+        course: course._id
+      });
+    }
+
+    return { invitation, course };
+  }
+
+  // Method to change a staff member's role
+  async changeRole(course, userId, role) {
+    const member = course.staff.find(entry => entry.user.equals(userId));
+    if (!member) {
+      throw new AppError('Staff member not found', 404);
+    }
+
+    member.role = role;
+    await course.save({ validateModifiedOnly: true });
+    return member;
+  }
+
+  // Method to take a user off a course's staff
+  async removeMember(course, userId) {
+    const member = course.staff.find(entry => entry.user.equals(userId));
+    if (!member) {
+      throw new AppError('Staff member not found', 404);
+    }
+
+    course.staff.pull(member._id);
+    await course.save({ validateModifiedOnly: true });
+  }
+}
+
+export default new CourseStaffService();
@@ -0,0 +1,158 @@
+import Course from '../models/Course.js';
+import YouTubeService from './youtubeService.js';
+import CourseHealthService from './courseHealthService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Keeps a course's playlist sections in step with their source playlists
+class CourseSyncService {
+  // Diff each playlist section against its playlist-sourced modules by videoId.
+  // Always reads the playlists fresh; options.critical lets it spend past the daily quota budget.
+  // Modules added by hand or from other sections are never retired or reordered by a resync.
+  async resyncCourse(course, options = {}) {
+    const { critical = true } = options;
+
+    course.ensureDefaultSection();
+    const playlistSections = course.getPlaylistSections();
+    if (playlistSections.length === 0) {
+      throw new AppError('This course has no playlist sections to sync', 400);
+    }
+
+    const result = { added: 0, retired: 0, restored: 0, reordered: 0, unavailable: 0 };
+    const previousOrders = new Map(course.modules.map(module => [module._id.toString(), module.order]));
+    const newlyUnavailable = [];
+
+    for (const section of playlistSections) {
+      const playlistItems = await YouTubeService.getPlaylistVideos(section.playlistId, Infinity, null, { critical, fresh: true });
+      const { videos } = YouTubeService.filterImportableVideos(playlistItems);
+
+      // Never retire a whole section because of an empty or failed fetch
+      if (videos.length === 0) {
+        throw new Error(`Playlist for "${section.title}" returned no available videos; course left unchanged`);
+      }
+
+      const inSection = (module) => String(module.section) === section._id.toString();
+      const sectionModules = course.modules
+        .filter(module => inSection(module))
+        .sort((a, b) => a.order - b.order);
+      const previousLayout = sectionModules.filter(module => !module.isRetired);
+      const playlistModules = sectionModules.filter(module => module.source === 'playlist');
+      const modulesByVideoId = new Map(playlistModules.map(module => [module.videoId, module]));
+
+      // Videos still in the playlist but no longer watchable keep their module, flagged
+      // rather than retired; they are never added as new modules
+      const seenVideoIds = new Set();
+      const liveItems = playlistItems.filter(item => {
+        if (!item.id || seenVideoIds.has(item.id)) return false;
+        seenVideoIds.add(item.id);
+        return item.isAvailable || modulesByVideoId.has(item.id);
+      });
+      const liveVideoIds = new Set(liveItems.map(item => item.id));
+
+      const livePlaylistModules = liveItems.map(video => {
+        let module = modulesByVideoId.get(video.id);
+
+        if (!module) {
+          course.modules.push({
+            ...YouTubeService.buildModule(video, 0),
+            section: section._id,
+            source: 'playlist'
+          });
+          result.added += 1;
+          return course.modules[course.modules.length - 1];
+        }
+
+        if (module.isRetired) {
+          module.isRetired = false;
+          module.retiredAt = null;
+          result.restored += 1;
+        }
+
+        // Courses imported before chapters were parsed pick them up here
+        if (!module.segments?.length && video.isAvailable) {
+          module.segments = YouTubeService.parseChapters(video.description, video.duration);
+        }
+
+        const wasAvailable = (module.availability?.status || 'available') === 'available';
+        course.setModuleAvailability(module, video.availability);
+        if (wasAvailable && video.availability !== 'available') {
+          newlyUnavailable.push(module);
+        }
+        return module;
+      });
+
+      // Removed videos are retired; renumberModules moves them after the live ones
+      playlistModules
+        .filter(module => !liveVideoIds.has(module.videoId) && !module.isRetired)
+        .forEach(module => {
+          module.isRetired = true;
+          module.retiredAt = new Date();
+          result.retired += 1;
+        });
+
+      // Other modules in the section keep their slots; the slots held by playlist
+      // modules are refilled in current playlist order, and new videos go last
+      const queue = [...livePlaylistModules];
+      const layout = previousLayout
+        .map(module => (module.source === 'playlist' ? queue.shift() : module))
+        .filter(Boolean);
+      [...layout, ...queue].forEach((module, index) => {
+        module.order = index + 1;
+      });
+    }
+
+    course.renumberModules();
+
+    // Progress is keyed by module id, so renumbering never moves a learner's completions
+    result.reordered = course.modules.filter(module =>
+      previousOrders.has(module._id.toString()) && previousOrders.get(module._id.toString()) !== module.order
+    ).length;
+
+    result.unavailable = newlyUnavailable.length;
+
+    course.sync.lastSyncedAt = new Date();
+    course.sync.lastResult = result;
+    course.sync.lastError = null;
+    if (result.added || result.retired || result.restored || result.reordered || result.unavailable) {
+      course.lastUpdated = new Date();
+    }
+    await course.save();
+
+    if (newlyUnavailable.length > 0) {
+      await CourseHealthService.notifyCreator(course, newlyUnavailable);
+    }
+
+    return result;
+  }
+
+  // Resync every active course that has syncing enabled and at least one playlist
+  async resyncAllCourses() {
+    const courses = await Course.find({
+      isActive: true,
+      'sync.enabled': { $ne: false },
+      $or: [
+        { playlistId: { $exists: true, $ne: null } },
+        { 'sections.sourceType': 'playlist' }
+      ]
+    });
+    const summary = { synced: 0, failed: 0 };
+
+    for (const course of courses) {
+      try {
+        // Scheduled resyncs can wait a day if the quota budget is spent
+        await this.resyncCourse(course, { critical: false });
+        summary.synced += 1;
+      } catch (error) {
+        console.error(`Resync failed for course ${course._id}:`, error);
+        summary.failed += 1;
+        await Course.updateOne(
+          { _id: course._id },
+          { $set: { 'sync.lastError': error.message } }
+        );
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default new CourseSyncService();
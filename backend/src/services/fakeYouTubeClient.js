@@ -0,0 +1,215 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/youtube'
+);
+
+const MAX_PAGE_SIZE = 50;
+
+const encodePageToken = (offset) => Buffer.from(`offset:${offset}`).toString('base64url');
+
+const decodePageToken = (pageToken) => {
+  const match = Buffer.from(pageToken, 'base64url').toString().match(/^offset:(\d+)$/);
+  return match ? parseInt(match[1]) : null;
+};
+
+// Build an error shaped like the ones googleapis throws for API failures
+const apiError = (status, reason, message) => {
+  const error = new Error(message);
+  error.code = status;
+  error.errors = [{ domain: 'youtube', reason, message }];
+  error.response = {
+    status,
+    data: { error: { code: status, message, errors: error.errors } }
+  };
+  return error;
+};
+
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).filter(Boolean);
+};
+
+// Stand-in for google.youtube({ version: 'v3' }) that serves recorded fixtures
+// instead of calling the network. Select it with YOUTUBE_CLIENT=fake.
+//
+// Each fixtures/youtube/playlists/<playlistId>.json holds:
+//   playlist   the playlists.list resource (omit to simulate a private playlist)
+//   items      playlistItems.list resources, in playlist order
+//   videos     videos.list resources; leave deleted/private videos out, as the API does
+//   pageSize   optional cap on items per page, to exercise paging with small fixtures
+//   error      optional { status, reason, message } returned for every call on the playlist
+//   captions   optional { <videoId>: { <language>: "WEBVTT ..." } } served by timedText()
+// search.json holds search.list resources, matched against the query by title.
+// channels.json holds channels.list resources, looked up by id, handle (snippet.customUrl)
+// or a fixture-only username field. A channel's uploads playlist is an ordinary
+// playlist fixture, newest first.
+class FakeYouTubeClient {
+  constructor(fixturesDir = process.env.YOUTUBE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+    this.fixturesDir = fixturesDir;
+    this.calls = [];
+    this.reset();
+
+    this.playlists = { list: (params) => this.handle('playlists', params) };
+    this.playlistItems = { list: (params) => this.handle('playlistItems', params) };
+    this.videos = { list: (params) => this.handle('videos', params) };
+    this.search = { list: (params) => this.handle('search', params) };
+    this.channels = { list: (params) => this.handle('channels', params) };
+  }
+
+  // Method to reload fixtures from disk, dropping any overrides
+  reset() {
+    this.playlistFixtures = new Map();
+    this.searchResults = [];
+    this.channelResults = [];
+    this.calls = [];
+
+    const playlistsDir = path.join(this.fixturesDir, 'playlists');
+    if (fs.existsSync(playlistsDir)) {
+      for (const fileName of fs.readdirSync(playlistsDir).filter(name => name.endsWith('.json'))) {
+        const fixture = JSON.parse(fs.readFileSync(path.join(playlistsDir, fileName), 'utf8'));
+        this.playlistFixtures.set(path.basename(fileName, '.json'), fixture);
+      }
+    }
+
+    const searchFile = path.join(this.fixturesDir, 'search.json');
+    if (fs.existsSync(searchFile)) {
+      this.searchResults = JSON.parse(fs.readFileSync(searchFile, 'utf8'));
+    }
+
+    const channelsFile = path.join(this.fixturesDir, 'channels.json');
+    if (fs.existsSync(channelsFile)) {
+      this.channelResults = JSON.parse(fs.readFileSync(channelsFile, 'utf8'));
+    }
+  }
+
+  // Method to add or replace a playlist fixture, e.g. to simulate a playlist changing before a resync
+  setPlaylist(playlistId, fixture) {
+    this.playlistFixtures.set(playlistId, fixture);
+  }
+
+  async handle(resource, params = {}) {
+    this.calls.push({ resource, params });
+    const data = this[`list${resource[0].toUpperCase()}${resource.slice(1)}`](params);
+    return { data: JSON.parse(JSON.stringify(data)), status: 200 };
+  }
+
+  // Stand-in for the public timedtext endpoint, which isn't part of the Data API
+  async timedText(params = {}) {
+    this.calls.push({ resource: 'timedtext', params });
+    for (const fixture of this.playlistFixtures.values()) {
+      const vtt = fixture.captions?.[params.v]?.[params.lang];
+      if (vtt) return vtt;
+    }
+    return '';
+  }
+
+  throwFixtureError(fixture) {
+    if (fixture?.error) {
+      const { status = 500, reason = 'backendError', message = 'Backend Error' } = fixture.error;
+      throw apiError(status, reason, message);
+    }
+  }
+
+  listPlaylists(params) {
+    const items = [];
+    for (const playlistId of toArray(params.id)) {
+      const fixture = this.playlistFixtures.get(playlistId);
+      this.throwFixtureError(fixture);
+      if (fixture?.playlist) items.push(fixture.playlist);
+    }
+
+    return {
+      kind: 'youtube#playlistListResponse',
+      pageInfo: { totalResults: items.length, resultsPerPage: items.length },
+      items
+    };
+  }
+
+  listPlaylistItems(params) {
+    const fixture = this.playlistFixtures.get(params.playlistId);
+    this.throwFixtureError(fixture);
+
+    if (!fixture || !fixture.playlist) {
+      throw apiError(404, 'playlistNotFound', 'The playlist identified with the request\'s playlistId parameter cannot be found.');
+    }
+
+    let offset = 0;
+    if (params.pageToken) {
+      offset = decodePageToken(params.pageToken);
+      if (offset === null) {
+        throw apiError(400, 'invalidPageToken', 'The request specifies an invalid page token.');
+      }
+    }
+
+    const items = fixture.items || [];
+    const pageSize = Math.min(params.maxResults || 5, fixture.pageSize || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    const nextOffset = offset + pageSize;
+
+    return {
+      kind: 'youtube#playlistItemListResponse',
+      ...(nextOffset < items.length && { nextPageToken: encodePageToken(nextOffset) }),
+      ...(offset > 0 && { prevPageToken: encodePageToken(Math.max(offset - pageSize, 0)) }),
+      pageInfo: { totalResults: items.length, resultsPerPage: pageSize },
+      items: items.slice(offset, nextOffset)
+    };
+  }
+
+  listVideos(params) {
+    const ids = toArray(params.id);
+    if (ids.length > MAX_PAGE_SIZE) {
+      throw apiError(400, 'invalidParameter', 'The request specifies more than 50 video ids.');
+    }
+
+    const videosById = new Map();
+    for (const fixture of this.playlistFixtures.values()) {
+      for (const video of fixture.videos || []) {
+        videosById.set(video.id, video);
+      }
+    }
+
+    // Unknown, deleted and private videos are silently left out, like the real API
+    const items = ids.map(id => videosById.get(id)).filter(Boolean);
+    return {
+      kind: 'youtube#videoListResponse',
+      pageInfo: { totalResults: items.length, resultsPerPage: items.length },
+      items
+    };
+  }
+
+  listChannels(params) {
+    const ids = toArray(params.id);
+    const handle = params.forHandle?.replace(/^@/, '').toLowerCase();
+    const username = params.forUsername?.toLowerCase();
+
+    const items = this.channelResults.filter(channel =>
+      ids.includes(channel.id) ||
+      (handle && channel.snippet.customUrl?.replace(/^@/, '').toLowerCase() === handle) ||
+      (username && channel.username?.toLowerCase() === username)
+    );
+    return {
+      kind: 'youtube#channelListResponse',
+      pageInfo: { totalResults: items.length, resultsPerPage: items.length },
+      items
+    };
+  }
+
+  listSearch(params) {
+    const terms = String(params.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const items = this.searchResults
+      .filter(result => !params.type || result.id.kind === `youtube#${params.type}`)
+      .filter(result => terms.every(term => result.snippet.title.toLowerCase().includes(term)))
+      .slice(0, params.maxResults || 5);
+
+    return {
+      kind: 'youtube#searchListResponse',
+      pageInfo: { totalResults: items.length, resultsPerPage: items.length },
+      items
+    };
+  }
+}
+
+export default FakeYouTubeClient;
@@ -0,0 +1,27 @@
+import { google } from 'googleapis';
+import axios from 'axios';
+
+const TIMEDTEXT_URL = 'https://www.youtube.com/api/timedtext';
+
+// The YouTube client YouTubeService calls: the Data API resources it lists from, plus
+// the public timedtext endpoint captions are read from, which isn't part of the Data API.
+// FakeYouTubeClient answers the same calls from fixtures.
+class GoogleYouTubeClient {
+  constructor(apiKey) {
+    const api = google.youtube({ version: 'v3', auth: apiKey });
+
+    this.playlists = api.playlists;
+    this.playlistItems = api.playlistItems;
+    this.videos = api.videos;
+    this.search = api.search;
+    this.channels = api.channels;
+  }
+
+  // Method to fetch a caption track; resolves to the response body
+  async timedText(params = {}) {
+    const response = await axios.get(TIMEDTEXT_URL, { params, timeout: 10000, responseType: 'text' });
+    return response.data;
+  }
+}
+
+export default GoogleYouTubeClient;
@@ -0,0 +1,145 @@
+import Course from '../models/Course.js';
+import ImportJob from '../models/ImportJob.js';
+import CourseBuilder from './courseBuilder.js';
+import TranscriptService from './transcriptService.js';
+
+// Jobs that have not reported progress for this long are considered abandoned
+const STALLED_AFTER_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// In-process worker for playlist imports. Jobs live in Mongo, so a job
+// queued before a restart is picked up again by the next drain.
+class ImportQueue {
+  constructor() {
+    this.draining = false;
+  }
+
+  // Queue a new import and wake up the worker
+  async enqueue(userId, sources, options = {}) {
+    const playlistId = CourseBuilder.getSinglePlaylistId(sources);
+    const job = new ImportJob({
+      user: userId,
+      sources,
+      playlistUrl: playlistId ? sources[0].url : null,
+      playlistId,
+      options
+    });
+    await job.save();
+
+    // Don't hold the request open while the import runs
+    setImmediate(() => this.drain());
+
+    return job;
+  }
+
+  // Process queued jobs one at a time until none are left
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      let job = await this.claimNextJob();
+      while (job) {
+        await this.runJob(job);
+        job = await this.claimNextJob();
+      }
+    } catch (error) {
+      console.error('Import queue error:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  // Atomically move the oldest queued job to running
+  async claimNextJob() {
+    return ImportJob.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: { status: 'running', startedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  async runJob(job) {
+    try {
+      // Jobs queued before multi-source imports only carry a playlist URL
+      const sources = job.sources?.length ? job.sources : [{ type: 'playlist', url: job.playlistUrl }];
+      const result = await CourseBuilder.buildCourse(
+        sources,
+        job.user,
+        job.options,
+        async (stage, progress) => {
+          job.setStage(stage, progress);
+          await job.save();
+        }
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      job.setStage('saving', 95);
+      await job.save();
+
+      // Another job may have converted the same playlist in the meantime
+      if (result.course.playlistId) {
+        const existingCourse = await Course.findOne({ playlistId: result.course.playlistId });
+        if (existingCourse) {
+          throw new Error('This playlist has already been converted to a course');
+        }
+      }
+
+      // Same-titled courses get -2, -3, ... slugs
+      const course = new Course(result.course);
+      await course.saveWithUniqueSlug();
+
+      job.setStage('fetching_captions', 97);
+      await job.save();
+
+      // Captions are a nice-to-have, so a failure here doesn't fail the import
+      let captions = null;
+      try {
+        captions = await TranscriptService.importCaptions(course);
+      } catch (error) {
+        console.error(`Caption import for course ${course._id} failed:`, error.message);
+      }
+
+      job.setStage('done', 100);
+      job.status = 'completed';
+      job.course = course._id;
+      job.stats = { ...result.stats, captions };
+      job.finishedAt = new Date();
+      await job.save();
+    } catch (error) {
+      console.error(`Import job ${job._id} failed:`, error);
+      job.fail(error.message);
+      await job.save();
+    }
+  }
+
+  // Requeue jobs whose worker died mid-import, or give up on them
+  async recoverStalledJobs() {
+    const stalledBefore = new Date(Date.now() - STALLED_AFTER_MS);
+    const stalledJobs = await ImportJob.find({
+      status: 'running',
+      updatedAt: { $lt: stalledBefore }
+    });
+
+    for (const job of stalledJobs) {
+      if (job.attempts >= MAX_ATTEMPTS) {
+        job.fail('Import stalled and was abandoned after several attempts');
+      } else {
+        job.status = 'queued';
+        job.stage = 'queued';
+        job.progress = 0;
+      }
+      await job.save();
+    }
+
+    return stalledJobs.length;
+  }
+}
+
+export default new ImportQueue();
@@ -0,0 +1,192 @@
+import Course from '../models/Course.js';
+import LearningPath from '../models/LearningPath.js';
+import PathEnrollment from '../models/PathEnrollment.js';
+import Progress from '../models/Progress.js';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const COURSE_FIELDS = 'title slug thumbnail description category difficulty totalModules totalDuration isActive isPublic';
+
+// Enrollment, progress roll-up and completion rewards for learning paths
+class LearningPathService {
+  // Method to load a path with the member course details the roll-up needs
+  async findPath(filter) {
+    return LearningPath.findOne(filter)
+      .populate('creator', 'username firstName lastName avatar')
+      .populate('courses.course', COURSE_FIELDS);
+  }
+
+  // Method to work out whether a path course is still locked by its prerequisites.
+  // Returns null when it can be started, otherwise what is still needed.
+  getCourseLock(entry, completedCourseIds, titles) {
+    const missing = entry.prerequisites
+      .map(id => id.toString())
+      .filter(id => titles.has(id) && !completedCourseIds.has(id));
+    if (missing.length === 0) return null;
+
+    return {
+      reason: missing.length === 1
+        ? `Complete "${titles.get(missing[0])}" to unlock this course`
+        : `Complete ${missing.length} courses to unlock this course`,
+      requiredCourses: missing.map(id => ({ _id: id, title: titles.get(id) }))
+    };
+  }
+
+  // Method to roll a learner's course Progress up into path progress. Expects the
+  // path's courses to be populated; courses deleted since are left out.
+  async getRollup(path, userId = null) {
+    const entries = path.courses.filter(entry => entry.course);
+    const progressRecords = userId
+      ? await Progress.find({
+        user: userId,
+        course: { $in: entries.map(entry => entry.course._id) }
+      }).select('course overallProgress isCompleted')
+      : [];
+
+    const progressByCourse = new Map(progressRecords.map(record => [record.course.toString(), record]));
+    const completedCourseIds = new Set(
+      progressRecords.filter(record => record.isCompleted).map(record => record.course.toString())
+    );
+    const titles = new Map(entries.map(entry => [entry.course._id.toString(), entry.course.title]));
+
+    const courses = entries.map(entry => {
+      const courseId = entry.course._id.toString();
+      const progress = progressByCourse.get(courseId);
+      const isCompleted = completedCourseIds.has(courseId);
+      return {
+        courseId,
+        isEnrolled: !!progress,
+        isCompleted,
+        // Custom completion rules can complete a course below 100%
+        progress: isCompleted ? 100 : (progress?.overallProgress || 0),
+        lock: this.getCourseLock(entry, completedCourseIds, titles)
+      };
+    });
+
+    const completedCourses = courses.filter(course => course.isCompleted).length;
+    return {
+      courses,
+      completedCourses,
+      totalCourses: courses.length,
+      overallProgress: courses.length > 0
+        ? Math.round(courses.reduce((sum, course) => sum + course.progress, 0) / courses.length)
+        : 0,
+      isCompleted: courses.length > 0 && completedCourses === courses.length
+    };
+  }
+
+  // Method to enroll a learner in a path. Learners who already finished every
+  // course are rewarded straight away.
+  async enroll(path, userId) {
+    if (!path.isPublic || !path.isActive) {
+      throw new AppError('Learning path is not available for enrollment', 403);
+    }
+    if (await PathEnrollment.exists({ user: userId, path: path._id })) {
+      throw new AppError('Already enrolled in this learning path', 400);
+    }
+
+    const enrollment = await PathEnrollment.create({ user: userId, path: path._id });
+    await LearningPath.updateOne({ _id: path._id }, { $inc: { totalEnrollments: 1 } });
+
+    const completion = await this.checkCompletion(path, enrollment);
+    return { enrollment, completion };
+  }
+
+  // Method to start one of a path's courses, enforcing the path's prerequisites
+  async enrollInCourse(path, courseId, userId) {
+    const entry = path.courses.find(item => item.course && item.course._id.toString() === courseId);
+    if (!entry) {
+      throw new AppError('Course is not part of this learning path', 404);
+    }
+    if (!(await PathEnrollment.exists({ user: userId, path: path._id }))) {
+      throw new AppError('Enroll in the learning path first', 400);
+    }
+
+    const rollup = await this.getRollup(path, userId);
+    const { lock } = rollup.courses.find(item => item.courseId === courseId);
+    if (lock) {
+      throw new AppError(lock.reason, 403);
+    }
+
+    const existingProgress = await Progress.findOne({ user: userId, course: courseId });
+    if (existingProgress) {
+      return { progress: existingProgress, alreadyEnrolled: true };
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course.isPublic || !course.isActive) {
+      throw new AppError('Course is not available for enrollment', 403);
+    }
+
+    const progress = await Progress.create({ user: userId, course: courseId });
+    course.enrollUser(userId);
+    await course.save();
+    await User.updateOne({ _id: userId }, { $inc: { totalCoursesEnrolled: 1 } });
+
+    return { progress, alreadyEnrolled: false };
+  }
+
+  // Method to reward a path enrollment the first time all of its courses are completed
+  async checkCompletion(path, enrollment) {
+    const result = { path: { _id: path._id, title: path.title, slug: path.slug }, pathCompleted: false, completionXP: 0, leveledUp: false };
+    if (enrollment.isCompleted) return result;
+
+    const rollup = await this.getRollup(path, enrollment.user);
+    if (!rollup.isCompleted) return result;
+
+    // Flip the flag in the database first so concurrent requests can't reward twice
+    const completedAt = new Date();
+    const { modifiedCount } = await PathEnrollment.updateOne(
+      { _id: enrollment._id, isCompleted: false },
+      { $set: { isCompleted: true, completedAt } }
+    );
+    if (modifiedCount === 0) return result;
+    enrollment.isCompleted = true;
+    enrollment.completedAt = completedAt;
+
+    await LearningPath.updateOne({ _id: path._id }, { $inc: { totalCompletions: 1 } });
+
+    const user = await User.findById(enrollment.user);
+    const xpResult = user.addXP(path.completionXP ?? 0);
+    user.addBadge(`Path: ${path.title}`, `Completed the learning path "${path.title}"`, '🧭');
+    await user.save();
+
+    return {
+      ...result,
+      pathCompleted: true,
+      completionXP: xpResult.xpGained,
+      leveledUp: xpResult.leveledUp,
+      newLevel: xpResult.newLevel
+    };
+  }
+
+  // Method to check the learner's paths containing a course they just completed;
+  // returns the paths that this completion finished
+  async handleCourseCompleted(userId, courseId) {
+    const pathIds = await LearningPath.find({ 'courses.course': courseId }).distinct('_id');
+    if (pathIds.length === 0) return [];
+
+    const enrollments = await PathEnrollment.find({ user: userId, path: { $in: pathIds }, isCompleted: false });
+    const completedPaths = [];
+    for (const enrollment of enrollments) {
+      const path = await LearningPath.findById(enrollment.path).populate('courses.course', 'title');
+      const completion = await this.checkCompletion(path, enrollment);
+      if (completion.pathCompleted) completedPaths.push(completion);
+    }
+    return completedPaths;
+  }
+
+  // Method to drop a deleted course from every path, along with prerequisites on it
+  async removeCourse(courseId) {
+    await LearningPath.updateMany(
+      { 'courses.course': courseId },
+      { $pull: { courses: { course: courseId } } }
+    );
+    await LearningPath.updateMany(
+      { 'courses.prerequisites': courseId },
+      { $pull: { 'courses.$[].prerequisites': courseId } }
+    );
+  }
+}
+
+export default new LearningPathService();
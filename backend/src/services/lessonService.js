@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getProvider } from './providers/index.js';
+import { getResourceDir } from '../middleware/upload.js';
+
+const WORDS_PER_MINUTE = 200;
+
+// How a learner completes each kind of module
+const COMPLETION_RULES = {
+  video: 'watch', // watch it through, or mark it complete
+  article: 'read', // mark it as read
+  link: 'visit', // open the link
+  file: 'download' // download the file; can't be marked complete by hand
+};
+
+// Builds and renders the non-video modules: articles, links and file attachments
+class LessonService {
+  // Method to estimate how long a markdown article takes to read, in seconds
+  estimateReadingTime(markdown) {
+    const words = markdown
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/[#>*_`~[\]()!-]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .length;
+    return Math.max(60, Math.round((words / WORDS_PER_MINUTE) * 60));
+  }
+
+  // Method to get Course module fields for an article, link or file lesson
+  buildLesson(type, { title, description, body, url, file }, order) {
+    const lesson = {
+      type,
+      title,
+      description: description || '',
+      source: 'manual',
+      duration: 0,
+      order,
+      xpReward: 10
+    };
+
+    if (type === 'article') {
+      lesson.article = { body };
+      lesson.duration = this.estimateReadingTime(body);
+    } else if (type === 'link') {
+      lesson.link = { url };
+    } else if (type === 'file') {
+      lesson.file = {
+        storageName: file.filename,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      };
+    }
+
+    return lesson;
+  }
+
+  // Method to get how a module is completed (see COMPLETION_RULES)
+  getCompletionRule(module) {
+    return COMPLETION_RULES[module.type] || COMPLETION_RULES.video;
+  }
+
+  // Method to get what the frontend needs to render a module of any type
+  getPlayerConfig(module) {
+    const completionRule = this.getCompletionRule(module);
+
+    switch (module.type) {
+      case 'article':
+        return { renderer: 'article', body: module.article.body, completionRule };
+      case 'link':
+        return { renderer: 'link', url: module.link.url, completionRule };
+      case 'file':
+        return {
+          renderer: 'file',
+          fileName: module.file.fileName,
+          mimeType: module.file.mimeType,
+          size: module.file.size,
+          completionRule
+        };
+      default:
+        return { ...getProvider(module.provider).getPlayerConfig(module), completionRule };
+    }
+  }
+
+  // Method to get the stored path of a file module's attachment, or null when it is missing
+  async findFile(module) {
+    const resourceDir = getResourceDir();
+    const filePath = path.resolve(resourceDir, module.file.storageName);
+    if (!filePath.startsWith(resourceDir + path.sep)) return null;
+
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Method to store copies of attachments under new names, for a course copy whose files
+  // must outlive the original's. Returns the new name for each copied file; missing
+  // files are left out.
+  async copyFiles(storageNames) {
+    const resourceDir = getResourceDir();
+    const copies = new Map();
+    for (const storageName of new Set(storageNames)) {
+      const source = path.resolve(resourceDir, storageName);
+      if (!source.startsWith(resourceDir + path.sep)) continue;
+
+      const copyName = `${crypto.randomBytes(16).toString('hex')}${path.extname(storageName)}`;
+      try {
+        await fs.copyFile(source, path.join(resourceDir, copyName));
+        copies.set(storageName, copyName);
+      } catch (error) {
+        console.error(`Failed to copy resource file ${storageName}:`, error.message);
+      }
+    }
+    return copies;
+  }
+
+  // Method to store an attachment that didn't come through an upload, e.g. from a course
+  // package; returns its storage name
+  async storeFile(buffer, fileName) {
+    const resourceDir = getResourceDir();
+    const storageName = `${crypto.randomBytes(16).toString('hex')}${path.extname(fileName).toLowerCase()}`;
+    await fs.mkdir(resourceDir, { recursive: true });
+    await fs.writeFile(path.join(resourceDir, storageName), buffer);
+    return storageName;
+  }
+
+  // Method to delete stored attachments, e.g. an upload whose module was rejected
+  // or the files of a deleted course. Missing files are ignored.
+  async removeFiles(storageNames) {
+    const resourceDir = getResourceDir();
+    await Promise.all(storageNames.map(async (storageName) => {
+      const filePath = path.resolve(resourceDir, storageName);
+      if (!filePath.startsWith(resourceDir + path.sep)) return;
+      try {
+        await fs.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Failed to remove resource file ${storageName}:`, error.message);
+        }
+      }
+    }));
+  }
+}
+
+export default new LessonService();
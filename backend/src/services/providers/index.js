@@ -0,0 +1,37 @@
+import youtubeProvider from './youtubeProvider.js';
+import vimeoProvider from './vimeoProvider.js';
+import directMediaProvider from './directMediaProvider.js';
+
+// Every video provider implements the same interface:
+//   name                       provider key stored on each module
+//   matches(url)               whether the provider understands the URL
+//   resolveSource(url, opts)   { provider, type, id, url } for the URL
+//   listItems(source)          normalized items (id, title, duration, videoUrl, ...)
+//   getMetadata(itemId)        a single normalized item
+//   buildModule(item, order)   Course module fields for an item
+//   getPlayerConfig(module)    what the frontend needs to render the module
+const providers = [youtubeProvider, vimeoProvider, directMediaProvider];
+
+const getProvider = (name) => {
+  const provider = providers.find(p => p.name === (name || 'youtube'));
+  if (!provider) {
+    throw new Error(`Unknown video provider: ${name}`);
+  }
+  return provider;
+};
+
+const resolveProvider = (url) => {
+  const provider = providers.find(p => p.matches(url));
+  if (!provider) {
+    throw new Error('Unsupported video URL');
+  }
+  return provider;
+};
+
+const providerNames = providers.map(provider => provider.name);
+
+export {
+  getProvider,
+  resolveProvider,
+  providerNames
+};
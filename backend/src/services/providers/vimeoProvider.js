@@ -0,0 +1,71 @@
+import axios from 'axios';
+
+// Single Vimeo videos, described through Vimeo's public oEmbed endpoint
+const vimeoProvider = {
+  name: 'vimeo',
+
+  matches(url) {
+    return /^https?:\/\/(www\.|player\.)?vimeo\.com\//.test(url);
+  },
+
+  resolveSource(url) {
+    const match = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+    if (!match) {
+      throw new Error('Invalid Vimeo video URL');
+    }
+    return { provider: this.name, type: 'video', id: match[1], url };
+  },
+
+  async listItems(source) {
+    return [await this.getMetadata(source.id)];
+  },
+
+  async getMetadata(videoId) {
+    try {
+      const videoUrl = `https://vimeo.com/${videoId}`;
+      const response = await axios.get('https://vimeo.com/api/oembed.json', {
+        params: { url: videoUrl },
+        timeout: 10000
+      });
+
+      return {
+        id: String(response.data.video_id || videoId),
+        title: response.data.title,
+        description: response.data.description,
+        thumbnail: response.data.thumbnail_url,
+        channelTitle: response.data.author_name,
+        duration: response.data.duration || 0,
+        videoUrl,
+        isAvailable: true
+      };
+    } catch (error) {
+      console.error('Error fetching Vimeo video info:', error.message);
+      throw new Error('Failed to fetch Vimeo video information');
+    }
+  },
+
+  buildModule(item, order) {
+    return {
+      title: item.title,
+      description: (item.description || 'No description available').substring(0, 1000),
+      provider: this.name,
+      videoId: item.id,
+      videoUrl: item.videoUrl,
+      thumbnail: item.thumbnail,
+      duration: item.duration,
+      order,
+      xpReward: 10
+    };
+  },
+
+  getPlayerConfig(module) {
+    return {
+      renderer: 'vimeo',
+      videoId: module.videoId,
+      url: module.videoUrl,
+      embedUrl: `https://player.vimeo.com/video/${module.videoId}`
+    };
+  }
+};
+
+export default vimeoProvider;
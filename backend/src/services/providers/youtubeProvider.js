@@ -0,0 +1,50 @@
+import YouTubeService from '../youtubeService.js';
+
+// YouTube videos and playlists, backed by the YouTube Data API
+const youtubeProvider = {
+  name: 'youtube',
+
+  matches(url) {
+    return /^https?:\/\/(www\.|m\.)?(youtube\.com|youtu\.be)\//.test(url);
+  },
+
+  // Work out whether the URL points at a playlist or a single video.
+  // Watch URLs inside a playlist count as the playlist unless preferVideo is set.
+  resolveSource(url, { preferVideo = false } = {}) {
+    const isWatchUrl = /[?&]v=|youtu\.be\/[^?]/.test(url);
+    if (YouTubeService.validateYouTubeUrl(url) && !(preferVideo && isWatchUrl)) {
+      return { provider: this.name, type: 'playlist', id: YouTubeService.extractPlaylistId(url), url };
+    }
+    return { provider: this.name, type: 'video', id: YouTubeService.extractVideoId(url), url };
+  },
+
+  async listItems(source) {
+    if (source.type === 'playlist') {
+      const playlistItems = await YouTubeService.getPlaylistVideos(source.id);
+      return YouTubeService.filterImportableVideos(playlistItems).videos;
+    }
+    return [await this.getMetadata(source.id)];
+  },
+
+  async getMetadata(videoId) {
+    const video = await YouTubeService.getVideoInfo(videoId);
+    return { ...video, isAvailable: video.availability === 'available' };
+  },
+
+  buildModule(item, order) {
+    return {
+      ...YouTubeService.buildModule(item, order),
+      provider: this.name
+    };
+  },
+
+  getPlayerConfig(module) {
+    return {
+      renderer: 'youtube',
+      videoId: module.videoId,
+      embedUrl: YouTubeService.getEmbedUrl(module.videoId)
+    };
+  }
+};
+
+export default youtubeProvider;
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import ApiQuotaUsage from '../models/ApiQuotaUsage.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Quota units charged by the YouTube Data API for each list call
+const UNIT_COSTS = {
+  channels: 1,
+  playlists: 1,
+  playlistItems: 1,
+  videos: 1,
+  search: 100
+};
+
+// The API's own default daily allowance
+const DEFAULT_DAILY_BUDGET = 10000;
+
+// Reasons the API gives when the project's own quota is used up
+const API_QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+
+// YouTube quota days start at midnight Pacific time
+const getQuotaDay = (date = new Date()) =>
+  date.toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+
+// Tallies the quota cost of YouTube API calls and enforces a daily budget.
+// Critical calls (imports, on-demand resyncs) always go through; everything
+// else is refused once the budget is spent.
+class QuotaLedger {
+  constructor() {
+    this.day = null;
+    this.units = 0;
+    this.calls = {};
+    this.refused = 0;
+  }
+
+  get dailyBudget() {
+    const budget = parseInt(process.env.YOUTUBE_DAILY_QUOTA);
+    return Number.isNaN(budget) ? DEFAULT_DAILY_BUDGET : budget;
+  }
+
+  get persistent() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  getCost(resource) {
+    return UNIT_COSTS[resource] ?? 1;
+  }
+
+  // Start a fresh tally when the quota day changes, picking up what other processes spent
+  async rollover() {
+    const today = getQuotaDay();
+    if (this.day === today) return;
+
+    this.day = today;
+    this.units = 0;
+    this.calls = {};
+    this.refused = 0;
+
+    if (this.persistent) {
+      try {
+        const usage = await ApiQuotaUsage.findOne({ day: today }).lean();
+        if (usage) {
+          this.units = usage.units;
+          this.calls = { ...usage.calls };
+          this.refused = usage.refused;
+        }
+      } catch (error) {
+        console.error('Error loading YouTube quota usage:', error.message);
+      }
+    }
+  }
+
+  // Method to record a call before it is made; throws when a non-critical call would exceed the budget
+  async charge(resource, { critical = true } = {}) {
+    await this.rollover();
+    const cost = this.getCost(resource);
+
+    if (!critical && this.units + cost > this.dailyBudget) {
+      this.refused += 1;
+      await this.persist({ refused: 1 });
+
+      throw this.quotaExceededError();
+    }
+
+    this.units += cost;
+    this.calls[resource] = (this.calls[resource] || 0) + 1;
+    await this.persist({ units: cost, [`calls.${resource}`]: 1 });
+  }
+
+  // Method to build the error callers get once no more calls can be made today
+  quotaExceededError() {
+    const error = new AppError('YouTube API daily quota budget reached. Please try again tomorrow.', 429);
+    error.code = 'QUOTA_EXCEEDED';
+    return error;
+  }
+
+  // Method to check whether an API error means the project's quota ran out, which the
+  // API reports as a 403 rather than the ledger's own budget check
+  isApiQuotaError(error) {
+    const errors = error?.errors || error?.response?.data?.error?.errors || [];
+    return errors.some(({ reason }) => API_QUOTA_REASONS.includes(reason));
+  }
+
+  async persist(increments) {
+    if (!this.persistent) return;
+
+    try {
+      const usage = await ApiQuotaUsage.findOneAndUpdate(
+        { day: this.day },
+        { $inc: increments },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      ).lean();
+
+      // Other server instances spend from the same budget
+      this.units = usage.units;
+    } catch (error) {
+      console.error('Error saving YouTube quota usage:', error.message);
+    }
+  }
+
+  // Method to summarise today's spending
+  async getUsage() {
+    await this.rollover();
+
+    return {
+      day: this.day,
+      units: this.units,
+      budget: this.dailyBudget,
+      remaining: Math.max(this.dailyBudget - this.units, 0),
+      calls: this.calls,
+      refused: this.refused
+    };
+  }
+}
+
+export default new QuotaLedger();
@@ -0,0 +1,173 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import archiver from 'archiver';
+import LessonService from './lessonService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../templates/scorm');
+// Launch page and runtime copied into every package; course-data.js is generated
+const RUNTIME_FILES = ['index.html', 'scorm-api.js', 'player.js', 'styles.css'];
+const SCORM_VERSIONS = ['1.2', '2004'];
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Courses wrapped as SCORM packages for other LMSs. A package is a single SCO: one launch
+// page with every live module's player and quiz, which tracks completion in suspend_data and
+// reports the course completion status and average quiz score to the LMS.
+class ScormExportService {
+  // Method to get what the launch page needs about the published course. Quiz answers are
+  // included, as the package grades quizzes without PlayLMS.
+  getCourseData(course, version) {
+    const modules = course.modules
+      .filter(module => !module.isRetired && !module.isHidden)
+      .sort((a, b) => a.order - b.order);
+    const moduleIndex = new Map(modules.map((module, index) => [module._id.toString(), index]));
+    const sectionTitles = new Map(course.sections.map(section => [section._id.toString(), section.title]));
+    const requiredModules = (course.customCompletion?.requiredModules || [])
+      .map(id => moduleIndex.get(id.toString()))
+      .filter(index => index !== undefined);
+
+    return {
+      scormVersion: version,
+      title: course.title,
+      description: course.description,
+      completion: {
+        criteria: course.completionCriteria,
+        percentage: course.completionPercentage,
+        requiredModules,
+        requireQuizPass: course.completionCriteria === 'custom' && !!course.customCompletion?.requireQuizPass
+      },
+      modules: modules.map(module => {
+        const player = LessonService.getPlayerConfig(module);
+        return {
+          title: module.title,
+          description: module.description || '',
+          section: sectionTitles.get(String(module.section)) || null,
+          type: module.type,
+          player: module.type === 'file'
+            ? { ...player, href: `files/${module.file.storageName}` }
+            : player,
+          quiz: module.quiz?.questions?.length > 0
+            ? {
+                passingScore: module.quiz.passingScore,
+                questions: module.quiz.questions.map(({ question, options, correctOption }) => ({
+                  question,
+                  options,
+                  correctOption
+                }))
+              }
+            : null
+        };
+      })
+    };
+  }
+
+  // Method to build imsmanifest.xml for the package's single SCO
+  buildManifest(course, version, files) {
+    const identifier = `playlms-${course._id}`;
+    const title = escapeXml(course.title);
+    const fileEntries = files.map(file => `      <file href="${escapeXml(file)}"/>`).join('\n');
+
+    if (version === '2004') {
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1"
+  xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 4th Edition</schemaversion>
+  </metadata>
+  <organizations default="${identifier}-org">
+    <organization identifier="${identifier}-org">
+      <title>${title}</title>
+      <item identifier="${identifier}-item" identifierref="${identifier}-sco">
+        <title>${title}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="${identifier}-sco" type="webcontent" adlcp:scormType="sco" href="index.html">
+${fileEntries}
+    </resource>
+  </resources>
+</manifest>
+`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="${identifier}-org">
+    <organization identifier="${identifier}-org">
+      <title>${title}</title>
+      <item identifier="${identifier}-item" identifierref="${identifier}-sco">
+        <title>${title}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="${identifier}-sco" type="webcontent" adlcp:scormtype="sco" href="index.html">
+${fileEntries}
+    </resource>
+  </resources>
+</manifest>
+`;
+  }
+
+  // Method to build the SCORM zip for a course, for the caller to pipe and finalize.
+  // Attachments are checked first, so a missing file is reported instead of cutting the
+  // download short.
+  async createPackage(course, version = '1.2') {
+    if (!SCORM_VERSIONS.includes(version)) {
+      throw new AppError(`Unsupported SCORM version ${version}`, 400);
+    }
+
+    const data = this.getCourseData(course, version);
+    if (data.modules.length === 0) {
+      throw new AppError('The course has no visible modules to export', 400);
+    }
+
+    const attachments = [];
+    for (const module of course.modules.filter(module => module.file && !module.isRetired && !module.isHidden)) {
+      const filePath = await LessonService.findFile(module);
+      if (!filePath) {
+        throw new AppError(`The attachment of "${module.title}" is missing and can't be exported`, 409);
+      }
+      attachments.push({ filePath, name: `files/${module.file.storageName}` });
+    }
+
+    const files = [...RUNTIME_FILES, 'course-data.js', ...attachments.map(attachment => attachment.name)];
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.append(this.buildManifest(course, version, files), { name: 'imsmanifest.xml' });
+    for (const file of RUNTIME_FILES) {
+      archive.file(path.join(TEMPLATE_DIR, file), { name: file });
+    }
+    // Loaded with a script tag, as launch pages opened from the file system can't fetch JSON
+    archive.append(`window.PLAYLMS_COURSE = ${JSON.stringify(data).replace(/</g, '\\u003c')};\n`, { name: 'course-data.js' });
+    for (const { filePath, name } of attachments) {
+      archive.file(filePath, { name });
+    }
+
+    return archive;
+  }
+}
+
+export default new ScormExportService();
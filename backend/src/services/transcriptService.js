@@ -0,0 +1,163 @@
+import Transcript from '../models/Transcript.js';
+import YouTubeService from './youtubeService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// 00:01:02,500 (SRT) or 00:01:02.500 / 01:02.500 (WebVTT)
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+const CUE_TIMING = new RegExp(`^\\s*${TIMESTAMP.source}\\s*-->\\s*${TIMESTAMP.source}`);
+
+const getCaptionLanguages = () => (process.env.CAPTION_LANGUAGES || 'en')
+  .split(',')
+  .map(language => language.trim().toLowerCase())
+  .filter(Boolean);
+
+class TranscriptService {
+  // Method to convert a cue timestamp to seconds
+  parseTimestamp(hours, minutes, seconds, millis) {
+    return (parseInt(hours || 0) * 3600) +
+      (parseInt(minutes) * 60) +
+      parseInt(seconds) +
+      (parseInt(millis.padEnd(3, '0')) / 1000);
+  }
+
+  // Method to tell SRT from WebVTT by file name or content
+  detectFormat(content, fileName = '') {
+    if (/\.vtt$/i.test(fileName) || content.replace(/^\uFEFF/, '').startsWith('WEBVTT')) {
+      return 'vtt';
+    }
+    if (/\.srt$/i.test(fileName) || CUE_TIMING.test(content.split(/\r?\n/).find(line => line.includes('-->')) || '')) {
+      return 'srt';
+    }
+    return null;
+  }
+
+  // Method to parse SRT or WebVTT into [{ startTime, endTime, text }].
+  // Both formats are blank-line separated blocks with a "start --> end" line;
+  // anything before the timing line (SRT counters, VTT cue ids) is ignored,
+  // as are VTT NOTE/STYLE/REGION blocks and inline tags.
+  parse(content) {
+    const cues = [];
+    const blocks = content
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .split(/\n{2,}/);
+
+    for (const block of blocks) {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) continue;
+
+      const match = lines[timingIndex].match(CUE_TIMING);
+      if (!match) continue;
+
+      const text = lines.slice(timingIndex + 1)
+        .map(line => line.replace(/<[^>]+>/g, '').trim())
+        .filter(Boolean)
+        .join('\n');
+      if (!text) continue;
+
+      const startTime = this.parseTimestamp(match[1], match[2], match[3], match[4]);
+      const endTime = this.parseTimestamp(match[5], match[6], match[7], match[8]);
+
+      // Auto-generated captions repeat the previous line while the next one scrolls in
+      const previous = cues[cues.length - 1];
+      if (previous && previous.text === text) {
+        previous.endTime = Math.max(previous.endTime, endTime);
+        continue;
+      }
+
+      cues.push({ startTime, endTime: Math.max(endTime, startTime), text });
+    }
+
+    return cues.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // Method to keep the cues inside a clip, with times made relative to its start
+  clipCues(cues, { start, end }) {
+    return cues
+      .filter(cue => cue.endTime > start && cue.startTime < end)
+      .map(cue => ({
+        ...cue,
+        startTime: Math.max(cue.startTime, start) - start,
+        endTime: Math.min(cue.endTime, end) - start
+      }));
+  }
+
+  // Method to store a transcript for a module, replacing any in the same language
+  async saveTranscript(course, module, { content, fileName, language, label, source = 'upload', uploadedBy = null }) {
+    const format = this.detectFormat(content, fileName);
+    if (!format) {
+      throw new AppError('Transcript must be an SRT or WebVTT file', 400);
+    }
+
+    let cues = this.parse(content);
+    // YouTube captions cover the whole video; clip modules only keep their part
+    if (source === 'youtube' && module.clip) {
+      cues = this.clipCues(cues, module.clip);
+    }
+    if (cues.length === 0) {
+      throw new AppError('Transcript has no caption cues', 400);
+    }
+
+    return Transcript.findOneAndUpdate(
+      { course: course._id, module: module._id, language: language.toLowerCase() },
+      { label, source, format, cues, uploadedBy },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Method to pull YouTube captions for a course's modules in the configured languages.
+  // Uploaded transcripts are never overwritten; missing captions are simply skipped.
+  async importCaptions(course, languages = getCaptionLanguages()) {
+    const result = { imported: 0, skipped: 0 };
+
+    const modules = course.modules.filter(module =>
+      !module.isRetired &&
+      module.type === 'video' &&
+      (module.provider || 'youtube') === 'youtube' &&
+      module.availability?.status !== 'deleted'
+    );
+
+    for (const module of modules) {
+      const existing = await Transcript.find({ course: course._id, module: module._id }).select('language');
+      const existingLanguages = new Set(existing.map(transcript => transcript.language));
+
+      for (const language of languages) {
+        if (existingLanguages.has(language)) {
+          result.skipped++;
+          continue;
+        }
+
+        const vtt = await YouTubeService.getCaptions(module.videoId, language);
+        if (!vtt) {
+          result.skipped++;
+          continue;
+        }
+
+        try {
+          await this.saveTranscript(course, module, {
+            content: vtt,
+            language,
+            label: `${language.toUpperCase()} (YouTube captions)`,
+            source: 'youtube'
+          });
+          result.imported++;
+        } catch (error) {
+          console.error(`Failed to store ${language} captions for module ${module._id}:`, error.message);
+          result.skipped++;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Method to get a module's transcripts, with cues, for the player
+  async getModuleTranscripts(courseId, moduleId) {
+    return Transcript.find({ course: courseId, module: moduleId })
+      .select('language label source format cues updatedAt')
+      .sort({ language: 1 });
+  }
+}
+
+export default new TranscriptService();
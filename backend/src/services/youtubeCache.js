@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import ApiCacheEntry from '../models/ApiCacheEntry.js';
+
+// Default time-to-live per YouTube resource, in seconds.
+// Override one with YOUTUBE_CACHE_TTL_<RESOURCE>, e.g. YOUTUBE_CACHE_TTL_PLAYLISTITEMS=300
+const DEFAULT_TTLS = {
+  channels: 6 * 60 * 60,
+  playlists: 60 * 60,
+  playlistItems: 15 * 60,
+  videos: 6 * 60 * 60,
+  search: 60 * 60
+};
+
+const MAX_MEMORY_ENTRIES = 2000;
+
+// In-memory cache for YouTube API responses, optionally backed by MongoDB
+class YouTubeCache {
+  constructor() {
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  // Persist entries to MongoDB when YOUTUBE_CACHE_PERSIST=true and the database is up
+  get persistent() {
+    return process.env.YOUTUBE_CACHE_PERSIST === 'true' && mongoose.connection.readyState === 1;
+  }
+
+  getTtl(resource) {
+    const override = parseInt(process.env[`YOUTUBE_CACHE_TTL_${resource.toUpperCase()}`]);
+    return Number.isNaN(override) ? (DEFAULT_TTLS[resource] ?? 0) : override;
+  }
+
+  buildKey(resource, key) {
+    return `${resource}:${key}`;
+  }
+
+  // Method to read a cached value; resolves to undefined on a miss
+  async get(resource, key) {
+    const cacheKey = this.buildKey(resource, key);
+    const entry = this.entries.get(cacheKey);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits += 1;
+      return entry.value;
+    }
+    this.entries.delete(cacheKey);
+
+    if (this.persistent) {
+      try {
+        const stored = await ApiCacheEntry.findOne({ key: cacheKey, expiresAt: { $gt: new Date() } }).lean();
+        if (stored) {
+          this.remember(cacheKey, stored.value, stored.expiresAt.getTime());
+          this.stats.hits += 1;
+          return stored.value;
+        }
+      } catch (error) {
+        console.error('Error reading YouTube cache entry:', error.message);
+      }
+    }
+
+    this.stats.misses += 1;
+    return undefined;
+  }
+
+  // Method to store a value for the resource's TTL
+  async set(resource, key, value) {
+    const ttl = this.getTtl(resource);
+    if (ttl <= 0) return;
+
+    const cacheKey = this.buildKey(resource, key);
+    const expiresAt = Date.now() + ttl * 1000;
+    this.remember(cacheKey, value, expiresAt);
+
+    if (this.persistent) {
+      try {
+        await ApiCacheEntry.updateOne(
+          { key: cacheKey },
+          { key: cacheKey, resource, value, expiresAt: new Date(expiresAt) },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error('Error writing YouTube cache entry:', error.message);
+      }
+    }
+  }
+
+  remember(cacheKey, value, expiresAt) {
+    // Maps keep insertion order, so the first key is the oldest entry
+    if (!this.entries.has(cacheKey) && this.entries.size >= MAX_MEMORY_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(cacheKey, { value, expiresAt });
+  }
+
+  // Method to drop every cached entry, optionally for one resource only
+  async clear(resource = null) {
+    for (const cacheKey of this.entries.keys()) {
+      if (!resource || cacheKey.startsWith(`${resource}:`)) {
+        this.entries.delete(cacheKey);
+      }
+    }
+
+    if (this.persistent) {
+      await ApiCacheEntry.deleteMany(resource ? { resource } : {});
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      persistent: this.persistent
+    };
+  }
+}
+
+export default new YouTubeCache();
@@ -1,22 +1,38 @@
-import { google } from 'googleapis';
-import axios from 'axios';
 import dotenv from 'dotenv';
+import YouTubeCache from './youtubeCache.js';
+import QuotaLedger from './quotaLedger.js';
+import GoogleYouTubeClient from './googleYouTubeClient.js';
+import FakeYouTubeClient from './fakeYouTubeClient.js';
 
 // Load environment variables
 dotenv.config();
+
+// Channel imports read at most this many recent uploads
+const MAX_CHANNEL_UPLOADS = 500;
+const DEFAULT_CHANNEL_VIDEOS = 50;
+
 class YouTubeService {
   constructor() {
+    // Serve recorded fixtures instead of calling the API (offline development and tests)
+    if (process.env.YOUTUBE_CLIENT === 'fake') {
+      this.youtube = new FakeYouTubeClient();
+      console.log('YouTube service using fixture-backed fake client from', this.youtube.fixturesDir);
+      return;
+    }
+
     if (!process.env.YOUTUBE_API_KEY) {
       console.warn('YouTube API key not found in environment variables');
     }
     
-    this.youtube = google.youtube({
-      version: 'v3',
-      auth: process.env.YOUTUBE_API_KEY
-    });
+    this.youtube = new GoogleYouTubeClient(process.env.YOUTUBE_API_KEY);
     
     console.log('YouTube service initialized with API key:', process.env.YOUTUBE_API_KEY ? 'Present' : 'Missing');
   }
+  // Whether API calls can be made at all
+  isConfigured() {
+    return process.env.YOUTUBE_CLIENT === 'fake' || Boolean(process.env.YOUTUBE_API_KEY);
+  }
+
   extractPlaylistId(url) {
     const patterns = [
       /(?:youtube\.com\/playlist\?list=|youtu\.be\/.*\?list=)([^&]+)/,
@@ -32,22 +48,49 @@ class YouTubeService {
 
     throw new Error('Invalid YouTube playlist URL');
   }
-  async getPlaylistDetails(playlistId) {
+
+  // Make a YouTube API list call through the response cache and the quota ledger.
+  // options.critical: keep going past the daily budget (imports, on-demand resyncs)
+  // options.fresh: skip cached data but still refresh the cache
+  async request(resource, params, cacheKey = null, options = {}) {
+    const { critical = true, fresh = false } = options;
+
+    if (cacheKey && !fresh) {
+      const cached = await YouTubeCache.get(resource, cacheKey);
+      if (cached !== undefined) {
+        return cached;
+      }
+    }
+
+    await QuotaLedger.charge(resource, { critical });
+    let response;
+    try {
+      response = await this.youtube[resource].list(params);
+    } catch (error) {
+      // Callers pass QUOTA_EXCEEDED errors on, so users learn the quota ran out
+      throw QuotaLedger.isApiQuotaError(error) ? QuotaLedger.quotaExceededError() : error;
+    }
+
+    if (cacheKey) {
+      await YouTubeCache.set(resource, cacheKey, response.data);
+    }
+    return response.data;
+  }
+
+  async getPlaylistDetails(playlistId, options = {}) {
     try {
       console.log('Fetching playlist details for ID:', playlistId);
       
-      const response = await this.youtube.playlists.list({
+      const data = await this.request('playlists', {
         part: ['snippet', 'contentDetails'],
         id: [playlistId]
-      });
+      }, playlistId, options);
 
-      console.log('Playlist API response:', response.data);
-
-      if (!response.data.items || response.data.items.length === 0) {
+      if (!data.items || data.items.length === 0) {
         throw new Error('Playlist not found');
       }
 
-      const playlist = response.data.items[0];
+      const playlist = data.items[0];
       const details = {
         id: playlist.id,
         title: playlist.snippet.title,
@@ -64,82 +107,149 @@ class YouTubeService {
     } catch (error) {
       console.error('Error fetching playlist details:', error);
       console.error('Error details:', error.response?.data || error.message);
+      if (error.code === 'QUOTA_EXCEEDED') throw error;
       throw new Error('Failed to fetch playlist details');
     }
   }
-  async getPlaylistVideos(playlistId, maxResults = 50) {
+  async getPlaylistVideos(playlistId, maxResults = Infinity, onPage = null, options = {}) {
     try {
-      const videos = [];
+      const items = [];
       let nextPageToken = null;
 
+      // Page through the whole playlist (the API returns at most 50 items per page).
+      // Always ask for full pages so a short preview warms the cache for the import.
       do {
-        const response = await this.youtube.playlistItems.list({
-          part: ['snippet', 'contentDetails'],
+        const data = await this.request('playlistItems', {
+          part: ['snippet', 'contentDetails', 'status'],
           playlistId: playlistId,
-          maxResults: Math.min(maxResults, 50),
+          maxResults: 50,
           pageToken: nextPageToken
-        });
-
-        const items = response.data.items || [];
-        
-        // Get video details for each item
-        const videoIds = items.map(item => item.contentDetails.videoId);
-        const videoDetails = await this.getVideoDetails(videoIds);
-
-        // Combine playlist item data with video details
-        const combinedVideos = items.map((item, index) => {
-          const videoDetail = videoDetails.find(v => v.id === item.contentDetails.videoId);
-          return {
-            id: item.contentDetails.videoId,
-            title: item.snippet.title,
-            description: item.snippet.description,
-            thumbnail: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.medium?.url,
-            channelTitle: item.snippet.channelTitle,
-            channelId: item.snippet.channelId,
-            publishedAt: item.snippet.publishedAt,
-            position: item.snippet.position,
-            duration: videoDetail?.duration || 0,
-            viewCount: videoDetail?.viewCount || 0,
-            likeCount: videoDetail?.likeCount || 0,
-            videoUrl: `https://www.youtube.com/watch?v=${item.contentDetails.videoId}`
-          };
-        });
+        }, `${playlistId}:${nextPageToken || 'first'}`, options);
 
-        videos.push(...combinedVideos);
-        nextPageToken = response.data.nextPageToken;
+        items.push(...(data.items || []));
+        nextPageToken = data.nextPageToken;
 
-        // Limit total results
-        if (videos.length >= maxResults) {
-          videos.splice(maxResults);
-          break;
+        if (onPage) {
+          await onPage(Math.min(items.length, maxResults));
         }
-
-      } while (nextPageToken);
-
-      return videos;
+      } while (nextPageToken && items.length < maxResults);
+      items.splice(maxResults);
+
+      // Get video details for every item in one batched pass
+      const videoIds = items.map(item => item.contentDetails?.videoId).filter(Boolean);
+      const videoDetails = await this.getVideoDetails(videoIds, options);
+      const detailsById = new Map(videoDetails.map(video => [video.id, video]));
+
+      // Combine playlist item data with video details
+      return items.map(item => {
+        const videoId = item.contentDetails?.videoId;
+        const videoDetail = detailsById.get(videoId);
+        const availability = this.classifyPlaylistItem(item, videoDetail);
+        return {
+          id: videoId,
+          title: item.snippet.title,
+          description: item.snippet.description,
+          thumbnail: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.medium?.url,
+          channelTitle: item.snippet.channelTitle,
+          channelId: item.snippet.channelId,
+          publishedAt: item.snippet.publishedAt,
+          position: item.snippet.position,
+          duration: videoDetail?.duration || 0,
+          viewCount: videoDetail?.viewCount || 0,
+          likeCount: videoDetail?.likeCount || 0,
+          videoUrl: `https://www.youtube.com/watch?v=${videoId}`,
+          availability,
+          isAvailable: availability === 'available'
+        };
+      });
     } catch (error) {
       console.error('Error fetching playlist videos:', error);
+      if (error.code === 'QUOTA_EXCEEDED') throw error;
       throw new Error('Failed to fetch playlist videos');
     }
   }
-  async getVideoDetails(videoIds) {
+  async getVideoDetails(videoIds, options = {}) {
     try {
-      const response = await this.youtube.videos.list({
-        part: ['contentDetails', 'statistics'],
-        id: videoIds
-      });
+      const details = [];
+      const missingIds = [];
+
+      // Details are cached per video, so overlapping batches only fetch what is new
+      for (const videoId of videoIds) {
+        const cached = options.fresh ? undefined : await YouTubeCache.get('videos', `details:${videoId}`);
+        if (cached !== undefined) {
+          details.push(cached);
+        } else {
+          missingIds.push(videoId);
+        }
+      }
 
-      return response.data.items.map(video => ({
-        id: video.id,
-        duration: this.parseDuration(video.contentDetails.duration),
-        viewCount: parseInt(video.statistics.viewCount) || 0,
-        likeCount: parseInt(video.statistics.likeCount) || 0,
-        commentCount: parseInt(video.statistics.commentCount) || 0
-      }));
+      // videos.list accepts at most 50 ids per call
+      for (let i = 0; i < missingIds.length; i += 50) {
+        const data = await this.request('videos', {
+          part: ['contentDetails', 'statistics', 'status'],
+          id: missingIds.slice(i, i + 50)
+        }, null, options);
+
+        for (const video of data.items || []) {
+          const detail = {
+            id: video.id,
+            duration: this.parseDuration(video.contentDetails.duration),
+            viewCount: parseInt(video.statistics.viewCount) || 0,
+            likeCount: parseInt(video.statistics.likeCount) || 0,
+            commentCount: parseInt(video.statistics.commentCount) || 0,
+            availability: this.classifyVideo(video)
+          };
+          details.push(detail);
+          await YouTubeCache.set('videos', `details:${video.id}`, detail);
+        }
+      }
+
+      return details;
     } catch (error) {
       console.error('Error fetching video details:', error);
-      return [];
+      // Without details every video would look deleted, so fail the whole fetch
+      if (error.code === 'QUOTA_EXCEEDED') throw error;
+      throw new Error('Failed to fetch video details');
+    }
+  }
+
+  // Region used to decide whether a region-restricted video counts as blocked
+  get region() {
+    return (process.env.YOUTUBE_REGION || 'US').toUpperCase();
+  }
+
+  // Classify a videos.list resource as available or the reason it cannot be watched
+  classifyVideo(video) {
+    const status = video.status || {};
+    const regionRestriction = video.contentDetails?.regionRestriction;
+
+    if (['deleted', 'failed', 'rejected'].includes(status.uploadStatus)) {
+      return 'deleted';
+    }
+    if (status.privacyStatus === 'private') {
+      return 'private';
+    }
+    if (regionRestriction && (
+      regionRestriction.blocked?.includes(this.region) ||
+      (regionRestriction.allowed && !regionRestriction.allowed.includes(this.region))
+    )) {
+      return 'region_blocked';
+    }
+    if (status.embeddable === false) {
+      return 'not_embeddable';
+    }
+    return 'available';
+  }
+
+  // videos.list leaves out deleted and private videos, so fall back to the playlist item
+  classifyPlaylistItem(item, videoDetail) {
+    if (videoDetail) {
+      return videoDetail.availability || 'available';
+    }
+    if (item.status?.privacyStatus === 'private' || item.snippet?.title === 'Private video') {
+      return 'private';
     }
+    return 'deleted';
   }
   parseDuration(duration) {
     const match = duration.match(/PT(\d+H)?(\d+M)?(\d+S)?/);
@@ -162,17 +272,18 @@ class YouTubeService {
   }
 
   // Search for playlists
+  // Search costs 100 quota units, so it is never treated as critical
   async searchPlaylists(query, maxResults = 10) {
     try {
-      const response = await this.youtube.search.list({
+      const data = await this.request('search', {
         part: ['snippet'],
         q: query,
         type: 'playlist',
         maxResults: maxResults,
         order: 'relevance'
-      });
+      }, `playlists:${query.trim().toLowerCase()}:${maxResults}`, { critical: false });
 
-      return response.data.items.map(item => ({
+      return data.items.map(item => ({
         id: item.id.playlistId,
         title: item.snippet.title,
         description: item.snippet.description,
@@ -183,6 +294,7 @@ class YouTubeService {
       }));
     } catch (error) {
       console.error('Error searching playlists:', error);
+      if (error.code === 'QUOTA_EXCEEDED') throw error;
       throw new Error('Failed to search playlists');
     }
   }
@@ -203,6 +315,112 @@ class YouTubeService {
     return patterns.some(pattern => pattern.test(url));
   }
 
+  // Validate a single video URL (watch, youtu.be, embed, shorts or live links)
+  validateYouTubeVideoUrl(url) {
+    if (!/^https?:\/\/(www\.|m\.)?(youtube\.com|youtu\.be)\//.test(url)) {
+      return false;
+    }
+    try {
+      return /^[\w-]{11}$/.test(this.extractVideoId(url));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Parse a channel URL into the lookup channels.list supports.
+  // Legacy /c/ custom URLs have no API lookup, so they are not accepted.
+  extractChannelRef(url) {
+    const patterns = [
+      { type: 'id', pattern: /^https?:\/\/(?:www\.|m\.)?youtube\.com\/channel\/(UC[\w-]+)(?:[/?#]|$)/ },
+      { type: 'handle', pattern: /^https?:\/\/(?:www\.|m\.)?youtube\.com\/@([\w.-]{3,30})(?:[/?#]|$)/ },
+      { type: 'username', pattern: /^https?:\/\/(?:www\.|m\.)?youtube\.com\/user\/([\w-]+)(?:[/?#]|$)/ }
+    ];
+
+    for (const { type, pattern } of patterns) {
+      const match = url.match(pattern);
+      if (match) {
+        return { type, value: match[1] };
+      }
+    }
+
+    throw new Error('Invalid YouTube channel URL');
+  }
+
+  // Validate a channel URL (/channel/UC..., /@handle or /user/name)
+  validateYouTubeChannelUrl(url) {
+    try {
+      this.extractChannelRef(url);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Work out what a YouTube URL points at: 'playlist', 'video', 'channel' or null.
+  // Watch URLs inside a playlist count as the playlist, as in validateYouTubeUrl.
+  getYouTubeUrlType(url) {
+    if (this.validateYouTubeUrl(url)) return 'playlist';
+    if (this.validateYouTubeVideoUrl(url)) return 'video';
+    if (this.validateYouTubeChannelUrl(url)) return 'channel';
+    return null;
+  }
+
+  // Get a channel's details, including the id of its uploads playlist
+  async getChannelDetails(channelUrl, options = {}) {
+    const ref = this.extractChannelRef(channelUrl);
+    const lookup = {
+      id: { id: [ref.value] },
+      handle: { forHandle: ref.value },
+      username: { forUsername: ref.value }
+    }[ref.type];
+
+    try {
+      const data = await this.request('channels', {
+        part: ['snippet', 'contentDetails', 'statistics'],
+        ...lookup
+      }, `${ref.type}:${ref.value.toLowerCase()}`, options);
+
+      if (!data.items || data.items.length === 0) {
+        throw new Error('Channel not found');
+      }
+
+      const channel = data.items[0];
+      return {
+        id: channel.id,
+        title: channel.snippet.title,
+        description: channel.snippet.description,
+        thumbnail: channel.snippet.thumbnails?.high?.url || channel.snippet.thumbnails?.medium?.url,
+        customUrl: channel.snippet.customUrl,
+        uploadsPlaylistId: channel.contentDetails.relatedPlaylists.uploads,
+        videoCount: parseInt(channel.statistics?.videoCount) || 0
+      };
+    } catch (error) {
+      console.error('Error fetching channel details:', error);
+      if (error.code === 'QUOTA_EXCEEDED' || error.message === 'Channel not found') throw error;
+      throw new Error('Failed to fetch channel details');
+    }
+  }
+
+  // Get a channel's uploads, oldest first, limited to a publish date range.
+  // The uploads playlist lists newest first and only the most recent
+  // MAX_CHANNEL_UPLOADS are read, so very old ranges on big channels come back short.
+  async getChannelUploads(uploadsPlaylistId, filters = {}, onPage = null, options = {}) {
+    const { publishedAfter, publishedBefore, maxVideos = DEFAULT_CHANNEL_VIDEOS } = filters;
+    const after = publishedAfter ? new Date(publishedAfter) : null;
+    const before = publishedBefore ? new Date(publishedBefore) : null;
+
+    const uploads = await this.getPlaylistVideos(uploadsPlaylistId, MAX_CHANNEL_UPLOADS, onPage, options);
+
+    return uploads
+      .filter(video => {
+        const publishedAt = new Date(video.publishedAt);
+        return (!after || publishedAt >= after) && (!before || publishedAt <= before);
+      })
+      .reverse()
+      .slice(0, maxVideos)
+      .map((video, index) => ({ ...video, position: index }));
+  }
+
   // Get video thumbnail in different qualities
   getVideoThumbnails(videoId) {
     return {
@@ -217,9 +435,8 @@ class YouTubeService {
   // Extract video ID from various YouTube URL formats
   extractVideoId(url) {
     const patterns = [
-      /(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&\n?#]+)/,
-      /youtube\.com\/embed\/([^&\n?#]+)/,
-      /youtube\.com\/v\/([^&\n?#]+)/
+      /(?:youtube\.com\/watch\?(?:.*&)?v=|youtu\.be\/)([^&\n?#]+)/,
+      /youtube\.com\/(?:embed|v|shorts|live)\/([^&\n?#]+)/
     ];
 
     for (const pattern of patterns) {
@@ -233,18 +450,18 @@ class YouTubeService {
   }
 
   // Get video information by ID
-  async getVideoInfo(videoId) {
+  async getVideoInfo(videoId, options = {}) {
     try {
-      const response = await this.youtube.videos.list({
-        part: ['snippet', 'contentDetails', 'statistics'],
+      const data = await this.request('videos', {
+        part: ['snippet', 'contentDetails', 'statistics', 'status'],
         id: [videoId]
-      });
+      }, `info:${videoId}`, options);
 
-      if (!response.data.items || response.data.items.length === 0) {
+      if (!data.items || data.items.length === 0) {
         throw new Error('Video not found');
       }
 
-      const video = response.data.items[0];
+      const video = data.items[0];
       return {
         id: video.id,
         title: video.snippet.title,
@@ -257,101 +474,139 @@ class YouTubeService {
         viewCount: parseInt(video.statistics.viewCount) || 0,
         likeCount: parseInt(video.statistics.likeCount) || 0,
         commentCount: parseInt(video.statistics.commentCount) || 0,
-        videoUrl: `https://www.youtube.com/watch?v=${video.id}`
+        videoUrl: `https://www.youtube.com/watch?v=${video.id}`,
+        availability: this.classifyVideo(video)
       };
     } catch (error) {
       console.error('Error fetching video info:', error);
+      if (error.code === 'QUOTA_EXCEEDED') throw error;
       throw new Error('Failed to fetch video information');
     }
   }
 
-  // Create LMS course from YouTube playlist
-  async createCourseFromPlaylist(playlistUrl, creatorId, courseData = {}) {
-    try {
-      // Validate URL
-      if (!this.validateYouTubeUrl(playlistUrl)) {
-        throw new Error('Invalid YouTube playlist URL');
-      }
-
-      // Extract playlist ID
-      const playlistId = this.extractPlaylistId(playlistUrl);
+  // Get a video's captions as WebVTT, or null if it has none in that language.
+  // The Data API only lets channel owners download caption tracks, so this reads
+  // the public timedtext endpoint the YouTube player uses. It costs no quota.
+  async getCaptions(videoId, language = 'en') {
+    const params = { v: videoId, lang: language, fmt: 'vtt' };
 
-      // Get playlist details
-      const playlistDetails = await this.getPlaylistDetails(playlistId);
+    try {
+      const vtt = await this.youtube.timedText(params);
 
-      // Get playlist videos
-      const videos = await this.getPlaylistVideos(playlistId);
+      return typeof vtt === 'string' && vtt.includes('-->') ? vtt : null;
+    } catch (error) {
+      console.error(`Error fetching ${language} captions for ${videoId}:`, error.message);
+      return null;
+    }
+  }
 
-      if (videos.length === 0) {
-        throw new Error('No videos found in playlist');
+  // Parse "00:00 Intro" style chapter lists from a video description.
+  // Follows YouTube's own rules: the first chapter starts at 0:00, there are at
+  // least three, timestamps increase and each chapter is at least 10 seconds long.
+  parseChapters(description, duration = 0) {
+    if (!description) return [];
+
+    const timestamp = '((?:\\d{1,2}:)?\\d{1,2}:\\d{2})';
+    const leading = new RegExp(`^[\\s\\-*•]*[\\[(]?${timestamp}[\\])]?\\s*[-–—:|.)]?\\s*(.+)$`);
+    const trailing = new RegExp(`^[\\s\\-*•]*(.+?)\\s*[-–—:|(\\[]?\\s*${timestamp}[\\])]?\\s*$`);
+    const toSeconds = (value) => value.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+
+    const markers = [];
+    for (const line of description.split(/\r?\n/)) {
+      const leadingMatch = line.match(leading);
+      const trailingMatch = !leadingMatch && line.match(trailing);
+      const match = leadingMatch
+        ? { time: leadingMatch[1], title: leadingMatch[2] }
+        : trailingMatch && { time: trailingMatch[2], title: trailingMatch[1] };
+
+      if (match && match.title.trim()) {
+        markers.push({ title: match.title.trim().substring(0, 200), startTime: toSeconds(match.time) });
       }
+    }
 
-      // Create course modules
-      const modules = videos.map((video, index) => ({
-        title: video.title,
-        description: video.description || 'No description available',
-        videoId: video.id,
-        videoUrl: video.videoUrl,
-        thumbnail: video.thumbnail,
-        duration: video.duration,
-        order: index + 1,
-        xpReward: 10
-      }));
+    if (markers.length < 3 || markers[0].startTime !== 0) return [];
 
-      // Generate slug
-      const slug = playlistDetails.title
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/(^-|-$)/g, '');
+    const chapters = markers.map((marker, index) => ({
+      ...marker,
+      endTime: index + 1 < markers.length ? markers[index + 1].startTime : duration
+    }));
 
-      // Calculate total duration in minutes
-      const totalDuration = Math.round(videos.reduce((total, video) => total + video.duration, 0) / 60);
+    const isValid = chapters.every((chapter, index) =>
+      chapter.endTime - chapter.startTime >= 10 || (index === chapters.length - 1 && !duration)
+    );
+    return isValid ? chapters : [];
+  }
 
-      // Calculate total XP
-      const totalXP = modules.reduce((total, module) => total + module.xpReward, 0);
+  // Split playlist items into importable videos and counts of what was left out
+  filterImportableVideos(playlistItems) {
+    const importStats = {
+      playlistItems: playlistItems.length,
+      imported: 0,
+      skipped: 0,
+      unavailable: 0,
+      unavailableReasons: {},
+      excluded: []
+    };
+    const seenVideoIds = new Set();
 
-      // Prepare course data
-      const course = {
-        title: playlistDetails.title,
-        description: playlistDetails.description || 'No description available',
-        thumbnail: playlistDetails.thumbnail,
-        playlistUrl,
-        playlistId,
-        creator: creatorId,
-        modules,
-        totalModules: modules.length,
-        totalDuration,
-        totalXP,
-        category: courseData.category || 'other',
-        difficulty: courseData.difficulty || 'beginner',
-        tags: courseData.tags || [],
-        isPublic: courseData.isPublic !== undefined ? courseData.isPublic : true,
-        slug,
-        metaDescription: playlistDetails.description 
-          ? playlistDetails.description.substring(0, 300) 
-          : `Learn from ${playlistDetails.title} playlist with ${modules.length} videos`
-      };
+    const videos = playlistItems.filter(video => {
+      if (!video.id || seenVideoIds.has(video.id)) {
+        importStats.skipped += 1;
+        return false;
+      }
+      seenVideoIds.add(video.id);
+
+      if (!video.isAvailable) {
+        const reason = video.availability || 'deleted';
+        importStats.unavailable += 1;
+        importStats.unavailableReasons[reason] = (importStats.unavailableReasons[reason] || 0) + 1;
+        importStats.excluded.push({ videoId: video.id, title: video.title, position: video.position, reason });
+        return false;
+      }
+      return true;
+    });
+    importStats.imported = videos.length;
 
-      return {
-        success: true,
-        course,
-        playlistDetails,
-        stats: {
-          totalVideos: videos.length,
-          totalDuration: this.formatDuration(totalDuration * 60),
-          totalXP,
-          channelTitle: playlistDetails.channelTitle,
-          channelId: playlistDetails.channelId
-        }
-      };
+    return { videos, importStats };
+  }
 
-    } catch (error) {
-      console.error('Error creating course from playlist:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  // Build a course module from a playlist video
+  buildModule(video, order) {
+    return {
+      title: video.title,
+      description: (video.description || 'No description available').substring(0, 1000),
+      videoId: video.id,
+      videoUrl: video.videoUrl,
+      thumbnail: video.thumbnail,
+      duration: video.duration,
+      order,
+      xpReward: 10,
+      segments: this.parseChapters(video.description, video.duration),
+      availability: {
+        status: video.availability || 'available',
+        checkedAt: new Date()
+      }
+    };
+  }
+
+  // Build one module per chapter of a video, each playing just its part of the video.
+  // Returns an empty list when the video has no usable chapters.
+  buildChapterModules(video) {
+    if (!video.duration) return [];
+    const chapters = this.parseChapters(video.description, video.duration);
+
+    return chapters.map((chapter, index) => ({
+      ...this.buildModule(video, index + 1),
+      title: chapter.title,
+      description: `Part ${index + 1} of "${video.title}" (${this.formatDuration(chapter.startTime)} - ${this.formatDuration(chapter.endTime)})`.substring(0, 1000),
+      videoUrl: `${video.videoUrl}&t=${chapter.startTime}s`,
+      duration: chapter.endTime - chapter.startTime,
+      segments: [],
+      clip: {
+        start: chapter.startTime,
+        end: chapter.endTime
+      }
+    }));
   }
 
   // Get course preview data without creating the course
@@ -372,12 +627,12 @@ class YouTubeService {
 
       // Get playlist details
       console.log('Getting playlist details...');
-      const playlistDetails = await this.getPlaylistDetails(playlistId);
+      const playlistDetails = await this.getPlaylistDetails(playlistId, { critical: false });
       console.log('Playlist details:', playlistDetails);
 
       // Get first few videos for preview
       console.log('Getting playlist videos...');
-      const videos = await this.getPlaylistVideos(playlistId, 5);
+      const videos = (await this.getPlaylistVideos(playlistId, 5, null, { critical: false })).filter(video => video.isAvailable);
       console.log('Found videos:', videos.length);
 
       if (videos.length === 0) {
@@ -410,7 +665,8 @@ class YouTubeService {
       console.error('Error getting course preview:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        statusCode: error.statusCode
       };
     }
   }
@@ -0,0 +1,297 @@
+// Launch page of a PlayLMS SCORM package: shows the modules of window.PLAYLMS_COURSE
+// (written to course-data.js on export), grades their quizzes and reports progress to the LMS.
+// What was completed is kept in cmi.suspend_data, so learners pick up where they left off.
+(function () {
+  const course = window.PLAYLMS_COURSE;
+  const scorm = window.createScormApi(course.scormVersion);
+  scorm.initialize();
+
+  // Completed modules and best quiz scores, by module index. Kept short, as SCORM 1.2
+  // only guarantees 4096 characters of suspend data.
+  const state = { completed: new Set(), quizScores: {} };
+  try {
+    const saved = JSON.parse(scorm.getSuspendData() || '{}');
+    (saved.c || []).forEach(index => state.completed.add(index));
+    state.quizScores = saved.q || {};
+  } catch (error) {
+    // Unreadable suspend data starts the course over
+  }
+
+  const el = (tag, attributes = {}, children = []) => {
+    const node = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (value === null || value === undefined) return;
+      if (name === 'text') node.textContent = value;
+      else if (name.startsWith('on')) node.addEventListener(name.slice(2), value);
+      else node.setAttribute(name, value);
+    });
+    children.filter(Boolean).forEach(child => node.appendChild(child));
+    return node;
+  };
+
+  const quizModules = () => course.modules
+    .map((module, index) => ({ module, index }))
+    .filter(({ module }) => module.quiz);
+
+  const isQuizPassed = (index) => {
+    const score = state.quizScores[index];
+    return score !== undefined && score >= course.modules[index].quiz.passingScore;
+  };
+
+  // The same rules as Course.evaluateCompletion, except that watch time isn't tracked
+  const evaluateCompletion = () => {
+    const total = course.modules.length;
+    const progress = total > 0 ? Math.round((state.completed.size / total) * 100) : 0;
+    const { criteria, percentage, requiredModules, requireQuizPass } = course.completion;
+    let completed;
+
+    if (criteria === 'percentage') {
+      completed = progress >= percentage;
+    } else if (criteria === 'custom') {
+      const required = requiredModules.length > 0 ? requiredModules : course.modules.map((module, index) => index);
+      completed = required.every(index => state.completed.has(index)) &&
+        (!requireQuizPass || quizModules().every(({ index }) => isQuizPassed(index)));
+    } else {
+      completed = state.completed.size === total;
+    }
+
+    return { completed: total > 0 && completed, progress };
+  };
+
+  // Average of the best score of every quiz, counting quizzes not taken yet as 0
+  const getScore = () => {
+    const quizzes = quizModules();
+    if (quizzes.length === 0) return null;
+    const total = quizzes.reduce((sum, { index }) => sum + (state.quizScores[index] || 0), 0);
+    return Math.round(total / quizzes.length);
+  };
+
+  const getPassed = () => {
+    const quizzes = quizModules();
+    if (quizzes.length === 0) return null;
+    if (quizzes.every(({ index }) => isQuizPassed(index))) return true;
+    return quizzes.every(({ index }) => state.quizScores[index] !== undefined) ? false : null;
+  };
+
+  let currentIndex = 0;
+
+  const report = () => {
+    const { completed, progress } = evaluateCompletion();
+    scorm.setSuspendData(JSON.stringify({ c: [...state.completed], q: state.quizScores }));
+    scorm.setLocation(currentIndex);
+    scorm.setScore(getScore());
+    scorm.setStatus({ completed, passed: getPassed(), progress });
+    scorm.commit();
+    renderProgress();
+  };
+
+  const completeModule = (index) => {
+    if (state.completed.has(index)) return;
+    state.completed.add(index);
+    report();
+    renderOutline();
+  };
+
+  const renderProgress = () => {
+    const { completed, progress } = evaluateCompletion();
+    const score = getScore();
+    document.getElementById('progress').textContent = [
+      `${progress}% complete`,
+      completed ? 'Course completed' : null,
+      score !== null ? `Quiz score ${score}%` : null
+    ].filter(Boolean).join(' · ');
+    document.getElementById('progress-bar').style.width = `${progress}%`;
+  };
+
+  const renderOutline = () => {
+    const outline = document.getElementById('outline');
+    outline.innerHTML = '';
+    let section;
+    course.modules.forEach((module, index) => {
+      if (module.section && module.section !== section) {
+        section = module.section;
+        outline.appendChild(el('li', { class: 'section', text: section }));
+      }
+      outline.appendChild(el('li', {}, [
+        el('button', {
+          type: 'button',
+          class: [
+            'module-link',
+            index === currentIndex ? 'current' : '',
+            state.completed.has(index) ? 'done' : ''
+          ].join(' ').trim(),
+          text: `${state.completed.has(index) ? '✓' : index + 1}. ${module.title}`,
+          onclick: () => goTo(index)
+        })
+      ]));
+    });
+  };
+
+  const doneNote = () => el('p', { class: 'done-note', text: 'Completed' });
+
+  // Only the button is swapped out, so a playing video or half-answered quiz is left alone
+  const completeButton = (index, label) => {
+    if (state.completed.has(index)) return doneNote();
+    const button = el('button', {
+      type: 'button',
+      class: 'primary',
+      text: label,
+      onclick: () => {
+        completeModule(index);
+        button.replaceWith(doneNote());
+      }
+    });
+    return button;
+  };
+
+  const renderPlayer = (module, index) => {
+    const { player } = module;
+
+    switch (player.renderer) {
+      case 'youtube':
+      case 'vimeo':
+        return el('div', {}, [
+          el('div', { class: 'video' }, [
+            el('iframe', {
+              src: player.embedUrl,
+              title: module.title,
+              allow: 'accelerometer; autoplay; encrypted-media; fullscreen; picture-in-picture',
+              allowfullscreen: 'true'
+            })
+          ]),
+          completeButton(index, 'Mark as complete')
+        ]);
+      case 'html5':
+      case 'hls': {
+        // Watching to the end completes the module, as in PlayLMS
+        const button = completeButton(index, 'Mark as complete');
+        return el('div', {}, [
+          el('video', { class: 'video', src: player.url, controls: 'true', onended: () => button.click() }),
+          button
+        ]);
+      }
+      case 'article':
+        return el('div', {}, [
+          el('div', { class: 'article', text: player.body }),
+          completeButton(index, 'Mark as read')
+        ]);
+      case 'link':
+        return el('p', {}, [
+          el('a', {
+            href: player.url,
+            target: '_blank',
+            rel: 'noopener noreferrer',
+            class: 'primary',
+            text: 'Open link',
+            onclick: () => completeModule(index)
+          })
+        ]);
+      case 'file':
+        return el('p', {}, [
+          el('a', {
+            href: player.href,
+            download: player.fileName,
+            class: 'primary',
+            text: `Download ${player.fileName}`,
+            onclick: () => completeModule(index)
+          })
+        ]);
+      default:
+        return el('p', { text: 'This module cannot be shown here.' });
+    }
+  };
+
+  const renderQuiz = (module, index) => {
+    const { quiz } = module;
+    const best = state.quizScores[index];
+    const result = el('p', {
+      class: 'quiz-result',
+      text: best !== undefined ? `Best score: ${best}% (${isQuizPassed(index) ? 'passed' : `${quiz.passingScore}% needed to pass`})` : ''
+    });
+
+    const form = el('form', {
+      class: 'quiz',
+      onsubmit: (event) => {
+        event.preventDefault();
+        const answers = quiz.questions.map((question, questionIndex) => {
+          const checked = form.querySelector(`input[name="q${questionIndex}"]:checked`);
+          return checked ? Number(checked.value) : null;
+        });
+        if (answers.includes(null)) {
+          result.textContent = 'Answer every question first.';
+          return;
+        }
+
+        const correct = answers.filter((answer, questionIndex) => answer === quiz.questions[questionIndex].correctOption).length;
+        const score = Math.round((correct / quiz.questions.length) * 100);
+        state.quizScores[index] = Math.max(score, state.quizScores[index] || 0);
+        report();
+        result.textContent = `You scored ${score}% (${correct} of ${quiz.questions.length}). ${
+          score >= quiz.passingScore ? 'Passed!' : `${quiz.passingScore}% is needed to pass.`}`;
+      }
+    }, [
+      el('h2', { text: 'Quiz' }),
+      ...quiz.questions.map((question, questionIndex) => el('fieldset', {}, [
+        el('legend', { text: `${questionIndex + 1}. ${question.question}` }),
+        ...question.options.map((option, optionIndex) => el('label', {}, [
+          el('input', { type: 'radio', name: `q${questionIndex}`, value: optionIndex }),
+          document.createTextNode(` ${option}`)
+        ]))
+      ])),
+      el('button', { type: 'submit', class: 'primary', text: 'Submit answers' }),
+      result
+    ]);
+
+    return form;
+  };
+
+  const renderModule = () => {
+    const module = course.modules[currentIndex];
+    const content = document.getElementById('content');
+    content.innerHTML = '';
+
+    content.appendChild(el('h1', { text: module.title }));
+    if (module.description) {
+      content.appendChild(el('p', { class: 'description', text: module.description }));
+    }
+    content.appendChild(renderPlayer(module, currentIndex));
+    if (module.quiz) {
+      content.appendChild(renderQuiz(module, currentIndex));
+    }
+
+    content.appendChild(el('nav', { class: 'pager' }, [
+      el('button', {
+        type: 'button',
+        text: '← Previous',
+        disabled: currentIndex === 0 ? 'true' : null,
+        onclick: () => goTo(currentIndex - 1)
+      }),
+      el('button', {
+        type: 'button',
+        text: 'Next →',
+        disabled: currentIndex === course.modules.length - 1 ? 'true' : null,
+        onclick: () => goTo(currentIndex + 1)
+      })
+    ]));
+    content.scrollTop = 0;
+  };
+
+  const goTo = (index) => {
+    if (index < 0 || index >= course.modules.length) return;
+    currentIndex = index;
+    scorm.setLocation(index);
+    renderOutline();
+    renderModule();
+  };
+
+  document.title = course.title;
+  document.getElementById('course-title').textContent = course.title;
+
+  // Resume at the saved module, or at the first one not completed yet
+  const savedLocation = parseInt(scorm.getLocation(), 10);
+  const firstOpen = course.modules.findIndex((module, index) => !state.completed.has(index));
+  goTo(Number.isInteger(savedLocation) && course.modules[savedLocation] ? savedLocation : Math.max(firstOpen, 0));
+  report();
+
+  window.addEventListener('pagehide', () => scorm.terminate(evaluateCompletion().completed));
+})();
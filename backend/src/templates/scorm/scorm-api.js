@@ -0,0 +1,149 @@
+// Talks to the LMS's SCORM runtime: window.API (SCORM 1.2) or window.API_1484_11
+// (SCORM 2004), looked up in the parent frames and the window that opened this one.
+// Without an LMS, e.g. when index.html is opened directly, every call is a no-op.
+(function () {
+  const MAX_PARENT_DEPTH = 10;
+
+  // Data model elements and calls that differ between the two versions
+  const VERSIONS = {
+    '1.2': {
+      apiName: 'API',
+      initialize: 'LMSInitialize',
+      getValue: 'LMSGetValue',
+      setValue: 'LMSSetValue',
+      commit: 'LMSCommit',
+      terminate: 'LMSFinish',
+      location: 'cmi.core.lesson_location',
+      exit: 'cmi.core.exit',
+      sessionTime: 'cmi.core.session_time',
+      scoreRaw: 'cmi.core.score.raw',
+      scoreMin: 'cmi.core.score.min',
+      scoreMax: 'cmi.core.score.max'
+    },
+    '2004': {
+      apiName: 'API_1484_11',
+      initialize: 'Initialize',
+      getValue: 'GetValue',
+      setValue: 'SetValue',
+      commit: 'Commit',
+      terminate: 'Terminate',
+      location: 'cmi.location',
+      exit: 'cmi.exit',
+      sessionTime: 'cmi.session_time',
+      scoreRaw: 'cmi.score.raw',
+      scoreMin: 'cmi.score.min',
+      scoreMax: 'cmi.score.max'
+    }
+  };
+
+  const findApi = (name) => {
+    const search = (win) => {
+      for (let depth = 0; win && depth <= MAX_PARENT_DEPTH; depth += 1) {
+        try {
+          if (win[name]) return win[name];
+          if (win.parent === win) return null;
+          win = win.parent;
+        } catch (error) {
+          return null; // a cross-origin frame ends the search
+        }
+      }
+      return null;
+    };
+    return search(window) || (window.opener && search(window.opener)) || null;
+  };
+
+  const pad = (value, length) => String(value).padStart(length, '0');
+
+  // Session time as HHHH:MM:SS.SS (1.2) or an ISO 8601 duration (2004)
+  const formatDuration = (version, milliseconds) => {
+    const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return version === '2004'
+      ? `PT${hours}H${minutes}M${seconds}S`
+      : `${pad(hours, 4)}:${pad(minutes, 2)}:${pad(seconds, 2)}.00`;
+  };
+
+  const createScormApi = (version) => {
+    const names = VERSIONS[version] || VERSIONS['1.2'];
+    const api = findApi(names.apiName);
+    const startedAt = Date.now();
+    let isActive = false;
+
+    const call = (method, ...args) => {
+      if (!api || !isActive) return '';
+      return String(api[method](...args));
+    };
+
+    return {
+      version,
+      isConnected: () => !!api && isActive,
+
+      initialize() {
+        if (!api) return false;
+        isActive = String(api[names.initialize]('')) === 'true';
+        return isActive;
+      },
+
+      get: (element) => call(names.getValue, element),
+      set: (element, value) => call(names.setValue, element, String(value)) === 'true',
+      commit: () => call(names.commit, '') === 'true',
+
+      getSuspendData() {
+        return this.get('cmi.suspend_data');
+      },
+
+      setSuspendData(value) {
+        this.set('cmi.suspend_data', value);
+      },
+
+      setLocation(location) {
+        this.set(names.location, location);
+      },
+
+      getLocation() {
+        return this.get(names.location);
+      },
+
+      // score is a percentage, or null when the course has no quizzes
+      setScore(score) {
+        if (score === null) return;
+        this.set(names.scoreMin, 0);
+        this.set(names.scoreMax, 100);
+        this.set(names.scoreRaw, score);
+        if (version === '2004') {
+          this.set('cmi.score.scaled', (score / 100).toFixed(2));
+        }
+      },
+
+      // completed: whether the course's completion criteria are met.
+      // passed: true, false or null when there are no quizzes or not all were taken.
+      setStatus({ completed, passed, progress }) {
+        if (version === '2004') {
+          this.set('cmi.completion_status', completed ? 'completed' : 'incomplete');
+          this.set('cmi.progress_measure', (progress / 100).toFixed(2));
+          this.set('cmi.success_status', passed === null ? 'unknown' : passed ? 'passed' : 'failed');
+          return;
+        }
+        // 1.2 has a single status; a failed quiz doesn't undo a completed course
+        if (!completed) {
+          this.set('cmi.core.lesson_status', 'incomplete');
+        } else {
+          this.set('cmi.core.lesson_status', passed ? 'passed' : 'completed');
+        }
+      },
+
+      terminate(isFinished) {
+        if (!api || !isActive) return;
+        this.set(names.exit, isFinished ? (version === '2004' ? 'normal' : '') : 'suspend');
+        this.set(names.sessionTime, formatDuration(version, Date.now() - startedAt));
+        this.commit();
+        call(names.terminate, '');
+        isActive = false;
+      }
+    };
+  };
+
+  window.createScormApi = createScormApi;
+})();
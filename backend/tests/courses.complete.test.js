@@ -0,0 +1,70 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import app from '../src/app.js';
+import Course from '../src/models/Course.js';
+import Progress from '../src/models/Progress.js';
+import User from '../src/models/User.js';
+import LearningPathService from '../src/services/learningPathService.js';
+import { signIn } from './helpers.js';
+
+describe('POST /api/courses/:courseId/modules/:moduleId/complete', () => {
+  let authorization;
+  let user;
+  let course;
+  let progress;
+
+  const complete = () => request(app)
+    .post(`/api/courses/${course._id}/modules/${course.modules[0]._id}/complete`)
+    .set('Authorization', authorization);
+
+  beforeEach(() => {
+    ({ user, authorization } = signIn({ email: 'learner@example.com', username: 'learner' }));
+
+    // A one-video course that needs 80% of the video watched
+    course = new Course({
+      title: 'Watch It All',
+      creator: new mongoose.Types.ObjectId(),
+      modules: [{ title: 'Intro', videoId: 'fxVid00001a', type: 'video', duration: 600, order: 1, xpReward: 10 }],
+      completionCriteria: 'custom',
+      customCompletion: { minWatchRatio: 0.8 },
+      enrolledUsers: [{ user: user._id }]
+    });
+    progress = new Progress({ user: user._id, course: course._id });
+
+    jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    jest.spyOn(Progress, 'findOne').mockResolvedValue(progress);
+    jest.spyOn(Progress, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Course, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(LearningPathService, 'handleCourseCompleted').mockResolvedValue([]);
+    [Course, Progress, User].forEach(Model => {
+      jest.spyOn(Model.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('completing an unwatched video does not meet a minimum watch ratio', async () => {
+    const response = await complete();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.completion.courseCompleted).toBe(false);
+    expect(response.body.data.completion.isCompleted).toBe(false);
+    expect(progress.getModuleProgress(course.modules[0]._id)).toMatchObject({ isCompleted: true, watchTime: 0 });
+    expect(Progress.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('completing a video watched past the ratio completes the course', async () => {
+    progress.updateModuleProgress(course.modules[0]._id, 500);
+
+    const response = await complete();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.completion.courseCompleted).toBe(true);
+    expect(progress.getModuleProgress(course.modules[0]._id).watchTime).toBe(500);
+  });
+});
@@ -0,0 +1,167 @@
+import request from 'supertest';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import app from '../src/app.js';
+import Course from '../src/models/Course.js';
+import ImportJob from '../src/models/ImportJob.js';
+import ImportQueue from '../src/services/importQueue.js';
+import TranscriptService from '../src/services/transcriptService.js';
+import { signIn, resetYouTube, callsTo } from './helpers.js';
+
+const playlistUrl = (playlistId) => `https://www.youtube.com/playlist?list=${playlistId}`;
+
+describe('POST /api/courses/convert', () => {
+  let authorization;
+  let user;
+  let savedJobs;
+  let savedCourses;
+
+  // Queues the import, then runs the job the route saved, as the worker would
+  const convert = async (body) => {
+    const response = await request(app)
+      .post('/api/courses/convert')
+      .set('Authorization', authorization)
+      .send({ category: 'programming', ...body });
+
+    const job = savedJobs[0];
+    if (job) {
+      await ImportQueue.runJob(job);
+    }
+    return { response, job, course: savedCourses[0] };
+  };
+
+  beforeEach(async () => {
+    await resetYouTube();
+    ({ user, authorization } = signIn());
+    savedJobs = [];
+    savedCourses = [];
+
+    jest.spyOn(Course, 'findOne').mockResolvedValue(null);
+    jest.spyOn(ImportJob, 'findOne').mockResolvedValue(null);
+    jest.spyOn(ImportJob.prototype, 'save').mockImplementation(function () {
+      if (!savedJobs.includes(this)) savedJobs.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ImportQueue, 'drain').mockResolvedValue();
+    jest.spyOn(Course.prototype, 'saveWithUniqueSlug').mockImplementation(function () {
+      savedCourses.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(TranscriptService, 'importCaptions').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('imports every available video of the playlist', async () => {
+    const { response, job, course } = await convert({ playlistUrl: playlistUrl('PLfixtureJavaScriptBasics') });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.job.status).toBe('queued');
+    expect(job.status).toBe('completed');
+    expect(job.course).toEqual(course._id);
+
+    expect(course.title).toBe('JavaScript Basics');
+    expect(course.playlistId).toBe('PLfixtureJavaScriptBasics');
+    expect(course.creator).toEqual(user._id);
+    expect(course.modules.map(module => module.videoId)).toEqual([
+      'fxVid00001a', 'fxVid00002b', 'fxVid00003c', 'fxVid00004d'
+    ]);
+    expect(course.modules.map(module => module.order)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('skips deleted, private and region-blocked videos and reports them in the job stats', async () => {
+    const { job, course } = await convert({ playlistUrl: playlistUrl('PLfixtureJavaScriptBasics') });
+
+    const titles = course.modules.map(module => module.title);
+    expect(titles).not.toContain('Deleted video');
+    expect(titles).not.toContain('Private video');
+    // The duplicate "Variables and Types" entry is skipped, not imported twice
+    expect(job.stats).toMatchObject({ playlistItems: 8, imported: 4, skipped: 1, unavailable: 3 });
+    expect(job.stats.unavailableReasons).toEqual({ deleted: 1, private: 1, region_blocked: 1 });
+  });
+
+  test('follows page tokens until the playlist is exhausted', async () => {
+    await convert({ playlistUrl: playlistUrl('PLfixtureJavaScriptBasics') });
+
+    // The fixture serves two items per page
+    const pages = callsTo('playlistItems');
+    expect(pages).toHaveLength(4);
+    expect(pages[0].params.pageToken).toBeFalsy();
+    pages.slice(1).forEach(page => expect(page.params.pageToken).toEqual(expect.any(String)));
+  });
+
+  test('fails the job when the API errors', async () => {
+    const { response, job, course } = await convert({ playlistUrl: playlistUrl('PLfixtureBackendError') });
+
+    expect(response.status).toBe(202);
+    expect(job.status).toBe('failed');
+    expect(job.importErrors.at(-1).message).toBe('Failed to fetch playlist details');
+    expect(course).toBeUndefined();
+  });
+
+  test('reports a spent API quota', async () => {
+    const { job, course } = await convert({ playlistUrl: playlistUrl('PLfixtureQuotaExceeded') });
+
+    expect(job.status).toBe('failed');
+    expect(job.importErrors.at(-1).message).toMatch(/quota/);
+    expect(course).toBeUndefined();
+  });
+
+  test('builds a course from manual entries that have no thumbnail', async () => {
+    const { response, job, course } = await convert({
+      title: 'Workshop Recordings',
+      sources: [{
+        type: 'manual',
+        title: 'Day one',
+        entries: [
+          { url: 'https://media.example.com/day-one/keynote.mp4', title: 'Keynote', duration: 1800 },
+          { url: 'https://media.example.com/day-one/panel.mp4', title: 'Panel' }
+        ]
+      }]
+    });
+
+    expect(response.status).toBe(202);
+    expect(job.status).toBe('completed');
+    expect(course.thumbnail).toBe('/course-placeholder.svg');
+    expect(course.validateSync()?.errors?.thumbnail).toBeUndefined();
+    expect(course.modules.map(module => module.provider)).toEqual(['direct', 'direct']);
+    expect(callsTo('playlistItems')).toHaveLength(0);
+  });
+
+  test('refuses a playlist that is already a course', async () => {
+    Course.findOne.mockResolvedValue(new Course({ title: 'Existing' }));
+
+    const { response } = await convert({ playlistUrl: playlistUrl('PLfixtureJavaScriptBasics') });
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('This playlist has already been converted to a course');
+    expect(savedJobs).toHaveLength(0);
+  });
+
+  test('refuses a playlist that is already being imported', async () => {
+    const activeJob = new ImportJob({ user: user._id, playlistId: 'PLfixtureJavaScriptBasics', status: 'running' });
+    ImportJob.findOne.mockResolvedValue(activeJob);
+
+    const { response } = await convert({ playlistUrl: playlistUrl('PLfixtureJavaScriptBasics') });
+
+    expect(response.status).toBe(409);
+    expect(response.body.data.job._id).toBe(activeJob._id.toString());
+    expect(savedJobs).toHaveLength(0);
+  });
+
+  test('rejects URLs that are not YouTube playlists', async () => {
+    const { response } = await convert({ playlistUrl: 'https://example.com/list' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation failed');
+  });
+
+  test('requires a signed-in user', async () => {
+    const response = await request(app)
+      .post('/api/courses/convert')
+      .send({ category: 'programming', playlistUrl: playlistUrl('PLfixtureJavaScriptBasics') });
+
+    expect(response.status).toBe(401);
+  });
+});
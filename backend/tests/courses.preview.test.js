@@ -0,0 +1,103 @@
+import request from 'supertest';
+import axios from 'axios';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import app from '../src/app.js';
+import Course from '../src/models/Course.js';
+import { signIn, resetYouTube } from './helpers.js';
+
+const playlistUrl = (playlistId) => `https://www.youtube.com/playlist?list=${playlistId}`;
+
+describe('POST /api/courses/preview', () => {
+  let authorization;
+
+  const preview = (body) => request(app)
+    .post('/api/courses/preview')
+    .set('Authorization', authorization)
+    .send(body);
+
+  beforeEach(async () => {
+    await resetYouTube();
+    ({ authorization } = signIn());
+    jest.spyOn(Course, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('summarizes a playlist from its first available videos', async () => {
+    const response = await preview({ playlistUrl: playlistUrl('PLfixtureJavaScriptBasics') });
+
+    expect(response.status).toBe(200);
+    const { preview: result } = response.body.data;
+    expect(result).toMatchObject({
+      type: 'playlist',
+      playlistId: 'PLfixtureJavaScriptBasics',
+      title: 'JavaScript Basics',
+      channelTitle: 'PlayLMS Fixtures',
+      videoCount: 8
+    });
+    // The deleted video among the first five items is left out
+    expect(result.sampleVideos.map(video => video.title)).toEqual(['Variables and Types', 'Functions', 'Arrays and Loops']);
+  });
+
+  test('previews a single video source', async () => {
+    const response = await preview({ source: { type: 'video', url: 'https://www.youtube.com/watch?v=fxVid00002b' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.preview).toMatchObject({ type: 'video', videoId: 'fxVid00002b', title: 'Functions' });
+  });
+
+  test('never requests remote media files from the server', async () => {
+    jest.spyOn(axios, 'head');
+    jest.spyOn(axios, 'get');
+
+    const response = await preview({
+      source: { type: 'videos', urls: ['http://169.254.169.254/latest.mp4', 'http://localhost:27017/a.mp4'] }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.preview.videoCount).toBe(2);
+    expect(axios.head).not.toHaveBeenCalled();
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('points at the course a playlist was already converted to', async () => {
+    const existingCourse = new Course({ title: 'JavaScript Basics', slug: 'javascript-basics' });
+    Course.findOne.mockResolvedValue(existingCourse);
+
+    const response = await preview({ playlistUrl: playlistUrl('PLfixtureJavaScriptBasics') });
+
+    expect(response.status).toBe(409);
+    expect(response.body.data.existingCourse).toMatchObject({ _id: existingCourse._id.toString(), slug: 'javascript-basics' });
+  });
+
+  test('reports a private or missing playlist', async () => {
+    // Playlists without a fixture are served as private
+    const response = await preview({ playlistUrl: playlistUrl('PLfixturePrivatePlaylist') });
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+  });
+
+  test('reports API errors', async () => {
+    const response = await preview({ playlistUrl: playlistUrl('PLfixtureBackendError') });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Failed to fetch playlist details');
+  });
+
+  test('answers 429 once the API quota is spent', async () => {
+    const response = await preview({ playlistUrl: playlistUrl('PLfixtureQuotaExceeded') });
+
+    expect(response.status).toBe(429);
+    expect(response.body.message).toMatch(/quota/);
+  });
+
+  test('needs a playlist URL or source', async () => {
+    const response = await preview({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation failed');
+  });
+});
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import request from 'supertest';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import app from '../src/app.js';
+import Course from '../src/models/Course.js';
+import CourseBuilder from '../src/services/courseBuilder.js';
+import CourseHealthService from '../src/services/courseHealthService.js';
+import YouTubeService from '../src/services/youtubeService.js';
+import { signIn, resetYouTube } from './helpers.js';
+
+const PLAYLIST_ID = 'PLfixtureJavaScriptBasics';
+const loadFixture = () => JSON.parse(
+  fs.readFileSync(new URL(`../fixtures/youtube/playlists/${PLAYLIST_ID}.json`, import.meta.url), 'utf8')
+);
+
+// The playlist after its owner removed "Functions" and uploaded "Async and Await"
+const changedFixture = () => {
+  const fixture = loadFixture();
+  const [, functionsItem] = fixture.items;
+  const functionsVideo = fixture.videos.find(video => video.id === 'fxVid00002b');
+
+  fixture.items = fixture.items.filter(item => item !== functionsItem);
+  fixture.items.push({
+    ...functionsItem,
+    id: 'fxItem0008',
+    snippet: { ...functionsItem.snippet, title: 'Async and Await', resourceId: { kind: 'youtube#video', videoId: 'fxVid00006f' } },
+    contentDetails: { ...functionsItem.contentDetails, videoId: 'fxVid00006f' }
+  });
+  fixture.videos.push({ ...functionsVideo, id: 'fxVid00006f', snippet: { ...functionsVideo.snippet, title: 'Async and Await' } });
+  return fixture;
+};
+
+describe('POST /api/courses/:courseId/resync', () => {
+  let authorization;
+  let course;
+
+  const resync = () => request(app)
+    .post(`/api/courses/${course._id}/resync`)
+    .set('Authorization', authorization);
+
+  const liveVideoIds = () => course.modules
+    .filter(module => !module.isRetired)
+    .sort((a, b) => a.order - b.order)
+    .map(module => module.videoId);
+
+  beforeEach(async () => {
+    await resetYouTube();
+    const signedIn = signIn();
+    authorization = signedIn.authorization;
+
+    // The course as it was imported from the recorded playlist
+    const built = await CourseBuilder.buildCourse(
+      [{ type: 'playlist', url: `https://www.youtube.com/playlist?list=${PLAYLIST_ID}` }],
+      signedIn.user._id,
+      { category: 'programming' }
+    );
+    course = new Course(built.course);
+    await resetYouTube();
+
+    jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    jest.spyOn(Course.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(CourseHealthService, 'notifyCreator').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('leaves an unchanged playlist as it was', async () => {
+    const response = await resync();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.result).toEqual({ added: 0, retired: 0, restored: 0, reordered: 0, unavailable: 0 });
+    expect(liveVideoIds()).toEqual(['fxVid00001a', 'fxVid00002b', 'fxVid00003c', 'fxVid00004d']);
+    expect(course.save).toHaveBeenCalled();
+  });
+
+  test('adds new videos and retires removed ones', async () => {
+    YouTubeService.youtube.setPlaylist(PLAYLIST_ID, changedFixture());
+
+    const response = await resync();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.result).toMatchObject({ added: 1, retired: 1, restored: 0 });
+    expect(response.body.data.totalModules).toBe(4);
+    expect(liveVideoIds()).toEqual(['fxVid00001a', 'fxVid00003c', 'fxVid00004d', 'fxVid00006f']);
+
+    // The retired module is kept, after the live ones, so progress on it isn't lost
+    const functions = course.modules.find(module => module.videoId === 'fxVid00002b');
+    expect(functions.isRetired).toBe(true);
+    expect(functions.order).toBe(5);
+  });
+
+  test('restores a retired module whose video is back in the playlist', async () => {
+    YouTubeService.youtube.setPlaylist(PLAYLIST_ID, changedFixture());
+    await resync();
+    YouTubeService.youtube.setPlaylist(PLAYLIST_ID, loadFixture());
+
+    const response = await resync();
+
+    expect(response.body.data.result).toMatchObject({ added: 0, retired: 1, restored: 1 });
+    expect(liveVideoIds()).toEqual(['fxVid00001a', 'fxVid00002b', 'fxVid00003c', 'fxVid00004d']);
+  });
+
+  test('leaves the course unchanged when the API errors', async () => {
+    const fixture = loadFixture();
+    fixture.error = { status: 503, reason: 'backendError', message: 'The service is currently unavailable.' };
+    YouTubeService.youtube.setPlaylist(PLAYLIST_ID, fixture);
+
+    const response = await resync();
+
+    expect(response.status).toBe(502);
+    expect(response.body.success).toBe(false);
+    expect(course.save).not.toHaveBeenCalled();
+    expect(liveVideoIds()).toEqual(['fxVid00001a', 'fxVid00002b', 'fxVid00003c', 'fxVid00004d']);
+  });
+
+  test('is only open to the course staff', async () => {
+    ({ authorization } = signIn({ email: 'learner@example.com', username: 'learner' }));
+
+    const response = await resync();
+
+    expect(response.status).toBe(403);
+    expect(course.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,33 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import User from '../src/models/User.js';
+import YouTubeService from '../src/services/youtubeService.js';
+import YouTubeCache from '../src/services/youtubeCache.js';
+
+// Method to sign a user in: User.findById resolves to them, with or without the auth
+// middleware's select(). Returns the user and the Authorization header value.
+export const signIn = (fields = {}) => {
+  const user = new User({
+    _id: new mongoose.Types.ObjectId(),
+    email: 'creator@example.com',
+    username: 'creator',
+    password: 'password123',
+    ...fields
+  });
+  const query = Object.assign(Promise.resolve(user), { select: () => Promise.resolve(user) });
+  jest.spyOn(User, 'findById').mockReturnValue(query);
+
+  const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+  return { user, authorization: `Bearer ${token}` };
+};
+
+// Method to reload the fixtures and empty the cache, so every spec starts from the recorded data
+export const resetYouTube = async () => {
+  YouTubeService.youtube.reset();
+  await YouTubeCache.clear();
+};
+
+// Method to list the API calls the fake client received for a resource
+export const callsTo = (resource) =>
+  YouTubeService.youtube.calls.filter(call => call.resource === resource);
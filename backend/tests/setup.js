@@ -0,0 +1,4 @@
+// Specs run against the recorded YouTube fixtures and never connect to MongoDB;
+// they stub the model calls each route makes.
+process.env.YOUTUBE_CLIENT = 'fake';
+process.env.JWT_SECRET = 'test-secret';
@@ -17,6 +17,10 @@ import Profile from './pages/Profile';
 import Leaderboard from './pages/Leaderboard';
 import Achievements from './pages/Achievements';
 import CreateCourse from './pages/CreateCourse';
+import CourseEditor from './pages/CourseEditor';
+import LearningPaths from './pages/LearningPaths';
+import LearningPathDetail from './pages/LearningPathDetail';
+import Invitations from './pages/Invitations';
 import TestAPI from './pages/TestAPI';
 
 const queryClient = new QueryClient({
@@ -42,6 +46,8 @@ function App() {
                 <Route path="/register" element={<Register />} />
                 <Route path="/courses" element={<Courses />} />
                 <Route path="/courses/:slug" element={<CourseDetail />} />
+                <Route path="/paths" element={<LearningPaths />} />
+                <Route path="/paths/:slug" element={<LearningPathDetail />} />
                 <Route path="/leaderboard" element={<Leaderboard />} />
                 
                 {/* Test Route for API Debugging */}
@@ -63,12 +69,22 @@ function App() {
                     <Achievements />
                   </ProtectedRoute>
                 } />
+                <Route path="/invitations" element={
+                  <ProtectedRoute>
+                    <Invitations />
+                  </ProtectedRoute>
+                } />
                 <Route path="/create-course" element={
                   <ProtectedRoute>
                     <CreateCourse />
                   </ProtectedRoute>
                 } />
-                <Route path="/courses/:courseId/:moduleOrder" element={
+                <Route path="/courses/:slug/edit" element={
+                  <ProtectedRoute>
+                    <CourseEditor />
+                  </ProtectedRoute>
+                } />
+                <Route path="/courses/:courseId/:moduleId" element={
                   <ProtectedRoute>
                     <CoursePlayer />
                   </ProtectedRoute>
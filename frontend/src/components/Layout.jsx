@@ -2,9 +2,11 @@ import React, { useState } from 'react'
 import { Link, useLocation } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { useTheme } from '../contexts/ThemeContext'
+import NotificationBell from './NotificationBell'
 import {
   Home,
   BookOpen,
+  Route,
   Trophy,
   User,
   Menu,
@@ -27,6 +29,7 @@ const Layout = ({ children }) => {
   const navigation = [
     { name: 'Home', href: '/', icon: Home },
     { name: 'Courses', href: '/courses', icon: BookOpen },
+    { name: 'Paths', href: '/paths', icon: Route },
     { name: 'Leaderboard', href: '/leaderboard', icon: Trophy },
     ...(user ? [
       { name: 'Dashboard', href: '/dashboard', icon: BarChart3 },
@@ -91,6 +94,8 @@ const Layout = ({ children }) => {
                 {theme === 'dark' ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
               </button>
 
+              {user && <NotificationBell />}
+
               {/* User menu */}
               {user ? (
                 <div className="relative">
@@ -229,6 +234,11 @@ const Layout = ({ children }) => {
                     Browse Courses
                   </Link>
                 </li>
+                <li>
+                  <Link to="/paths" className="text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors">
+                    Learning Paths
+                  </Link>
+                </li>
                 <li>
                   <Link to="/leaderboard" className="text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors">
                     Leaderboard
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import ReactMarkdown, { type Components } from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { ExternalLink, Download, FileText, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { apiHelpers } from '../services/api';
+
+// Player config for a non-video module, from GET /courses/:courseId/modules/:moduleId
+export interface LessonPlayerConfig {
+  renderer: 'article' | 'link' | 'file';
+  completionRule: 'read' | 'visit' | 'download';
+  body?: string;
+  url?: string;
+  fileName?: string;
+  mimeType?: string;
+  size?: number;
+}
+
+interface LessonViewProps {
+  courseId: string;
+  moduleId: string;
+  title: string;
+  description?: string;
+  player: LessonPlayerConfig;
+  isCompleted?: boolean;
+  // Marks the module complete (reading an article, opening a link)
+  onComplete: () => void;
+  // Called after the file was downloaded, which completes the module on the server
+  onDownloaded: () => void;
+}
+
+// The player is dark, so markdown gets light-on-dark styles without a typography plugin
+const markdownComponents: Components = {
+  h1: ({ node, ...props }) => <h1 className="text-3xl font-bold text-white mt-8 mb-4" {...props} />,
+  h2: ({ node, ...props }) => <h2 className="text-2xl font-semibold text-white mt-8 mb-3" {...props} />,
+  h3: ({ node, ...props }) => <h3 className="text-xl font-semibold text-white mt-6 mb-2" {...props} />,
+  p: ({ node, ...props }) => <p className="text-gray-200 leading-relaxed mb-4" {...props} />,
+  a: ({ node, ...props }) => <a className="text-blue-400 hover:underline" target="_blank" rel="noopener noreferrer" {...props} />,
+  ul: ({ node, ...props }) => <ul className="list-disc pl-6 text-gray-200 mb-4 space-y-1" {...props} />,
+  ol: ({ node, ...props }) => <ol className="list-decimal pl-6 text-gray-200 mb-4 space-y-1" {...props} />,
+  blockquote: ({ node, ...props }) => <blockquote className="border-l-4 border-gray-600 pl-4 italic text-gray-300 mb-4" {...props} />,
+  code: ({ node, ...props }) => <code className="bg-gray-800 text-pink-300 rounded px-1 py-0.5 text-sm" {...props} />,
+  pre: ({ node, ...props }) => <pre className="bg-gray-800 rounded-lg p-4 overflow-x-auto mb-4 [&>code]:bg-transparent [&>code]:text-gray-200 [&>code]:p-0" {...props} />,
+  table: ({ node, ...props }) => <table className="w-full text-left text-gray-200 border-collapse mb-4" {...props} />,
+  th: ({ node, ...props }) => <th className="border-b border-gray-600 px-3 py-2 font-semibold" {...props} />,
+  td: ({ node, ...props }) => <td className="border-b border-gray-800 px-3 py-2" {...props} />,
+  img: ({ node, ...props }) => <img className="max-w-full rounded-lg my-4" {...props} />,
+};
+
+const formatFileSize = (bytes = 0) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+// Renders article, link and file modules in the course player
+const LessonView: React.FC<LessonViewProps> = ({
+  courseId,
+  moduleId,
+  title,
+  description,
+  player,
+  isCompleted,
+  onComplete,
+  onDownloaded,
+}) => {
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const handleOpenLink = () => {
+    window.open(player.url, '_blank', 'noopener,noreferrer');
+    if (!isCompleted) onComplete();
+  };
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const blob = await apiHelpers.downloadModuleFile(courseId, moduleId);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = player.fileName || 'download';
+      link.click();
+      URL.revokeObjectURL(url);
+      onDownloaded();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to download file');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  if (player.renderer === 'article') {
+    return (
+      <div className="h-full overflow-y-auto bg-gray-900">
+        <article className="max-w-3xl mx-auto px-6 py-10">
+          <h1 className="text-3xl font-bold text-white mb-6">{title}</h1>
+          <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+            {player.body || ''}
+          </ReactMarkdown>
+          <div className="mt-10 pt-6 border-t border-gray-700 flex justify-end">
+            {isCompleted ? (
+              <span className="flex items-center space-x-2 text-green-400">
+                <CheckCircle className="h-5 w-5" />
+                <span>Read</span>
+              </span>
+            ) : (
+              <button
+                onClick={onComplete}
+                className="flex items-center space-x-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors"
+              >
+                <CheckCircle className="h-4 w-4" />
+                <span>Mark as Read</span>
+              </button>
+            )}
+          </div>
+        </article>
+      </div>
+    );
+  }
+
+  const isLink = player.renderer === 'link';
+
+  return (
+    <div className="h-full flex items-center justify-center bg-gray-900 px-6">
+      <div className="max-w-lg w-full bg-gray-800 rounded-xl p-8 text-center">
+        {isLink ? (
+          <ExternalLink className="h-12 w-12 text-blue-400 mx-auto mb-4" />
+        ) : (
+          <FileText className="h-12 w-12 text-blue-400 mx-auto mb-4" />
+        )}
+        <h2 className="text-xl font-semibold text-white mb-2">{title}</h2>
+        {description && <p className="text-gray-400 mb-4">{description}</p>}
+        <p className="text-sm text-gray-500 mb-6 break-all">
+          {isLink ? player.url : `${player.fileName} · ${formatFileSize(player.size)}`}
+        </p>
+        <button
+          onClick={isLink ? handleOpenLink : handleDownload}
+          disabled={isDownloading}
+          className="inline-flex items-center space-x-2 px-5 py-2.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50"
+        >
+          {isLink ? <ExternalLink className="h-4 w-4" /> : <Download className="h-4 w-4" />}
+          <span>{isLink ? 'Open Link' : isDownloading ? 'Downloading...' : 'Download'}</span>
+        </button>
+        <p className="mt-4 text-xs text-gray-500">
+          {isCompleted
+            ? 'Completed'
+            : isLink
+              ? 'Opening the link completes this module'
+              : 'Downloading the file completes this module'}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default LessonView;
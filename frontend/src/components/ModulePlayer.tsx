@@ -0,0 +1,177 @@
+import React, { useEffect, useRef, useState } from 'react';
+import YouTube from 'react-youtube';
+import ReactPlayer from 'react-player';
+import { mediaUrl } from '../services/api';
+
+export interface PlayerController {
+  play: () => void;
+  pause: () => void;
+  seekTo: (seconds: number) => void;
+  getCurrentTime: () => number;
+  getDuration: () => number;
+  mute: () => void;
+  unMute: () => void;
+  setVolume: (volume: number) => void; // 0-100
+}
+
+export interface PlayableModule {
+  provider?: 'youtube' | 'vimeo' | 'direct';
+  videoId: string;
+  videoUrl: string;
+  // Part of the video to play, for modules split from a long video by chapter
+  clip?: { start: number; end: number } | null;
+}
+
+interface ModulePlayerProps {
+  module: PlayableModule;
+  onReady?: (controller: PlayerController) => void;
+  onPlayingChange?: (isPlaying: boolean) => void;
+  onProgress?: (currentTime: number) => void;
+  className?: string;
+}
+
+// YouTube player options
+const youtubeOpts = {
+  height: '100%',
+  width: '100%',
+  playerVars: {
+    autoplay: 0 as const,
+    controls: 0 as const,
+    modestbranding: 1 as const,
+    rel: 0 as const,
+  },
+};
+
+const YouTubeRenderer: React.FC<ModulePlayerProps> = ({ module, onReady, onPlayingChange, onProgress, className }) => {
+  const playerRef = useRef<any>(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  // The iframe API has no progress event, so poll while the video plays
+  useEffect(() => {
+    if (!isPlaying) return;
+    const interval = setInterval(() => {
+      if (playerRef.current) {
+        onProgress?.(playerRef.current.getCurrentTime());
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [isPlaying, onProgress]);
+
+  const handleReady = (event: any) => {
+    const player = event.target;
+    playerRef.current = player;
+    onReady?.({
+      play: () => player.playVideo(),
+      pause: () => player.pauseVideo(),
+      seekTo: (seconds) => player.seekTo(seconds, true),
+      getCurrentTime: () => player.getCurrentTime(),
+      getDuration: () => player.getDuration(),
+      mute: () => player.mute(),
+      unMute: () => player.unMute(),
+      setVolume: (volume) => player.setVolume(volume),
+    });
+  };
+
+  const handleStateChange = (event: any) => {
+    const playing = event.target.getPlayerState() === 1;
+    setIsPlaying(playing);
+    onPlayingChange?.(playing);
+  };
+
+  // Let YouTube itself start and stop clip modules at their bounds
+  const opts = module.clip
+    ? { ...youtubeOpts, playerVars: { ...youtubeOpts.playerVars, start: Math.floor(module.clip.start), end: Math.ceil(module.clip.end) } }
+    : youtubeOpts;
+
+  return (
+    <YouTube
+      videoId={module.videoId}
+      opts={opts}
+      onReady={handleReady}
+      onStateChange={handleStateChange}
+      className={className}
+    />
+  );
+};
+
+// Vimeo and direct MP4/WebM/HLS files all go through react-player
+const MediaRenderer: React.FC<ModulePlayerProps> = ({ module, onReady, onPlayingChange, onProgress, className }) => {
+  const playerRef = useRef<ReactPlayer>(null);
+  const [playing, setPlaying] = useState(false);
+  const [muted, setMuted] = useState(false);
+  const [volume, setVolume] = useState(0.5);
+
+  const handleReady = () => {
+    onReady?.({
+      play: () => setPlaying(true),
+      pause: () => setPlaying(false),
+      seekTo: (seconds) => playerRef.current?.seekTo(seconds, 'seconds'),
+      getCurrentTime: () => playerRef.current?.getCurrentTime() || 0,
+      getDuration: () => playerRef.current?.getDuration() || 0,
+      mute: () => setMuted(true),
+      unMute: () => setMuted(false),
+      setVolume: (value) => setVolume(value / 100),
+    });
+  };
+
+  const handlePlayingChange = (isPlaying: boolean) => {
+    setPlaying(isPlaying);
+    onPlayingChange?.(isPlaying);
+  };
+
+  return (
+    <ReactPlayer
+      ref={playerRef}
+      url={mediaUrl(module.videoUrl)}
+      playing={playing}
+      muted={muted}
+      volume={volume}
+      width="100%"
+      height="100%"
+      progressInterval={1000}
+      onReady={handleReady}
+      onPlay={() => handlePlayingChange(true)}
+      onPause={() => handlePlayingChange(false)}
+      onEnded={() => handlePlayingChange(false)}
+      onProgress={({ playedSeconds }) => onProgress?.(playedSeconds)}
+      className={className}
+    />
+  );
+};
+
+// Picks the renderer for the module's video provider
+const ModulePlayer: React.FC<ModulePlayerProps> = (props) => {
+  const provider = props.module.provider || 'youtube';
+  const Renderer = provider === 'youtube' ? YouTubeRenderer : MediaRenderer;
+  const clip = props.module.clip;
+  const controllerRef = useRef<PlayerController | null>(null);
+
+  // Clip modules report times relative to the clip and pause at its end,
+  // so the course player treats them like any other video
+  const clipProps: ModulePlayerProps = clip ? {
+    ...props,
+    onReady: (controller) => {
+      controllerRef.current = controller;
+      if (provider !== 'youtube') {
+        controller.seekTo(clip.start);
+      }
+      props.onReady?.({
+        ...controller,
+        seekTo: (seconds) => controller.seekTo(clip.start + Math.min(Math.max(seconds, 0), clip.end - clip.start)),
+        getCurrentTime: () => Math.max(controller.getCurrentTime() - clip.start, 0),
+        getDuration: () => clip.end - clip.start,
+      });
+    },
+    onProgress: (currentTime) => {
+      if (currentTime >= clip.end) {
+        controllerRef.current?.pause();
+      }
+      props.onProgress?.(Math.min(Math.max(currentTime - clip.start, 0), clip.end - clip.start));
+    },
+  } : props;
+
+  // Remount when the module changes so player state never leaks between videos
+  return <Renderer key={`${provider}:${props.module.videoId}:${clip?.start ?? ''}`} {...clipProps} />;
+};
+
+export default ModulePlayer;
@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from 'react-query';
+import { CheckCircle, XCircle, HelpCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { apiHelpers } from '../services/api';
+
+interface QuizQuestion {
+  _id: string;
+  question: string;
+  options: string[];
+}
+
+interface QuizAttemptResult {
+  score: number;
+  passed: boolean;
+  correctAnswers: number;
+  totalQuestions: number;
+  questionResults: Array<{ questionId: string; correct: boolean }>;
+}
+
+interface ModuleQuizProps {
+  courseId: string;
+  moduleId: string;
+  // Called with the attempt response, e.g. to refresh progress or announce course completion
+  onSubmitted?: (response: any) => void;
+}
+
+// Multiple-choice quiz shown under a module's video
+const ModuleQuiz: React.FC<ModuleQuizProps> = ({ courseId, moduleId, onSubmitted }) => {
+  const [answers, setAnswers] = useState<Record<number, number>>({});
+  const [lastAttempt, setLastAttempt] = useState<QuizAttemptResult | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { data: quizData, refetch } = useQuery(
+    ['quiz', courseId, moduleId],
+    () => apiHelpers.getQuiz(courseId, moduleId)
+  );
+
+  // Start each module's quiz with a clean sheet
+  useEffect(() => {
+    setAnswers({});
+    setLastAttempt(null);
+  }, [moduleId]);
+
+  const questions: QuizQuestion[] = quizData?.data?.quiz?.questions || [];
+  const passingScore: number = quizData?.data?.quiz?.passingScore || 70;
+  const result = quizData?.data?.result;
+  if (questions.length === 0) return null;
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await apiHelpers.submitQuiz(
+        courseId,
+        moduleId,
+        questions.map((_, index) => answers[index] ?? null)
+      );
+      setLastAttempt(response.data);
+      if (response.data.passed) {
+        toast.success(response.message);
+      } else {
+        toast.error(response.message);
+      }
+      refetch();
+      onSubmitted?.(response);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to submit quiz');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const isCorrect = (question: QuizQuestion) =>
+    lastAttempt?.questionResults.find(r => r.questionId === question._id)?.correct;
+
+  return (
+    <div className="bg-gray-800 border-t border-gray-700 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-white font-medium flex items-center space-x-2">
+          <HelpCircle className="h-5 w-5 text-blue-400" />
+          <span>Quiz</span>
+        </h3>
+        <span className="text-sm text-gray-400">
+          {result?.passed
+            ? `Passed (best score ${result.bestScore}%)`
+            : `${passingScore}% needed to pass${result?.attempts ? ` · ${result.attempts} attempt${result.attempts === 1 ? '' : 's'}` : ''}`}
+        </span>
+      </div>
+
+      <ol className="space-y-4">
+        {questions.map((question, index) => (
+          <li key={question._id}>
+            <p className="text-gray-200 text-sm mb-2 flex items-center space-x-2">
+              <span>{index + 1}. {question.question}</span>
+              {lastAttempt && (isCorrect(question)
+                ? <CheckCircle className="h-4 w-4 text-green-500" />
+                : <XCircle className="h-4 w-4 text-red-500" />)}
+            </p>
+            <div className="space-y-1">
+              {question.options.map((option, optionIndex) => (
+                <label key={optionIndex} className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+                  <input
+                    type="radio"
+                    name={`question-${question._id}`}
+                    checked={answers[index] === optionIndex}
+                    onChange={() => setAnswers({ ...answers, [index]: optionIndex })}
+                    className="text-blue-600"
+                  />
+                  <span>{option}</span>
+                </label>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <div className="mt-4 flex items-center justify-between">
+        {lastAttempt ? (
+          <span className={`text-sm ${lastAttempt.passed ? 'text-green-400' : 'text-red-400'}`}>
+            {lastAttempt.correctAnswers} of {lastAttempt.totalQuestions} correct ({lastAttempt.score}%)
+          </span>
+        ) : <span />}
+        <button
+          onClick={handleSubmit}
+          disabled={isSubmitting || Object.keys(answers).length === 0}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors disabled:opacity-50"
+        >
+          {isSubmitting ? 'Submitting...' : lastAttempt ? 'Try Again' : 'Submit Answers'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ModuleQuiz;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useQuery, useQueryClient } from 'react-query'
+import { Bell } from 'lucide-react'
+import { apiHelpers } from '../services/api'
+
+const NotificationBell = () => {
+  const queryClient = useQueryClient()
+  const [open, setOpen] = useState(false)
+
+  const { data } = useQuery('notifications', () => apiHelpers.getNotifications({ limit: 10 }), {
+    refetchInterval: 60000,
+  })
+
+  const notifications = data?.data?.notifications || []
+  const unreadCount = data?.data?.unreadCount || 0
+
+  const markRead = async (notification) => {
+    setOpen(false)
+    if (!notification.isRead) {
+      await apiHelpers.markNotificationRead(notification._id)
+      queryClient.invalidateQueries('notifications')
+    }
+  }
+
+  const markAllRead = async () => {
+    await apiHelpers.markAllNotificationsRead()
+    queryClient.invalidateQueries('notifications')
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-md text-gray-700 hover:text-primary-600 dark:text-gray-300 dark:hover:text-primary-400 transition-colors"
+        title="Notifications"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 min-w-[1rem] h-4 px-1 rounded-full bg-red-600 text-white text-[10px] leading-4 text-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+            <span className="text-sm font-semibold text-gray-900 dark:text-white">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllRead}
+                className="text-xs text-primary-600 hover:text-primary-700 dark:text-primary-400"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">
+              You're all caught up
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <Link
+                    to={notification.link || '#'}
+                    onClick={() => markRead(notification)}
+                    className={`block px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700 ${
+                      notification.isRead ? '' : 'bg-primary-50 dark:bg-primary-900/20'
+                    }`}
+                  >
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">{notification.title}</p>
+                    {notification.message && (
+                      <p className="text-xs text-gray-600 dark:text-gray-400 mt-1 line-clamp-3">{notification.message}</p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">
+                      {new Date(notification.createdAt).toLocaleString()}
+                    </p>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationBell
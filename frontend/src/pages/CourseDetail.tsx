@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useQuery } from 'react-query';
 import { 
   BookOpen, 
@@ -15,7 +15,19 @@ import {
   MessageCircle,
   Eye,
   CheckCircle,
-  Lock
+  Lock,
+  RefreshCw,
+  ShieldCheck,
+  AlertTriangle,
+  FileText,
+  Subtitles,
+  Link2,
+  Pencil,
+  ExternalLink,
+  Paperclip,
+  History,
+  Trash2,
+  GitFork
 } from 'lucide-react';
 import { apiHelpers } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
@@ -23,6 +35,7 @@ import toast from 'react-hot-toast';
 
 interface Module {
   _id: string;
+  type?: 'video' | 'article' | 'link' | 'file';
   title: string;
   description: string;
   videoId: string;
@@ -33,6 +46,54 @@ interface Module {
   xpReward: number;
   isCompleted?: boolean;
   isUnlocked?: boolean;
+  isRetired?: boolean;
+  isHidden?: boolean;
+  section?: string | null;
+  availability?: {
+    status: 'available' | 'unavailable' | 'deleted' | 'private' | 'region_blocked' | 'not_embeddable';
+    checkedAt?: string;
+  };
+}
+
+interface Section {
+  _id: string;
+  title: string;
+  description?: string;
+  order: number;
+  sourceType: 'playlist' | 'videos' | 'manual';
+  channelTitle?: string | null;
+}
+
+// Why a module's video can't be played
+const unavailableLabels: Record<string, string> = {
+  unavailable: 'Video deleted or private',
+  deleted: 'Video deleted',
+  private: 'Video private',
+  region_blocked: 'Blocked in your region',
+  not_embeddable: 'Embedding disabled',
+};
+
+const isUnavailable = (module: Module) =>
+  !!module.availability && module.availability.status !== 'available';
+
+const moduleTypeIcons = {
+  video: Play,
+  article: BookOpen,
+  link: ExternalLink,
+  file: Paperclip,
+};
+
+const ModuleTypeIcon: React.FC<{ type?: Module['type']; className: string }> = ({ type, className }) => {
+  const Icon = moduleTypeIcons[type || 'video'];
+  return <Icon className={className} />;
+};
+
+interface CourseRevision {
+  _id: string;
+  number: number;
+  changelog: string;
+  publishedAt: string;
+  rolledBackTo: number | null;
 }
 
 interface Review {
@@ -47,9 +108,31 @@ interface Review {
   createdAt: string;
 }
 
+interface CourseAnalytics {
+  learners: number;
+  completions: number;
+  completionRate: number;
+  activeLearners: number;
+  activeDays: number;
+  averageProgress: number;
+  modules: Array<{
+    moduleId: string;
+    title: string;
+    order: number;
+    isHidden?: boolean;
+    hasQuiz: boolean;
+    started: number;
+    completed: number;
+    quizTakers: number;
+    quizPassRate: number | null;
+    averageQuizScore: number | null;
+  }>;
+}
+
 interface Course {
   _id: string;
   title: string;
+  slug: string;
   description: string;
   thumbnail: string;
   category: string;
@@ -65,8 +148,21 @@ interface Course {
     firstName: string;
     lastName: string;
   };
+  sections?: Section[];
   modules: Module[];
   ratings: Review[];
+  health?: {
+    lastCheckedAt?: string;
+    unavailableModules: number;
+  };
+  isActive?: boolean;
+  revision?: number;
+  forkedFrom?: {
+    course: { _id: string; title: string; slug: string } | null;
+    title: string;
+    creator: { username: string; firstName: string; lastName: string } | null;
+  };
+  totalForks?: number;
   isEnrolled?: boolean;
   progress?: number;
   enrolledAt?: string;
@@ -74,9 +170,18 @@ interface Course {
 
 const CourseDetail: React.FC = () => {
   const { slug } = useParams<{ slug: string }>();
+  const navigate = useNavigate();
   const { user } = useAuth();
-  const [activeTab, setActiveTab] = useState<'overview' | 'modules' | 'reviews'>('overview');
+  const [activeTab, setActiveTab] = useState<'overview' | 'modules' | 'reviews' | 'changelog' | 'analytics'>('overview');
   const [showAllModules, setShowAllModules] = useState(false);
+  const [isResyncing, setIsResyncing] = useState(false);
+  const [isCheckingHealth, setIsCheckingHealth] = useState(false);
+  const [transcriptLanguage, setTranscriptLanguage] = useState('en');
+  const [isImportingCaptions, setIsImportingCaptions] = useState(false);
+  const [slugDraft, setSlugDraft] = useState<string | null>(null);
+  const [isSavingSlug, setIsSavingSlug] = useState(false);
+  const [forkDraft, setForkDraft] = useState<{ title: string; followUpstream: boolean } | null>(null);
+  const [isForking, setIsForking] = useState(false);
 
   const { data: courseData, isLoading, refetch } = useQuery(
     ['course', slug],
@@ -86,6 +191,35 @@ const CourseDetail: React.FC = () => {
     }
   );
 
+  const courseId: string | undefined = courseData?.data?.course?._id;
+  const { data: revisionsData, isLoading: isLoadingRevisions } = useQuery(
+    ['courseRevisions', courseId],
+    () => apiHelpers.getCourseRevisions(courseId!),
+    {
+      enabled: !!courseId && activeTab === 'changelog',
+    }
+  );
+  const revisions: CourseRevision[] = revisionsData?.data?.revisions || [];
+
+  // 'owner', 'editor' or 'ta' when the user is on the course staff
+  const staffRole: 'owner' | 'editor' | 'ta' | null = courseData?.data?.staffRole || null;
+  const { data: analyticsData, isLoading: isLoadingAnalytics } = useQuery(
+    ['courseAnalytics', courseId],
+    () => apiHelpers.getCourseAnalytics(courseId!),
+    {
+      enabled: !!courseId && !!staffRole && activeTab === 'analytics',
+    }
+  );
+  const analytics: CourseAnalytics | undefined = analyticsData?.data?.analytics;
+
+  // Old slugs are redirected by the API; show the current one in the address bar
+  const currentSlug = courseData?.data?.slug;
+  useEffect(() => {
+    if (currentSlug && slug && currentSlug !== slug) {
+      navigate(`/courses/${currentSlug}`, { replace: true });
+    }
+  }, [currentSlug, slug, navigate]);
+
   const handleEnroll = async () => {
     if (!user) {
       toast.error('Please log in to enroll in courses');
@@ -101,6 +235,102 @@ const CourseDetail: React.FC = () => {
     }
   };
 
+  const handleResync = async () => {
+    setIsResyncing(true);
+    try {
+      const response = await apiHelpers.resyncCourse(courseData.data._id);
+      const { added, retired, restored } = response.data.result;
+      toast.success(`Synced with YouTube: ${added} added, ${retired} retired, ${restored} restored`);
+      refetch();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to resync course');
+    } finally {
+      setIsResyncing(false);
+    }
+  };
+
+  const handleHealthCheck = async () => {
+    setIsCheckingHealth(true);
+    try {
+      const response = await apiHelpers.checkCourseHealth(courseData.data._id);
+      if (response.data.result.unavailable > 0) {
+        toast.error(response.message);
+      } else {
+        toast.success(response.message);
+      }
+      refetch();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to check course videos');
+    } finally {
+      setIsCheckingHealth(false);
+    }
+  };
+
+  const handleDeleteReview = async (ratingId: string) => {
+    if (!window.confirm('Remove this review from the course?')) return;
+
+    try {
+      const response = await apiHelpers.deleteCourseRating(courseData.data._id, ratingId);
+      toast.success(response.message);
+      refetch();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to remove review');
+    }
+  };
+
+  const handleFork = async () => {
+    if (!forkDraft) return;
+    setIsForking(true);
+    try {
+      const response = await apiHelpers.forkCourse(courseData.data._id, {
+        title: forkDraft.title.trim() || undefined,
+        followUpstream: forkDraft.followUpstream,
+      });
+      toast.success(response.message);
+      navigate(`/courses/${response.data.course.slug}/edit`);
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.message || 'Failed to fork course');
+      setIsForking(false);
+    }
+  };
+
+  const handleSaveSlug = async () => {
+    if (!slugDraft) return;
+    setIsSavingSlug(true);
+    try {
+      const response = await apiHelpers.updateCourseSlug(courseData.data._id, slugDraft.trim().toLowerCase());
+      toast.success(response.message);
+      setSlugDraft(null);
+      navigate(`/courses/${response.data.slug}`, { replace: true });
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.message || 'Failed to change the course URL');
+    } finally {
+      setIsSavingSlug(false);
+    }
+  };
+
+  const handleTranscriptUpload = async (module: Module, file?: File) => {
+    if (!file) return;
+    try {
+      await apiHelpers.uploadTranscript(courseData.data._id, module._id, file, transcriptLanguage.trim());
+      toast.success(`Transcript added to "${module.title}"`);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to upload transcript');
+    }
+  };
+
+  const handleImportCaptions = async () => {
+    setIsImportingCaptions(true);
+    try {
+      const response = await apiHelpers.importCaptions(courseData.data._id, [transcriptLanguage.trim()]);
+      toast.success(response.message);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to import captions');
+    } finally {
+      setIsImportingCaptions(false);
+    }
+  };
+
   const formatDuration = (seconds: number) => {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -165,8 +395,21 @@ const CourseDetail: React.FC = () => {
   }
 
   const course: Course = courseData.data;
-  const completedModules = course.modules.filter(m => m.isCompleted).length;
-  const unlockedModules = course.modules.filter(m => m.isUnlocked !== false).length;
+  // Videos removed from the source playlist, and modules the creator hid, stay in the course but are not listed
+  const modules = course.modules.filter(m => !m.isRetired && !m.isHidden);
+  const completedModules = modules.filter(m => m.isCompleted).length;
+  const unlockedModules = modules.filter(m => m.isUnlocked !== false).length;
+  const isCreator = !!user && user._id === course.creator._id;
+  const canEditCourse = isCreator || staffRole === 'editor';
+
+  // Modules grouped under their sections, in section order; courses without
+  // sections (or with just one) are shown as a single flat list
+  const sections = [...(course.sections || [])].sort((a, b) => a.order - b.order);
+  const moduleGroups = sections.length > 1
+    ? sections
+      .map(section => ({ section, modules: modules.filter(m => m.section === section._id) }))
+      .filter(group => group.modules.length > 0)
+    : [{ section: undefined, modules }];
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
@@ -193,6 +436,11 @@ const CourseDetail: React.FC = () => {
                     Enrolled
                   </span>
                 )}
+                {course.isActive === false && (
+                  <span className="px-3 py-1 bg-yellow-600 text-white text-sm rounded-full">
+                    Archived
+                  </span>
+                )}
               </div>
               <h1 className="text-3xl md:text-4xl font-bold text-white mb-2">
                 {course.title}
@@ -232,6 +480,27 @@ const CourseDetail: React.FC = () => {
                   <p className="text-sm text-gray-600 dark:text-gray-400">
                     Course Creator
                   </p>
+                  {course.forkedFrom?.title && (
+                    <p className="text-sm text-gray-600 dark:text-gray-400 flex items-center">
+                      <GitFork className="h-4 w-4 mr-1" />
+                      Forked from{' '}
+                      {course.forkedFrom.course ? (
+                        <Link
+                          to={`/courses/${course.forkedFrom.course.slug}`}
+                          className="ml-1 text-blue-600 dark:text-blue-400 hover:underline"
+                        >
+                          {course.forkedFrom.course.title}
+                        </Link>
+                      ) : (
+                        <span className="ml-1">{course.forkedFrom.title}</span>
+                      )}
+                      {course.forkedFrom.creator && (
+                        <span className="ml-1">
+                          by {course.forkedFrom.creator.firstName} {course.forkedFrom.creator.lastName}
+                        </span>
+                      )}
+                    </p>
+                  )}
                 </div>
               </div>
               <div className="flex items-center space-x-3">
@@ -242,9 +511,91 @@ const CourseDetail: React.FC = () => {
                 <button className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300">
                   <Share2 className="h-5 w-5" />
                 </button>
+                {canEditCourse && (
+                  <button
+                    onClick={handleResync}
+                    disabled={isResyncing}
+                    title="Sync with YouTube playlist"
+                    className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50"
+                  >
+                    <RefreshCw className={`h-5 w-5 ${isResyncing ? 'animate-spin' : ''}`} />
+                  </button>
+                )}
+                {canEditCourse && (
+                  <Link
+                    to={`/courses/${course.slug}/edit`}
+                    title="Edit course"
+                    className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                  >
+                    <Pencil className="h-5 w-5" />
+                  </Link>
+                )}
+                {isCreator && (
+                  <button
+                    onClick={() => setSlugDraft(slugDraft === null ? course.slug : null)}
+                    title="Change the course URL"
+                    className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                  >
+                    <Link2 className="h-5 w-5" />
+                  </button>
+                )}
+                {canEditCourse && (
+                  <button
+                    onClick={handleHealthCheck}
+                    disabled={isCheckingHealth}
+                    title="Check that every video can still be played"
+                    className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50"
+                  >
+                    <ShieldCheck className={`h-5 w-5 ${isCheckingHealth ? 'animate-pulse' : ''}`} />
+                  </button>
+                )}
               </div>
             </div>
 
+            {isCreator && slugDraft !== null && (
+              <div className="mb-6 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                <label htmlFor="course-slug" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Course URL
+                </label>
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm text-gray-500 dark:text-gray-400">/courses/</span>
+                  <input
+                    id="course-slug"
+                    value={slugDraft}
+                    onChange={(e) => setSlugDraft(e.target.value)}
+                    className="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  />
+                  <button
+                    onClick={handleSaveSlug}
+                    disabled={isSavingSlug || !slugDraft.trim() || slugDraft.trim() === course.slug}
+                    className="px-3 py-1 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {isSavingSlug ? 'Saving...' : 'Save'}
+                  </button>
+                  <button
+                    onClick={() => setSlugDraft(null)}
+                    className="px-3 py-1 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800"
+                  >
+                    Cancel
+                  </button>
+                </div>
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  Links to the current URL keep working and redirect to the new one.
+                </p>
+              </div>
+            )}
+
+            {!!staffRole && !!course.health?.unavailableModules && (
+              <div className="mb-6 p-4 rounded-lg border border-yellow-200 bg-yellow-50 dark:border-yellow-800 dark:bg-yellow-900/20 flex items-start space-x-3">
+                <AlertTriangle className="h-5 w-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-yellow-800 dark:text-yellow-200">
+                  {course.health.unavailableModules} module{course.health.unavailableModules === 1 ? '' : 's'} can
+                  no longer be played because the video was deleted, made private or blocked. Replace or remove
+                  {course.health.unavailableModules === 1 ? ' it' : ' them'} so learners aren't stuck.
+                </p>
+              </div>
+            )}
+
             {course.isEnrolled && course.progress !== undefined && (
               <div className="mb-6">
                 <div className="flex items-center justify-between text-sm mb-2">
@@ -265,7 +616,7 @@ const CourseDetail: React.FC = () => {
             <div className="flex items-center space-x-4">
               {course.isEnrolled ? (
                 <Link
-                  to={`/courses/${course._id}/1`}
+                  to={`/courses/${course._id}/${modules[0]?._id}`}
                   className="inline-flex items-center px-6 py-3 border border-transparent text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
                 >
                   <Play className="h-5 w-5 mr-2" />
@@ -283,7 +634,64 @@ const CourseDetail: React.FC = () => {
                 <MessageCircle className="h-5 w-5 mr-2" />
                 Ask Question
               </button>
+              {user && (
+                <button
+                  onClick={() => setForkDraft(forkDraft ? null : { title: course.title, followUpstream: false })}
+                  title="Make your own editable copy of this course"
+                  className="inline-flex items-center px-6 py-3 border border-gray-300 dark:border-gray-600 text-base font-medium rounded-lg text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <GitFork className="h-5 w-5 mr-2" />
+                  Fork
+                  {!!course.totalForks && <span className="ml-2 text-sm text-gray-500">{course.totalForks}</span>}
+                </button>
+              )}
             </div>
+
+            {forkDraft && (
+              <div className="mt-4 p-4 rounded-lg border border-gray-200 dark:border-gray-700 space-y-3">
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Forking makes a private copy of this course that you own and can change freely. The original stays as it is and is credited on your copy.
+                </p>
+                <div>
+                  <label htmlFor="fork-title" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Title
+                  </label>
+                  <input
+                    id="fork-title"
+                    value={forkDraft.title}
+                    maxLength={200}
+                    onChange={(e) => setForkDraft({ ...forkDraft, title: e.target.value })}
+                    className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  />
+                </div>
+                {(course.sections || []).some(section => section.sourceType === 'playlist') && (
+                  <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={forkDraft.followUpstream}
+                      onChange={(e) => setForkDraft({ ...forkDraft, followUpstream: e.target.checked })}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    <span>Keep following the source playlists (new videos are added, removed ones retired)</span>
+                  </label>
+                )}
+                <div className="flex items-center justify-end space-x-2">
+                  <button
+                    onClick={() => setForkDraft(null)}
+                    className="px-3 py-1 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleFork}
+                    disabled={isForking}
+                    className="px-3 py-1 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {isForking ? 'Forking...' : 'Fork Course'}
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
@@ -299,6 +707,8 @@ const CourseDetail: React.FC = () => {
                     { id: 'overview', label: 'Overview' },
                     { id: 'modules', label: 'Modules' },
                     { id: 'reviews', label: 'Reviews' },
+                    { id: 'changelog', label: 'Changelog' },
+                    ...(staffRole ? [{ id: 'analytics', label: 'Analytics' }] : []),
                   ].map((tab) => (
                     <button
                       key={tab.id}
@@ -329,7 +739,7 @@ const CourseDetail: React.FC = () => {
                     What you'll learn
                   </h4>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
-                    {course.modules.slice(0, 6).map((module, index) => (
+                    {modules.slice(0, 6).map((module, index) => (
                       <div key={module._id} className="flex items-start space-x-2">
                         <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 flex-shrink-0" />
                         <span className="text-sm text-gray-600 dark:text-gray-400">
@@ -360,50 +770,113 @@ const CourseDetail: React.FC = () => {
                       {completedModules}/{course.totalModules} completed
                     </span>
                   </div>
-                  
-                  <div className="space-y-2">
-                    {course.modules.map((module, index) => (
-                      <div
-                        key={module._id}
-                        className={`p-4 rounded-lg border ${
-                          module.isCompleted
-                            ? 'border-green-200 bg-green-50 dark:border-green-800 dark:bg-green-900/20'
-                            : module.isUnlocked !== false
-                            ? 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700'
-                            : 'border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800'
-                        }`}
+
+                  {canEditCourse && (
+                    <div className="flex items-center space-x-3 mb-4 text-sm">
+                      <label className="text-gray-600 dark:text-gray-400" htmlFor="transcript-language">
+                        Transcript language
+                      </label>
+                      <input
+                        id="transcript-language"
+                        value={transcriptLanguage}
+                        onChange={(e) => setTranscriptLanguage(e.target.value)}
+                        className="w-20 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                      />
+                      <button
+                        onClick={handleImportCaptions}
+                        disabled={isImportingCaptions || !transcriptLanguage.trim()}
+                        className="flex items-center space-x-1 text-blue-600 hover:text-blue-500 dark:text-blue-400 disabled:opacity-50"
                       >
-                        <div className="flex items-center justify-between">
-                          <div className="flex items-center space-x-3">
-                            {module.isCompleted ? (
-                              <CheckCircle className="h-5 w-5 text-green-500" />
-                            ) : module.isUnlocked !== false ? (
-                              <Play className="h-5 w-5 text-blue-500" />
-                            ) : (
-                              <Lock className="h-5 w-5 text-gray-400" />
-                            )}
-                            <div className="flex-1">
-                              <h4 className="font-medium text-gray-900 dark:text-white">
-                                {index + 1}. {module.title}
-                              </h4>
-                              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                                {module.description}
-                              </p>
-                            </div>
-                          </div>
-                          <div className="flex items-center space-x-3">
-                            <span className="text-sm text-gray-600 dark:text-gray-400">
-                              {formatDuration(module.duration)}
+                        <Subtitles className="h-4 w-4" />
+                        <span>{isImportingCaptions ? 'Importing...' : 'Import YouTube captions'}</span>
+                      </button>
+                    </div>
+                  )}
+                  
+                  <div className="space-y-6">
+                    {moduleGroups.map(({ section, modules: sectionModules }) => (
+                      <div key={section?._id || 'all'}>
+                        {section && (
+                          <div className="flex items-baseline justify-between mb-2">
+                            <h4 className="font-semibold text-gray-900 dark:text-white">{section.title}</h4>
+                            <span className="text-xs text-gray-500 dark:text-gray-400">
+                              {sectionModules.length} module{sectionModules.length === 1 ? '' : 's'}
+                              {section.channelTitle && ` · ${section.channelTitle}`}
                             </span>
-                            {module.isUnlocked !== false && (
-                              <Link
-                                to={`/courses/${course._id}/${module.order}`}
-                                className="text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 text-sm font-medium"
-                              >
-                                {module.isCompleted ? 'Review' : 'Start'}
-                              </Link>
-                            )}
                           </div>
+                        )}
+                        <div className="space-y-2">
+                          {sectionModules.map((module) => (
+                            <div
+                              key={module._id}
+                              className={`p-4 rounded-lg border ${
+                                module.isCompleted
+                                  ? 'border-green-200 bg-green-50 dark:border-green-800 dark:bg-green-900/20'
+                                  : module.isUnlocked !== false
+                                  ? 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700'
+                                  : 'border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800'
+                              }`}
+                            >
+                              <div className="flex items-center justify-between">
+                                <div className="flex items-center space-x-3">
+                                  {module.isCompleted ? (
+                                    <CheckCircle className="h-5 w-5 text-green-500" />
+                                  ) : isUnavailable(module) ? (
+                                    <AlertTriangle className="h-5 w-5 text-yellow-500" />
+                                  ) : module.isUnlocked !== false ? (
+                                    <ModuleTypeIcon type={module.type} className="h-5 w-5 text-blue-500" />
+                                  ) : (
+                                    <Lock className="h-5 w-5 text-gray-400" />
+                                  )}
+                                  <div className="flex-1">
+                                    <h4 className="font-medium text-gray-900 dark:text-white">
+                                      {modules.indexOf(module) + 1}. {module.title}
+                                    </h4>
+                                    {isUnavailable(module) && (
+                                      <span className="inline-block mt-1 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200">
+                                        {unavailableLabels[module.availability!.status]}
+                                      </span>
+                                    )}
+                                    <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                                      {module.description}
+                                    </p>
+                                  </div>
+                                </div>
+                                <div className="flex items-center space-x-3">
+                                  {module.duration > 0 && (
+                                    <span className="text-sm text-gray-600 dark:text-gray-400">
+                                      {formatDuration(module.duration)}
+                                    </span>
+                                  )}
+                                  {canEditCourse && (module.type || 'video') === 'video' && (
+                                    <label
+                                      title="Upload transcript (.srt or .vtt)"
+                                      className="cursor-pointer text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                                    >
+                                      <FileText className="h-4 w-4" />
+                                      <input
+                                        type="file"
+                                        accept=".srt,.vtt"
+                                        className="hidden"
+                                        onChange={(e) => {
+                                          handleTranscriptUpload(module, e.target.files?.[0]);
+                                          e.target.value = '';
+                                        }}
+                                      />
+                                    </label>
+                                  )}
+                                  {module.isUnlocked !== false && !isUnavailable(module) && (
+                                    <Link
+                                      to={`/courses/${course._id}/${module._id}`}
+                                      className="text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 text-sm font-medium"
+                                    >
+                                      {module.isCompleted ? 'Review' : 'Start'}
+                                    </Link>
+                                  )}
+                                </div>
+                              </div>
+                            </div>
+                          ))}
                         </div>
                       </div>
                     ))}
@@ -440,7 +913,18 @@ const CourseDetail: React.FC = () => {
                                 </p>
                               </div>
                             </div>
-                            {renderStars(review.rating, 'sm')}
+                            <div className="flex items-center space-x-2">
+                              {renderStars(review.rating, 'sm')}
+                              {staffRole && (
+                                <button
+                                  onClick={() => handleDeleteReview(review._id)}
+                                  title="Remove review"
+                                  className="p-1 text-gray-400 hover:text-red-600"
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </button>
+                              )}
+                            </div>
                           </div>
                           <p className="text-gray-600 dark:text-gray-400">
                             {review.review}
@@ -461,6 +945,116 @@ const CourseDetail: React.FC = () => {
                   )}
                 </div>
               )}
+
+              {activeTab === 'changelog' && (
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                    Changelog
+                  </h3>
+                  {isLoadingRevisions ? (
+                    <div className="space-y-4">
+                      {[...Array(3)].map((_, i) => (
+                        <div key={i} className="h-12 bg-gray-200 dark:bg-gray-700 rounded animate-pulse"></div>
+                      ))}
+                    </div>
+                  ) : revisions.length > 0 ? (
+                    <ol className="space-y-6">
+                      {revisions.map((revision) => (
+                        <li key={revision._id} className="border-b border-gray-200 dark:border-gray-700 pb-6 last:border-b-0">
+                          <div className="flex items-center justify-between mb-1">
+                            <p className="font-medium text-gray-900 dark:text-white">
+                              Revision {revision.number}
+                              {revision.number === course.revision && (
+                                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200">
+                                  Current
+                                </span>
+                              )}
+                            </p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400">
+                              {new Date(revision.publishedAt).toLocaleDateString()}
+                            </p>
+                          </div>
+                          <p className="text-gray-600 dark:text-gray-400 whitespace-pre-line">
+                            {revision.changelog || (revision.rolledBackTo
+                              ? `Restored revision ${revision.rolledBackTo}`
+                              : 'No notes for this update')}
+                          </p>
+                        </li>
+                      ))}
+                    </ol>
+                  ) : (
+                    <div className="text-center py-8">
+                      <History className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                      <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+                        No updates yet
+                      </h3>
+                      <p className="text-gray-600 dark:text-gray-400">
+                        Changes the creator publishes will be listed here.
+                      </p>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'analytics' && (
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                    Learner Analytics
+                  </h3>
+                  {isLoadingAnalytics || !analytics ? (
+                    <div className="space-y-4">
+                      {[...Array(3)].map((_, i) => (
+                        <div key={i} className="h-12 bg-gray-200 dark:bg-gray-700 rounded animate-pulse"></div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                        {[
+                          { label: 'Learners', value: analytics.learners },
+                          { label: 'Completion rate', value: `${analytics.completionRate}%` },
+                          { label: 'Average progress', value: `${analytics.averageProgress}%` },
+                          { label: `Active (${analytics.activeDays} days)`, value: analytics.activeLearners },
+                        ].map((stat) => (
+                          <div key={stat.label} className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700">
+                            <p className="text-2xl font-bold text-gray-900 dark:text-white">{stat.value}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400">{stat.label}</p>
+                          </div>
+                        ))}
+                      </div>
+                      <table className="w-full text-sm text-left">
+                        <thead>
+                          <tr className="text-gray-600 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                            <th className="py-2 pr-4 font-medium">Module</th>
+                            <th className="py-2 pr-4 font-medium">Completed</th>
+                            <th className="py-2 font-medium">Quiz pass rate</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {analytics.modules.map((module) => (
+                            <tr key={module.moduleId} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0">
+                              <td className="py-2 pr-4 text-gray-900 dark:text-white">
+                                {module.order}. {module.title}
+                                {module.isHidden && <span className="ml-2 text-xs text-gray-500">(hidden)</span>}
+                              </td>
+                              <td className="py-2 pr-4 text-gray-600 dark:text-gray-400">
+                                {module.completed} of {analytics.learners}
+                              </td>
+                              <td className="py-2 text-gray-600 dark:text-gray-400">
+                                {module.hasQuiz
+                                  ? module.quizPassRate !== null
+                                    ? `${module.quizPassRate}% of ${module.quizTakers}`
+                                    : 'No attempts'
+                                  : '—'}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           </div>
 
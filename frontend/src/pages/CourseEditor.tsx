@@ -0,0 +1,1686 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeft,
+  BookOpen,
+  Download,
+  GripVertical,
+  Eye,
+  EyeOff,
+  Pencil,
+  Save,
+  Layers,
+  Archive,
+  ArchiveRestore,
+  UserPlus,
+  Trash2,
+  HelpCircle,
+  Plus,
+  Play,
+  ExternalLink,
+  Paperclip,
+  History,
+  RotateCcw,
+  Send,
+  Users,
+  X
+} from 'lucide-react';
+import { apiHelpers } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+interface EditorModule {
+  _id: string;
+  type?: ModuleType;
+  title: string;
+  description?: string;
+  thumbnail?: string;
+  duration: number;
+  order: number;
+  xpReward: number;
+  section?: string | null;
+  isRetired?: boolean;
+  isHidden?: boolean;
+  prerequisites?: string[];
+  quiz?: { questions: Array<{ _id: string }> } | null;
+}
+
+interface EditorSection {
+  _id: string;
+  title: string;
+  order: number;
+  sourceType?: string;
+}
+
+interface EditorCourse {
+  _id: string;
+  title: string;
+  slug: string;
+  description: string;
+  thumbnail: string;
+  category: string;
+  difficulty: 'beginner' | 'intermediate' | 'advanced';
+  tags: string[];
+  language: string;
+  isPublic: boolean;
+  isSequential: boolean;
+  isActive: boolean;
+  sync?: {
+    enabled: boolean;
+  };
+  archivedAt?: string | null;
+  completionCriteria: 'all_modules' | 'percentage' | 'custom';
+  completionPercentage: number;
+  customCompletion?: {
+    requiredModules: string[];
+    requireQuizPass: boolean;
+    minWatchRatio: number;
+  };
+  completionXP: number;
+  totalEnrollments: number;
+  creator: {
+    _id: string;
+  };
+  sections?: EditorSection[];
+  modules: EditorModule[];
+}
+
+interface CourseRevision {
+  _id: string;
+  number: number;
+  changelog: string;
+  publishedAt: string;
+  rolledBackTo: number | null;
+  publishedBy?: {
+    username: string;
+    firstName: string;
+    lastName: string;
+  } | null;
+}
+
+type StaffRole = 'editor' | 'ta';
+
+// PlayLMS packages can be imported into PlayLMS again; SCORM zips go to other LMSs
+type ExportFormat = 'json' | 'scorm12' | 'scorm2004';
+
+interface StaffUser {
+  _id: string;
+  username: string;
+  firstName: string;
+  lastName: string;
+}
+
+interface CourseStaff {
+  owner: StaffUser;
+  staff: Array<{
+    _id: string;
+    user: StaffUser;
+    role: StaffRole;
+    addedAt: string;
+  }>;
+  invitations: Array<{
+    _id: string;
+    user: StaffUser;
+    role: StaffRole;
+    createdAt: string;
+  }>;
+}
+
+const staffRoleLabels: Record<StaffRole, string> = {
+  editor: 'Co-author',
+  ta: 'Teaching assistant',
+};
+
+interface CourseDetailsForm {
+  title: string;
+  description: string;
+  thumbnail: string;
+  category: string;
+  difficulty: 'beginner' | 'intermediate' | 'advanced';
+  tags: string;
+  language: string;
+  isPublic: boolean;
+  isSequential: boolean;
+  syncEnabled: boolean;
+  completionCriteria: 'all_modules' | 'percentage' | 'custom';
+  completionPercentage: number;
+  completionXP: number;
+  requiredModules: string[];
+  requireQuizPass: boolean;
+  minWatchPercent: number;
+}
+
+type ModuleType = 'video' | 'article' | 'link' | 'file';
+
+interface LessonDraft {
+  type: ModuleType;
+  title: string;
+  description: string;
+  url: string;
+  body: string;
+  file: File | null;
+}
+
+const emptyLesson = (type: ModuleType = 'video'): LessonDraft => ({
+  type,
+  title: '',
+  description: '',
+  url: '',
+  body: '',
+  file: null,
+});
+
+const moduleTypes: Array<{ value: ModuleType; label: string; icon: typeof Play }> = [
+  { value: 'video', label: 'Video', icon: Play },
+  { value: 'article', label: 'Article', icon: BookOpen },
+  { value: 'link', label: 'Link', icon: ExternalLink },
+  { value: 'file', label: 'File', icon: Paperclip },
+];
+
+interface ModuleDraft {
+  title: string;
+  description: string;
+  xpReward: number;
+  prerequisites: string[];
+}
+
+// Answer options are edited one per line
+interface QuizDraft {
+  passingScore: number;
+  questions: Array<{
+    question: string;
+    options: string;
+    correctOption: number;
+  }>;
+}
+
+const moduleTypeLabel = (module: EditorModule) =>
+  moduleTypes.find(type => type.value === (module.type || 'video'))!.label;
+
+const ModuleTypeIcon: React.FC<{ module: EditorModule }> = ({ module }) => {
+  const Icon = moduleTypes.find(type => type.value === (module.type || 'video'))!.icon;
+  return (
+    <div className="w-16 h-9 rounded bg-gray-100 dark:bg-gray-700 flex items-center justify-center flex-shrink-0">
+      <Icon className="h-4 w-4 text-gray-500 dark:text-gray-400" />
+    </div>
+  );
+};
+
+const emptyQuestion = () => ({ question: '', options: '', correctOption: 0 });
+
+const categories = [
+  'programming', 'design', 'business', 'marketing', 'music', 'cooking',
+  'fitness', 'language', 'science', 'history', 'technology', 'art',
+  'photography', 'finance', 'health', 'other'
+];
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+
+const formatDuration = (seconds: number) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+const CourseEditor: React.FC = () => {
+  const { slug } = useParams<{ slug: string }>();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [modules, setModules] = useState<EditorModule[]>([]);
+  const [isOrderChanged, setIsOrderChanged] = useState(false);
+  const [draggingId, setDraggingId] = useState<string | null>(null);
+  const [editingModuleId, setEditingModuleId] = useState<string | null>(null);
+  const [moduleDraft, setModuleDraft] = useState<ModuleDraft | null>(null);
+  const [isSavingDetails, setIsSavingDetails] = useState(false);
+  const [isSavingOrder, setIsSavingOrder] = useState(false);
+  const [transferUsername, setTransferUsername] = useState('');
+  const [isChangingStatus, setIsChangingStatus] = useState(false);
+  const [quizModuleId, setQuizModuleId] = useState<string | null>(null);
+  const [quizDraft, setQuizDraft] = useState<QuizDraft | null>(null);
+  const [lessonDraft, setLessonDraft] = useState<LessonDraft | null>(null);
+  const [isAddingLesson, setIsAddingLesson] = useState(false);
+  const [changelog, setChangelog] = useState('');
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [inviteUsername, setInviteUsername] = useState('');
+  const [inviteRole, setInviteRole] = useState<StaffRole>('editor');
+  const [isUpdatingStaff, setIsUpdatingStaff] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('json');
+
+  const { register, handleSubmit, reset, watch, formState: { errors, isDirty } } = useForm<CourseDetailsForm>();
+  const completionCriteria = watch('completionCriteria');
+
+  const { data: courseData, isLoading } = useQuery(
+    ['course', slug],
+    () => apiHelpers.getCourse(slug!),
+    {
+      enabled: !!slug,
+    }
+  );
+
+  const liveCourse: EditorCourse | undefined = courseData?.data?.course;
+  // Owners and co-authors edit the course; only owners manage its staff, status and ownership
+  const staffRole: 'owner' | StaffRole | null = courseData?.data?.staffRole || null;
+  const isAdmin = user?.role === 'admin';
+  const canEdit = !!user && !!liveCourse && (staffRole === 'owner' || staffRole === 'editor' || isAdmin);
+  const canManage = !!user && !!liveCourse && (staffRole === 'owner' || isAdmin);
+
+  // Edits go to the draft; learners keep seeing the published revision until it is published
+  const { data: draftData } = useQuery(
+    ['courseDraft', liveCourse?._id],
+    () => apiHelpers.getCourseDraft(liveCourse!._id),
+    {
+      enabled: canEdit,
+    }
+  );
+
+  const { data: revisionsData } = useQuery(
+    ['courseRevisions', liveCourse?._id],
+    () => apiHelpers.getCourseRevisions(liveCourse!._id),
+    {
+      enabled: canEdit,
+    }
+  );
+
+  const { data: staffData } = useQuery(
+    ['courseStaff', liveCourse?._id],
+    () => apiHelpers.getCourseStaff(liveCourse!._id),
+    {
+      enabled: canEdit,
+    }
+  );
+
+  const course: EditorCourse | undefined = draftData?.data?.course
+    ? { ...draftData.data.course, creator: liveCourse!.creator }
+    : undefined;
+  const hasDraft: boolean = !!draftData?.data?.hasDraft;
+  const currentRevision: number = draftData?.data?.revision || 0;
+  const revisions: CourseRevision[] = revisionsData?.data?.revisions || [];
+  const courseStaff: CourseStaff | undefined = staffData?.data;
+
+  useEffect(() => {
+    if (!course) return;
+    reset({
+      title: course.title,
+      description: course.description,
+      thumbnail: course.thumbnail,
+      category: course.category,
+      difficulty: course.difficulty,
+      tags: (course.tags || []).join(', '),
+      language: course.language || 'en',
+      isPublic: course.isPublic,
+      syncEnabled: course.sync?.enabled !== false,
+      isSequential: course.isSequential || false,
+      completionCriteria: course.completionCriteria,
+      completionPercentage: course.completionPercentage,
+      completionXP: course.completionXP ?? 50,
+      requiredModules: course.customCompletion?.requiredModules || [],
+      requireQuizPass: course.customCompletion?.requireQuizPass || false,
+      minWatchPercent: Math.round((course.customCompletion?.minWatchRatio || 0) * 100),
+    });
+    // Retired modules left the source playlist and can't be edited or moved
+    setModules(course.modules.filter(m => !m.isRetired).sort((a, b) => a.order - b.order));
+    setIsOrderChanged(false);
+  }, [course, reset]);
+
+  const refreshCourse = () => {
+    queryClient.invalidateQueries(['course', slug]);
+    queryClient.invalidateQueries(['courseDraft', liveCourse?._id]);
+    queryClient.invalidateQueries(['courseRevisions', liveCourse?._id]);
+  };
+
+  const onSaveDetails = async (data: CourseDetailsForm) => {
+    setIsSavingDetails(true);
+    try {
+      const { requiredModules, requireQuizPass, minWatchPercent, ...details } = data;
+      const response = await apiHelpers.updateCourse(course!._id, {
+        ...details,
+        tags: data.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        language: data.language.trim(),
+        completionPercentage: Number(data.completionPercentage),
+        completionXP: Number(data.completionXP),
+        customCompletion: {
+          requiredModules: requiredModules || [],
+          requireQuizPass,
+          minWatchRatio: Number(minWatchPercent) / 100,
+        },
+      });
+      toast.success(response.message);
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.message || 'Failed to save course');
+    } finally {
+      setIsSavingDetails(false);
+    }
+  };
+
+  const handleToggleHidden = async (module: EditorModule) => {
+    try {
+      await apiHelpers.updateModule(course!._id, module._id, { isHidden: !module.isHidden });
+      toast.success(module.isHidden ? `"${module.title}" is visible again` : `"${module.title}" is hidden from learners`);
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to update module');
+    }
+  };
+
+  const startEditing = (module: EditorModule) => {
+    setEditingModuleId(module._id);
+    setModuleDraft({
+      title: module.title,
+      description: module.description || '',
+      xpReward: module.xpReward,
+      prerequisites: module.prerequisites || [],
+    });
+  };
+
+  const togglePrerequisite = (moduleId: string) => {
+    setModuleDraft(draft => draft && {
+      ...draft,
+      prerequisites: draft.prerequisites.includes(moduleId)
+        ? draft.prerequisites.filter(id => id !== moduleId)
+        : [...draft.prerequisites, moduleId],
+    });
+  };
+
+  const handleSaveModule = async (module: EditorModule) => {
+    if (!moduleDraft) return;
+    try {
+      await apiHelpers.updateModule(course!._id, module._id, {
+        title: moduleDraft.title.trim(),
+        description: moduleDraft.description,
+        xpReward: Number(moduleDraft.xpReward),
+        prerequisites: moduleDraft.prerequisites,
+      });
+      toast.success('Module updated');
+      setEditingModuleId(null);
+      setModuleDraft(null);
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.message || 'Failed to update module');
+    }
+  };
+
+  const canAddLesson = (draft: LessonDraft) => {
+    switch (draft.type) {
+      case 'video':
+        return !!draft.url.trim();
+      case 'article':
+        return !!draft.title.trim() && !!draft.body.trim();
+      case 'link':
+        return !!draft.title.trim() && !!draft.url.trim();
+      case 'file':
+        return !!draft.file;
+    }
+  };
+
+  const handleAddLesson = async () => {
+    if (!lessonDraft) return;
+    setIsAddingLesson(true);
+    try {
+      const { type, file, ...fields } = lessonDraft;
+      const response = type === 'file'
+        ? await apiHelpers.addFileModule(course!._id, file, {
+          title: fields.title.trim(),
+          description: fields.description,
+        })
+        : await apiHelpers.addModule(course!._id, {
+          type,
+          title: fields.title.trim() || undefined,
+          description: fields.description,
+          url: type === 'video' || type === 'link' ? fields.url.trim() : undefined,
+          body: type === 'article' ? fields.body : undefined,
+        });
+      toast.success(response.message);
+      setLessonDraft(null);
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.message || 'Failed to add lesson');
+    } finally {
+      setIsAddingLesson(false);
+    }
+  };
+
+  const openQuizEditor = async (module: EditorModule) => {
+    if (quizModuleId === module._id) {
+      setQuizModuleId(null);
+      setQuizDraft(null);
+      return;
+    }
+
+    try {
+      // The course payload leaves out the answers; the quiz endpoint includes them for creators
+      const response = await apiHelpers.getQuiz(course!._id, module._id, { draft: true });
+      const quiz = response.data.quiz;
+      setQuizDraft({
+        passingScore: quiz?.passingScore || 70,
+        questions: quiz?.questions?.length
+          ? quiz.questions.map((q: any) => ({ question: q.question, options: q.options.join('\n'), correctOption: q.correctOption }))
+          : [emptyQuestion()],
+      });
+      setQuizModuleId(module._id);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to load quiz');
+    }
+  };
+
+  const updateQuizQuestion = (index: number, changes: Partial<QuizDraft['questions'][number]>) => {
+    setQuizDraft(draft => draft && {
+      ...draft,
+      questions: draft.questions.map((q, i) => (i === index ? { ...q, ...changes } : q)),
+    });
+  };
+
+  const handleSaveQuiz = async (module: EditorModule) => {
+    if (!quizDraft) return;
+    const questions = quizDraft.questions
+      .filter(q => q.question.trim())
+      .map(q => ({
+        question: q.question.trim(),
+        options: q.options.split('\n').map(option => option.trim()).filter(Boolean),
+        correctOption: Number(q.correctOption),
+      }));
+
+    try {
+      const response = await apiHelpers.saveQuiz(course!._id, module._id, {
+        questions,
+        passingScore: Number(quizDraft.passingScore),
+      });
+      toast.success(response.message);
+      setQuizModuleId(null);
+      setQuizDraft(null);
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.message || 'Failed to save quiz');
+    }
+  };
+
+  // Dragging over a module moves the dragged one to its place (and into its section)
+  const handleDragOver = (event: React.DragEvent, target: EditorModule) => {
+    event.preventDefault();
+    if (!draggingId || draggingId === target._id) return;
+
+    setModules(current => {
+      const dragged = current.find(m => m._id === draggingId);
+      if (!dragged) return current;
+      const rest = current.filter(m => m._id !== draggingId);
+      const targetIndex = rest.findIndex(m => m._id === target._id);
+      const draggedIndex = current.findIndex(m => m._id === draggingId);
+      const insertAt = draggedIndex > current.findIndex(m => m._id === target._id) ? targetIndex : targetIndex + 1;
+      return [
+        ...rest.slice(0, insertAt),
+        { ...dragged, section: target.section },
+        ...rest.slice(insertAt),
+      ];
+    });
+    setIsOrderChanged(true);
+  };
+
+  // Dropping on a section heading moves the dragged module to the end of that section
+  const handleDropOnSection = (event: React.DragEvent, section: EditorSection) => {
+    event.preventDefault();
+    if (!draggingId) return;
+
+    setModules(current => {
+      const dragged = current.find(m => m._id === draggingId);
+      if (!dragged) return current;
+      return [...current.filter(m => m._id !== draggingId), { ...dragged, section: section._id }];
+    });
+    setDraggingId(null);
+    setIsOrderChanged(true);
+  };
+
+  const handleSaveOrder = async () => {
+    setIsSavingOrder(true);
+    try {
+      const response = await apiHelpers.reorderModules(
+        course!._id,
+        modules.map(m => ({ moduleId: m._id, sectionId: m.section || undefined }))
+      );
+      toast.success(response.message);
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to save module order');
+    } finally {
+      setIsSavingOrder(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    setIsPublishing(true);
+    try {
+      const response = await apiHelpers.publishCourse(course!._id, changelog.trim());
+      toast.success(response.message);
+      setChangelog('');
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.message || 'Failed to publish course');
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const blob = exportFormat === 'json'
+        ? await apiHelpers.exportCourse(course!._id)
+        : await apiHelpers.exportScormPackage(course!._id, exportFormat === 'scorm2004' ? '2004' : '1.2');
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = exportFormat === 'json'
+        ? `${course!.slug}.json`
+        : `${course!.slug}-scorm-${exportFormat === 'scorm2004' ? '2004' : '1.2'}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to export course');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleDiscardDraft = async () => {
+    if (!window.confirm('Discard all unpublished changes? This cannot be undone.')) return;
+
+    setIsPublishing(true);
+    try {
+      const response = await apiHelpers.discardCourseDraft(course!._id);
+      toast.success(response.message);
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to discard changes');
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const handleRollback = async (revision: CourseRevision) => {
+    if (!window.confirm(
+      `Publish the content of revision ${revision.number} again? Learners see it straight away; ` +
+      'modules added since are hidden, not deleted.'
+    )) return;
+
+    setIsPublishing(true);
+    try {
+      const response = await apiHelpers.rollbackCourse(course!._id, revision.number);
+      toast.success(response.message);
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to roll back course');
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const handleArchiveToggle = async () => {
+    setIsChangingStatus(true);
+    try {
+      const response = course!.isActive
+        ? await apiHelpers.archiveCourse(course!._id)
+        : await apiHelpers.restoreCourse(course!._id);
+      toast.success(response.message);
+      refreshCourse();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to change course status');
+    } finally {
+      setIsChangingStatus(false);
+    }
+  };
+
+  const handleTransfer = async () => {
+    const username = transferUsername.trim();
+    if (!username) return;
+    if (!window.confirm(`Make ${username} the owner of "${course!.title}"? You will no longer be able to edit it.`)) return;
+
+    setIsChangingStatus(true);
+    try {
+      const response = await apiHelpers.transferCourse(course!._id, username);
+      toast.success(response.message);
+      refreshCourse();
+      navigate(`/courses/${course!.slug}`);
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.message || 'Failed to transfer course');
+      setIsChangingStatus(false);
+    }
+  };
+
+  const refreshStaff = () => {
+    queryClient.invalidateQueries(['courseStaff', liveCourse?._id]);
+  };
+
+  const handleInvite = async () => {
+    setIsUpdatingStaff(true);
+    try {
+      const response = await apiHelpers.inviteCourseStaff(course!._id, inviteUsername.trim(), inviteRole);
+      toast.success(response.message);
+      setInviteUsername('');
+      refreshStaff();
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.message || 'Failed to send invitation');
+    } finally {
+      setIsUpdatingStaff(false);
+    }
+  };
+
+  const handleRevokeInvitation = async (invitationId: string) => {
+    setIsUpdatingStaff(true);
+    try {
+      const response = await apiHelpers.revokeCourseInvitation(course!._id, invitationId);
+      toast.success(response.message);
+      refreshStaff();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to withdraw invitation');
+    } finally {
+      setIsUpdatingStaff(false);
+    }
+  };
+
+  const handleChangeStaffRole = async (userId: string, role: StaffRole) => {
+    setIsUpdatingStaff(true);
+    try {
+      const response = await apiHelpers.updateCourseStaffRole(course!._id, userId, role);
+      toast.success(response.message);
+      refreshStaff();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to change role');
+    } finally {
+      setIsUpdatingStaff(false);
+    }
+  };
+
+  const handleRemoveStaff = async (member: StaffUser) => {
+    const isSelf = member._id === user?._id;
+    const question = isSelf
+      ? `Leave the staff of "${course!.title}"? You will no longer be able to edit it.`
+      : `Remove ${member.username} from the staff of "${course!.title}"?`;
+    if (!window.confirm(question)) return;
+
+    setIsUpdatingStaff(true);
+    try {
+      const response = await apiHelpers.removeCourseStaff(course!._id, member._id);
+      toast.success(response.message);
+      if (isSelf && !isAdmin) {
+        queryClient.invalidateQueries(['course', slug]);
+        navigate(`/courses/${course!.slug}`);
+        return;
+      }
+      refreshStaff();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to remove staff member');
+    } finally {
+      setIsUpdatingStaff(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const confirmation = window.prompt(
+      `This permanently deletes "${course!.title}" and the progress of its ${course!.totalEnrollments} learner(s). ` +
+      'Type the course URL name to confirm:'
+    );
+    if (confirmation === null) return;
+    if (confirmation.trim() !== course!.slug) {
+      toast.error('The course URL name did not match');
+      return;
+    }
+
+    setIsChangingStatus(true);
+    try {
+      const response = await apiHelpers.deleteCourse(course!._id);
+      toast.success(response.message);
+      queryClient.removeQueries(['course', slug]);
+      navigate('/dashboard');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to delete course');
+      setIsChangingStatus(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!liveCourse) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <BookOpen className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            Course not found
+          </h3>
+        </div>
+      </div>
+    );
+  }
+
+  if (!canEdit) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-gray-600 dark:text-gray-400">
+          Only the course owner and its co-authors can edit this course.
+        </p>
+      </div>
+    );
+  }
+
+  if (!course) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  // Modules grouped under their sections, keeping the (possibly unsaved) drag order
+  const sections = [...(course.sections || [])].sort((a, b) => a.order - b.order);
+  const hasPlaylistSections = sections.some(section => section.sourceType === 'playlist');
+  const moduleGroups = sections.length > 0
+    ? sections.map(section => ({ section, modules: modules.filter(m => m.section === section._id) }))
+    : [{ section: undefined, modules }];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <div className="flex items-center justify-between">
+          <div>
+            <Link
+              to={`/courses/${course.slug}`}
+              className="inline-flex items-center text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white mb-2"
+            >
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Back to course
+            </Link>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+              Edit Course
+            </h1>
+          </div>
+          <div className="flex items-center space-x-2">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value as ExportFormat)}
+              aria-label="Export format"
+              className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+            >
+              <option value="json">PlayLMS package (.json)</option>
+              <option value="scorm12">SCORM 1.2 (.zip)</option>
+              <option value="scorm2004">SCORM 2004 (.zip)</option>
+            </select>
+            <button
+              onClick={handleExport}
+              disabled={isExporting}
+              title="Download the published course, to import it into PlayLMS or another LMS"
+              className="inline-flex items-center px-3 py-2 text-sm text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              <Download className="h-4 w-4 mr-1" />
+              {isExporting ? 'Exporting...' : 'Export'}
+            </button>
+          </div>
+        </div>
+
+        {/* Draft and revisions */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2 flex items-center">
+            <Send className="h-5 w-5 mr-2 text-indigo-600" />
+            Publishing
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            {hasDraft
+              ? `You have unpublished changes. Learners see ${currentRevision > 0 ? `revision ${currentRevision}` : 'the course as it was created'} until you publish them.`
+              : 'Changes to details, modules and quizzes are saved as a draft that only the course editors can see until it is published. Visibility applies straight away.'}
+          </p>
+
+          {hasDraft && (
+            <div className="space-y-3">
+              <textarea
+                rows={3}
+                value={changelog}
+                maxLength={2000}
+                onChange={(e) => setChangelog(e.target.value)}
+                placeholder="What changed? Learners see this in the course changelog."
+                className={inputClassName}
+              />
+              <div className="flex items-center justify-end space-x-3">
+                <button
+                  onClick={handleDiscardDraft}
+                  disabled={isPublishing}
+                  className="px-3 py-1.5 text-sm text-gray-600 dark:text-gray-400 hover:text-red-600 disabled:opacity-50"
+                >
+                  Discard changes
+                </button>
+                <button
+                  onClick={handlePublish}
+                  disabled={isPublishing}
+                  className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  <Send className="h-4 w-4 mr-2" />
+                  {isPublishing ? 'Publishing...' : `Publish revision ${Math.max(currentRevision, 1) + 1}`}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {revisions.length > 0 && (
+            <div className="mt-6">
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2 flex items-center">
+                <History className="h-4 w-4 mr-1" />
+                Revision history
+              </h3>
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {revisions.map(revision => (
+                  <li key={revision._id} className="py-3 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 dark:text-white">
+                        Revision {revision.number}
+                        {revision.number === currentRevision && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200">
+                            Published
+                          </span>
+                        )}
+                      </p>
+                      {revision.changelog && (
+                        <p className="text-sm text-gray-600 dark:text-gray-400 whitespace-pre-line">{revision.changelog}</p>
+                      )}
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {new Date(revision.publishedAt).toLocaleString()}
+                        {revision.publishedBy && ` · ${revision.publishedBy.username}`}
+                      </p>
+                    </div>
+                    {revision.number !== currentRevision && (
+                      <button
+                        onClick={() => handleRollback(revision)}
+                        disabled={isPublishing || hasDraft}
+                        title={hasDraft ? 'Publish or discard your changes first' : `Roll back to revision ${revision.number}`}
+                        className="inline-flex items-center px-3 py-1 text-sm text-gray-600 dark:text-gray-400 hover:text-indigo-600 disabled:opacity-50 flex-shrink-0"
+                      >
+                        <RotateCcw className="h-4 w-4 mr-1" />
+                        Roll back
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        {/* Course Details */}
+        <form
+          onSubmit={handleSubmit(onSaveDetails)}
+          className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700"
+        >
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+            Details
+          </h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Title
+              </label>
+              <input
+                type="text"
+                {...register('title', {
+                  required: 'Title is required',
+                  maxLength: { value: 200, message: 'Title cannot exceed 200 characters' }
+                })}
+                className={inputClassName}
+              />
+              {errors.title && (
+                <p className="mt-1 text-red-600 text-sm" role="alert">{errors.title.message}</p>
+              )}
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Description
+              </label>
+              <textarea
+                rows={5}
+                {...register('description', {
+                  required: 'Description is required',
+                  maxLength: { value: 2000, message: 'Description cannot exceed 2000 characters' }
+                })}
+                className={inputClassName}
+              />
+              {errors.description && (
+                <p className="mt-1 text-red-600 text-sm" role="alert">{errors.description.message}</p>
+              )}
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Thumbnail URL
+              </label>
+              <input
+                type="url"
+                {...register('thumbnail', { required: 'Thumbnail is required' })}
+                className={inputClassName}
+              />
+              {errors.thumbnail && (
+                <p className="mt-1 text-red-600 text-sm" role="alert">{errors.thumbnail.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Category
+              </label>
+              <select {...register('category')} className={inputClassName}>
+                {categories.map(category => (
+                  <option key={category} value={category}>
+                    {category.charAt(0).toUpperCase() + category.slice(1)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Difficulty Level
+              </label>
+              <select {...register('difficulty')} className={inputClassName}>
+                <option value="beginner">Beginner</option>
+                <option value="intermediate">Intermediate</option>
+                <option value="advanced">Advanced</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Tags (comma-separated)
+              </label>
+              <input type="text" {...register('tags')} className={inputClassName} />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Language
+              </label>
+              <input
+                type="text"
+                {...register('language', {
+                  pattern: { value: /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/, message: 'Use a language code such as en or pt-br' }
+                })}
+                className={inputClassName}
+              />
+              {errors.language && (
+                <p className="mt-1 text-red-600 text-sm" role="alert">{errors.language.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Completion Criteria
+              </label>
+              <select {...register('completionCriteria')} className={inputClassName}>
+                <option value="all_modules">Complete every module</option>
+                <option value="percentage">Complete a percentage of modules</option>
+                <option value="custom">Custom</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Completion Bonus XP
+              </label>
+              <input
+                type="number"
+                min={0}
+                max={10000}
+                {...register('completionXP', {
+                  min: { value: 0, message: 'Cannot be negative' },
+                  max: { value: 10000, message: 'Cannot exceed 10000 XP' }
+                })}
+                className={inputClassName}
+              />
+              {errors.completionXP && (
+                <p className="mt-1 text-red-600 text-sm" role="alert">{errors.completionXP.message}</p>
+              )}
+            </div>
+
+            {completionCriteria === 'custom' && (
+              <div className="md:col-span-2 space-y-4 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                <div>
+                  <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Required modules
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                    Leave all unticked to require every module.
+                  </p>
+                  <div className="max-h-48 overflow-y-auto space-y-1">
+                    {modules.filter(m => !m.isHidden).map(module => (
+                      <label key={module._id} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          value={module._id}
+                          {...register('requiredModules')}
+                          className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                        />
+                        <span className="truncate">{module.title}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    {...register('requireQuizPass')}
+                    className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                  />
+                  <label className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                    Learners must pass every module quiz
+                  </label>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Minimum share of each video watched (%)
+                  </label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    {...register('minWatchPercent', {
+                      min: { value: 0, message: 'Cannot be negative' },
+                      max: { value: 100, message: 'Cannot exceed 100%' }
+                    })}
+                    className={inputClassName}
+                  />
+                  {errors.minWatchPercent && (
+                    <p className="mt-1 text-red-600 text-sm" role="alert">{errors.minWatchPercent.message}</p>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {completionCriteria === 'percentage' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Required Percentage
+                </label>
+                <input
+                  type="number"
+                  min={1}
+                  max={100}
+                  {...register('completionPercentage', {
+                    min: { value: 1, message: 'Must be at least 1%' },
+                    max: { value: 100, message: 'Cannot exceed 100%' }
+                  })}
+                  className={inputClassName}
+                />
+                {errors.completionPercentage && (
+                  <p className="mt-1 text-red-600 text-sm" role="alert">{errors.completionPercentage.message}</p>
+                )}
+              </div>
+            )}
+
+            <div className="md:col-span-2">
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  {...register('isPublic')}
+                  className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                />
+                <label className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                  Make this course public (visible to all users)
+                </label>
+              </div>
+            </div>
+
+            {hasPlaylistSections && (
+              <div className="md:col-span-2">
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    {...register('syncEnabled')}
+                    className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                  />
+                  <label className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                    Follow playlist changes (videos added to or removed from the source playlists are synced nightly)
+                  </label>
+                </div>
+              </div>
+            )}
+
+            <div className="md:col-span-2">
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  {...register('isSequential')}
+                  className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                />
+                <label className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                  Sequential: learners must complete modules in order
+                </label>
+              </div>
+            </div>
+          </div>
+
+          <div className="mt-6 flex justify-end">
+            <button
+              type="submit"
+              disabled={isSavingDetails || !isDirty}
+              className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-2" />
+              {isSavingDetails ? 'Saving...' : 'Save Details'}
+            </button>
+          </div>
+        </form>
+
+        {/* Modules */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white flex items-center">
+              <Layers className="h-5 w-5 mr-2 text-indigo-600" />
+              Modules
+            </h2>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setLessonDraft(lessonDraft ? null : emptyLesson())}
+                className="inline-flex items-center px-3 py-1.5 border border-indigo-600 text-indigo-600 dark:text-indigo-400 text-sm rounded-lg hover:bg-indigo-50 dark:hover:bg-gray-700"
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add Lesson
+              </button>
+              <button
+                onClick={handleSaveOrder}
+                disabled={!isOrderChanged || isSavingOrder}
+                className="inline-flex items-center px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+              >
+                <Save className="h-4 w-4 mr-1" />
+                {isSavingOrder ? 'Saving...' : 'Save Order'}
+              </button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            Drag modules to reorder them or move them to another section. Hidden modules keep their place
+            but aren't shown to learners or counted towards completion.
+          </p>
+
+          {lessonDraft && (
+            <div className="mb-6 p-4 rounded-lg border border-indigo-200 dark:border-indigo-800 bg-indigo-50 dark:bg-gray-900 space-y-3">
+              <div className="flex flex-wrap gap-2">
+                {moduleTypes.map(({ value, label, icon: Icon }) => (
+                  <button
+                    key={value}
+                    onClick={() => setLessonDraft({ ...emptyLesson(value), title: lessonDraft.title, description: lessonDraft.description })}
+                    className={`inline-flex items-center px-3 py-1.5 text-sm rounded-lg border ${
+                      lessonDraft.type === value
+                        ? 'bg-indigo-600 border-indigo-600 text-white'
+                        : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-white dark:hover:bg-gray-800'
+                    }`}
+                  >
+                    <Icon className="h-4 w-4 mr-1" />
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <input
+                type="text"
+                value={lessonDraft.title}
+                maxLength={200}
+                onChange={(e) => setLessonDraft({ ...lessonDraft, title: e.target.value })}
+                placeholder={lessonDraft.type === 'video' || lessonDraft.type === 'file' ? 'Title (optional)' : 'Title'}
+                className={inputClassName}
+              />
+              {(lessonDraft.type === 'video' || lessonDraft.type === 'link') && (
+                <input
+                  type="url"
+                  value={lessonDraft.url}
+                  onChange={(e) => setLessonDraft({ ...lessonDraft, url: e.target.value })}
+                  placeholder={lessonDraft.type === 'video' ? 'Video URL (YouTube, Vimeo or a direct video file)' : 'https://...'}
+                  className={inputClassName}
+                />
+              )}
+              {lessonDraft.type === 'article' && (
+                <textarea
+                  rows={10}
+                  value={lessonDraft.body}
+                  maxLength={100000}
+                  onChange={(e) => setLessonDraft({ ...lessonDraft, body: e.target.value })}
+                  placeholder="Article body (Markdown)"
+                  className={`${inputClassName} font-mono text-sm`}
+                />
+              )}
+              {lessonDraft.type === 'file' && (
+                <input
+                  type="file"
+                  onChange={(e) => setLessonDraft({ ...lessonDraft, file: e.target.files?.[0] || null })}
+                  className="block w-full text-sm text-gray-700 dark:text-gray-300"
+                />
+              )}
+              <textarea
+                rows={2}
+                value={lessonDraft.description}
+                maxLength={1000}
+                onChange={(e) => setLessonDraft({ ...lessonDraft, description: e.target.value })}
+                placeholder="Description (optional)"
+                className={inputClassName}
+              />
+              <div className="flex items-center justify-end space-x-3">
+                <button
+                  onClick={() => setLessonDraft(null)}
+                  className="px-3 py-1 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleAddLesson}
+                  disabled={!canAddLesson(lessonDraft) || isAddingLesson}
+                  className="px-3 py-1 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {isAddingLesson ? 'Adding...' : 'Add Lesson'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="space-y-6">
+            {moduleGroups.map(group => (
+              <div key={group.section?._id || 'modules'}>
+                {group.section && (
+                  <h3
+                    onDragOver={(e) => e.preventDefault()}
+                    onDrop={(e) => handleDropOnSection(e, group.section!)}
+                    className="text-sm font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wide mb-2 py-1 border-b border-gray-200 dark:border-gray-700"
+                  >
+                    {group.section.title}
+                  </h3>
+                )}
+
+                {group.modules.length === 0 && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 italic">
+                    Drop a module on the section title to move it here.
+                  </p>
+                )}
+
+                <ul className="space-y-2">
+                  {group.modules.map(module => (
+                    <li
+                      key={module._id}
+                      draggable={editingModuleId !== module._id && quizModuleId !== module._id}
+                      onDragStart={() => setDraggingId(module._id)}
+                      onDragOver={(e) => handleDragOver(e, module)}
+                      onDragEnd={() => setDraggingId(null)}
+                      className={`p-3 rounded-lg border border-gray-200 dark:border-gray-700 ${
+                        draggingId === module._id ? 'opacity-50' : ''
+                      } ${module.isHidden ? 'bg-gray-50 dark:bg-gray-900' : 'bg-white dark:bg-gray-800'}`}
+                    >
+                      <div className="flex items-center space-x-3">
+                        <GripVertical className="h-5 w-5 text-gray-400 cursor-move flex-shrink-0" />
+                        {module.thumbnail ? (
+                          <img src={module.thumbnail} alt="" className="w-16 h-9 object-cover rounded flex-shrink-0" />
+                        ) : (
+                          <ModuleTypeIcon module={module} />
+                        )}
+                        <div className="flex-1 min-w-0">
+                          <p className={`font-medium truncate ${module.isHidden ? 'text-gray-400' : 'text-gray-900 dark:text-white'}`}>
+                            {module.title}
+                          </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {moduleTypeLabel(module)}
+                            {module.duration > 0 && ` · ${formatDuration(module.duration)}`} · {module.xpReward} XP
+                            {!!module.quiz?.questions?.length && ` · Quiz (${module.quiz.questions.length})`}
+                            {!course.isSequential && !!module.prerequisites?.length && ` · ${module.prerequisites.length} prerequisite${module.prerequisites.length === 1 ? '' : 's'}`}
+                            {module.isHidden && ' · Hidden'}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => startEditing(module)}
+                          title="Edit module"
+                          className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => openQuizEditor(module)}
+                          title="Edit quiz"
+                          className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                        >
+                          <HelpCircle className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleToggleHidden(module)}
+                          title={module.isHidden ? 'Show to learners' : 'Hide from learners'}
+                          className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                        >
+                          {module.isHidden ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                        </button>
+                      </div>
+
+                      {editingModuleId === module._id && moduleDraft && (
+                        <div className="mt-3 space-y-3">
+                          <input
+                            type="text"
+                            value={moduleDraft.title}
+                            maxLength={200}
+                            onChange={(e) => setModuleDraft({ ...moduleDraft, title: e.target.value })}
+                            className={inputClassName}
+                          />
+                          <textarea
+                            rows={3}
+                            value={moduleDraft.description}
+                            maxLength={1000}
+                            onChange={(e) => setModuleDraft({ ...moduleDraft, description: e.target.value })}
+                            placeholder="Description"
+                            className={inputClassName}
+                          />
+                          {!course.isSequential && modules.length > 1 && (
+                            <div>
+                              <p className="text-sm text-gray-700 dark:text-gray-300 mb-1">
+                                Prerequisites (complete these first)
+                              </p>
+                              <div className="max-h-40 overflow-y-auto space-y-1">
+                                {modules.filter(m => m._id !== module._id && !m.isHidden).map(other => (
+                                  <label key={other._id} className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                                    <input
+                                      type="checkbox"
+                                      checked={moduleDraft.prerequisites.includes(other._id)}
+                                      onChange={() => togglePrerequisite(other._id)}
+                                      className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                                    />
+                                    <span className="truncate">{other.title}</span>
+                                  </label>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+                          <div className="flex items-center space-x-3">
+                            <label className="text-sm text-gray-700 dark:text-gray-300">XP reward</label>
+                            <input
+                              type="number"
+                              min={0}
+                              max={1000}
+                              value={moduleDraft.xpReward}
+                              onChange={(e) => setModuleDraft({ ...moduleDraft, xpReward: Number(e.target.value) })}
+                              className="w-24 px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+                            />
+                            <div className="flex-1" />
+                            <button
+                              onClick={() => { setEditingModuleId(null); setModuleDraft(null); }}
+                              className="px-3 py-1 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={() => handleSaveModule(module)}
+                              disabled={!moduleDraft.title.trim()}
+                              className="px-3 py-1 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                            >
+                              Save
+                            </button>
+                          </div>
+                        </div>
+                      )}
+
+                      {quizModuleId === module._id && quizDraft && (
+                        <div className="mt-3 space-y-4">
+                          {quizDraft.questions.map((question, index) => (
+                            <div key={index} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900 space-y-2">
+                              <div className="flex items-center space-x-2">
+                                <input
+                                  type="text"
+                                  value={question.question}
+                                  maxLength={500}
+                                  onChange={(e) => updateQuizQuestion(index, { question: e.target.value })}
+                                  placeholder={`Question ${index + 1}`}
+                                  className={inputClassName}
+                                />
+                                <button
+                                  onClick={() => setQuizDraft({ ...quizDraft, questions: quizDraft.questions.filter((_, i) => i !== index) })}
+                                  title="Remove question"
+                                  className="p-2 text-gray-400 hover:text-red-600"
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </button>
+                              </div>
+                              <textarea
+                                rows={3}
+                                value={question.options}
+                                onChange={(e) => updateQuizQuestion(index, { options: e.target.value })}
+                                placeholder="Answer options, one per line (2 to 6)"
+                                className={inputClassName}
+                              />
+                              <div className="flex items-center space-x-2">
+                                <label className="text-sm text-gray-700 dark:text-gray-300">Correct answer</label>
+                                <select
+                                  value={question.correctOption}
+                                  onChange={(e) => updateQuizQuestion(index, { correctOption: Number(e.target.value) })}
+                                  className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+                                >
+                                  {question.options.split('\n').filter(option => option.trim()).map((option, optionIndex) => (
+                                    <option key={optionIndex} value={optionIndex}>{option.trim()}</option>
+                                  ))}
+                                </select>
+                              </div>
+                            </div>
+                          ))}
+                          <div className="flex items-center space-x-3">
+                            <button
+                              onClick={() => setQuizDraft({ ...quizDraft, questions: [...quizDraft.questions, emptyQuestion()] })}
+                              className="inline-flex items-center px-3 py-1 text-sm text-indigo-600 hover:text-indigo-800"
+                            >
+                              <Plus className="h-4 w-4 mr-1" />
+                              Add question
+                            </button>
+                            <label className="text-sm text-gray-700 dark:text-gray-300">Pass mark (%)</label>
+                            <input
+                              type="number"
+                              min={1}
+                              max={100}
+                              value={quizDraft.passingScore}
+                              onChange={(e) => setQuizDraft({ ...quizDraft, passingScore: Number(e.target.value) })}
+                              className="w-20 px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+                            />
+                            <div className="flex-1" />
+                            <button
+                              onClick={() => { setQuizModuleId(null); setQuizDraft(null); }}
+                              className="px-3 py-1 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={() => handleSaveQuiz(module)}
+                              className="px-3 py-1 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700"
+                            >
+                              Save Quiz
+                            </button>
+                          </div>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            Saving with no questions removes the quiz.
+                          </p>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Staff */}
+        {courseStaff && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2 flex items-center">
+              <Users className="h-5 w-5 mr-2 text-indigo-600" />
+              Staff
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Co-authors can edit and publish the course. Teaching assistants can see its analytics and moderate reviews.
+            </p>
+
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              <li className="py-3 flex items-center justify-between">
+                <span className="text-sm text-gray-900 dark:text-white">
+                  {courseStaff.owner.firstName} {courseStaff.owner.lastName}
+                  <span className="text-gray-500 dark:text-gray-400"> @{courseStaff.owner.username}</span>
+                </span>
+                <span className="text-sm text-gray-600 dark:text-gray-400">Owner</span>
+              </li>
+              {courseStaff.staff.map(member => (
+                <li key={member._id} className="py-3 flex items-center justify-between gap-4">
+                  <span className="text-sm text-gray-900 dark:text-white">
+                    {member.user.firstName} {member.user.lastName}
+                    <span className="text-gray-500 dark:text-gray-400"> @{member.user.username}</span>
+                  </span>
+                  <div className="flex items-center space-x-2">
+                    {canManage ? (
+                      <select
+                        value={member.role}
+                        disabled={isUpdatingStaff}
+                        onChange={(e) => handleChangeStaffRole(member.user._id, e.target.value as StaffRole)}
+                        className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+                      >
+                        <option value="editor">{staffRoleLabels.editor}</option>
+                        <option value="ta">{staffRoleLabels.ta}</option>
+                      </select>
+                    ) : (
+                      <span className="text-sm text-gray-600 dark:text-gray-400">{staffRoleLabels[member.role]}</span>
+                    )}
+                    {(canManage || member.user._id === user?._id) && (
+                      <button
+                        onClick={() => handleRemoveStaff(member.user)}
+                        disabled={isUpdatingStaff}
+                        title={member.user._id === user?._id ? 'Leave the course staff' : 'Remove from the course staff'}
+                        className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+              {courseStaff.invitations.map(invitation => (
+                <li key={invitation._id} className="py-3 flex items-center justify-between gap-4">
+                  <span className="text-sm text-gray-500 dark:text-gray-400">
+                    @{invitation.user.username} · invited as {staffRoleLabels[invitation.role].toLowerCase()}
+                  </span>
+                  {canManage && (
+                    <button
+                      onClick={() => handleRevokeInvitation(invitation._id)}
+                      disabled={isUpdatingStaff}
+                      className="px-3 py-1 text-sm text-gray-600 dark:text-gray-400 hover:text-red-600 disabled:opacity-50"
+                    >
+                      Withdraw
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {canManage && (
+              <div className="mt-4 flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={inviteUsername}
+                  onChange={(e) => setInviteUsername(e.target.value)}
+                  placeholder="Username"
+                  className="flex-1 px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+                />
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value as StaffRole)}
+                  className="px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+                >
+                  <option value="editor">{staffRoleLabels.editor}</option>
+                  <option value="ta">{staffRoleLabels.ta}</option>
+                </select>
+                <button
+                  onClick={handleInvite}
+                  disabled={isUpdatingStaff || !inviteUsername.trim()}
+                  className="inline-flex items-center px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  <UserPlus className="h-4 w-4 mr-1" />
+                  Invite
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Archive, transfer and delete */}
+        {canManage && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-red-200 dark:border-red-900">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+              Course Status
+            </h2>
+
+            <div className="space-y-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-white">
+                    {course.isActive ? 'Archive course' : 'Course archived'}
+                  </p>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {course.isActive
+                      ? 'Hide the course from listings and stop new enrollments. Enrolled learners keep their progress.'
+                      : `Archived on ${new Date(course.archivedAt!).toLocaleDateString()}. Restore it to list it again.`}
+                  </p>
+                </div>
+                <button
+                  onClick={handleArchiveToggle}
+                  disabled={isChangingStatus}
+                  className="inline-flex items-center px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-sm rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                >
+                  {course.isActive ? <Archive className="h-4 w-4 mr-1" /> : <ArchiveRestore className="h-4 w-4 mr-1" />}
+                  {course.isActive ? 'Archive' : 'Restore'}
+                </button>
+              </div>
+
+              <div>
+                <p className="font-medium text-gray-900 dark:text-white">Transfer ownership</p>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+                  Hand the course over to another user. They become its creator.
+                </p>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={transferUsername}
+                    onChange={(e) => setTransferUsername(e.target.value)}
+                    placeholder="Username"
+                    className="flex-1 px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+                  />
+                  <button
+                    onClick={handleTransfer}
+                    disabled={isChangingStatus || !transferUsername.trim()}
+                    className="inline-flex items-center px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-sm rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    <UserPlus className="h-4 w-4 mr-1" />
+                    Transfer
+                  </button>
+                </div>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-red-600">Delete course</p>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    Permanently remove the course, its transcripts and every learner's progress. This can't be undone.
+                  </p>
+                </div>
+                <button
+                  onClick={handleDelete}
+                  disabled={isChangingStatus}
+                  className="inline-flex items-center px-3 py-1.5 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  Delete
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CourseEditor;
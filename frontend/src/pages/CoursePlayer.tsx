@@ -22,17 +22,35 @@ import {
   Save,
   X,
   Plus,
-  Trash2
+  Trash2,
+  AlertTriangle,
+  List,
+  FileText,
+  Layers,
+  Lock,
+  ExternalLink,
+  Paperclip
 } from 'lucide-react';
-import YouTube from 'react-youtube';
+import ModulePlayer, { type PlayerController } from '../components/ModulePlayer';
+import ModuleQuiz from '../components/ModuleQuiz';
+import LessonView, { type LessonPlayerConfig } from '../components/LessonView';
 import { apiHelpers } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 
+interface Segment {
+  _id: string;
+  title: string;
+  startTime: number;
+  endTime: number;
+}
+
 interface Module {
   _id: string;
   title: string;
   description: string;
+  type?: 'video' | 'article' | 'link' | 'file';
+  provider?: 'youtube' | 'vimeo' | 'direct';
   videoId: string;
   videoUrl: string;
   thumbnail: string;
@@ -41,8 +59,60 @@ interface Module {
   xpReward: number;
   isCompleted?: boolean;
   isUnlocked?: boolean;
+  isRetired?: boolean;
+  isHidden?: boolean;
+  availability?: {
+    status: string;
+  };
+  segments?: Segment[];
+  section?: string | null;
+  clip?: { start: number; end: number } | null;
+  quiz?: { questions: Array<{ _id: string }> } | null;
+}
+
+interface Section {
+  _id: string;
+  title: string;
+  order: number;
+}
+
+// Contents list icon for each kind of module
+const moduleTypeIcons = {
+  video: Play,
+  article: BookOpen,
+  link: ExternalLink,
+  file: Paperclip,
+};
+
+// A chapter counts as finished once 90% of it has been played through
+const SEGMENT_COMPLETION_RATIO = 0.9;
+
+interface TranscriptCue {
+  startTime: number;
+  endTime: number;
+  text: string;
+}
+
+interface Transcript {
+  _id: string;
+  language: string;
+  label?: string;
+  source: 'upload' | 'youtube';
+  cues: TranscriptCue[];
+}
+
+// Why a module can't be opened yet (sequential course or unmet prerequisites)
+interface ModuleLock {
+  reason: string;
+  requiredModules: Array<{
+    _id: string;
+    title: string;
+    order: number;
+  }>;
 }
 
+type SidebarTab = 'contents' | 'chapters' | 'transcript' | 'notes' | 'comments';
+
 interface Note {
   _id: string;
   content: string;
@@ -54,17 +124,18 @@ interface Note {
 interface Course {
   _id: string;
   title: string;
+  sections?: Section[];
   modules: Module[];
   totalModules: number;
 }
 
 const CoursePlayer: React.FC = () => {
-  const { courseId, moduleOrder } = useParams<{ courseId: string; moduleOrder: string }>();
+  const { courseId, moduleId } = useParams<{ courseId: string; moduleId: string }>();
   const { user } = useAuth();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
   
-  const [player, setPlayer] = useState<any>(null);
+  const [player, setPlayer] = useState<PlayerController | null>(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
@@ -72,15 +143,20 @@ const CoursePlayer: React.FC = () => {
   const [isMuted, setIsMuted] = useState(false);
   const [showNotes, setShowNotes] = useState(false);
   const [showComments, setShowComments] = useState(false);
+  const [showContents, setShowContents] = useState(false);
+  const [showChapters, setShowChapters] = useState(false);
+  const [showTranscript, setShowTranscript] = useState(false);
+  const [transcriptLanguage, setTranscriptLanguage] = useState<string | null>(null);
   const [isEditingNote, setIsEditingNote] = useState(false);
   const [noteContent, setNoteContent] = useState('');
   const [noteTimestamp, setNoteTimestamp] = useState(0);
   const [selectedNote, setSelectedNote] = useState<Note | null>(null);
 
-  const currentModuleOrder = parseInt(moduleOrder || '1');
-  const currentModule = course?.modules.find(m => m.order === currentModuleOrder);
-  const nextModule = course?.modules.find(m => m.order === currentModuleOrder + 1);
-  const prevModule = course?.modules.find(m => m.order === currentModuleOrder - 1);
+  // Seconds played inside each chapter, and the last reported position (to tell playback from seeking)
+  const segmentWatchRef = useRef<Record<string, number>>({});
+  const lastTimeRef = useRef<number | null>(null);
+  const reportedSegmentsRef = useRef<Set<string>>(new Set());
+  const activeCueRef = useRef<HTMLButtonElement | null>(null);
 
   // Fetch course data
   const { data: courseData, isLoading } = useQuery(
@@ -102,21 +178,86 @@ const CoursePlayer: React.FC = () => {
 
   const course: Course | undefined = courseData?.data;
 
+  // Modules are addressed by id; numeric refs from old links still resolve by order
+  const activeModules = (course?.modules || [])
+    .filter(m => !m.isRetired && !m.isHidden)
+    .sort((a, b) => a.order - b.order);
+  const currentModule = course?.modules.find(m => m._id === moduleId)
+    || activeModules.find(m => String(m.order) === moduleId);
+  const currentIndex = activeModules.findIndex(m => m._id === currentModule?._id);
+  const nextModule = currentIndex >= 0 ? activeModules[currentIndex + 1] : undefined;
+  const prevModule = currentIndex > 0 ? activeModules[currentIndex - 1] : undefined;
+  const currentModuleId = currentModule?._id || moduleId!;
+  const sections = [...(course?.sections || [])].sort((a, b) => a.order - b.order);
+  const currentSection = sections.length > 1 ? sections.find(s => s._id === currentModule?.section) : undefined;
+  // Course outline for the Contents tab; a course without sections is one untitled group
+  const moduleGroups = sections.length > 1
+    ? sections
+      .map(section => ({ section, modules: activeModules.filter(m => m.section === section._id) }))
+      .filter(group => group.modules.length > 0)
+    : [{ section: undefined, modules: activeModules }];
+  const segments = currentModule?.segments || [];
+  const currentModuleProgress = progressData?.data?.progress?.moduleProgress?.find((mp: any) => mp.moduleId === currentModule?._id);
+  const completedSegmentIds: string[] = currentModuleProgress?.completedSegments || [];
+  const moduleLocks: Record<string, ModuleLock> = progressData?.data?.locks || {};
+  const currentLock = currentModule ? moduleLocks[currentModule._id] : undefined;
+  const activeSegment = segments.find(s => currentTime >= s.startTime && currentTime < s.endTime);
+
+  // Transcripts only come with the module detail, not the course payload
+  const { data: moduleData } = useQuery(
+    ['module', courseId, currentModule?._id],
+    () => apiHelpers.getModule(courseId!, currentModule!._id),
+    {
+      enabled: !!courseId && !!currentModule && !currentLock,
+    }
+  );
+
+  const transcripts: Transcript[] = moduleData?.data?.transcripts || [];
+  const activeTranscript = transcripts.find(t => t.language === transcriptLanguage) || transcripts[0];
+  const activeCueIndex = activeTranscript
+    ? activeTranscript.cues.findIndex(cue => currentTime >= cue.startTime && currentTime < cue.endTime)
+    : -1;
+
+  // Keep the line being spoken in view
+  useEffect(() => {
+    if (showTranscript && activeCueIndex >= 0) {
+      activeCueRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [showTranscript, activeCueIndex]);
+
+  // Start chapter tracking afresh for each module
+  useEffect(() => {
+    segmentWatchRef.current = {};
+    lastTimeRef.current = null;
+    reportedSegmentsRef.current = new Set();
+  }, [currentModuleId]);
+
+  // Course completion rewards are handed out by whichever request meets the criteria
+  const announceCourseCompletion = (completion: any) => {
+    if (completion?.courseCompleted) {
+      toast.success(`Course completed! +${completion.completionXP} bonus XP`, { duration: 6000 });
+    }
+    completion?.completedPaths?.forEach((path: any) => {
+      toast.success(`Learning path "${path.path.title}" completed! +${path.completionXP} bonus XP`, { duration: 6000 });
+    });
+  };
+
   // Mutations
   const updateProgressMutation = useMutation(
-    (data: { watchTime: number; isCompleted: boolean }) =>
-      apiHelpers.updateWatchProgress(courseId!, currentModuleOrder, data.watchTime, data.isCompleted),
+    (data: { watchTime: number; isCompleted: boolean; segmentIds?: string[] }) =>
+      apiHelpers.updateWatchProgress(courseId!, currentModuleId, data.watchTime, data.isCompleted, data.segmentIds),
     {
-      onSuccess: () => {
+      onSuccess: (response: any) => {
         refetchProgress();
         queryClient.invalidateQueries(['course', courseId]);
+        announceCourseCompletion(response?.data?.completion);
       },
     }
   );
 
   const addNoteMutation = useMutation(
     (data: { content: string; timestamp: number }) =>
-      apiHelpers.addNote(courseId!, currentModuleOrder, data.content, data.timestamp),
+      apiHelpers.addNote(courseId!, currentModuleId, data.content, data.timestamp),
     {
       onSuccess: () => {
         refetchProgress();
@@ -126,51 +267,66 @@ const CoursePlayer: React.FC = () => {
   );
 
   const completeModuleMutation = useMutation(
-    () => apiHelpers.completeModule(courseId!, currentModuleOrder),
+    () => apiHelpers.completeModule(courseId!, currentModuleId),
     {
-      onSuccess: () => {
+      onSuccess: (response: any) => {
         refetchProgress();
         queryClient.invalidateQueries(['course', courseId]);
-        toast.success('Module completed! +10 XP');
+        toast.success(`Module completed! +${response?.data?.xpEarned ?? 0} XP`);
+        announceCourseCompletion(response?.data?.completion);
       },
     }
   );
 
-  // YouTube player options
-  const opts = {
-    height: '100%',
-    width: '100%',
-    playerVars: {
-      autoplay: 0,
-      controls: 0,
-      modestbranding: 1,
-      rel: 0,
-    },
-  };
-
   // Player event handlers
-  const onReady = (event: any) => {
-    setPlayer(event.target);
-    setDuration(event.target.getDuration());
+  const onReady = (controller: PlayerController) => {
+    setPlayer(controller);
+    setDuration(controller.getDuration());
   };
 
-  const onStateChange = (event: any) => {
-    const state = event.target.getPlayerState();
-    setIsPlaying(state === 1);
+  const onProgress = (time: number) => {
+    setCurrentTime(time);
+    trackSegmentProgress(time);
+
+    // Some providers only know the duration once playback starts
+    const videoDuration = duration || player?.getDuration() || 0;
+    if (!duration && videoDuration) {
+      setDuration(videoDuration);
+    }
+
+    // Update progress every 30 seconds
+    if (Math.floor(time) % 30 === 0) {
+      updateProgressMutation.mutate({
+        watchTime: Math.floor(time),
+        isCompleted: time >= videoDuration * 0.9, // Mark as completed if watched 90%
+      });
+    }
   };
 
-  const onProgress = () => {
-    if (player) {
-      const time = player.getCurrentTime();
-      setCurrentTime(time);
-      
-      // Update progress every 30 seconds
-      if (Math.floor(time) % 30 === 0) {
-        updateProgressMutation.mutate({
-          watchTime: time,
-          isCompleted: time >= duration * 0.9, // Mark as completed if watched 90%
-        });
-      }
+  // Credit playback (not seeks) to the chapter being watched and report chapters once finished
+  const trackSegmentProgress = (time: number) => {
+    const lastTime = lastTimeRef.current;
+    lastTimeRef.current = time;
+    if (lastTime === null || segments.length === 0) return;
+
+    const delta = time - lastTime;
+    if (delta <= 0 || delta > 3) return;
+
+    const segment = segments.find(s => time >= s.startTime && time < s.endTime);
+    if (!segment || completedSegmentIds.includes(segment._id) || reportedSegmentsRef.current.has(segment._id)) {
+      return;
+    }
+
+    const watched = (segmentWatchRef.current[segment._id] || 0) + delta;
+    segmentWatchRef.current[segment._id] = watched;
+
+    if (watched >= (segment.endTime - segment.startTime) * SEGMENT_COMPLETION_RATIO) {
+      reportedSegmentsRef.current.add(segment._id);
+      updateProgressMutation.mutate({
+        watchTime: 0,
+        isCompleted: false,
+        segmentIds: [segment._id],
+      });
     }
   };
 
@@ -178,9 +334,9 @@ const CoursePlayer: React.FC = () => {
   const togglePlay = () => {
     if (player) {
       if (isPlaying) {
-        player.pauseVideo();
+        player.pause();
       } else {
-        player.playVideo();
+        player.play();
       }
     }
   };
@@ -245,6 +401,14 @@ const CoursePlayer: React.FC = () => {
     }
   };
 
+  const showSidebarTab = (tab: SidebarTab) => {
+    setShowContents(tab === 'contents');
+    setShowChapters(tab === 'chapters');
+    setShowTranscript(tab === 'transcript');
+    setShowNotes(tab === 'notes');
+    setShowComments(tab === 'comments');
+  };
+
   const handleNoteClick = (note: Note) => {
     seekTo(note.timestamp);
     setSelectedNote(note);
@@ -274,8 +438,42 @@ const CoursePlayer: React.FC = () => {
     );
   }
 
-  const progress = progressData?.data?.modules?.find((m: any) => m.order === currentModuleOrder);
-  const notes = progress?.notes || [];
+  if (currentLock) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-900">
+        <div className="max-w-md text-center">
+          <Lock className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-white mb-2">
+            {currentModule.title} is locked
+          </h3>
+          <p className="text-gray-400 mb-4">{currentLock.reason}</p>
+          <div className="space-y-2 text-left">
+            {currentLock.requiredModules.map((required) => (
+              <Link
+                key={required._id}
+                to={`/courses/${courseId}/${required._id}`}
+                className="flex items-center space-x-3 rounded-lg px-3 py-2 bg-gray-800 hover:bg-gray-700 transition-colors"
+              >
+                {moduleLocks[required._id] ? (
+                  <Lock className="h-4 w-4 text-gray-500 flex-shrink-0" />
+                ) : (
+                  <Play className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                )}
+                <span className="flex-1 text-sm text-white truncate">
+                  {required.order}. {required.title}
+                </span>
+              </Link>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const notes = currentModuleProgress?.notes || [];
+  // Articles, links and files replace the video and its playback controls
+  const isVideo = (currentModule.type || 'video') === 'video';
+  const lessonPlayer: LessonPlayerConfig | undefined = isVideo ? undefined : moduleData?.data?.player;
 
   return (
     <div className="min-h-screen bg-gray-900">
@@ -294,7 +492,8 @@ const CoursePlayer: React.FC = () => {
                 {course.title}
               </h1>
               <p className="text-sm text-gray-400">
-                Module {currentModuleOrder}: {currentModule.title}
+                {currentSection && <span className="text-gray-500">{currentSection.title} · </span>}
+                Module {currentModule.order}: {currentModule.title}
               </p>
             </div>
           </div>
@@ -302,7 +501,7 @@ const CoursePlayer: React.FC = () => {
             <div className="flex items-center space-x-2 text-gray-400">
               <Target className="h-4 w-4" />
               <span className="text-sm">
-                {currentModuleOrder}/{course.totalModules}
+                {currentModule.order}/{course.totalModules}
               </span>
             </div>
             {currentModule.isCompleted && (
@@ -320,75 +519,159 @@ const CoursePlayer: React.FC = () => {
         <div className="flex-1 flex flex-col">
           {/* Video Container */}
           <div className="relative bg-black flex-1">
-            <YouTube
-              videoId={currentModule.videoId}
-              opts={opts}
-              onReady={onReady}
-              onStateChange={onStateChange}
-              onProgress={onProgress}
-              className="w-full h-full"
-            />
+            {isVideo ? (
+              <ModulePlayer
+                module={currentModule}
+                onReady={onReady}
+                onPlayingChange={setIsPlaying}
+                onProgress={onProgress}
+                className="w-full h-full"
+              />
+            ) : (
+              <div className="absolute inset-0 bottom-16">
+                {lessonPlayer && (
+                  <LessonView
+                    courseId={courseId!}
+                    moduleId={currentModule._id}
+                    title={currentModule.title}
+                    description={currentModule.description}
+                    player={lessonPlayer}
+                    isCompleted={currentModule.isCompleted || currentModuleProgress?.isCompleted}
+                    onComplete={handleCompleteModule}
+                    onDownloaded={() => {
+                      refetchProgress();
+                      queryClient.invalidateQueries(['course', courseId]);
+                    }}
+                  />
+                )}
+              </div>
+            )}
+
+            {currentModule.availability && currentModule.availability.status !== 'available' && (
+              <div className="absolute inset-0 z-10 flex flex-col items-center justify-center bg-black/90 text-center px-6">
+                <AlertTriangle className="h-12 w-12 text-yellow-400 mb-4" />
+                <p className="text-lg font-medium text-white mb-2">This video is no longer available</p>
+                <p className="text-sm text-gray-300">
+                  It was deleted, made private or blocked in your region. The course creator has been notified.
+                </p>
+              </div>
+            )}
             
             {/* Custom Controls Overlay */}
             <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/80 to-transparent p-4">
               {/* Progress Bar */}
-              <div className="mb-4">
-                <div className="w-full bg-gray-600 rounded-full h-1 cursor-pointer" onClick={(e) => {
-                  const rect = e.currentTarget.getBoundingClientRect();
-                  const clickX = e.clientX - rect.left;
-                  const percentage = clickX / rect.width;
-                  seekTo(percentage * duration);
-                }}>
-                  <div
-                    className="bg-red-600 h-1 rounded-full transition-all duration-300"
-                    style={{ width: `${(currentTime / duration) * 100}%` }}
-                  ></div>
-                </div>
-                <div className="flex items-center justify-between text-white text-sm mt-2">
-                  <span>{formatTime(currentTime)}</span>
-                  <span>{formatTime(duration)}</span>
+              {isVideo && (
+                <div className="mb-4">
+                  <div className="relative w-full bg-gray-600 rounded-full h-1 cursor-pointer" onClick={(e) => {
+                    const rect = e.currentTarget.getBoundingClientRect();
+                    const clickX = e.clientX - rect.left;
+                    const percentage = clickX / rect.width;
+                    seekTo(percentage * duration);
+                  }}>
+                    <div
+                      className="bg-red-600 h-1 rounded-full transition-all duration-300"
+                      style={{ width: `${(currentTime / duration) * 100}%` }}
+                    ></div>
+                    {/* Chapter markers */}
+                    {duration > 0 && segments.filter(s => s.startTime > 0).map(segment => (
+                      <div
+                        key={segment._id}
+                        title={segment.title}
+                        className="absolute top-0 h-1 w-0.5 bg-white/80"
+                        style={{ left: `${(segment.startTime / duration) * 100}%` }}
+                      ></div>
+                    ))}
+                  </div>
+                  <div className="flex items-center justify-between text-white text-sm mt-2">
+                    <span>{formatTime(currentTime)}</span>
+                    {activeSegment && (
+                      <span className="truncate mx-4 text-gray-300">{activeSegment.title}</span>
+                    )}
+                    <span>{formatTime(duration)}</span>
+                  </div>
                 </div>
-              </div>
+              )}
 
               {/* Control Buttons */}
               <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-4">
+                  {isVideo && (
+                    <>
+                      <button
+                        onClick={togglePlay}
+                        className="text-white hover:text-gray-300 transition-colors"
+                      >
+                        {isPlaying ? <Pause className="h-6 w-6" /> : <Play className="h-6 w-6" />}
+                      </button>
+                      <button
+                        onClick={skipBackward}
+                        className="text-white hover:text-gray-300 transition-colors"
+                      >
+                        <SkipBack className="h-5 w-5" />
+                      </button>
+                      <button
+                        onClick={skipForward}
+                        className="text-white hover:text-gray-300 transition-colors"
+                      >
+                        <SkipForward className="h-5 w-5" />
+                      </button>
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={toggleMute}
+                          className="text-white hover:text-gray-300 transition-colors"
+                        >
+                          {isMuted ? <VolumeX className="h-5 w-5" /> : <Volume2 className="h-5 w-5" />}
+                        </button>
+                        <input
+                          type="range"
+                          min="0"
+                          max="100"
+                          value={volume}
+                          onChange={(e) => handleVolumeChange(parseInt(e.target.value))}
+                          className="w-20"
+                        />
+                      </div>
+                    </>
+                  )}
+                </div>
                 <div className="flex items-center space-x-4">
                   <button
-                    onClick={togglePlay}
-                    className="text-white hover:text-gray-300 transition-colors"
-                  >
-                    {isPlaying ? <Pause className="h-6 w-6" /> : <Play className="h-6 w-6" />}
-                  </button>
-                  <button
-                    onClick={skipBackward}
-                    className="text-white hover:text-gray-300 transition-colors"
-                  >
-                    <SkipBack className="h-5 w-5" />
-                  </button>
-                  <button
-                    onClick={skipForward}
-                    className="text-white hover:text-gray-300 transition-colors"
+                    onClick={() => showContents ? setShowContents(false) : showSidebarTab('contents')}
+                    title="Course contents"
+                    className={`p-2 rounded-lg transition-colors ${
+                      showContents
+                        ? 'bg-blue-600 text-white'
+                        : 'text-white hover:bg-gray-700'
+                    }`}
                   >
-                    <SkipForward className="h-5 w-5" />
+                    <Layers className="h-5 w-5" />
                   </button>
-                  <div className="flex items-center space-x-2">
+                  {segments.length > 0 && (
                     <button
-                      onClick={toggleMute}
-                      className="text-white hover:text-gray-300 transition-colors"
+                      onClick={() => showChapters ? setShowChapters(false) : showSidebarTab('chapters')}
+                      title="Chapters"
+                      className={`p-2 rounded-lg transition-colors ${
+                        showChapters
+                          ? 'bg-blue-600 text-white'
+                          : 'text-white hover:bg-gray-700'
+                      }`}
                     >
-                      {isMuted ? <VolumeX className="h-5 w-5" /> : <Volume2 className="h-5 w-5" />}
+                      <List className="h-5 w-5" />
                     </button>
-                    <input
-                      type="range"
-                      min="0"
-                      max="100"
-                      value={volume}
-                      onChange={(e) => handleVolumeChange(parseInt(e.target.value))}
-                      className="w-20"
-                    />
-                  </div>
-                </div>
-                <div className="flex items-center space-x-4">
+                  )}
+                  {transcripts.length > 0 && (
+                    <button
+                      onClick={() => showTranscript ? setShowTranscript(false) : showSidebarTab('transcript')}
+                      title="Transcript"
+                      className={`p-2 rounded-lg transition-colors ${
+                        showTranscript
+                          ? 'bg-blue-600 text-white'
+                          : 'text-white hover:bg-gray-700'
+                      }`}
+                    >
+                      <FileText className="h-5 w-5" />
+                    </button>
+                  )}
                   <button
                     onClick={() => setShowNotes(!showNotes)}
                     className={`p-2 rounded-lg transition-colors ${
@@ -423,7 +706,7 @@ const CoursePlayer: React.FC = () => {
               <div className="flex items-center space-x-4">
                 {prevModule && (
                   <Link
-                    to={`/courses/${courseId}/${prevModule.order}`}
+                    to={`/courses/${courseId}/${prevModule._id}`}
                     className="flex items-center space-x-2 text-gray-400 hover:text-white transition-colors"
                   >
                     <ChevronLeft className="h-5 w-5" />
@@ -437,14 +720,17 @@ const CoursePlayer: React.FC = () => {
                   <Award className="h-4 w-4" />
                   <span className="text-sm">{currentModule.xpReward} XP</span>
                 </div>
-                <div className="flex items-center space-x-2 text-gray-400">
-                  <Clock className="h-4 w-4" />
-                  <span className="text-sm">{formatTime(currentModule.duration)}</span>
-                </div>
+                {currentModule.duration > 0 && (
+                  <div className="flex items-center space-x-2 text-gray-400">
+                    <Clock className="h-4 w-4" />
+                    <span className="text-sm">{formatTime(currentModule.duration)}</span>
+                  </div>
+                )}
               </div>
 
               <div className="flex items-center space-x-4">
-                {!currentModule.isCompleted && (
+                {/* File modules are completed by downloading the file */}
+                {!currentModule.isCompleted && currentModule.type !== 'file' && (
                   <button
                     onClick={handleCompleteModule}
                     className="flex items-center space-x-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors"
@@ -455,9 +741,14 @@ const CoursePlayer: React.FC = () => {
                 )}
                 {nextModule && (
                   <Link
-                    to={`/courses/${courseId}/${nextModule.order}`}
+                    to={`/courses/${courseId}/${nextModule._id}`}
                     className="flex items-center space-x-2 text-gray-400 hover:text-white transition-colors"
                   >
+                    {moduleLocks[nextModule._id] && (
+                      <span title={moduleLocks[nextModule._id].reason}>
+                        <Lock className="h-4 w-4" />
+                      </span>
+                    )}
                     <span>Next</span>
                     <ChevronRight className="h-5 w-5" />
                   </Link>
@@ -465,15 +756,60 @@ const CoursePlayer: React.FC = () => {
               </div>
             </div>
           </div>
+
+          {!!currentModule.quiz?.questions?.length && (
+            <ModuleQuiz
+              courseId={courseId!}
+              moduleId={currentModule._id}
+              onSubmitted={(response) => {
+                refetchProgress();
+                announceCourseCompletion(response?.data?.completion);
+              }}
+            />
+          )}
         </div>
 
         {/* Sidebar */}
-        {(showNotes || showComments) && (
+        {(showNotes || showComments || showChapters || showTranscript || showContents) && (
           <div className="w-80 bg-gray-800 border-l border-gray-700 flex flex-col">
             {/* Tabs */}
             <div className="flex border-b border-gray-700">
               <button
-                onClick={() => setShowNotes(true)}
+                onClick={() => showSidebarTab('contents')}
+                className={`flex-1 px-4 py-3 text-sm font-medium transition-colors ${
+                  showContents
+                    ? 'text-blue-400 border-b-2 border-blue-400'
+                    : 'text-gray-400 hover:text-gray-300'
+                }`}
+              >
+                Contents
+              </button>
+              {segments.length > 0 && (
+                <button
+                  onClick={() => showSidebarTab('chapters')}
+                  className={`flex-1 px-4 py-3 text-sm font-medium transition-colors ${
+                    showChapters
+                      ? 'text-blue-400 border-b-2 border-blue-400'
+                      : 'text-gray-400 hover:text-gray-300'
+                  }`}
+                >
+                  Chapters
+                </button>
+              )}
+              {transcripts.length > 0 && (
+                <button
+                  onClick={() => showSidebarTab('transcript')}
+                  className={`flex-1 px-4 py-3 text-sm font-medium transition-colors ${
+                    showTranscript
+                      ? 'text-blue-400 border-b-2 border-blue-400'
+                      : 'text-gray-400 hover:text-gray-300'
+                  }`}
+                >
+                  Transcript
+                </button>
+              )}
+              <button
+                onClick={() => showSidebarTab('notes')}
                 className={`flex-1 px-4 py-3 text-sm font-medium transition-colors ${
                   showNotes
                     ? 'text-blue-400 border-b-2 border-blue-400'
@@ -483,7 +819,7 @@ const CoursePlayer: React.FC = () => {
                 Notes
               </button>
               <button
-                onClick={() => setShowComments(true)}
+                onClick={() => showSidebarTab('comments')}
                 className={`flex-1 px-4 py-3 text-sm font-medium transition-colors ${
                   showComments
                     ? 'text-blue-400 border-b-2 border-blue-400'
@@ -496,6 +832,128 @@ const CoursePlayer: React.FC = () => {
 
             {/* Content */}
             <div className="flex-1 overflow-y-auto p-4">
+              {showContents && (
+                <div className="space-y-4">
+                  {moduleGroups.map(({ section, modules: sectionModules }) => (
+                    <div key={section?._id || 'all'}>
+                      {section && (
+                        <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">
+                          {section.title}
+                        </h4>
+                      )}
+                      <div className="space-y-1">
+                        {sectionModules.map((module) => {
+                          const TypeIcon = moduleTypeIcons[module.type || 'video'];
+                          return (
+                            <Link
+                              key={module._id}
+                              to={`/courses/${courseId}/${module._id}`}
+                              className={`flex items-center space-x-3 rounded-lg px-3 py-2 transition-colors ${
+                                module._id === currentModule._id ? 'bg-blue-600/30' : 'hover:bg-gray-700'
+                              }`}
+                            >
+                              {module.isCompleted ? (
+                                <CheckCircle className="h-4 w-4 text-green-400 flex-shrink-0" />
+                              ) : moduleLocks[module._id] ? (
+                                <span title={moduleLocks[module._id].reason} className="flex-shrink-0">
+                                  <Lock className="h-4 w-4 text-gray-500" />
+                                </span>
+                              ) : (
+                                <TypeIcon className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                              )}
+                              <span className={`flex-1 text-sm truncate ${moduleLocks[module._id] ? 'text-gray-400' : 'text-white'}`}>
+                                {module.order}. {module.title}
+                              </span>
+                              {module.duration > 0 && (
+                                <span className="text-xs text-gray-400">{formatTime(module.duration)}</span>
+                              )}
+                            </Link>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {showChapters && segments.length > 0 && (
+                <div className="space-y-4">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-semibold text-white">Chapters</h3>
+                    <span className="text-sm text-gray-400">
+                      {completedSegmentIds.length}/{segments.length} watched
+                    </span>
+                  </div>
+                  <div className="space-y-2">
+                    {segments.map((segment) => {
+                      const isDone = completedSegmentIds.includes(segment._id);
+                      const isActive = activeSegment?._id === segment._id;
+                      return (
+                        <button
+                          key={segment._id}
+                          onClick={() => seekTo(segment.startTime)}
+                          className={`w-full flex items-center space-x-3 rounded-lg p-3 text-left transition-colors ${
+                            isActive ? 'bg-blue-600/30' : 'bg-gray-700 hover:bg-gray-600'
+                          }`}
+                        >
+                          {isDone ? (
+                            <CheckCircle className="h-4 w-4 text-green-400 flex-shrink-0" />
+                          ) : (
+                            <Play className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                          )}
+                          <span className="flex-1 text-sm text-white truncate">{segment.title}</span>
+                          <span className="text-xs text-blue-400">{formatTime(segment.startTime)}</span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {showTranscript && activeTranscript && (
+                <div className="space-y-4">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-semibold text-white">Transcript</h3>
+                    {transcripts.length > 1 && (
+                      <select
+                        value={activeTranscript.language}
+                        onChange={(e) => setTranscriptLanguage(e.target.value)}
+                        className="bg-gray-700 text-white text-sm rounded-lg px-2 py-1 border-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {transcripts.map((transcript) => (
+                          <option key={transcript._id} value={transcript.language}>
+                            {transcript.label || transcript.language.toUpperCase()}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                  <div className="space-y-1">
+                    {activeTranscript.cues.map((cue, index) => {
+                      const isActive = index === activeCueIndex;
+                      return (
+                        <button
+                          key={`${cue.startTime}-${index}`}
+                          ref={isActive ? activeCueRef : undefined}
+                          onClick={() => seekTo(cue.startTime)}
+                          className={`w-full flex items-start space-x-3 rounded-lg px-3 py-2 text-left transition-colors ${
+                            isActive ? 'bg-blue-600/30' : 'hover:bg-gray-700'
+                          }`}
+                        >
+                          <span className="text-xs text-blue-400 pt-0.5 w-10 flex-shrink-0">{formatTime(cue.startTime)}</span>
+                          <span className={`text-sm whitespace-pre-line ${isActive ? 'text-white' : 'text-gray-300'}`}>
+                            {cue.text}
+                          </span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                  {activeTranscript.source === 'youtube' && (
+                    <p className="text-xs text-gray-500">Captions provided by YouTube</p>
+                  )}
+                </div>
+              )}
+
               {showNotes && (
                 <div className="space-y-4">
                   <div className="flex items-center justify-between">
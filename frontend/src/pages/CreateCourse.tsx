@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
-import { useMutation } from 'react-query';
+import { useMutation, useQuery } from 'react-query';
 import toast from 'react-hot-toast';
 import { 
   Youtube, 
@@ -13,19 +13,41 @@ import {
   Plus,
   ChevronRight,
   AlertCircle,
-  CheckCircle
+  CheckCircle,
+  XCircle,
+  Trash2,
+  Layers,
+  Video,
+  ListVideo,
+  Tv,
+  Calendar,
+  Search,
+  ExternalLink,
+  Download,
+  Upload
 } from 'lucide-react';
-import api from '../services/api.js';
+import api, { apiHelpers } from '../services/api.js';
+
+// What the course is built from: a playlist, one video (split by chapters),
+// a list of video URLs or a channel's uploads
+type SourceMode = 'playlist' | 'video' | 'videos' | 'channel';
 
 interface CreateCourseForm {
-  playlistUrl: string;
+  sourceUrl: string;
+  videoUrls: string;
+  splitChapters: boolean;
+  publishedAfter: string;
+  publishedBefore: string;
+  maxVideos: string;
+  title: string;
   category: string;
   difficulty: 'beginner' | 'intermediate' | 'advanced';
   tags: string;
   isPublic: boolean;
 }
 
-interface PlaylistPreview {
+interface SourcePreview {
+  type: SourceMode;
   title: string;
   description: string;
   thumbnail: string;
@@ -38,8 +60,127 @@ interface PlaylistPreview {
     duration: number;
     thumbnail: string;
   }>;
+  // video
+  chapters?: Array<{
+    title: string;
+    startTime: number;
+    endTime: number;
+  }>;
+  // videos
+  unavailable?: Array<{
+    url: string;
+    title: string;
+    reason: string;
+  }>;
+  // channel
+  totalUploads?: number;
+  firstPublishedAt?: string;
+  lastPublishedAt?: string;
 }
 
+interface DiscoverResult {
+  id: string;
+  title: string;
+  description: string;
+  thumbnail: string;
+  channelTitle: string;
+  playlistUrl: string;
+  isConverted: boolean;
+  isImporting: boolean;
+  existingCourse: {
+    _id: string;
+    title: string;
+    slug: string;
+  } | null;
+}
+
+interface ImportJob {
+  _id: string;
+  status: 'queued' | 'running' | 'completed' | 'failed';
+  stage: string;
+  progress: number;
+  errors: Array<{
+    message: string;
+    stage: string;
+  }>;
+  course?: {
+    _id: string;
+    title: string;
+    slug: string;
+  } | null;
+  stats?: {
+    imported: number;
+    skipped: number;
+    unavailable: number;
+  } | null;
+}
+
+const importStages: Record<string, string> = {
+  queued: 'Waiting in queue',
+  fetching_playlist: 'Reading playlist details',
+  fetching_videos: 'Fetching videos',
+  building_course: 'Building course modules',
+  saving: 'Saving course',
+  fetching_captions: 'Fetching captions',
+  done: 'Done'
+};
+
+const sourceModes: Array<{ value: SourceMode; label: string; icon: React.ElementType; hint: string }> = [
+  { value: 'playlist', label: 'Playlist', icon: Youtube, hint: 'https://www.youtube.com/playlist?list=...' },
+  { value: 'video', label: 'Single Video', icon: Video, hint: 'https://www.youtube.com/watch?v=...' },
+  { value: 'videos', label: 'Video List', icon: ListVideo, hint: 'One video URL per line (YouTube, Vimeo or MP4)' },
+  { value: 'channel', label: 'Channel', icon: Tv, hint: 'https://www.youtube.com/@channel' },
+];
+
+const sourceUrlPatterns: Record<'playlist' | 'video' | 'channel', { pattern: RegExp; message: string }> = {
+  playlist: {
+    pattern: /^https?:\/\/(www\.)?(youtube\.com|youtu\.be)\/.*[?&]list=/,
+    message: 'Please enter a valid YouTube playlist URL',
+  },
+  video: {
+    pattern: /^https?:\/\/(www\.|m\.)?(youtube\.com\/(watch\?|shorts\/|live\/|embed\/)|youtu\.be\/)/,
+    message: 'Please enter a valid YouTube video URL',
+  },
+  channel: {
+    pattern: /^https?:\/\/(www\.|m\.)?youtube\.com\/(channel\/|@|user\/)/,
+    message: 'Please enter a channel URL like youtube.com/@handle or youtube.com/channel/UC...',
+  },
+};
+
+// Extra sections added after the first source; `input` holds one URL (playlist),
+// one URL per line (videos) or one "Title | URL | minutes" entry per line (manual)
+interface SectionDraft {
+  type: 'playlist' | 'videos' | 'manual';
+  title: string;
+  input: string;
+}
+
+const sectionInputHints: Record<SectionDraft['type'], string> = {
+  playlist: 'https://www.youtube.com/playlist?list=...',
+  videos: 'One video URL per line (YouTube, Vimeo or MP4)',
+  manual: 'One entry per line: Title | URL | minutes',
+};
+
+const toSource = (draft: SectionDraft) => {
+  const lines = draft.input.split('\n').map(line => line.trim()).filter(Boolean);
+  const title = draft.title.trim() || undefined;
+
+  if (draft.type === 'playlist') {
+    return { type: 'playlist', title, url: lines[0] };
+  }
+  if (draft.type === 'videos') {
+    return { type: 'videos', title, urls: lines };
+  }
+  return {
+    type: 'manual',
+    title,
+    entries: lines.map(line => {
+      const [entryTitle, url, minutes] = line.split('|').map(part => part.trim());
+      return { title: entryTitle, url, duration: minutes ? Math.round(parseFloat(minutes) * 60) : 0 };
+    }),
+  };
+};
+
 const categories = [
   'programming', 'design', 'business', 'marketing', 'music', 'cooking',
   'fitness', 'language', 'science', 'history', 'technology', 'art',
@@ -48,46 +189,122 @@ const categories = [
 
 const CreateCourse: React.FC = () => {
   const navigate = useNavigate();
-  const [playlistPreview, setPlaylistPreview] = useState<PlaylistPreview | null>(null);
+  const [sourceMode, setSourceMode] = useState<SourceMode>('playlist');
+  const [sourcePreview, setSourcePreview] = useState<SourcePreview | null>(null);
   const [previewLoading, setPreviewLoading] = useState(false);
   const [step, setStep] = useState(1);
+  const [importJobId, setImportJobId] = useState<string | null>(null);
+  const [extraSections, setExtraSections] = useState<SectionDraft[]>([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [packageConflict, setPackageConflict] = useState<'rename' | 'fail'>('rename');
 
-  const { register, handleSubmit, watch, formState: { errors } } = useForm<CreateCourseForm>({
+  const { register, handleSubmit, watch, getValues, setValue, formState: { errors } } = useForm<CreateCourseForm>({
     defaultValues: {
       difficulty: 'beginner',
-      isPublic: true
+      isPublic: true,
+      splitChapters: true
     }
   });
 
-  const playlistUrl = watch('playlistUrl');
+  const sourceUrl = watch('sourceUrl');
+  const videoUrls = watch('videoUrls');
+  const hasSourceInput = sourceMode === 'videos' ? !!videoUrls?.trim() : !!sourceUrl;
+
+  // The source the course starts from, in the shape /courses/preview and /courses/convert expect
+  const buildPrimarySource = (data: CreateCourseForm) => {
+    if (sourceMode === 'videos') {
+      return { type: 'videos', urls: data.videoUrls.split('\n').map(line => line.trim()).filter(Boolean) };
+    }
+    if (sourceMode === 'video') {
+      return { type: 'video', url: data.sourceUrl, splitChapters: data.splitChapters };
+    }
+    if (sourceMode === 'channel') {
+      return {
+        type: 'channel',
+        url: data.sourceUrl,
+        ...(data.publishedAfter && { publishedAfter: data.publishedAfter }),
+        // Include the whole of the last day
+        ...(data.publishedBefore && { publishedBefore: `${data.publishedBefore}T23:59:59Z` }),
+        ...(data.maxVideos && { maxVideos: parseInt(data.maxVideos) }),
+      };
+    }
+    return { type: 'playlist', url: data.sourceUrl };
+  };
 
-  // Preview playlist mutation
+  // Preview source mutation
   const previewMutation = useMutation(
-    (url: string) => api.post('/courses/preview', { playlistUrl: url }),
+    (source: ReturnType<typeof buildPrimarySource>) => api.post('/courses/preview', { source }),
     {
-      onSuccess: (data) => {
-        setPlaylistPreview(data.data.preview);
+      onSuccess: (response) => {
+        setSourcePreview(response.data.data.preview);
         setStep(2);
       },
       onError: (error: unknown) => {
         const errorMessage = error && typeof error === 'object' && 'response' in error 
           ? (error as any).response?.data?.message 
-          : 'Failed to preview playlist';
+          : 'Failed to preview source';
         toast.error(errorMessage);
       }
     }
   );
 
-  // Create course mutation
+  // Create course mutation (queues a background import job).
+  // A lone playlist keeps the original playlistUrl body; anything else is sent as sources.
   const createCourseMutation = useMutation(
-    (data: CreateCourseForm) => api.post('/courses/convert', {
-      ...data,
-      tags: data.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    (form: CreateCourseForm) => {
+      const { title, category, difficulty, tags, isPublic } = form;
+
+      return api.post('/courses/convert', {
+        category,
+        difficulty,
+        isPublic,
+        ...(sourceMode === 'playlist' && extraSections.length === 0
+          ? { playlistUrl: form.sourceUrl }
+          : { sources: [buildPrimarySource(form), ...extraSections.map(toSource)] }),
+        ...(title?.trim() && { title: title.trim() }),
+        tags: tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      });
+    },
+    {
+      onSuccess: (response) => {
+        setImportJobId(response.data.data.job._id);
+        setStep(3);
+      },
+      onError: (error: unknown) => {
+        const errorMessage = error && typeof error === 'object' && 'response' in error 
+          ? (error as any).response?.data?.message 
+          : 'Failed to create course';
+        toast.error(errorMessage);
+      }
+    }
+  );
+
+  // Search YouTube playlists; each search costs 100 quota units, so only on submit
+  const { data: discoverResults, isFetching: discoverLoading } = useQuery<DiscoverResult[]>(
+    ['discover', searchQuery],
+    async () => {
+      const response = await apiHelpers.discoverPlaylists(searchQuery);
+      return response.data.results;
+    },
+    {
+      enabled: searchQuery.length >= 2,
+      staleTime: 5 * 60 * 1000,
+    }
+  );
+
+  // One-click import from a search result, with default course settings
+  const quickImportMutation = useMutation(
+    (playlistUrl: string) => apiHelpers.createCourse({
+      playlistUrl,
+      category: getValues('category') || 'other',
+      difficulty: getValues('difficulty') || 'beginner',
+      isPublic: true
     }),
     {
-      onSuccess: (data) => {
-        toast.success('Course created successfully!');
-        navigate(`/courses/${data.data.course.slug}`);
+      onSuccess: (data: any) => {
+        setImportJobId(data.data.job._id);
+        setStep(3);
       },
       onError: (error: unknown) => {
         const errorMessage = error && typeof error === 'object' && 'response' in error 
@@ -98,36 +315,88 @@ const CreateCourse: React.FC = () => {
     }
   );
 
-  const handlePreviewPlaylist = async () => {
-    if (!playlistUrl) {
-      toast.error('Please enter a playlist URL');
-      return;
+  // Recreate a course from a package exported on this or another PlayLMS server
+  const packageImportMutation = useMutation(
+    (file: File) => apiHelpers.importCourse(file, packageConflict),
+    {
+      onSuccess: (data: any) => {
+        const { course, conflicts } = data.data;
+        toast.success(data.message);
+        conflicts.forEach((conflict: { message: string; resolution: string }) => {
+          toast(`${conflict.message}. ${conflict.resolution}.`);
+        });
+        navigate(`/courses/${course.slug}/edit`);
+      },
+      onError: (error: unknown) => {
+        const errorMessage = error && typeof error === 'object' && 'response' in error
+          ? (error as any).response?.data?.message
+          : 'Failed to import course';
+        toast.error(errorMessage || 'Failed to import course');
+      }
+    }
+  );
+
+  // Poll the import job until it finishes
+  const { data: importJob } = useQuery<ImportJob>(
+    ['importJob', importJobId],
+    async () => {
+      const response = await api.get(`/courses/import-jobs/${importJobId}`);
+      return response.data.data.job;
+    },
+    {
+      enabled: !!importJobId,
+      refetchInterval: (job) => job && (job.status === 'completed' || job.status === 'failed') ? false : 1500,
+      onSuccess: (job) => {
+        if (job.status === 'completed' && job.course) {
+          if (job.stats && (job.stats.skipped > 0 || job.stats.unavailable > 0)) {
+            toast.success(`Course created with ${job.stats.imported} videos (${job.stats.unavailable} unavailable, ${job.stats.skipped} duplicates skipped)`);
+          } else {
+            toast.success('Course created successfully!');
+          }
+          navigate(`/courses/${job.course.slug}`);
+        }
+      }
     }
+  );
+
+  const handlePreviewSource = async () => {
+    const form = getValues();
 
     // Validate URL format before sending to server
-    const youtubePlaylistRegex = /^https?:\/\/(www\.)?(youtube\.com\/playlist\?list=|youtu\.be\/)/;
-    if (!youtubePlaylistRegex.test(playlistUrl)) {
-      toast.error('Please enter a valid YouTube playlist URL');
-      return;
+    if (sourceMode === 'videos') {
+      if (!form.videoUrls?.trim()) {
+        toast.error('Please enter at least one video URL');
+        return;
+      }
+    } else {
+      if (!form.sourceUrl) {
+        toast.error('Please enter a URL');
+        return;
+      }
+      const { pattern, message } = sourceUrlPatterns[sourceMode];
+      if (!pattern.test(form.sourceUrl)) {
+        toast.error(message);
+        return;
+      }
     }
 
-    console.log('Starting preview for URL:', playlistUrl);
     setPreviewLoading(true);
     
     try {
-      const result = await previewMutation.mutateAsync(playlistUrl);
-      console.log('Preview result:', result);
-      toast.success('Playlist preview loaded successfully!');
+      await previewMutation.mutateAsync(buildPrimarySource(form));
+      toast.success('Preview loaded successfully!');
     } catch (error: any) {
-      console.error('Preview error in handlePreviewPlaylist:', error);
+      console.error('Preview error in handlePreviewSource:', error);
       
       // Enhanced error handling
-      let errorMessage = 'Failed to preview playlist';
+      let errorMessage = 'Failed to preview source';
       
       if (error?.response?.status === 401) {
-        errorMessage = 'Please log in to preview playlists';
+        errorMessage = 'Please log in to preview sources';
       } else if (error?.response?.status === 500) {
         errorMessage = 'Server error. Please try again later or contact support if the issue persists.';
+      } else if (error?.response?.data?.errors?.length) {
+        errorMessage = error.response.data.errors[0].msg;
       } else if (error?.response?.data?.message) {
         errorMessage = error.response.data.message;
       } else if (error?.message) {
@@ -140,10 +409,28 @@ const CreateCourse: React.FC = () => {
     }
   };
 
+  const handlePreviewResult = (result: DiscoverResult) => {
+    setValue('sourceUrl', result.playlistUrl);
+    handlePreviewSource();
+  };
+
+  const handleSearch = () => {
+    const query = searchInput.trim();
+    if (query.length < 2) {
+      toast.error('Enter at least 2 characters to search');
+      return;
+    }
+    setSearchQuery(query);
+  };
+
   const onSubmit = (data: CreateCourseForm) => {
     createCourseMutation.mutate(data);
   };
 
+  const updateSection = (index: number, changes: Partial<SectionDraft>) => {
+    setExtraSections(sections => sections.map((section, i) => (i === index ? { ...section, ...changes } : section)));
+  };
+
   const formatDuration = (seconds: number) => {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -158,11 +445,11 @@ const CreateCourse: React.FC = () => {
     <div className="max-w-4xl mx-auto p-6">
       <div className="mb-8">
         <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-          Create Course from YouTube Playlist
+          Create Course from YouTube
         </h1>
         <p className="text-gray-600 dark:text-gray-400">
-          Convert any YouTube playlist into a structured learning course with progress tracking, 
-          gamification, and interactive features.
+          Convert a YouTube playlist, a long video, a list of videos or a channel's uploads into a
+          structured learning course with progress tracking, gamification, and interactive features.
         </p>
       </div>
 
@@ -181,59 +468,161 @@ const CreateCourse: React.FC = () => {
         }`}>
           2
         </div>
+        <div className={`flex-1 h-1 mx-4 ${
+          step >= 3 ? 'bg-indigo-600' : 'bg-gray-200'
+        }`} />
+        <div className={`flex items-center justify-center w-8 h-8 rounded-full text-sm font-medium ${
+          step >= 3 ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-600'
+        }`}>
+          3
+        </div>
       </div>
 
       <form onSubmit={handleSubmit(onSubmit)} className="space-y-8">
-        {/* Step 1: Playlist URL */}
+        {/* Step 1: Source */}
         {step === 1 && (
           <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700">
             <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
-              Step 1: Enter Playlist URL
+              Step 1: Choose a Source
             </h2>
             
             <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                  YouTube Playlist URL
-                </label>
-                <div className="relative">
-                  <Youtube className="absolute left-3 top-3 h-5 w-5 text-gray-400" aria-hidden="true" />
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2" role="tablist">
+                {sourceModes.map(({ value, label, icon: Icon }) => (
+                  <button
+                    key={value}
+                    type="button"
+                    role="tab"
+                    aria-selected={sourceMode === value}
+                    onClick={() => setSourceMode(value)}
+                    className={`flex items-center justify-center px-3 py-2 rounded-lg text-sm font-medium border ${
+                      sourceMode === value
+                        ? 'bg-indigo-600 text-white border-indigo-600'
+                        : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                    }`}
+                  >
+                    <Icon className="h-4 w-4 mr-2" aria-hidden="true" />
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {sourceMode === 'videos' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Video URLs
+                  </label>
+                  <textarea
+                    {...register('videoUrls')}
+                    rows={6}
+                    placeholder={sourceModes[2].hint}
+                    className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent dark:bg-gray-700 dark:text-white font-mono text-sm"
+                  />
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    {sourceMode === 'playlist' ? 'YouTube Playlist URL' : sourceMode === 'video' ? 'YouTube Video URL' : 'YouTube Channel URL'}
+                  </label>
+                  <div className="relative">
+                    <Youtube className="absolute left-3 top-3 h-5 w-5 text-gray-400" aria-hidden="true" />
+                    <input
+                      type="url"
+                      {...register('sourceUrl', {
+                        pattern: {
+                          value: /^https?:\/\/(www\.|m\.)?(youtube\.com|youtu\.be)/,
+                          message: 'Please enter a valid YouTube URL'
+                        }
+                      })}
+                      placeholder={sourceModes.find(mode => mode.value === sourceMode)?.hint}
+                      className="w-full pl-10 pr-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent dark:bg-gray-700 dark:text-white"
+                      aria-describedby={errors.sourceUrl ? 'source-url-error' : undefined}
+                      aria-invalid={errors.sourceUrl ? 'true' : 'false'}
+                    />
+                  </div>
+                  {errors.sourceUrl && (
+                    <p id="source-url-error" className="mt-1 text-red-600 text-sm flex items-center" role="alert">
+                      <AlertCircle className="h-4 w-4 mr-1" aria-hidden="true" />
+                      {errors.sourceUrl.message}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {sourceMode === 'video' && (
+                <div className="flex items-center">
                   <input
-                    type="url"
-                    {...register('playlistUrl', {
-                      required: 'Playlist URL is required',
-                      pattern: {
-                        value: /^https?:\/\/(www\.)?(youtube\.com|youtu\.be)/,
-                        message: 'Please enter a valid YouTube URL'
-                      }
-                    })}
-                    placeholder="https://www.youtube.com/playlist?list=..."
-                    className="w-full pl-10 pr-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent dark:bg-gray-700 dark:text-white"
-                    aria-describedby={errors.playlistUrl ? 'playlist-url-error' : undefined}
-                    aria-invalid={errors.playlistUrl ? 'true' : 'false'}
+                    id="split-chapters"
+                    type="checkbox"
+                    {...register('splitChapters')}
+                    className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
                   />
+                  <label htmlFor="split-chapters" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                    Split into one module per chapter when the video has chapters
+                  </label>
                 </div>
-                {errors.playlistUrl && (
-                  <p id="playlist-url-error" className="mt-1 text-red-600 text-sm flex items-center" role="alert">
-                    <AlertCircle className="h-4 w-4 mr-1" aria-hidden="true" />
-                    {errors.playlistUrl.message}
+              )}
+
+              {sourceMode === 'channel' && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Published after
+                    </label>
+                    <div className="relative">
+                      <Calendar className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" aria-hidden="true" />
+                      <input
+                        type="date"
+                        {...register('publishedAfter')}
+                        className="w-full pl-9 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Published before
+                    </label>
+                    <div className="relative">
+                      <Calendar className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" aria-hidden="true" />
+                      <input
+                        type="date"
+                        {...register('publishedBefore')}
+                        className="w-full pl-9 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Max videos
+                    </label>
+                    <input
+                      type="number"
+                      min={1}
+                      max={200}
+                      {...register('maxVideos')}
+                      placeholder="50"
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+                    />
+                  </div>
+                  <p className="md:col-span-3 text-xs text-gray-500 dark:text-gray-400">
+                    Uploads are imported oldest first. Only the channel's 500 most recent uploads are searched.
                   </p>
-                )}
-              </div>
+                </div>
+              )}
 
               <div className="space-y-3">
                 <div className="flex items-center space-x-3 text-sm text-gray-600 dark:text-gray-400">
                   <div className="flex items-center">
                     <CheckCircle className="h-4 w-4 text-green-500 mr-1" />
-                    Public playlists
+                    Public videos
                   </div>
                   <div className="flex items-center">
                     <CheckCircle className="h-4 w-4 text-green-500 mr-1" />
-                    Unlisted playlists
+                    Unlisted videos
                   </div>
                   <div className="flex items-center">
                     <AlertCircle className="h-4 w-4 text-amber-500 mr-1" />
-                    Private playlists not supported
+                    Private videos not supported
                   </div>
                 </div>
                 
@@ -243,7 +632,7 @@ const CreateCourse: React.FC = () => {
                     <div className="text-sm">
                       <p className="text-blue-800 dark:text-blue-200 font-medium mb-1">How it works:</p>
                       <ul className="text-blue-700 dark:text-blue-300 space-y-1 text-xs">
-                        <li>• We'll analyze your playlist and show you a preview</li>
+                        <li>• We'll analyze your source and show you a preview</li>
                         <li>• Each video becomes a learning module with progress tracking</li>
                         <li>• Earn XP points and achievements as you complete videos</li>
                         <li>• Your course will be shareable with other learners</li>
@@ -255,8 +644,8 @@ const CreateCourse: React.FC = () => {
 
               <button
                 type="button"
-                onClick={handlePreviewPlaylist}
-                disabled={!playlistUrl || previewLoading}
+                onClick={handlePreviewSource}
+                disabled={!hasSourceInput || previewLoading}
                 className="w-full bg-indigo-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
               >
                 {previewLoading ? (
@@ -266,7 +655,7 @@ const CreateCourse: React.FC = () => {
                   </>
                 ) : (
                   <>
-                    Preview Playlist
+                    Preview {sourceModes.find(mode => mode.value === sourceMode)?.label}
                     <ChevronRight className="ml-2 h-4 w-4" />
                   </>
                 )}
@@ -275,14 +664,121 @@ const CreateCourse: React.FC = () => {
           </div>
         )}
 
+        {/* Playlist discovery */}
+        {step === 1 && sourceMode === 'playlist' && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+              Or Find a Playlist
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Search YouTube and import a playlist in one click, or preview it first to configure the course.
+            </p>
+
+            <div className="flex gap-2 mb-4">
+              <div className="relative flex-1">
+                <Search className="absolute left-3 top-2.5 h-5 w-5 text-gray-400" aria-hidden="true" />
+                <input
+                  type="search"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      handleSearch();
+                    }
+                  }}
+                  placeholder="e.g. react hooks tutorial"
+                  aria-label="Search YouTube playlists"
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent dark:bg-gray-700 dark:text-white"
+                />
+              </div>
+              <button
+                type="button"
+                onClick={handleSearch}
+                disabled={discoverLoading}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {discoverLoading ? 'Searching...' : 'Search'}
+              </button>
+            </div>
+
+            {discoverResults && discoverResults.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No playlists found for "{searchQuery}".</p>
+            )}
+
+            {discoverResults && discoverResults.length > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4" role="list">
+                {discoverResults.map((result) => (
+                  <div key={result.id} className="flex flex-col rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden" role="listitem">
+                    <img
+                      src={result.thumbnail}
+                      alt={`Thumbnail for ${result.title}`}
+                      className="w-full h-36 object-cover"
+                    />
+                    <div className="flex-1 p-3 flex flex-col">
+                      <p className="text-sm font-semibold text-gray-900 dark:text-white line-clamp-2" title={result.title}>
+                        {result.title}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">{result.channelTitle}</p>
+
+                      <div className="mt-auto flex items-center gap-2">
+                        {result.existingCourse ? (
+                          <Link
+                            to={`/courses/${result.existingCourse.slug}`}
+                            className="flex items-center text-sm text-green-700 dark:text-green-400 hover:underline"
+                          >
+                            <CheckCircle className="h-4 w-4 mr-1" />
+                            Already a course
+                            <ExternalLink className="h-3 w-3 ml-1" />
+                          </Link>
+                        ) : result.isConverted ? (
+                          <span className="flex items-center text-sm text-gray-500 dark:text-gray-400">
+                            <CheckCircle className="h-4 w-4 mr-1" />
+                            Already a private course
+                          </span>
+                        ) : result.isImporting ? (
+                          <span className="flex items-center text-sm text-amber-600 dark:text-amber-400">
+                            <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-amber-600 mr-2"></div>
+                            Being imported
+                          </span>
+                        ) : (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => quickImportMutation.mutate(result.playlistUrl)}
+                              disabled={quickImportMutation.isLoading}
+                              className="flex items-center px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                            >
+                              <Download className="h-4 w-4 mr-1" />
+                              Import
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handlePreviewResult(result)}
+                              disabled={previewLoading}
+                              className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 text-sm rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                            >
+                              Preview
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Step 2: Course Details */}
-        {step === 2 && playlistPreview && (
+        {step === 2 && sourcePreview && (
           <div className="space-y-6">
-            {/* Playlist Preview */}
+            {/* Source Preview */}
             <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700">
               <div className="flex items-center justify-between mb-4">
                 <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
-                  Playlist Preview
+                  {sourceModes.find(mode => mode.value === sourcePreview.type)?.label || 'Playlist'} Preview
                 </h2>
                 <div className="flex items-center px-3 py-1 bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200 rounded-full text-sm font-medium">
                   <CheckCircle className="h-4 w-4 mr-1" />
@@ -293,17 +789,17 @@ const CreateCourse: React.FC = () => {
               <div className="flex flex-col lg:flex-row gap-6">
                 <div className="lg:w-80 flex-shrink-0">
                   <img 
-                    src={playlistPreview.thumbnail} 
-                    alt={playlistPreview.title}
+                    src={sourcePreview.thumbnail} 
+                    alt={sourcePreview.title}
                     className="w-full h-48 lg:h-44 object-cover rounded-lg shadow-md"
                   />
                 </div>
                 <div className="flex-1 min-w-0">
                   <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-3 line-clamp-2">
-                    {playlistPreview.title}
+                    {sourcePreview.title}
                   </h3>
                   <p className="text-gray-600 dark:text-gray-400 mb-4 overflow-hidden" style={{ display: '-webkit-box', WebkitLineClamp: 3, WebkitBoxOrient: 'vertical' }}>
-                    {playlistPreview.description || 'No description available'}
+                    {sourcePreview.description || 'No description available'}
                   </p>
                   
                   {/* Course Stats Grid */}
@@ -313,8 +809,8 @@ const CreateCourse: React.FC = () => {
                         <Users className="h-5 w-5 text-indigo-600 dark:text-indigo-400" />
                       </div>
                       <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Channel</p>
-                      <p className="text-sm font-semibold text-gray-900 dark:text-white truncate" title={playlistPreview.channelTitle}>
-                        {playlistPreview.channelTitle}
+                      <p className="text-sm font-semibold text-gray-900 dark:text-white truncate" title={sourcePreview.channelTitle}>
+                        {sourcePreview.channelTitle}
                       </p>
                     </div>
                     
@@ -322,9 +818,11 @@ const CreateCourse: React.FC = () => {
                       <div className="flex items-center justify-center mb-1">
                         <Play className="h-5 w-5 text-green-600 dark:text-green-400" />
                       </div>
-                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Videos</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                        {sourcePreview.type === 'video' ? 'Modules' : 'Videos'}
+                      </p>
                       <p className="text-sm font-semibold text-gray-900 dark:text-white">
-                        {playlistPreview.videoCount}
+                        {sourcePreview.videoCount}
                       </p>
                     </div>
                     
@@ -334,7 +832,7 @@ const CreateCourse: React.FC = () => {
                       </div>
                       <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Duration</p>
                       <p className="text-sm font-semibold text-gray-900 dark:text-white">
-                        {playlistPreview.estimatedDuration}
+                        {sourcePreview.estimatedDuration}
                       </p>
                     </div>
                     
@@ -344,21 +842,71 @@ const CreateCourse: React.FC = () => {
                       </div>
                       <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Reward</p>
                       <p className="text-sm font-semibold text-gray-900 dark:text-white">
-                        {playlistPreview.estimatedXP} XP
+                        {sourcePreview.estimatedXP} XP
                       </p>
                     </div>
                   </div>
                 </div>
               </div>
 
+              {/* Chapters a single video will be split into */}
+              {sourcePreview.type === 'video' && (
+                sourcePreview.chapters && sourcePreview.chapters.length > 0 ? (
+                  <div className="mt-6">
+                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
+                      Split into {sourcePreview.chapters.length} modules by chapter
+                    </h4>
+                    <ol className="space-y-1">
+                      {sourcePreview.chapters.map((chapter, index) => (
+                        <li key={`chapter-${index}`} className="flex items-center justify-between p-2 rounded-lg bg-gray-50 dark:bg-gray-700 text-sm">
+                          <span className="text-gray-900 dark:text-white truncate">{index + 1}. {chapter.title}</span>
+                          <span className="text-xs text-gray-500 dark:text-gray-400 ml-3 flex-shrink-0">
+                            {formatDuration(chapter.endTime - chapter.startTime)}
+                          </span>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                ) : (
+                  <p className="mt-6 text-sm text-gray-600 dark:text-gray-400">
+                    The video will become a single module.
+                  </p>
+                )
+              )}
+
+              {/* Date range a channel import covers */}
+              {sourcePreview.type === 'channel' && sourcePreview.firstPublishedAt && sourcePreview.lastPublishedAt && (
+                <p className="mt-6 text-sm text-gray-600 dark:text-gray-400">
+                  {sourcePreview.videoCount} of {sourcePreview.totalUploads} uploads, published{' '}
+                  {new Date(sourcePreview.firstPublishedAt).toLocaleDateString()} to{' '}
+                  {new Date(sourcePreview.lastPublishedAt).toLocaleDateString()}, will be imported oldest first.
+                </p>
+              )}
+
+              {/* Video list entries that can't be imported */}
+              {sourcePreview.unavailable && sourcePreview.unavailable.length > 0 && (
+                <div className="mt-6 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800" role="alert">
+                  <p className="text-sm font-medium text-amber-800 dark:text-amber-200 mb-1">
+                    {sourcePreview.unavailable.length} video{sourcePreview.unavailable.length === 1 ? '' : 's'} will be skipped
+                  </p>
+                  <ul className="text-xs text-amber-700 dark:text-amber-300 space-y-1">
+                    {sourcePreview.unavailable.map((entry) => (
+                      <li key={entry.url} className="truncate" title={entry.url}>
+                        {entry.title}: {entry.reason.replace('_', ' ')}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Sample Videos */}
-              {playlistPreview.sampleVideos && playlistPreview.sampleVideos.length > 0 && (
+              {sourcePreview.sampleVideos && sourcePreview.sampleVideos.length > 0 && (
                 <div className="mt-6">
                   <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
-                    Sample Videos
+                    {sourcePreview.type === 'videos' ? 'Videos' : 'Sample Videos'}
                   </h4>
                   <div className="space-y-2" role="list">
-                    {playlistPreview.sampleVideos.map((video, index) => (
+                    {sourcePreview.sampleVideos.map((video, index) => (
                       <div key={`video-${index}`} className="flex items-center space-x-3 p-2 rounded-lg bg-gray-50 dark:bg-gray-700" role="listitem">
                         <img 
                           src={video.thumbnail} 
@@ -387,6 +935,21 @@ const CreateCourse: React.FC = () => {
               </h2>
               
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Course Title
+                  </label>
+                  <input
+                    type="text"
+                    {...register('title', { maxLength: { value: 200, message: 'Title cannot exceed 200 characters' } })}
+                    placeholder={sourcePreview.title}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent dark:bg-gray-700 dark:text-white"
+                  />
+                  {errors.title && (
+                    <p className="mt-1 text-red-600 text-sm" role="alert">{errors.title.message}</p>
+                  )}
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                     Category
@@ -450,6 +1013,78 @@ const CreateCourse: React.FC = () => {
               </div>
             </div>
 
+            {/* Additional Sections */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-xl font-semibold text-gray-900 dark:text-white flex items-center">
+                  <Layers className="h-5 w-5 mr-2 text-indigo-600" />
+                  Sections
+                </h2>
+                <button
+                  type="button"
+                  onClick={() => setExtraSections(sections => [...sections, { type: 'playlist', title: '', input: '' }])}
+                  className="flex items-center text-sm text-indigo-600 hover:text-indigo-700 dark:text-indigo-400"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Section
+                </button>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                The source above becomes the first section. Add more playlists, hand-picked videos or your own entries to build a longer curriculum.
+              </p>
+
+              <div className="space-y-4">
+                {extraSections.map((section, index) => (
+                  <div key={`section-${index}`} className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700 space-y-3">
+                    <div className="flex items-center gap-3">
+                      <span className="text-sm font-medium text-gray-500 dark:text-gray-400">{index + 2}.</span>
+                      <select
+                        value={section.type}
+                        onChange={(e) => updateSection(index, { type: e.target.value as SectionDraft['type'] })}
+                        className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-800 dark:text-white text-sm"
+                      >
+                        <option value="playlist">Playlist</option>
+                        <option value="videos">Videos</option>
+                        <option value="manual">Manual entries</option>
+                      </select>
+                      <input
+                        type="text"
+                        value={section.title}
+                        onChange={(e) => updateSection(index, { title: e.target.value })}
+                        placeholder={section.type === 'manual' ? 'Section title (required)' : 'Section title (optional)'}
+                        className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-800 dark:text-white text-sm"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setExtraSections(sections => sections.filter((_, i) => i !== index))}
+                        className="p-2 text-gray-400 hover:text-red-600"
+                        title="Remove section"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                    {section.type === 'playlist' ? (
+                      <input
+                        type="url"
+                        value={section.input}
+                        onChange={(e) => updateSection(index, { input: e.target.value })}
+                        placeholder={sectionInputHints.playlist}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-800 dark:text-white text-sm"
+                      />
+                    ) : (
+                      <textarea
+                        value={section.input}
+                        onChange={(e) => updateSection(index, { input: e.target.value })}
+                        placeholder={sectionInputHints[section.type]}
+                        rows={3}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-800 dark:text-white text-sm font-mono"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
             {/* Action Buttons */}
             <div className="flex justify-between">
               <button
@@ -468,7 +1103,7 @@ const CreateCourse: React.FC = () => {
                 {createCourseMutation.isLoading ? (
                   <>
                     <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                    Creating Course...
+                    Starting Import...
                   </>
                 ) : (
                   <>
@@ -480,7 +1115,106 @@ const CreateCourse: React.FC = () => {
             </div>
           </div>
         )}
+
+        {/* Step 3: Import Progress */}
+        {step === 3 && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+              Step 3: Importing Course
+            </h2>
+
+            {importJob?.status === 'failed' ? (
+              <div className="space-y-4">
+                <div className="flex items-start text-red-600" role="alert">
+                  <XCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+                  <div>
+                    <p className="font-medium">Import failed</p>
+                    {importJob.errors.map((error, index) => (
+                      <p key={`error-${index}`} className="text-sm">{error.message}</p>
+                    ))}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setImportJobId(null);
+                    setStep(2);
+                  }}
+                  className="px-6 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700"
+                >
+                  Back
+                </button>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-700 dark:text-gray-300">
+                    {importStages[importJob?.stage || 'queued']}
+                  </span>
+                  <span className="font-medium text-gray-900 dark:text-white">
+                    {importJob?.progress || 0}%
+                  </span>
+                </div>
+                <div
+                  className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3"
+                  role="progressbar"
+                  aria-valuenow={importJob?.progress || 0}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                >
+                  <div
+                    className="bg-indigo-600 h-3 rounded-full transition-all duration-500"
+                    style={{ width: `${importJob?.progress || 0}%` }}
+                  />
+                </div>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Large playlists and channels can take a minute. You'll be taken to your course as soon as it's ready.
+                </p>
+              </div>
+            )}
+          </div>
+        )}
       </form>
+
+      {step === 1 && (
+        <div className="mt-8 bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border border-gray-200 dark:border-gray-700">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2 flex items-center">
+            <Upload className="h-5 w-5 mr-2 text-indigo-600" aria-hidden="true" />
+            Import a Course Package
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            Recreate a course from a .json package exported from a course editor, with its modules, quizzes,
+            transcripts and attachments.
+          </p>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+            <select
+              value={packageConflict}
+              onChange={(e) => setPackageConflict(e.target.value as 'rename' | 'fail')}
+              aria-label="When the slug or playlist is already taken"
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm dark:bg-gray-700 dark:text-white"
+            >
+              <option value="rename">If the slug or playlist is taken, import under a new slug</option>
+              <option value="fail">If the slug or playlist is taken, don't import</option>
+            </select>
+            <label className={`inline-flex items-center justify-center px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg cursor-pointer ${
+              packageImportMutation.isLoading ? 'opacity-50 pointer-events-none' : ''
+            }`}>
+              <Upload className="h-4 w-4 mr-2" aria-hidden="true" />
+              {packageImportMutation.isLoading ? 'Importing...' : 'Choose package'}
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="sr-only"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  if (file) packageImportMutation.mutate(file);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
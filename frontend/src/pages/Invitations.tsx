@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import { Mail, Check, X } from 'lucide-react';
+import { apiHelpers } from '../services/api';
+import toast from 'react-hot-toast';
+
+interface Invitation {
+  _id: string;
+  role: 'editor' | 'ta';
+  createdAt: string;
+  course: {
+    _id: string;
+    title: string;
+    slug: string;
+    thumbnail: string;
+  } | null;
+  invitedBy: {
+    username: string;
+    firstName: string;
+    lastName: string;
+  } | null;
+}
+
+const roleDescriptions = {
+  editor: 'Co-author: edit and publish the course',
+  ta: 'Teaching assistant: see learner analytics and moderate reviews',
+};
+
+const Invitations: React.FC = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [respondingId, setRespondingId] = useState<string | null>(null);
+
+  const { data: invitationsData, isLoading } = useQuery(
+    ['invitations'],
+    () => apiHelpers.getInvitations()
+  );
+
+  const invitations: Invitation[] = (invitationsData?.data?.invitations || [])
+    .filter((invitation: Invitation) => invitation.course);
+
+  const handleRespond = async (invitation: Invitation, accept: boolean) => {
+    setRespondingId(invitation._id);
+    try {
+      const response = accept
+        ? await apiHelpers.acceptInvitation(invitation._id)
+        : await apiHelpers.declineInvitation(invitation._id);
+      toast.success(response.message);
+      queryClient.invalidateQueries(['invitations']);
+      if (accept && invitation.course) {
+        queryClient.invalidateQueries(['course', invitation.course.slug]);
+        navigate(invitation.role === 'editor'
+          ? `/courses/${invitation.course.slug}/edit`
+          : `/courses/${invitation.course.slug}`);
+      }
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to answer invitation');
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+          Invitations
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400 mb-8">
+          Courses you have been invited to help with
+        </p>
+
+        {isLoading ? (
+          <div className="space-y-4">
+            {[...Array(2)].map((_, i) => (
+              <div key={i} className="h-24 bg-white dark:bg-gray-800 rounded-xl shadow-sm animate-pulse"></div>
+            ))}
+          </div>
+        ) : invitations.length > 0 ? (
+          <ul className="space-y-4">
+            {invitations.map((invitation) => (
+              <li
+                key={invitation._id}
+                className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4 flex flex-col sm:flex-row sm:items-center gap-4"
+              >
+                <img
+                  src={invitation.course!.thumbnail}
+                  alt={invitation.course!.title}
+                  className="hidden sm:block w-32 h-20 object-cover rounded-lg flex-shrink-0"
+                />
+                <div className="flex-1 min-w-0">
+                  <Link
+                    to={`/courses/${invitation.course!.slug}`}
+                    className="font-semibold text-gray-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400"
+                  >
+                    {invitation.course!.title}
+                  </Link>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {roleDescriptions[invitation.role]}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {invitation.invitedBy && `Invited by ${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName} · `}
+                    {new Date(invitation.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleRespond(invitation, false)}
+                    disabled={respondingId === invitation._id}
+                    className="inline-flex items-center px-3 py-2 text-sm text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    <X className="h-4 w-4 mr-1" />
+                    Decline
+                  </button>
+                  <button
+                    onClick={() => handleRespond(invitation, true)}
+                    disabled={respondingId === invitation._id}
+                    className="inline-flex items-center px-3 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+                  >
+                    <Check className="h-4 w-4 mr-1" />
+                    Accept
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="text-center py-12">
+            <Mail className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+              No pending invitations
+            </h3>
+            <p className="text-gray-600 dark:text-gray-400">
+              When a course owner invites you to help with their course, it shows up here.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Invitations;
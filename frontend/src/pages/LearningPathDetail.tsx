@@ -0,0 +1,338 @@
+import React, { useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  Route,
+  BookOpen,
+  Clock,
+  Users,
+  Award,
+  CheckCircle,
+  Lock,
+  Play
+} from 'lucide-react';
+import { apiHelpers } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+interface PathCourse {
+  _id: string;
+  title: string;
+  slug: string;
+  thumbnail: string;
+  description: string;
+  difficulty: string;
+  totalModules: number;
+  totalDuration: number;
+  isActive: boolean;
+}
+
+interface LearningPath {
+  _id: string;
+  title: string;
+  slug: string;
+  description: string;
+  thumbnail: string;
+  completionXP: number;
+  totalEnrollments: number;
+  totalCompletions: number;
+  isPublic: boolean;
+  isActive: boolean;
+  courses: Array<{
+    course: PathCourse | null;
+    prerequisites: string[];
+  }>;
+  creator: {
+    _id: string;
+    username: string;
+    firstName: string;
+    lastName: string;
+  };
+}
+
+interface CourseRollup {
+  courseId: string;
+  isEnrolled: boolean;
+  isCompleted: boolean;
+  progress: number;
+  lock: {
+    reason: string;
+    requiredCourses: Array<{ _id: string; title: string }>;
+  } | null;
+}
+
+interface PathRollup {
+  courses: CourseRollup[];
+  completedCourses: number;
+  totalCourses: number;
+  overallProgress: number;
+  isCompleted: boolean;
+}
+
+const LearningPathDetail: React.FC = () => {
+  const { slug } = useParams<{ slug: string }>();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [isEnrolling, setIsEnrolling] = useState(false);
+  const [startingCourseId, setStartingCourseId] = useState<string | null>(null);
+
+  const { data: pathData, isLoading, refetch } = useQuery(
+    ['path', slug],
+    () => apiHelpers.getPath(slug!),
+    {
+      enabled: !!slug,
+    }
+  );
+
+  const formatDuration = (minutes: number) => {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    if (hours > 0) {
+      return `${hours}h ${mins}m`;
+    }
+    return `${mins}m`;
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!pathData?.data?.path) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <Route className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            Learning path not found
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400">
+            The learning path you're looking for doesn't exist or has been removed.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const path: LearningPath = pathData.data.path;
+  const rollup: PathRollup = pathData.data.rollup;
+  const enrollment = pathData.data.enrollment;
+  const courses = path.courses.filter(entry => entry.course).map(entry => entry.course!);
+  const rollupByCourse = new Map(rollup.courses.map(course => [course.courseId, course]));
+  const totalDuration = courses.reduce((sum, course) => sum + (course.totalDuration || 0), 0);
+  const slugsById = new Map(courses.map(course => [course._id, course.slug]));
+
+  const handleEnroll = async () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    setIsEnrolling(true);
+    try {
+      const response = await apiHelpers.enrollInPath(path._id);
+      toast.success(response.message);
+      if (response.data.completion?.pathCompleted) {
+        toast.success(`Learning path completed! +${response.data.completion.completionXP} bonus XP`, { duration: 6000 });
+      }
+      refetch();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to enroll in learning path');
+    } finally {
+      setIsEnrolling(false);
+    }
+  };
+
+  const handleStartCourse = async (course: PathCourse) => {
+    setStartingCourseId(course._id);
+    try {
+      await apiHelpers.enrollInPathCourse(path._id, course._id);
+      navigate(`/courses/${course.slug}`);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to start course');
+      setStartingCourseId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Hero */}
+      <div className="bg-gradient-to-r from-blue-600 to-purple-600 text-white">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <div className="flex items-center space-x-2 text-blue-100 text-sm mb-3">
+            <Route className="h-4 w-4" />
+            <Link to="/paths" className="hover:underline">Learning Paths</Link>
+            {(!path.isPublic || !path.isActive) && (
+              <span className="px-2 py-0.5 bg-white/20 rounded-full text-xs">Hidden</span>
+            )}
+          </div>
+          <h1 className="text-3xl md:text-4xl font-bold mb-4">{path.title}</h1>
+          <p className="text-lg text-blue-100 mb-6 max-w-3xl">{path.description}</p>
+
+          <div className="flex flex-wrap items-center gap-6 text-sm text-blue-100 mb-6">
+            <div className="flex items-center space-x-1">
+              <BookOpen className="h-4 w-4" />
+              <span>{courses.length} courses</span>
+            </div>
+            <div className="flex items-center space-x-1">
+              <Clock className="h-4 w-4" />
+              <span>{formatDuration(totalDuration)}</span>
+            </div>
+            <div className="flex items-center space-x-1">
+              <Users className="h-4 w-4" />
+              <span>{path.totalEnrollments} enrolled</span>
+            </div>
+            <div className="flex items-center space-x-1">
+              <Award className="h-4 w-4" />
+              <span>+{path.completionXP} XP on completion</span>
+            </div>
+            <span>
+              By {path.creator.firstName} {path.creator.lastName}
+            </span>
+          </div>
+
+          {enrollment ? (
+            <div className="max-w-md">
+              <div className="flex items-center justify-between text-sm mb-2">
+                <span>
+                  {rollup.completedCourses} of {rollup.totalCourses} courses completed
+                </span>
+                <span className="font-medium">{rollup.overallProgress}%</span>
+              </div>
+              <div className="w-full bg-white/20 rounded-full h-2">
+                <div
+                  className="bg-white h-2 rounded-full transition-all duration-300"
+                  style={{ width: `${rollup.overallProgress}%` }}
+                ></div>
+              </div>
+              {enrollment.isCompleted && (
+                <p className="mt-3 flex items-center space-x-2 font-medium">
+                  <CheckCircle className="h-5 w-5" />
+                  <span>Path completed</span>
+                </p>
+              )}
+            </div>
+          ) : (
+            <button
+              onClick={handleEnroll}
+              disabled={isEnrolling || !path.isPublic || !path.isActive}
+              className="px-6 py-3 bg-white text-blue-600 font-semibold rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50"
+            >
+              {isEnrolling ? 'Enrolling...' : 'Enroll in Path'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Courses */}
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Courses in this path</h2>
+        <ol className="space-y-4">
+          {courses.map((course, index) => {
+            const status = rollupByCourse.get(course._id);
+            const lock = enrollment ? status?.lock : null;
+
+            return (
+              <li
+                key={course._id}
+                className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4 flex flex-col sm:flex-row gap-4 ${
+                  lock ? 'opacity-75' : ''
+                }`}
+              >
+                <div className="flex items-start space-x-4 flex-1 min-w-0">
+                  <div className="flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center bg-gray-100 dark:bg-gray-700 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {status?.isCompleted ? (
+                      <CheckCircle className="h-5 w-5 text-green-500" />
+                    ) : lock ? (
+                      <Lock className="h-4 w-4 text-gray-400" />
+                    ) : (
+                      index + 1
+                    )}
+                  </div>
+                  <img
+                    src={course.thumbnail}
+                    alt={course.title}
+                    className="hidden sm:block w-32 h-20 object-cover rounded-lg flex-shrink-0"
+                  />
+                  <div className="min-w-0">
+                    <Link
+                      to={`/courses/${course.slug}`}
+                      className="font-semibold text-gray-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400"
+                    >
+                      {course.title}
+                    </Link>
+                    <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-2">{course.description}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      {course.totalModules} modules · {formatDuration(course.totalDuration || 0)} · {course.difficulty}
+                    </p>
+                    {lock && (
+                      <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+                        {lock.reason}:{' '}
+                        {lock.requiredCourses.map((required, requiredIndex) => (
+                          <React.Fragment key={required._id}>
+                            {requiredIndex > 0 && ', '}
+                            <Link
+                              to={`/courses/${slugsById.get(required._id)}`}
+                              className="text-blue-600 dark:text-blue-400 hover:underline"
+                            >
+                              {required.title}
+                            </Link>
+                          </React.Fragment>
+                        ))}
+                      </p>
+                    )}
+                    {status?.isEnrolled && !status.isCompleted && (
+                      <div className="mt-2 max-w-xs">
+                        <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                          <div
+                            className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                            style={{ width: `${status.progress}%` }}
+                          ></div>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                </div>
+
+                {enrollment && (
+                  <div className="flex items-center sm:justify-end">
+                    {status?.isCompleted ? (
+                      <Link
+                        to={`/courses/${course.slug}`}
+                        className="px-4 py-2 text-sm font-medium text-green-700 dark:text-green-400 bg-green-50 dark:bg-green-900/30 rounded-lg"
+                      >
+                        Review
+                      </Link>
+                    ) : status?.isEnrolled ? (
+                      <Link
+                        to={`/courses/${course.slug}`}
+                        className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg"
+                      >
+                        <Play className="h-4 w-4 mr-2" />
+                        Continue
+                      </Link>
+                    ) : (
+                      <button
+                        onClick={() => handleStartCourse(course)}
+                        disabled={!!lock || !course.isActive || startingCourseId === course._id}
+                        className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {lock ? <Lock className="h-4 w-4 mr-2" /> : <Play className="h-4 w-4 mr-2" />}
+                        {startingCourseId === course._id ? 'Starting...' : 'Start'}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default LearningPathDetail;
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { Search, Route, BookOpen, Clock, Users, Award } from 'lucide-react';
+import { apiHelpers } from '../services/api';
+
+interface LearningPath {
+  _id: string;
+  title: string;
+  slug: string;
+  description: string;
+  thumbnail: string;
+  completionXP: number;
+  totalEnrollments: number;
+  courses: Array<{
+    course: {
+      _id: string;
+      title: string;
+      thumbnail: string;
+      totalDuration: number;
+    } | null;
+  }>;
+  creator: {
+    username: string;
+    firstName: string;
+    lastName: string;
+  };
+  isEnrolled?: boolean;
+  progress?: number;
+}
+
+const LearningPaths: React.FC = () => {
+  const [searchTerm, setSearchTerm] = useState('');
+
+  const { data: pathsData, isLoading } = useQuery(
+    ['paths', searchTerm],
+    () => apiHelpers.getPaths({ search: searchTerm || undefined, limit: 24 }),
+    {
+      refetchOnWindowFocus: false,
+    }
+  );
+
+  const paths: LearningPath[] = pathsData?.data?.paths || [];
+
+  const formatDuration = (minutes: number) => {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    if (hours > 0) {
+      return `${hours}h ${mins}m`;
+    }
+    return `${mins}m`;
+  };
+
+  const PathCard: React.FC<{ path: LearningPath }> = ({ path }) => {
+    const courses = path.courses.filter(entry => entry.course).map(entry => entry.course!);
+    const thumbnail = path.thumbnail || courses[0]?.thumbnail;
+    const totalDuration = courses.reduce((sum, course) => sum + (course.totalDuration || 0), 0);
+
+    return (
+      <Link
+        to={`/paths/${path.slug}`}
+        className="block bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-hidden hover:shadow-lg transition-shadow"
+      >
+        <div className="relative">
+          {thumbnail ? (
+            <img src={thumbnail} alt={path.title} className="w-full h-40 object-cover" />
+          ) : (
+            <div className="w-full h-40 bg-gradient-to-r from-blue-600 to-purple-600 flex items-center justify-center">
+              <Route className="h-12 w-12 text-white" />
+            </div>
+          )}
+          {path.isEnrolled && (
+            <div className="absolute top-3 left-3 bg-green-500 text-white px-2 py-1 rounded-full text-xs font-medium">
+              Enrolled
+            </div>
+          )}
+        </div>
+
+        <div className="p-6">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2 line-clamp-2">
+            {path.title}
+          </h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-2 mb-4">
+            {path.description}
+          </p>
+
+          <div className="flex items-center space-x-4 text-sm text-gray-600 dark:text-gray-400 mb-4">
+            <div className="flex items-center space-x-1">
+              <BookOpen className="h-4 w-4" />
+              <span>{courses.length} courses</span>
+            </div>
+            <div className="flex items-center space-x-1">
+              <Clock className="h-4 w-4" />
+              <span>{formatDuration(totalDuration)}</span>
+            </div>
+            <div className="flex items-center space-x-1">
+              <Users className="h-4 w-4" />
+              <span>{path.totalEnrollments}</span>
+            </div>
+          </div>
+
+          {path.isEnrolled && (
+            <div className="mb-4">
+              <div className="flex items-center justify-between text-sm mb-2">
+                <span className="text-gray-600 dark:text-gray-400">Progress</span>
+                <span className="text-gray-900 dark:text-white font-medium">{path.progress}%</span>
+              </div>
+              <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                <div
+                  className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                  style={{ width: `${path.progress}%` }}
+                ></div>
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-600 dark:text-gray-400">
+              {path.creator.firstName} {path.creator.lastName}
+            </span>
+            <span className="flex items-center space-x-1 text-yellow-600 dark:text-yellow-400">
+              <Award className="h-4 w-4" />
+              <span>+{path.completionXP} XP</span>
+            </span>
+          </div>
+        </div>
+      </Link>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+              Learning Paths
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              Follow a series of courses from the basics to mastery
+            </p>
+          </div>
+          <Link
+            to="/courses"
+            className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            Browse individual courses
+          </Link>
+        </div>
+
+        {/* Search */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 mb-8">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search learning paths..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white"
+            />
+          </div>
+        </div>
+
+        {/* Paths Grid */}
+        {isLoading ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {[...Array(6)].map((_, i) => (
+              <div key={i} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-hidden animate-pulse">
+                <div className="h-40 bg-gray-200 dark:bg-gray-700"></div>
+                <div className="p-6 space-y-4">
+                  <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded w-3/4"></div>
+                  <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded w-full"></div>
+                  <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded w-2/3"></div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : paths.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {paths.map((path) => (
+              <PathCard key={path._id} path={path} />
+            ))}
+          </div>
+        ) : (
+          <div className="text-center py-12">
+            <Route className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+              No learning paths found
+            </h3>
+            <p className="text-gray-600 dark:text-gray-400">
+              {searchTerm ? 'Try a different search' : 'Check back soon for curated paths'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LearningPaths;
@@ -53,6 +53,12 @@ api.interceptors.response.use(
     return Promise.reject(error)
   }
 )
+// Files uploaded to the backend are served next to the API, not under it
+export const mediaUrl = (url) => {
+  if (!url || !url.startsWith('/uploads/')) return url
+  return api.defaults.baseURL.replace(/\/api\/?$/, '') + url
+}
+
 export const endpoints = {
   auth: {
     login: '/auth/login',
@@ -67,13 +73,53 @@ export const endpoints = {
   courses: {
     list: '/courses',
     create: '/courses/convert',
+    importJob: (jobId) => `/courses/import-jobs/${jobId}`,
+    discover: '/courses/discover',
     detail: (slug) => `/courses/${slug}`,
+    course: (courseId) => `/courses/${courseId}`,
+    archive: (courseId) => `/courses/${courseId}/archive`,
+    restore: (courseId) => `/courses/${courseId}/restore`,
+    transfer: (courseId) => `/courses/${courseId}/transfer`,
+    fork: (courseId) => `/courses/${courseId}/fork`,
+    export: (courseId) => `/courses/${courseId}/export`,
+    exportScorm: (courseId) => `/courses/${courseId}/export/scorm`,
+    import: '/courses/import',
+    draft: (courseId) => `/courses/${courseId}/draft`,
+    publish: (courseId) => `/courses/${courseId}/publish`,
+    revisions: (courseId) => `/courses/${courseId}/revisions`,
+    rollback: (courseId, number) => `/courses/${courseId}/revisions/${number}/rollback`,
+    slug: (courseId) => `/courses/${courseId}/slug`,
+    staff: (courseId) => `/courses/${courseId}/staff`,
+    staffMember: (courseId, userId) => `/courses/${courseId}/staff/${userId}`,
+    staffInvitations: (courseId) => `/courses/${courseId}/staff/invitations`,
+    staffInvitation: (courseId, invitationId) => `/courses/${courseId}/staff/invitations/${invitationId}`,
+    analytics: (courseId) => `/courses/${courseId}/analytics`,
+    rating: (courseId, ratingId) => `/courses/${courseId}/ratings/${ratingId}`,
     enroll: (courseId) => `/courses/${courseId}/enroll`,
     rate: (courseId) => `/courses/${courseId}/rate`,
-    completeModule: (courseId, moduleOrder) => `/courses/${courseId}/modules/${moduleOrder}/complete`,
-    moduleDetail: (courseId, moduleOrder) => `/courses/${courseId}/modules/${moduleOrder}`,
+    resync: (courseId) => `/courses/${courseId}/resync`,
+    healthCheck: (courseId) => `/courses/${courseId}/health-check`,
+    addModule: (courseId) => `/courses/${courseId}/modules`,
+    completeModule: (courseId, moduleId) => `/courses/${courseId}/modules/${moduleId}/complete`,
+    moduleDetail: (courseId, moduleId) => `/courses/${courseId}/modules/${moduleId}`,
+    moduleOrder: (courseId) => `/courses/${courseId}/modules/order`,
+    moduleFile: (courseId, moduleId) => `/courses/${courseId}/modules/${moduleId}/file`,
+    quiz: (courseId, moduleId) => `/courses/${courseId}/modules/${moduleId}/quiz`,
+    quizAttempts: (courseId, moduleId) => `/courses/${courseId}/modules/${moduleId}/quiz/attempts`,
+    transcripts: (courseId, moduleId) => `/courses/${courseId}/modules/${moduleId}/transcripts`,
+    transcript: (courseId, moduleId, language) => `/courses/${courseId}/modules/${moduleId}/transcripts/${language}`,
+    importCaptions: (courseId) => `/courses/${courseId}/transcripts/import`,
     categories: '/courses/categories',
   },
+  paths: {
+    list: '/paths',
+    create: '/paths',
+    enrolled: '/paths/enrolled',
+    detail: (slug) => `/paths/${slug}`,
+    path: (pathId) => `/paths/${pathId}`,
+    enroll: (pathId) => `/paths/${pathId}/enroll`,
+    enrollCourse: (pathId, courseId) => `/paths/${pathId}/courses/${courseId}/enroll`,
+  },
   users: {
     profile: '/users/profile',
     publicProfile: (username) => `/users/${username}`,
@@ -86,13 +132,23 @@ export const endpoints = {
   },
   progress: {
     detail: (courseId) => `/progress/${courseId}`,
-    watch: (courseId, moduleOrder) => `/progress/${courseId}/modules/${moduleOrder}/watch`,
-    addNote: (courseId, moduleOrder) => `/progress/${courseId}/modules/${moduleOrder}/notes`,
-    addBookmark: (courseId, moduleOrder) => `/progress/${courseId}/modules/${moduleOrder}/bookmarks`,
+    watch: (courseId, moduleId) => `/progress/${courseId}/modules/${moduleId}/watch`,
+    addNote: (courseId, moduleId) => `/progress/${courseId}/modules/${moduleId}/notes`,
+    addBookmark: (courseId, moduleId) => `/progress/${courseId}/modules/${moduleId}/bookmarks`,
     session: (courseId) => `/progress/${courseId}/session`,
     analytics: (courseId) => `/progress/${courseId}/analytics`,
-    deleteNote: (courseId, moduleOrder, noteId) => `/progress/${courseId}/modules/${moduleOrder}/notes/${noteId}`,
-    deleteBookmark: (courseId, moduleOrder, bookmarkId) => `/progress/${courseId}/modules/${moduleOrder}/bookmarks/${bookmarkId}`,
+    deleteNote: (courseId, moduleId, noteId) => `/progress/${courseId}/modules/${moduleId}/notes/${noteId}`,
+    deleteBookmark: (courseId, moduleId, bookmarkId) => `/progress/${courseId}/modules/${moduleId}/bookmarks/${bookmarkId}`,
+  },
+  notifications: {
+    list: '/notifications',
+    read: (notificationId) => `/notifications/${notificationId}/read`,
+    readAll: '/notifications/read-all',
+  },
+  invitations: {
+    list: '/invitations',
+    accept: (invitationId) => `/invitations/${invitationId}/accept`,
+    decline: (invitationId) => `/invitations/${invitationId}/decline`,
   },
   gamification: {
     dashboard: '/gamification/dashboard',
@@ -118,14 +174,153 @@ export const apiHelpers = {
     const response = await api.post(endpoints.courses.create, courseData)
     return response.data
   },
+
+  getImportJob: async (jobId) => {
+    const response = await api.get(endpoints.courses.importJob(jobId))
+    return response.data
+  },
+
+  discoverPlaylists: async (q) => {
+    const response = await api.get(endpoints.courses.discover, { params: { q } })
+    return response.data
+  },
+  
+  updateCourse: async (courseId, courseData) => {
+    const response = await api.patch(endpoints.courses.course(courseId), courseData)
+    return response.data
+  },
+
+  archiveCourse: async (courseId) => {
+    const response = await api.post(endpoints.courses.archive(courseId))
+    return response.data
+  },
+
+  restoreCourse: async (courseId) => {
+    const response = await api.post(endpoints.courses.restore(courseId))
+    return response.data
+  },
+
+  transferCourse: async (courseId, username) => {
+    const response = await api.post(endpoints.courses.transfer(courseId), { username })
+    return response.data
+  },
+
+  deleteCourse: async (courseId) => {
+    const response = await api.delete(endpoints.courses.course(courseId))
+    return response.data
+  },
+
+  // Copies the course into a new one owned by the user; options: { title, followUpstream, isPublic }
+  forkCourse: async (courseId, options = {}) => {
+    const response = await api.post(endpoints.courses.fork(courseId), options)
+    return response.data
+  },
+
+  // Downloads the published course as a JSON package, attachments included
+  exportCourse: async (courseId) => {
+    const response = await api.get(endpoints.courses.export(courseId), {
+      responseType: 'blob',
+      timeout: 120000,
+    })
+    return response.data
+  },
+
+  // Downloads the published course as a SCORM zip for other LMSs; version is '1.2' or '2004'
+  exportScormPackage: async (courseId, version = '1.2') => {
+    const response = await api.get(endpoints.courses.exportScorm(courseId), {
+      params: { version },
+      responseType: 'blob',
+      timeout: 120000,
+    })
+    return response.data
+  },
+
+  // Recreates a course from an exported package; onConflict is 'rename' or 'fail'
+  importCourse: async (file, onConflict = 'rename') => {
+    const formData = new FormData()
+    formData.append('package', file)
+    const response = await api.post(endpoints.courses.import, formData, {
+      params: { onConflict },
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+    })
+    return response.data
+  },
+
+  // Content edits go to a draft that learners don't see until it is published
+  getCourseDraft: async (courseId) => {
+    const response = await api.get(endpoints.courses.draft(courseId))
+    return response.data
+  },
+
+  publishCourse: async (courseId, changelog) => {
+    const response = await api.post(endpoints.courses.publish(courseId), { changelog })
+    return response.data
+  },
+
+  discardCourseDraft: async (courseId) => {
+    const response = await api.delete(endpoints.courses.draft(courseId))
+    return response.data
+  },
+
+  getCourseRevisions: async (courseId) => {
+    const response = await api.get(endpoints.courses.revisions(courseId))
+    return response.data
+  },
+
+  rollbackCourse: async (courseId, number, changelog) => {
+    const response = await api.post(endpoints.courses.rollback(courseId, number), { changelog })
+    return response.data
+  },
+
+  updateCourseSlug: async (courseId, slug) => {
+    const response = await api.patch(endpoints.courses.slug(courseId), { slug })
+    return response.data
+  },
+
+  // Course staff: co-authors (editor) and teaching assistants (ta)
+  getCourseStaff: async (courseId) => {
+    const response = await api.get(endpoints.courses.staff(courseId))
+    return response.data
+  },
+
+  inviteCourseStaff: async (courseId, username, role) => {
+    const response = await api.post(endpoints.courses.staffInvitations(courseId), { username, role })
+    return response.data
+  },
+
+  revokeCourseInvitation: async (courseId, invitationId) => {
+    const response = await api.delete(endpoints.courses.staffInvitation(courseId, invitationId))
+    return response.data
+  },
+
+  updateCourseStaffRole: async (courseId, userId, role) => {
+    const response = await api.patch(endpoints.courses.staffMember(courseId, userId), { role })
+    return response.data
+  },
+
+  removeCourseStaff: async (courseId, userId) => {
+    const response = await api.delete(endpoints.courses.staffMember(courseId, userId))
+    return response.data
+  },
+
+  getCourseAnalytics: async (courseId) => {
+    const response = await api.get(endpoints.courses.analytics(courseId))
+    return response.data
+  },
+
+  deleteCourseRating: async (courseId, ratingId) => {
+    const response = await api.delete(endpoints.courses.rating(courseId, ratingId))
+    return response.data
+  },
   
   enrollInCourse: async (courseId) => {
     const response = await api.post(endpoints.courses.enroll(courseId))
     return response.data
   },
   
-  completeModule: async (courseId, moduleOrder) => {
-    const response = await api.post(endpoints.courses.completeModule(courseId, moduleOrder))
+  completeModule: async (courseId, moduleId) => {
+    const response = await api.post(endpoints.courses.completeModule(courseId, moduleId))
     return response.data
   },
   
@@ -133,7 +328,139 @@ export const apiHelpers = {
     const response = await api.post(endpoints.courses.rate(courseId), { rating, review })
     return response.data
   },
+
+  resyncCourse: async (courseId) => {
+    const response = await api.post(endpoints.courses.resync(courseId))
+    return response.data
+  },
+
+  checkCourseHealth: async (courseId) => {
+    const response = await api.post(endpoints.courses.healthCheck(courseId))
+    return response.data
+  },
+
+  addModule: async (courseId, moduleData) => {
+    const response = await api.post(endpoints.courses.addModule(courseId), moduleData)
+    return response.data
+  },
+
+  // Attach a file module; the file is sent as multipart form data
+  addFileModule: async (courseId, file, moduleData = {}) => {
+    const formData = new FormData()
+    formData.append('type', 'file')
+    formData.append('file', file)
+    Object.entries(moduleData).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') formData.append(key, value)
+    })
+    const response = await api.post(endpoints.courses.addModule(courseId), formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+    })
+    return response.data
+  },
+
+  // Downloading a module's file also completes the module
+  downloadModuleFile: async (courseId, moduleId) => {
+    const response = await api.get(endpoints.courses.moduleFile(courseId, moduleId), {
+      responseType: 'blob',
+      timeout: 120000,
+    })
+    return response.data
+  },
+
+  getModule: async (courseId, moduleId) => {
+    const response = await api.get(endpoints.courses.moduleDetail(courseId, moduleId))
+    return response.data
+  },
+
+  updateModule: async (courseId, moduleId, moduleData) => {
+    const response = await api.patch(endpoints.courses.moduleDetail(courseId, moduleId), moduleData)
+    return response.data
+  },
+
+  reorderModules: async (courseId, modules) => {
+    const response = await api.put(endpoints.courses.moduleOrder(courseId), { modules })
+    return response.data
+  },
+
+  // The editor passes { draft: true } to get the quiz from the course draft
+  getQuiz: async (courseId, moduleId, params = {}) => {
+    const response = await api.get(endpoints.courses.quiz(courseId, moduleId), { params })
+    return response.data
+  },
+
+  saveQuiz: async (courseId, moduleId, quiz) => {
+    const response = await api.put(endpoints.courses.quiz(courseId, moduleId), quiz)
+    return response.data
+  },
+
+  submitQuiz: async (courseId, moduleId, answers) => {
+    const response = await api.post(endpoints.courses.quizAttempts(courseId, moduleId), { answers })
+    return response.data
+  },
+
+  uploadTranscript: async (courseId, moduleId, file, language, label) => {
+    const formData = new FormData()
+    formData.append('file', file)
+    formData.append('language', language)
+    if (label) formData.append('label', label)
+    const response = await api.post(endpoints.courses.transcripts(courseId, moduleId), formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    })
+    return response.data
+  },
+
+  deleteTranscript: async (courseId, moduleId, language) => {
+    const response = await api.delete(endpoints.courses.transcript(courseId, moduleId, language))
+    return response.data
+  },
+
+  importCaptions: async (courseId, languages) => {
+    const response = await api.post(endpoints.courses.importCaptions(courseId), { languages })
+    return response.data
+  },
   
+  // Learning path helpers
+  getPaths: async (params = {}) => {
+    const response = await api.get(endpoints.paths.list, { params })
+    return response.data
+  },
+
+  getEnrolledPaths: async () => {
+    const response = await api.get(endpoints.paths.enrolled)
+    return response.data
+  },
+
+  getPath: async (slug) => {
+    const response = await api.get(endpoints.paths.detail(slug))
+    return response.data
+  },
+
+  createPath: async (pathData) => {
+    const response = await api.post(endpoints.paths.create, pathData)
+    return response.data
+  },
+
+  updatePath: async (pathId, pathData) => {
+    const response = await api.patch(endpoints.paths.path(pathId), pathData)
+    return response.data
+  },
+
+  deletePath: async (pathId) => {
+    const response = await api.delete(endpoints.paths.path(pathId))
+    return response.data
+  },
+
+  enrollInPath: async (pathId) => {
+    const response = await api.post(endpoints.paths.enroll(pathId))
+    return response.data
+  },
+
+  enrollInPathCourse: async (pathId, courseId) => {
+    const response = await api.post(endpoints.paths.enrollCourse(pathId, courseId))
+    return response.data
+  },
+
   getUserProfile: async () => {
     const response = await api.get(endpoints.users.profile)
     return response.data
@@ -154,30 +481,63 @@ export const apiHelpers = {
     return response.data
   },
   
-  updateWatchProgress: async (courseId, moduleOrder, watchTime, isCompleted) => {
-    const response = await api.post(endpoints.progress.watch(courseId, moduleOrder), {
+  updateWatchProgress: async (courseId, moduleId, watchTime, isCompleted, segmentIds = []) => {
+    const response = await api.post(endpoints.progress.watch(courseId, moduleId), {
       watchTime,
       isCompleted,
+      segmentIds,
     })
     return response.data
   },
   
-  addNote: async (courseId, moduleOrder, content, timestamp) => {
-    const response = await api.post(endpoints.progress.addNote(courseId, moduleOrder), {
+  addNote: async (courseId, moduleId, content, timestamp) => {
+    const response = await api.post(endpoints.progress.addNote(courseId, moduleId), {
       content,
       timestamp,
     })
     return response.data
   },
   
-  addBookmark: async (courseId, moduleOrder, timestamp, title) => {
-    const response = await api.post(endpoints.progress.addBookmark(courseId, moduleOrder), {
+  addBookmark: async (courseId, moduleId, timestamp, title) => {
+    const response = await api.post(endpoints.progress.addBookmark(courseId, moduleId), {
       timestamp,
       title,
     })
     return response.data
   },
   
+  // Notification helpers
+  getNotifications: async (params = {}) => {
+    const response = await api.get(endpoints.notifications.list, { params })
+    return response.data
+  },
+
+  markNotificationRead: async (notificationId) => {
+    const response = await api.put(endpoints.notifications.read(notificationId))
+    return response.data
+  },
+
+  markAllNotificationsRead: async () => {
+    const response = await api.put(endpoints.notifications.readAll)
+    return response.data
+  },
+
+  // Invitations to join a course's staff
+  getInvitations: async () => {
+    const response = await api.get(endpoints.invitations.list)
+    return response.data
+  },
+
+  acceptInvitation: async (invitationId) => {
+    const response = await api.post(endpoints.invitations.accept(invitationId))
+    return response.data
+  },
+
+  declineInvitation: async (invitationId) => {
+    const response = await api.post(endpoints.invitations.decline(invitationId))
+    return response.data
+  },
+
   // Gamification helpers
   getGamificationDashboard: async () => {
     const response = await api.get(endpoints.gamification.dashboard)